@@ -1,20 +1,35 @@
 import { useMemo, useState, useEffect } from "react";
-import { type Household, type Assumptions } from "dwz-core";
+import { type Household, type Assumptions, type ConcessionalHistory, type Debt, type FutureInflow, type Home, type InvestmentProperty, type RentVsBuyAssumptions, salarySacrificeTaxRate, marginalTaxRate, rulesForYear, CONTRIBUTION_CAP_RULES, INDEXATION_RULES } from "dwz-core";
 import { useDecision } from "./lib/useDecision";
 import { useSavingsSplitOptimizer } from "./lib/useSavingsSplitOptimizer";
 import { useSavingsSplitForPlan } from "./lib/useSavingsSplitForPlan";
 import { usePlanFirstSolver } from "./lib/usePlanFirstSolver";
+import { useRetirementFrontier } from "./lib/useRetirementFrontier";
+import { useCoupleContributions } from "./lib/useCoupleContributions";
+import { useHelpDebtImpact } from "./lib/useHelpDebtImpact";
+import { useMortgagePayoff } from "./lib/useMortgagePayoff";
+import { useRentVsBuy } from "./lib/useRentVsBuy";
 import { useConcessionalCap, useATORates, useAutoMarginalTaxRate } from "./lib/useATORates";
-import { calculateMarginalTaxRate } from "./lib/auRates";
 import { splitSalarySacrifice } from "./lib/suggestSalarySacrifice";
+import { retiredTaxRate } from "./lib/retiredTaxRate";
 import { auMoney0 } from "./lib/format";
 import WealthChart from "./components/WealthChart";
 import SensitivityChart from "./components/SensitivityChart";
+import RetirementFrontier from "./components/RetirementFrontier";
+import CoupleContributions from "./components/CoupleContributions";
 import PlanSpendInput from "./components/PlanSpendInput";
 import PersonCard from "./components/PersonCard";
 import SavingsBreakdown from "./components/SavingsBreakdown";
 import FutureInflowsPanel from "./components/FutureInflowsPanel";
-import { COUPLES_PLAN_DEFAULT, SINGLE_PLAN_DEFAULT } from "./constants/defaults";
+import HospitalCoverCheck from "./components/HospitalCoverCheck";
+import HelpDebtPanel from "./components/HelpDebtPanel";
+import EarningsTaxPanel from "./components/EarningsTaxPanel";
+import ConcessionalHistoryPanel from "./components/ConcessionalHistoryPanel";
+import DebtsPanel from "./components/DebtsPanel";
+import HomePanel from "./components/HomePanel";
+import InvestmentPropertiesPanel from "./components/InvestmentPropertiesPanel";
+import RentVsBuyPanel from "./components/RentVsBuyPanel";
+import { COUPLES_PLAN_DEFAULT, SINGLE_PLAN_DEFAULT, HOSPITAL_COVER_PREMIUM_DEFAULT, RENT_VS_BUY_DEFAULT, EARNINGS_TAX_PROFILE_DEFAULT } from "./constants/defaults";
 
 export default function App() {
   // Couples-first defaults
@@ -38,19 +53,48 @@ export default function App() {
   const [manualSplitPct, setManualSplitPct] = useState(0.5);
   const capPerPerson = useConcessionalCap(); // ATO-derived, no user override
   const atoRates = useATORates(); // For displaying current FY info
+  const taxRules = rulesForYear(atoRates.financialYear); // the session FY's tax rates
   
   // Auto-MTR with advanced override
   const [useAdvancedTaxRate, setUseAdvancedTaxRate] = useState(false);
   const [manualTaxRate, setManualTaxRate] = useState(0.32);
-  const autoTaxRate = useAutoMarginalTaxRate(income1, income2);
+  // Salary sacrifice comes off the top of income, so money saved outside is taxed at the post-sacrifice
+  // marginal rate. The optimiser's rate can't depend on its own answer, so auto mode assumes the
+  // concessional headroom is filled
+  const postSacrificeIncomes = useMemo(() => {
+    const incomes = [income1, income2].map(x => Math.max(0, Number(x ?? 0)));
+    const sgRates = [sgRate1, sgRate2].map(r => r || atoRates.superGuaranteeRate);
+    const headroom = incomes.map((x, i) => Math.max(0, capPerPerson - Math.round(x * sgRates[i])));
+    const totalHeadroom = headroom[0] + headroom[1];
+    const sacrifice = Math.min(totalHeadroom, Math.max(0, annualSavings) * (autoOptimize ? 1 : manualSplitPct));
+    return incomes.map((x, i) => x - (totalHeadroom > 0 ? sacrifice * headroom[i] / totalHeadroom : 0));
+  }, [income1, income2, sgRate1, sgRate2, atoRates.superGuaranteeRate, capPerPerson, annualSavings, autoOptimize, manualSplitPct]);
+  const autoTaxRate = useAutoMarginalTaxRate(postSacrificeIncomes[0], postSacrificeIncomes[1]);
+  // Medicare levy surcharge: salary sacrifice is reportable super, so it counts towards MLS income
+  const [dependentChildren, setDependentChildren] = useState(0);
+  const [hospitalPremium, setHospitalPremium] = useState(HOSPITAL_COVER_PREMIUM_DEFAULT);
+  const mlsPeople = useMemo(() => [income1, income2].map((x, i) => ({
+    income: postSacrificeIncomes[i],
+    reportableSuper: Math.max(0, Number(x ?? 0)) - postSacrificeIncomes[i]
+  })), [income1, income2, postSacrificeIncomes]);
   const outsideTaxRate = useAdvancedTaxRate ? manualTaxRate : autoTaxRate;
   
-  // Future inflows (multiple entries with destination)
-  const [futureInflows, setFutureInflows] = useState<Array<{
-    ageYou: number;
-    amount: number;
-    to?: 'outside' | 'super';
-  }>>([]);
+  // HELP/HECS balances and voluntary repayments per person
+  const [helpDebts, setHelpDebts] = useState([{ balance: 0, voluntary: 0 }, { balance: 0, voluntary: 0 }]);
+  // Previous years' concessional contributions per person, for carry-forward (null = not entered)
+  const [concessionalHistories, setConcessionalHistories] = useState<(ConcessionalHistory | null)[]>([null, null]);
+
+  // Loans such as a mortgage
+  const [debts, setDebts] = useState<Debt[]>([]);
+  // Family home (value 0 = not modelled)
+  const [home, setHome] = useState<Home>({ value: 0 });
+  // Investment properties
+  const [investmentProperties, setInvestmentProperties] = useState<InvestmentProperty[]>([]);
+  // Rent vs buy scenario
+  const [rentVsBuy, setRentVsBuy] = useState<RentVsBuyAssumptions>(RENT_VS_BUY_DEFAULT);
+
+  // Future inflows (multiple entries with type and destination)
+  const [futureInflows, setFutureInflows] = useState<FutureInflow[]>([]);
   
   // Auto-derive eligible people from cap headroom
   const calculateEligiblePeople = () => {
@@ -82,6 +126,15 @@ export default function App() {
     }
   }, []); // Only run once on mount
 
+  // How each bucket's return is earned, for earnings tax
+  const [earningsProfile, setEarningsProfile] = useState(EARNINGS_TAX_PROFILE_DEFAULT);
+  // Once retired, each partner's taxable income is at most their share of the plan (super pensions are
+  // tax-free from 60), with the seniors offset
+  const retiredRate = useMemo(
+    () => retiredTaxRate((planSpend ?? computeDefaultPlan(2)) / 2, true, taxRules),
+    [planSpend, taxRules]
+  );
+
   const assumptions = useMemo<Assumptions>(() => ({
     realReturn: 0.059,
     fees: 0.005,
@@ -90,13 +143,20 @@ export default function App() {
       { from: 0, to: 60, m: 1.10 },
       { from: 60, to: 75, m: 1.00 },
       { from: 75, to: 200, m: 0.85 }
-    ]
-  }), []);
+    ],
+    // Caps, thresholds and tax brackets move year by year at the bundled wage growth and CPI
+    indexation: INDEXATION_RULES.defaults,
+    // Outside earnings are taxed at the working marginal rate, then at a retiree's rate
+    earningsTax: {
+      outside: { ...earningsProfile.outside, taxRate: Math.max(0, Math.min(0.65, outsideTaxRate)), retiredTaxRate: retiredRate },
+      super: earningsProfile.super
+    }
+  }), [outsideTaxRate, retiredRate, earningsProfile]);
 
+  // No flat contribTaxRate: the engine taxes each person's contributions at 15% plus Division 293
   const optimizerPolicy = useMemo(() => ({
     capPerPerson,
     eligiblePeople,
-    contribTaxRate: 0.15,
     outsideTaxRate: Math.max(0, Math.min(0.65, outsideTaxRate)), // clamp 0..65%
     maxPct: 1.0
   }), [capPerPerson, eligiblePeople, outsideTaxRate]);
@@ -118,7 +178,10 @@ export default function App() {
       superPrem: 0,
       // Salary now mirrors the Income field
       salary: Math.max(0, Number(income1 ?? 0)),
-      sgRate: sgRate1 || atoRates.superGuaranteeRate
+      sgRate: sgRate1 || atoRates.superGuaranteeRate,
+      hecs: helpDebts[0].balance,
+      hecsVoluntary: helpDebts[0].voluntary,
+      concessionalHistory: concessionalHistories[0] ?? undefined
     },
     p2: { 
       age: p2Age, 
@@ -129,7 +192,10 @@ export default function App() {
       superPrem: 0,
       // Salary now mirrors the Income field
       salary: Math.max(0, Number(income2 ?? 0)),
-      sgRate: sgRate2 || atoRates.superGuaranteeRate
+      sgRate: sgRate2 || atoRates.superGuaranteeRate,
+      hecs: helpDebts[1].balance,
+      hecsVoluntary: helpDebts[1].voluntary,
+      concessionalHistory: concessionalHistories[1] ?? undefined
     },
     targetSpend: 65000, // placeholder - solver will determine actual sustainable spending
     annualSavings,
@@ -138,13 +204,15 @@ export default function App() {
       const validInflows = futureInflows
         .filter(inf => inf.amount > 0 && inf.ageYou > 0 && Number.isFinite(inf.amount) && Number.isFinite(inf.ageYou))
         .map(inf => ({
-          ageYou: inf.ageYou,
-          amount: inf.amount,
+          ...inf,
           to: inf.to || 'outside'
         }));
       return validInflows.length > 0 ? validInflows : undefined;
-    })()
-  }), [p1Age, p2Age, income1, income2, out1, out2, sup1, sup2, sgRate1, sgRate2, annualSavings, lifeExp, atoRates.superGuaranteeRate, futureInflows]);
+    })(),
+    debts,
+    home,
+    investmentProperties
+  }), [p1Age, p2Age, income1, income2, out1, out2, sup1, sup2, sgRate1, sgRate2, annualSavings, lifeExp, atoRates.superGuaranteeRate, futureInflows, helpDebts, concessionalHistories, debts, home, investmentProperties]);
   
   // Use plan-first optimizer when plan is set, otherwise fall back to generic optimizer
   const { data: genericOptimizerData, loading: genericOptimizerLoading } = useSavingsSplitOptimizer(
@@ -178,7 +246,6 @@ export default function App() {
       toSuperPct: effectiveSplitPct,
       capPerPerson,
       eligiblePeople,
-      contribTaxRate: 0.15,
       outsideTaxRate: Math.max(0, Math.min(0.65, outsideTaxRate)),
       // Always use grossDeferral mode when autoOptimize is on, regardless of whether optimizerData exists yet
       mode: autoOptimize ? 'grossDeferral' as const : 'netFixed' as const
@@ -198,6 +265,47 @@ export default function App() {
     true
   );
 
+  // Per-partner retirement ages that reach the plan (same household as the plan-first solver)
+  const { data: frontierData, loading: frontierLoading } = useRetirementFrontier(
+    household,
+    assumptions,
+    planSpend,
+    !!planSpend
+  );
+
+  // Contribution splitting and spouse contributions for couples, at the same plan
+  const { data: coupleContribData, loading: coupleContribLoading } = useCoupleContributions(
+    household,
+    assumptions,
+    planSpend,
+    !!planSpend
+  );
+
+  // HELP payoff ages and the debts' cost in earliest age, at the same plan
+  const { data: helpImpactData, loading: helpImpactLoading } = useHelpDebtImpact(
+    household,
+    assumptions,
+    planSpend,
+    !!planSpend
+  );
+
+  // Paying the loans down today against investing, at the same plan
+  const { data: mortgagePayoffData, loading: mortgagePayoffLoading } = useMortgagePayoff(
+    household,
+    assumptions,
+    planSpend,
+    !!planSpend
+  );
+
+  // Renting against buying a home, at the same plan
+  const { data: rentVsBuyData, loading: rentVsBuyLoading } = useRentVsBuy(
+    household,
+    assumptions,
+    rentVsBuy,
+    planSpend,
+    !!planSpend
+  );
+
   // Pass the earliest age from plan-first solver to ensure consistency
   // Only call solver if we have an achievable plan (earliest age is not null)
   const shouldSolve = planSpend && planFirstData && planFirstData.earliestAge !== null;
@@ -209,7 +317,7 @@ export default function App() {
   );
 
   // Calculate remaining caps and per-person MTRs for optimizer suggestion splitting
-  const { remainingCaps, personalMTRs } = useMemo(() => {
+  const { remainingCaps, personalMTRs, contribTaxRates } = useMemo(() => {
     const effectiveSGRate1 = sgRate1 || atoRates.superGuaranteeRate;
     const effectiveSGRate2 = sgRate2 || atoRates.superGuaranteeRate;
     // Salary now derived from income (same as engine uses)
@@ -227,12 +335,18 @@ export default function App() {
     const mtrs = useAdvancedTaxRate 
       ? [manualTaxRate, manualTaxRate] // Use manual rate for both if override is set
       : [
-          calculateMarginalTaxRate(income1, atoRates.taxBrackets),
-          calculateMarginalTaxRate(income2, atoRates.taxBrackets)
+          marginalTaxRate(income1, {}, taxRules),
+          marginalTaxRate(income2, {}, taxRules)
         ];
     
-    return { remainingCaps: caps, personalMTRs: mtrs };
-  }, [income1, income2, sgRate1, sgRate2, capPerPerson, atoRates.superGuaranteeRate, atoRates.taxBrackets, useAdvancedTaxRate, manualTaxRate]);
+    // Tax on each person's sacrificed dollars when filling their headroom, incl. Division 293
+    const contribRates = [
+      salarySacrificeTaxRate(effectiveSalary1, sgGross1, caps[0]),
+      salarySacrificeTaxRate(effectiveSalary2, sgGross2, caps[1])
+    ];
+    
+    return { remainingCaps: caps, personalMTRs: mtrs, contribTaxRates: contribRates };
+  }, [income1, income2, sgRate1, sgRate2, capPerPerson, atoRates.superGuaranteeRate, taxRules, useAdvancedTaxRate, manualTaxRate]);
 
   return (
     <div style={{ maxWidth: 1200, margin: "0 auto", padding: 24 }}>
@@ -260,6 +374,7 @@ export default function App() {
           annualSavings={annualSavings}
           allRemainingCaps={remainingCaps}
           personalMTRs={personalMTRs}
+          contribTaxRates={contribTaxRates}
         />
         <PersonCard
           title="Partner"
@@ -282,12 +397,34 @@ export default function App() {
           annualSavings={annualSavings}
           allRemainingCaps={remainingCaps}
           personalMTRs={personalMTRs}
+          contribTaxRates={contribTaxRates}
         />
       </section>
 
       <FutureInflowsPanel
         value={futureInflows}
         onChange={setFutureInflows}
+        superBalance={sup1}
+        people={[baseHousehold.p1, baseHousehold.p2!]}
+      />
+
+      <HomePanel
+        value={home}
+        onChange={setHome}
+        ages={[p1Age, p2Age]}
+      />
+
+      <InvestmentPropertiesPanel
+        value={investmentProperties}
+        onChange={setInvestmentProperties}
+        age={p1Age}
+      />
+
+      <DebtsPanel
+        value={debts}
+        onChange={setDebts}
+        comparison={mortgagePayoffData}
+        loading={mortgagePayoffLoading}
       />
 
       <section style={{ 
@@ -376,7 +513,7 @@ export default function App() {
             <div style={{ marginTop: 8 }}>
               <div style={{ fontSize: 12, color: "#666", marginBottom: 4 }}>
                 Using ATO marginal rate: <strong>{(outsideTaxRate * 100).toFixed(1)}%</strong>
-                {' '}(based on ${Math.max(income1, income2 || 0).toLocaleString()} income + Medicare levy)
+                {' '}(on ${Math.round(Math.max(...postSacrificeIncomes)).toLocaleString()} income after salary sacrifice, with offsets and the Medicare levy)
               </div>
               <label style={{ display: 'flex', alignItems: 'center', fontSize: 12, color: "#666" }}>
                 <input 
@@ -474,7 +611,7 @@ export default function App() {
                 <div style={{ fontWeight: 500, marginBottom: 4 }}>Future inflows:</div>
                 {baseHousehold.futureInflows.map((inf, i) => (
                   <div key={i} style={{ marginLeft: 8 }}>
-                    • A${(inf.amount || 0).toLocaleString('en-AU')} at age {inf.ageYou} → {inf.to ?? 'outside'}
+                    • {inf.type === 'giftOut' ? 'Gift of ' : ''}A${(inf.amount || 0).toLocaleString('en-AU')} at age {inf.ageYou} → {inf.type === 'giftOut' ? 'given away' : inf.to ?? 'outside'}
                   </div>
                 ))}
               </div>
@@ -483,11 +620,24 @@ export default function App() {
               Cap binding: {optimizerData.constraints.capBindingAtOpt ? "Yes" : "No"} | 
               Evaluations: {optimizerData.evals}
             </div>
+            {!!planSpend && planOptimizerData?.catchUp && (
+              <div style={{ fontSize: 12, color: "#333", marginTop: 6 }}>
+                <strong>Catch-up contributions (carry-forward cap):</strong>
+                {planOptimizerData.catchUp.years.map(y => (
+                  <div key={y.age} style={{ marginLeft: 8 }}>
+                    • Age {y.age}: {auMoney0(Math.round(y.contributions))} of {auMoney0(Math.round(y.available))} available
+                  </div>
+                ))}
+                {planOptimizerData.catchUp.fromInflows && (
+                  <div style={{ color: "#666", marginLeft: 8 }}>Includes windfalls contributed as deductible personal contributions.</div>
+                )}
+              </div>
+            )}
             
             {(() => {
               // Calculate per-person salary sacrifice split
               const householdRecommendedGross = Math.max(0, Math.round(annualSavings * optimizerData.recommendedPct));
-              const splitAmounts = splitSalarySacrifice(householdRecommendedGross, remainingCaps, personalMTRs);
+              const splitAmounts = splitSalarySacrifice(householdRecommendedGross, remainingCaps, personalMTRs, contribTaxRates);
               const totalSplit = splitAmounts.reduce((sum, amt) => sum + amt, 0);
               
               if (totalSplit > 0) {
@@ -536,6 +686,69 @@ export default function App() {
         )}
       </details>
 
+      <details style={{ marginTop: 16 }}>
+        <summary>Private Hospital Cover vs Medicare Levy Surcharge</summary>
+        <div style={{ marginTop: 8 }}>
+          <HospitalCoverCheck
+            people={mlsPeople}
+            dependentChildren={dependentChildren}
+            premium={hospitalPremium}
+            onDependentChildrenChange={setDependentChildren}
+            onPremiumChange={setHospitalPremium}
+          />
+        </div>
+      </details>
+
+      <details style={{ marginTop: 16 }}>
+        <summary>Tax on Investment Earnings</summary>
+        <div style={{ marginTop: 8 }}>
+          <EarningsTaxPanel
+            value={earningsProfile}
+            onChange={setEarningsProfile}
+            taxRate={Math.max(0, Math.min(0.65, outsideTaxRate))}
+            retiredTaxRate={retiredRate}
+          />
+        </div>
+      </details>
+
+      <details style={{ marginTop: 16 }}>
+        <summary>HELP / HECS Debt</summary>
+        <div style={{ marginTop: 8 }}>
+          <HelpDebtPanel
+            value={helpDebts}
+            onChange={setHelpDebts}
+            result={helpImpactData}
+            loading={helpImpactLoading}
+          />
+        </div>
+      </details>
+
+      <details style={{ marginTop: 16 }}>
+        <summary>Carry-forward Concessional Cap</summary>
+        <div style={{ marginTop: 8 }}>
+          <ConcessionalHistoryPanel
+            value={concessionalHistories}
+            onChange={setConcessionalHistories}
+            defaults={[baseHousehold.p1, baseHousehold.p2!].map(p => ({
+              contributions: Array(CONTRIBUTION_CAP_RULES.carryForwardYears).fill(Math.round((p.salary ?? 0) * (p.sgRate ?? 0))),
+              totalSuperBalance: p.superBal
+            }))}
+          />
+        </div>
+      </details>
+
+      <details style={{ marginTop: 16 }}>
+        <summary>Rent vs Buy</summary>
+        <div style={{ marginTop: 8 }}>
+          <RentVsBuyPanel
+            value={rentVsBuy}
+            onChange={setRentVsBuy}
+            result={rentVsBuyData}
+            loading={rentVsBuyLoading}
+          />
+        </div>
+      </details>
+
       <hr style={{ margin: "24px 0" }} />
 
       {/* Show not achievable message when plan is set but not viable */}
@@ -580,6 +793,19 @@ export default function App() {
             )}
             
           </div>
+
+          <RetirementFrontier
+            frontier={frontierData?.frontier ?? []}
+            planSpend={planSpend}
+            loading={frontierLoading}
+          />
+
+          {household.p2 && (
+            <CoupleContributions
+              result={coupleContribData}
+              loading={coupleContribLoading}
+            />
+          )}
         </>
       )}
 
@@ -0,0 +1,91 @@
+import React from "react";
+import { CONTRIBUTION_CAP_RULES, carryForwardHeadroom, type ConcessionalHistory } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface ConcessionalHistoryPanelProps {
+  value: (ConcessionalHistory | null)[];   // You first; null = no history entered
+  onChange: (value: (ConcessionalHistory | null)[]) => void;
+  defaults: ConcessionalHistory[];         // used when a person's history is first switched on
+}
+
+const NAMES = ["You", "Partner"];
+
+/**
+ * Each person's concessional contributions over the last five financial years and total super balance,
+ * so unused cap can be carried forward. The plan optimiser uses carry-forward whenever a history is entered.
+ */
+export default function ConcessionalHistoryPanel({ value, onChange, defaults }: ConcessionalHistoryPanelProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 8px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+  const inputStyle: React.CSSProperties = { width: 90, padding: '2px 4px', textAlign: 'right' };
+  const years = CONTRIBUTION_CAP_RULES.carryForwardYears;
+
+  const set = (i: number, history: ConcessionalHistory | null) =>
+    onChange(value.map((v, k) => (k === i ? history : v)));
+  const setContribution = (i: number, year: number, amount: number) => {
+    const h = value[i]!;
+    set(i, { ...h, contributions: h.contributions.map((c, y) => (y === year ? Math.max(0, amount || 0) : c)) });
+  };
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Carry-forward concessional cap
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        Unused cap from the last {years} financial years can be used while your total super balance at the
+        previous 30 June is under {auMoney0(CONTRIBUTION_CAP_RULES.carryForwardBalanceLimit)}. Enter
+        employer and salary-sacrificed contributions, oldest year first.
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Person</th>
+            {Array.from({ length: years }, (_, y) => (
+              <th key={y} style={headStyle}>{y === years - 1 ? 'Last year' : `${years - y} years ago`}</th>
+            ))}
+            <th style={headStyle}>Total super balance</th>
+            <th style={headStyle}>Carry-forward</th>
+          </tr>
+        </thead>
+        <tbody>
+          {value.map((h, i) => (
+            <tr key={i}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>
+                <label>
+                  <input type="checkbox" checked={!!h} onChange={e => set(i, e.target.checked ? defaults[i] : null)} />
+                  {' '}{NAMES[i]}
+                </label>
+              </td>
+              {Array.from({ length: years }, (_, y) => (
+                <td key={y} style={cellStyle}>
+                  {h ? (
+                    <input type="number" min="0" step="1000" value={h.contributions[y] ?? 0} style={inputStyle}
+                      onChange={e => setContribution(i, y, +e.target.value)} />
+                  ) : '—'}
+                </td>
+              ))}
+              <td style={cellStyle}>
+                {h ? (
+                  <input type="number" min="0" step="10000" value={h.totalSuperBalance} style={inputStyle}
+                    onChange={e => set(i, { ...h, totalSuperBalance: Math.max(0, +e.target.value || 0) })} />
+                ) : '—'}
+              </td>
+              <td style={cellStyle}>{h ? auMoney0(Math.round(carryForwardHeadroom(h))) : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import type { CoupleContributionResult, CoupleContributionStrategy } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface CoupleContributionsProps {
+  result: CoupleContributionResult | null;
+  loading?: boolean;
+}
+
+const NAMES = ["You", "Partner"];
+
+function describe(strategy: CoupleContributionStrategy): string {
+  const parts: string[] = [];
+  const cs = strategy.contributionSplitting;
+  if (cs) parts.push(`split ${Math.round(cs.rate * 100)}% of ${NAMES[cs.from]}'s concessional contributions to ${NAMES[cs.to]}`);
+  const sc = strategy.spouseContribution;
+  if (sc) parts.push(`contribute ${auMoney0(sc.amount)}/yr after tax to ${NAMES[sc.to]}'s super`);
+  return parts.length ? parts.join(" and ") : "no splitting or spouse contributions";
+}
+
+/** Recommended contribution splitting / spouse contribution strategy for couples, with its bridge impact. */
+export default function CoupleContributions({ result, loading }: CoupleContributionsProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+
+  const rec = result?.recommended;
+  const bridge = result?.bridge;
+  const improved = !!rec && rec.strategy.kind !== 'none';
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Contribution splitting
+      </div>
+
+      {loading && <div style={{ fontSize: 13 }}>Comparing contribution strategies…</div>}
+
+      {!loading && result && rec && (
+        <>
+          <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+            {improved
+              ? <>Recommended: {describe(rec.strategy)}.</>
+              : <>No strategy beats the current setup.</>}
+            {improved && rec.earliestAge !== null && result.baseline.earliestAge !== null && (
+              <> Earliest age {result.baseline.earliestAge} → <strong>{rec.earliestAge}</strong>,
+                spend {auMoney0(Math.round(result.baseline.spend))} → <strong>{auMoney0(Math.round(rec.spend))}</strong>/yr.</>
+            )}
+          </div>
+
+          {improved && (
+            <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%', marginBottom: 8 }}>
+              <thead>
+                <tr>
+                  <th style={{ ...headStyle, textAlign: 'left' }}>First year</th>
+                  <th style={headStyle}>Split out</th>
+                  <th style={headStyle}>Split in</th>
+                  <th style={headStyle}>Spouse contribution</th>
+                  <th style={headStyle}>Tax offset</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.perPerson.map(p => (
+                  <tr key={p.person}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{NAMES[p.person]}</td>
+                    <td style={cellStyle}>{auMoney0(Math.round(p.splitOut))}</td>
+                    <td style={cellStyle}>{auMoney0(Math.round(p.splitIn))}</td>
+                    <td style={cellStyle}>{auMoney0(Math.round(p.spouseContribution))}</td>
+                    <td style={cellStyle}>{auMoney0(Math.round(p.taxOffset))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {improved && bridge && (
+            <div style={{ fontSize: 13, color: '#374151' }}>
+              Bridge at age {bridge.retireAge} ({auMoney0(Math.round(bridge.spend))}/yr): accessible{' '}
+              {auMoney0(Math.round(bridge.baseline.have))} → <strong>{auMoney0(Math.round(bridge.recommended.have))}</strong>{' '}
+              against {auMoney0(Math.round(bridge.recommended.needPV))} needed
+              {bridge.recommended.covered && !bridge.baseline.covered && <> — the split covers the bridge</>}.
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
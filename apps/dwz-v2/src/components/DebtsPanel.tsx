@@ -0,0 +1,177 @@
+import React from 'react';
+import { annualRepayment, type Debt, type MortgagePayoffComparison } from 'dwz-core';
+import { auMoney0 } from '../lib/format';
+
+interface DebtsPanelProps {
+  value: Debt[];
+  onChange: (value: Debt[]) => void;
+  comparison?: MortgagePayoffComparison | null;
+  loading?: boolean;
+}
+
+/** Loans such as a mortgage, with the "pay it down or invest" comparison at the current plan. */
+export default function DebtsPanel({ value, onChange, comparison, loading }: DebtsPanelProps) {
+  const add = () => {
+    onChange([...value, { label: 'Mortgage', principal: 0, rate: 0.06, termYears: 25, offset: 0, repayment: 'principalAndInterest' }]);
+  };
+
+  const remove = (index: number) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  const update = (index: number, updates: Partial<Debt>) => {
+    onChange(value.map((item, i) =>
+      i === index ? { ...item, ...updates } : item
+    ));
+  };
+
+  const containerStyle: React.CSSProperties = {
+    padding: 16,
+    borderRadius: 12,
+    border: '2px solid #E5E7EB',
+    background: 'linear-gradient(135deg, #FFFFFF 0%, #F9FAFB 100%)',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)',
+    marginBottom: 16,
+  };
+
+  const titleStyle: React.CSSProperties = {
+    fontWeight: 600,
+    marginBottom: 12,
+    paddingBottom: 8,
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: 15,
+    color: '#111827',
+    letterSpacing: '0.025em',
+  };
+
+  const inputStyle: React.CSSProperties = {
+    width: '100%',
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: 6,
+    fontSize: 13,
+    marginTop: 4,
+    fontFamily: 'inherit',
+  };
+
+  const selectStyle: React.CSSProperties = { ...inputStyle, backgroundColor: '#fff' };
+  const labelStyle: React.CSSProperties = { display: 'block', color: '#6b7280', fontSize: 13 };
+
+  const buttonStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderRadius: 6,
+    fontSize: 13,
+    fontWeight: 500,
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  };
+
+  const ageText = (age: number | null) => (age === null ? 'not reachable' : `age ${age}`);
+
+  return (
+    <section style={containerStyle}>
+      <div style={titleStyle}>
+        Loans (mortgage and other debts)
+      </div>
+
+      <div style={{ fontSize: 11, color: '#9ca3af', marginBottom: 12 }}>
+        Repayments come out of your savings while you work and are spent on top of your plan once retired,
+        until the loan is repaid. Amounts in today's dollars; the rate is the loan's nominal rate.
+      </div>
+
+      {value.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '24px 0', color: '#6b7280', fontSize: 13 }}>
+          No loans configured
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          {value.map((debt, index) => (
+            <div key={index} style={{ padding: 12, backgroundColor: '#f8fafc', borderRadius: 8, border: '1px solid #e2e8f0' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr) auto', gap: 12, alignItems: 'end' }}>
+                <label style={labelStyle}>
+                  Name
+                  <input style={inputStyle} value={debt.label ?? ''} onChange={e => update(index, { label: e.target.value })} />
+                </label>
+                <label style={labelStyle}>
+                  Balance (A$)
+                  <input style={inputStyle} type="number" step="10000" value={debt.principal || ''} placeholder="0"
+                    onChange={e => update(index, { principal: Math.max(0, Number(e.target.value) || 0) })} />
+                </label>
+                <label style={labelStyle}>
+                  Rate (%)
+                  <input style={inputStyle} type="number" step="0.05" value={Math.round(debt.rate * 10000) / 100}
+                    onChange={e => update(index, { rate: Math.max(0, Number(e.target.value) || 0) / 100 })} />
+                </label>
+                <label style={labelStyle}>
+                  Years left
+                  <input style={inputStyle} type="number" step="1" value={debt.termYears || ''} placeholder="0"
+                    onChange={e => update(index, { termYears: Math.max(1, Math.round(Number(e.target.value) || 1)) })} />
+                </label>
+                <button
+                  style={{ ...buttonStyle, backgroundColor: '#ef4444', color: 'white', border: 'none', padding: '6px 10px' }}
+                  onClick={() => remove(index)}
+                  title="Remove this loan"
+                >
+                  ✕
+                </button>
+                <label style={labelStyle}>
+                  Offset balance (A$)
+                  <input style={inputStyle} type="number" step="1000" value={debt.offset || ''} placeholder="0"
+                    onChange={e => update(index, { offset: Math.max(0, Number(e.target.value) || 0) })} />
+                </label>
+                <label style={labelStyle}>
+                  Repayments
+                  <select style={selectStyle} value={debt.repayment}
+                    onChange={e => update(index, { repayment: e.target.value as Debt['repayment'] })}>
+                    <option value="principalAndInterest">Principal and interest</option>
+                    <option value="interestOnly">Interest only</option>
+                  </select>
+                </label>
+                <label style={labelStyle}>
+                  At retirement
+                  <select style={selectStyle} value={debt.payoffAtRetirement ?? ''}
+                    onChange={e => update(index, { payoffAtRetirement: (e.target.value || undefined) as Debt['payoffAtRetirement'] })}>
+                    <option value="">Keep repaying</option>
+                    <option value="outside">Pay off from outside</option>
+                    <option value="super">Pay off from super</option>
+                  </select>
+                </label>
+              </div>
+
+              {debt.principal > 0 && (
+                <div style={{ fontSize: 12, color: '#059669', marginTop: 8, fontWeight: 500 }}>
+                  {auMoney0(Math.round(annualRepayment(debt)))}/yr {debt.repayment === 'interestOnly'
+                    ? `interest, then ${auMoney0(debt.principal)} due in ${debt.termYears} years`
+                    : `over ${debt.termYears} years`}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button style={{ ...buttonStyle, backgroundColor: '#10b981', color: 'white', border: 'none', marginTop: 12 }} onClick={add}>
+        + Add loan
+      </button>
+
+      {loading && <div style={{ fontSize: 13, marginTop: 12 }}>Comparing paying down against investing…</div>}
+
+      {!loading && comparison && (
+        <div style={{ marginTop: 12, padding: 12, backgroundColor: '#f8fafc', borderRadius: 8, border: '1px solid #e2e8f0', fontSize: 13, color: '#374151' }}>
+          <div style={{ fontWeight: 600, marginBottom: 4 }}>Pay down the loans or invest?</div>
+          <div>
+            Invest: {ageText(comparison.invest.earliestAge)}, {auMoney0(Math.round(comparison.invest.spend))}/yr,
+            {' '}{auMoney0(Math.round(comparison.invest.interest))} interest.
+          </div>
+          <div>
+            Put {auMoney0(Math.round(comparison.paidDown))} against the loans today: {ageText(comparison.payDown.earliestAge)},
+            {' '}{auMoney0(Math.round(comparison.payDown.spend))}/yr, {auMoney0(Math.round(comparison.payDown.interest))} interest.
+          </div>
+          <div style={{ marginTop: 4 }}>
+            <strong>{comparison.recommended === 'payDown' ? 'Paying down comes out ahead.' : 'Investing comes out ahead.'}</strong>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import type { EarningsTaxProfile } from "dwz-core";
+
+type Buckets = { outside: EarningsTaxProfile; super: EarningsTaxProfile };
+
+interface EarningsTaxPanelProps {
+  value: Buckets;
+  onChange: (value: Buckets) => void;
+  taxRate: number;        // outside earnings while working
+  retiredTaxRate: number; // outside earnings once retired
+}
+
+const ROWS: { key: keyof Buckets; label: string }[] = [
+  { key: 'outside', label: 'Outside super' },
+  { key: 'super', label: 'Super' }
+];
+const FIELDS: { key: 'incomeYield' | 'frankingPct' | 'turnover'; label: string }[] = [
+  { key: 'incomeYield', label: 'Income yield (%)' },
+  { key: 'frankingPct', label: 'Franked (%)' },
+  { key: 'turnover', label: 'Gains realised (%/yr)' }
+];
+
+/** How each bucket's return is earned, which sets the tax on it, and the rates applied outside super. */
+export default function EarningsTaxPanel({ value, onChange, taxRate, retiredTaxRate }: EarningsTaxPanelProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+  const inputStyle: React.CSSProperties = { width: 80, padding: '2px 4px', textAlign: 'right' };
+  const pct = (x: number) => `${(x * 100).toFixed(1)}%`;
+
+  const update = (bucket: keyof Buckets, field: 'incomeYield' | 'frankingPct' | 'turnover', percent: number) =>
+    onChange({ ...value, [bucket]: { ...value[bucket], [field]: Math.max(0, Math.min(1, (percent || 0) / 100)) } });
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Tax on investment earnings
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        Income is taxed each year and realised gains after the discount. Outside super, earnings are taxed
+        at {pct(taxRate)} while working and {pct(retiredTaxRate)} once retired (a retiree living on your
+        plan, with the seniors offset). Super pays 15% in accumulation and nothing in retirement phase.
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Bucket</th>
+            {FIELDS.map(f => <th key={f.key} style={headStyle}>{f.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {ROWS.map(r => (
+            <tr key={r.key}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{r.label}</td>
+              {FIELDS.map(f => (
+                <td key={f.key} style={cellStyle}>
+                  <input type="number" min="0" max="100" step="0.5" style={inputStyle}
+                    value={+((value[r.key][f.key] ?? 0) * 100).toFixed(2)}
+                    onChange={e => update(r.key, f.key, +e.target.value)} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,20 +1,70 @@
 import React from 'react';
+import { applyNonConcessional, lumpSumTax, INDEXATION_RULES, type BringForwardPeriod, type FutureInflow, type LumpSumTax, type LumpSumType, type Person } from 'dwz-core';
 import { auMoney0 } from '../lib/format';
 
-interface FutureInflow {
-  ageYou: number;
-  amount: number;
-  to?: 'outside' | 'super';
-}
-
 interface FutureInflowsPanelProps {
   value: FutureInflow[];
   onChange: (value: FutureInflow[]) => void;
+  superBalance?: number; // You's super today, for the non-concessional balance test
+  people?: Person[];     // You first; ages, salaries and preservation ages for the tax estimates
+}
+
+const TYPES: Array<{ type: LumpSumType | undefined; label: string }> = [
+  { type: 'inheritance', label: 'Inheritance' },
+  { type: 'redundancy', label: 'Redundancy' },
+  { type: 'assetSale', label: 'Asset sale' },
+  { type: 'bonus', label: 'Bonus' },
+  { type: 'giftOut', label: 'Gift out' },
+  { type: undefined, label: 'Other (untaxed)' },
+];
+const TAXED: Array<LumpSumType | undefined> = ['redundancy', 'assetSale', 'bonus'];
+
+/**
+ * Tax and cash for an inflow, estimated at its owner's salary today; the projection taxes it against
+ * their salary in that year, which is nothing once they have retired.
+ */
+function estimateTax(inflow: FutureInflow, people: Person[]): LumpSumTax {
+  const owner = people[inflow.person ?? 0];
+  const years = Math.max(0, inflow.ageYou - (people[0]?.age ?? inflow.ageYou));
+  const age = owner ? owner.age + years : inflow.ageYou;
+  return lumpSumTax(inflow, {
+    otherIncome: owner?.income ?? 0,
+    age,
+    couple: people.length > 1,
+    preserved: age >= (owner?.preserveAge ?? 60),
+    years,
+    cpi: INDEXATION_RULES.defaults.cpi
+  });
+}
+
+/**
+ * Amount of each super inflow above the non-concessional cap (bring-forward included), checked in age
+ * order against today's balance. Inflows at the same age share that year's cap.
+ */
+function nonConcessionalExcesses(value: FutureInflow[], superBalance: number): number[] {
+  const excess = value.map(() => 0);
+  const byAge = new Map<number, number[]>();
+  value.forEach((inf, i) => {
+    if (inf.to === 'super' && inf.amount > 0 && inf.ageYou > 0) byAge.set(inf.ageYou, [...(byAge.get(inf.ageYou) ?? []), i]);
+  });
+  let period: BringForwardPeriod | undefined;
+  for (const age of [...byAge.keys()].sort((a, b) => a - b)) {
+    const indices = byAge.get(age)!;
+    const res = applyNonConcessional(indices.reduce((s, i) => s + value[i].amount, 0), superBalance, age, period);
+    period = res.period;
+    // The last inflows of the year are the ones that spill
+    let left = res.excess;
+    for (const i of [...indices].reverse()) {
+      excess[i] = Math.min(left, value[i].amount);
+      left -= excess[i];
+    }
+  }
+  return excess;
 }
 
-export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPanelProps) {
+export default function FutureInflowsPanel({ value, onChange, superBalance = 0, people = [] }: FutureInflowsPanelProps) {
   const add = () => {
-    onChange([...value, { amount: 0, ageYou: 0, to: 'outside' }]);
+    onChange([...value, { amount: 0, ageYou: 0, to: 'outside', type: 'inheritance' }]);
   };
 
   const remove = (index: number) => {
@@ -91,17 +141,33 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
     padding: '6px 10px',
   };
 
+  const labelStyle: React.CSSProperties = { display: 'block', color: '#6b7280', fontSize: 13 };
+  const numberInput = (val: number | undefined, onValue: (n: number) => void, step = '1000') => (
+    <input style={inputStyle} type="number" step={step} value={val || ''} placeholder="0"
+      onChange={e => onValue(Math.max(0, Number(e.target.value) || 0))} />
+  );
+
   const hasValidInflows = value.some(inf => inf.amount > 0 && inf.ageYou > 0);
+  const taxes = value.map(inf => estimateTax(inf, people));
+  // Only the cash after tax is contributed; gifts out never reach super
+  const excesses = nonConcessionalExcesses(value.map((inf, i) => ({ ...inf, amount: Math.max(0, taxes[i].net) })), superBalance);
+  const typeLabel = (inf: FutureInflow) => TYPES.find(t => t.type === inf.type)?.label ?? 'Other (untaxed)';
+  const describe = (inf: FutureInflow, tax: LumpSumTax) => inf.type === 'giftOut'
+    ? `Gift of ${auMoney0(inf.amount)} from outside at age ${inf.ageYou}`
+    : `${typeLabel(inf)} of ${auMoney0(inf.amount)} at age ${inf.ageYou}`
+      + (tax.tax > 0 ? `, about ${auMoney0(Math.round(tax.tax))} tax, ${auMoney0(Math.round(tax.net))}` : '')
+      + ` → ${inf.to || 'outside'}`;
 
   return (
     <section style={containerStyle}>
       <div style={titleStyle}>
-        Future inflows (windfalls/inheritance)
+        Future lump sums (inheritance, redundancy, sales, gifts)
       </div>
       
       <div style={{ fontSize: 11, color: '#9ca3af', marginBottom: 12 }}>
-        Model multiple lump sums like inheritance, property sales, or redundancy payments. 
-        Applied <em>before growth</em> in the year you reach the specified age.
+        Model multiple lump sums like an inheritance, a redundancy payment, a bonus, selling shares, or a gift to family.
+        Each is taxed by its type and applied <em>before growth</em> in the year you reach the specified age.
+        Tax shown is estimated at today's salary; the projection uses the salary that year.
       </div>
 
       {value.length === 0 ? (
@@ -115,7 +181,9 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
         </div>
       ) : (
         <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
-          {value.map((inflow, index) => (
+          {value.map((inflow, index) => {
+            const gift = inflow.type === 'giftOut';
+            return (
             <div key={index} style={{
               padding: 12,
               backgroundColor: '#f8fafc',
@@ -124,12 +192,23 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
             }}>
               <div style={{ 
                 display: 'grid', 
-                gridTemplateColumns: '1fr 1fr 1fr auto',
+                gridTemplateColumns: '1fr 1fr 1fr 1fr auto',
                 gap: 12,
                 alignItems: 'end'
               }}>
-                <label style={{ display: 'block', color: '#6b7280', fontSize: 13 }}>
-                  Amount (A$)
+                <label style={labelStyle}>
+                  Type
+                  <select
+                    style={selectStyle}
+                    value={inflow.type ?? ''}
+                    onChange={e => update(index, { type: (e.target.value || undefined) as LumpSumType | undefined })}
+                  >
+                    {TYPES.map(t => <option key={t.label} value={t.type ?? ''}>{t.label}</option>)}
+                  </select>
+                </label>
+
+                <label style={labelStyle}>
+                  {inflow.type === 'assetSale' ? 'Sale price (A$)' : 'Amount (A$)'}
                   <input
                     style={inputStyle}
                     type="number"
@@ -140,7 +219,7 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
                   />
                 </label>
                 
-                <label style={{ display: 'block', color: '#6b7280', fontSize: 13 }}>
+                <label style={labelStyle}>
                   When you are age
                   <input
                     style={inputStyle}
@@ -152,11 +231,12 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
                   />
                 </label>
 
-                <label style={{ display: 'block', color: '#6b7280', fontSize: 13 }}>
-                  Destination
+                <label style={labelStyle}>
+                  {gift ? 'From' : 'Destination'}
                   <select
                     style={selectStyle}
-                    value={inflow.to || 'outside'}
+                    value={gift ? 'outside' : inflow.to || 'outside'}
+                    disabled={gift}
                     onChange={e => update(index, { to: e.target.value as 'outside' | 'super' })}
                   >
                     <option value="outside">Outside (liquid)</option>
@@ -173,18 +253,55 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
                 </button>
               </div>
 
+              {TAXED.includes(inflow.type) && (
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr auto', gap: 12, marginTop: 12 }}>
+                  {people.length > 1 && (
+                    <label style={labelStyle}>
+                      Taxed to
+                      <select
+                        style={selectStyle}
+                        value={inflow.person ?? 0}
+                        onChange={e => update(index, { person: Number(e.target.value) || undefined })}
+                      >
+                        <option value={0}>You</option>
+                        <option value={1}>Partner</option>
+                      </select>
+                    </label>
+                  )}
+                  {inflow.type === 'redundancy' && (
+                    <label style={labelStyle}>
+                      Completed years of service
+                      {numberInput(inflow.yearsOfService, n => update(index, { yearsOfService: n || undefined }), '1')}
+                    </label>
+                  )}
+                  {inflow.type === 'assetSale' && (
+                    <>
+                      <label style={labelStyle}>
+                        Cost base (A$)
+                        {numberInput(inflow.costBase, n => update(index, { costBase: n || undefined }))}
+                      </label>
+                      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: '#374151', paddingTop: 20 }}>
+                        <input type="checkbox" checked={inflow.yearsHeld === undefined || inflow.yearsHeld >= 1}
+                          onChange={e => update(index, { yearsHeld: e.target.checked ? undefined : 0 })} />
+                        Held 12 months or more
+                      </label>
+                    </>
+                  )}
+                </div>
+              )}
+
               {inflow.amount > 0 && inflow.ageYou > 0 && (
                 <div style={{
                   fontSize: 12,
-                  color: '#059669',
+                  color: gift ? '#b45309' : '#059669',
                   marginTop: 8,
                   fontWeight: 500,
                 }}>
-                  ✓ {auMoney0(inflow.amount)} at age {inflow.ageYou} → {inflow.to || 'outside'}
+                  ✓ {describe(inflow, taxes[index])}
                 </div>
               )}
 
-              {inflow.to === 'super' && inflow.ageYou < 60 && (
+              {!gift && inflow.to === 'super' && inflow.ageYou < 60 && (
                 <div style={{
                   fontSize: 11,
                   color: '#dc2626',
@@ -194,8 +311,19 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
                   Note: Super inflows before age 60 are locked and may delay retirement if bridge period is tight
                 </div>
               )}
+
+              {excesses[index] > 0 && (
+                <div style={{
+                  fontSize: 11,
+                  color: '#b45309',
+                  marginTop: 4,
+                }}>
+                  ⚠ {auMoney0(Math.round(excesses[index]))} is above the non-concessional cap (bring-forward included) and stays outside
+                </div>
+              )}
             </div>
-          ))}
+            );
+          })}
         </div>
       )}
 
@@ -221,9 +349,9 @@ export default function FutureInflowsPanel({ value, onChange }: FutureInflowsPan
           color: '#059669',
         }}>
           <strong>Summary:</strong>
-          {value.filter(inf => inf.amount > 0 && inf.ageYou > 0).map((inf, i) => (
+          {value.map((inf, i) => inf.amount > 0 && inf.ageYou > 0 && (
             <div key={i} style={{ marginTop: 4 }}>
-              • {auMoney0(inf.amount)} at age {inf.ageYou} → {inf.to || 'outside'}
+              • {describe(inf, taxes[i])}
             </div>
           ))}
         </div>
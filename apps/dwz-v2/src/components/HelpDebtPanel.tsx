@@ -0,0 +1,102 @@
+import React from "react";
+import type { HelpDebtImpact } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface HelpDebtInput {
+  balance: number;
+  voluntary: number;
+}
+
+interface HelpDebtPanelProps {
+  value: HelpDebtInput[];       // You first
+  onChange: (value: HelpDebtInput[]) => void;
+  result: HelpDebtImpact | null;
+  loading?: boolean;
+}
+
+const NAMES = ["You", "Partner"];
+
+/** HELP/HECS balances and voluntary repayments, with each payoff age and the debt's cost in earliest age. */
+export default function HelpDebtPanel({ value, onChange, result, loading }: HelpDebtPanelProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+  const inputStyle: React.CSSProperties = { width: 110, padding: '2px 4px', textAlign: 'right' };
+
+  const update = (i: number, field: keyof HelpDebtInput, amount: number) =>
+    onChange(value.map((v, k) => (k === i ? { ...v, [field]: Math.max(0, amount || 0) } : v)));
+  const payoffFor = (i: number) => result?.payoffs.find(p => p.person === i);
+  const delay = result && result.earliestAge !== null && result.earliestAgeWithoutDebt !== null
+    ? result.earliestAge - result.earliestAgeWithoutDebt
+    : null;
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        HELP / HECS debt
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        Compulsory repayments come out of your savings each year until the debt clears. Debts are indexed
+        by the lower of CPI and wage growth.
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%', marginBottom: 8 }}>
+        <thead>
+          <tr>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Person</th>
+            <th style={headStyle}>Balance</th>
+            <th style={headStyle}>Voluntary ($/yr)</th>
+            <th style={headStyle}>Paid off by</th>
+          </tr>
+        </thead>
+        <tbody>
+          {value.map((v, i) => {
+            const payoff = payoffFor(i);
+            return (
+              <tr key={i}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{NAMES[i]}</td>
+                <td style={cellStyle}>
+                  <input type="number" min="0" step="1000" value={v.balance} style={inputStyle}
+                    onChange={e => update(i, 'balance', +e.target.value)} />
+                </td>
+                <td style={cellStyle}>
+                  <input type="number" min="0" step="500" value={v.voluntary} style={inputStyle}
+                    onChange={e => update(i, 'voluntary', +e.target.value)} />
+                </td>
+                <td style={cellStyle}>
+                  {v.balance <= 0 ? '—'
+                    : !payoff ? (loading ? '…' : '—')
+                    : payoff.payoffAge === null ? 'Not before retiring'
+                    : <>Age {payoff.payoffAge}</>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {loading && <div style={{ fontSize: 13 }}>Projecting repayments…</div>}
+
+      {!loading && result && (
+        <div style={{ fontSize: 13, color: '#374151' }}>
+          {result.earliestAge === null
+            ? <>The plan is not reachable with the debt.</>
+            : delay !== null && delay > 0
+              ? <>The debt delays your earliest age from {result.earliestAgeWithoutDebt} to <strong>{result.earliestAge}</strong>.</>
+              : <>The debt does not change your earliest age ({result.earliestAge}).</>}
+          {result.earliestAge !== null && result.earliestAge === result.earliestAgeWithoutDebt && (
+            <> Spend at that age: {auMoney0(Math.round(result.spendWithoutDebt))} → <strong>{auMoney0(Math.round(result.spend))}</strong>/yr.</>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
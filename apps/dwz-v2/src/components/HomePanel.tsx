@@ -0,0 +1,118 @@
+import React from 'react';
+import { downsizeHome, PROPERTY_RULES, type Home } from 'dwz-core';
+import { auMoney0 } from '../lib/format';
+
+interface HomePanelProps {
+  value: Home;
+  onChange: (value: Home) => void;
+  ages: number[];   // You, then Partner, today
+}
+
+const DOWNSIZE_DEFAULT = { age: 65, newHomePrice: 0 };
+
+/** Family home: value, real growth and an optional downsize with its costs and downsizer contributions. */
+export default function HomePanel({ value, onChange, ages }: HomePanelProps) {
+  const update = (updates: Partial<Home>) => onChange({ ...value, ...updates });
+  const updateDownsize = (updates: Partial<NonNullable<Home['downsize']>>) =>
+    update({ downsize: { ...(value.downsize ?? DOWNSIZE_DEFAULT), ...updates } });
+
+  const containerStyle: React.CSSProperties = {
+    padding: 16,
+    borderRadius: 12,
+    border: '2px solid #E5E7EB',
+    background: 'linear-gradient(135deg, #FFFFFF 0%, #F9FAFB 100%)',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)',
+    marginBottom: 16,
+  };
+
+  const titleStyle: React.CSSProperties = {
+    fontWeight: 600,
+    marginBottom: 12,
+    paddingBottom: 8,
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: 15,
+    color: '#111827',
+    letterSpacing: '0.025em',
+  };
+
+  const inputStyle: React.CSSProperties = {
+    width: '100%',
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: 6,
+    fontSize: 13,
+    marginTop: 4,
+    fontFamily: 'inherit',
+  };
+
+  const labelStyle: React.CSSProperties = { display: 'block', color: '#6b7280', fontSize: 13 };
+
+  // The downsize age is on your clock; each partner's own age then decides their downsizer eligibility
+  const d = value.downsize;
+  const years = d ? Math.max(0, d.age - ages[0]) : 0;
+  const sale = d && value.value > 0 ? downsizeHome(value, years, ages.map(a => a + years)) : null;
+
+  return (
+    <section style={containerStyle}>
+      <div style={titleStyle}>
+        Family home
+      </div>
+
+      <div style={{ fontSize: 11, color: '#9ca3af', marginBottom: 12 }}>
+        Shown on the wealth chart but not in your spendable total, and never counted in the Age Pension assets test.
+        Downsizing from {PROPERTY_RULES.downsizer.minAge} lets each of you contribute up
+        to {auMoney0(PROPERTY_RULES.downsizer.maxPerPerson)} of the proceeds to super outside the caps.
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+        <label style={labelStyle}>
+          Home value today (A$)
+          <input style={inputStyle} type="number" step="10000" value={value.value || ''} placeholder="0"
+            onChange={e => update({ value: Math.max(0, Number(e.target.value) || 0) })} />
+        </label>
+        <label style={labelStyle}>
+          Real growth (% a year)
+          <input style={inputStyle} type="number" step="0.25" value={Math.round((value.realGrowth ?? 0) * 10000) / 100}
+            onChange={e => update({ realGrowth: (Number(e.target.value) || 0) / 100 })} />
+        </label>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: '#374151', marginTop: 12 }}>
+        <input type="checkbox" checked={!!d}
+          onChange={e => update({ downsize: e.target.checked ? { ...DOWNSIZE_DEFAULT, age: Math.max(DOWNSIZE_DEFAULT.age, ages[0] + 1) } : undefined })} />
+        Downsize
+      </label>
+
+      {d && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12, marginTop: 8 }}>
+          <label style={labelStyle}>
+            When you are age
+            <input style={inputStyle} type="number" step="1" value={d.age || ''}
+              onChange={e => updateDownsize({ age: Math.max(0, Number(e.target.value) || 0) })} />
+          </label>
+          <label style={labelStyle}>
+            New home at today's prices (A$)
+            <input style={inputStyle} type="number" step="10000" value={d.newHomePrice || ''} placeholder="0"
+              onChange={e => updateDownsize({ newHomePrice: Math.max(0, Number(e.target.value) || 0) })} />
+          </label>
+          <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: 6, marginTop: 20 }}>
+            <input type="checkbox" checked={d.downsizerContribution !== false}
+              onChange={e => updateDownsize({ downsizerContribution: e.target.checked })} />
+            Downsizer contributions
+          </label>
+        </div>
+      )}
+
+      {sale && (
+        <div style={{ fontSize: 12, color: '#374151', marginTop: 8 }}>
+          Sell for {auMoney0(Math.round(sale.salePrice))} less {auMoney0(Math.round(sale.saleCosts))} costs;
+          buy for {auMoney0(Math.round(sale.purchasePrice))} plus {auMoney0(Math.round(sale.stampDuty))} stamp duty.
+          {' '}To super: <strong>{auMoney0(Math.round(sale.toSuper.reduce((s, x) => s + x, 0)))}</strong>;
+          {' '}{sale.toOutside >= 0
+            ? <>to outside: <strong>{auMoney0(Math.round(sale.toOutside))}</strong>.</>
+            : <>from outside: <strong>{auMoney0(Math.round(-sale.toOutside))}</strong>.</>}
+        </div>
+      )}
+    </section>
+  );
+}
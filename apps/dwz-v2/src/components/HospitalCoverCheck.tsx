@@ -0,0 +1,109 @@
+import React, { useMemo } from "react";
+import { compareHospitalCover, type HospitalCoverPerson } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface HospitalCoverCheckProps {
+  people: HospitalCoverPerson[];  // taxable income and reportable super, You first
+  dependentChildren: number;
+  premium: number;                // hospital cover per person, per year
+  onDependentChildrenChange: (n: number) => void;
+  onPremiumChange: (premium: number) => void;
+}
+
+const NAMES = ["You", "Partner"];
+
+/** Per partner: Medicare levy surcharge without hospital cover against the cost of cover. */
+export default function HospitalCoverCheck({
+  people,
+  dependentChildren,
+  premium,
+  onDependentChildrenChange,
+  onPremiumChange
+}: HospitalCoverCheckProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+  const inputStyle: React.CSSProperties = { width: 100, marginLeft: 6, padding: '2px 4px' };
+
+  const checks = useMemo(
+    () => compareHospitalCover(people, premium, dependentChildren),
+    [people, premium, dependentChildren]
+  );
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Hospital cover vs Medicare levy surcharge
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        Income for MLS purposes includes salary sacrifice. {people.length > 1 || dependentChildren > 0
+          ? 'Family thresholds apply to your combined income.'
+          : 'Single thresholds apply.'}
+      </div>
+
+      <div style={{ display: 'flex', gap: 16, fontSize: 13, marginBottom: 8 }}>
+        <label>
+          Dependent children
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={dependentChildren}
+            onChange={e => onDependentChildrenChange(Math.max(0, Math.floor(+e.target.value || 0)))}
+            style={inputStyle}
+          />
+        </label>
+        <label>
+          Hospital cover per person ($/yr)
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={premium}
+            onChange={e => onPremiumChange(Math.max(0, +e.target.value || 0))}
+            style={inputStyle}
+          />
+        </label>
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%' }}>
+        <thead>
+          <tr>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Person</th>
+            <th style={headStyle}>MLS income</th>
+            <th style={headStyle}>Tier</th>
+            <th style={headStyle}>MLS without cover</th>
+            <th style={headStyle}>Cover</th>
+            <th style={{ ...headStyle, textAlign: 'left' }}>Cheaper</th>
+          </tr>
+        </thead>
+        <tbody>
+          {checks.map((c, i) => (
+            <tr key={i}>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>{NAMES[i]}</td>
+              <td style={cellStyle}>{auMoney0(Math.round(c.mlsIncome))}</td>
+              <td style={cellStyle}>{c.tier > 0 ? `${c.tier} (${(c.rate * 100).toFixed(2)}%)` : 'Base'}</td>
+              <td style={cellStyle}>{auMoney0(Math.round(c.surcharge))}</td>
+              <td style={cellStyle}>{auMoney0(Math.round(c.premium))}</td>
+              <td style={{ ...cellStyle, textAlign: 'left' }}>
+                {c.coverIsCheaper
+                  ? <strong>Hospital cover, saves {auMoney0(Math.round(c.saving))}/yr</strong>
+                  : c.surcharge > 0
+                    ? <>Paying MLS, saves {auMoney0(Math.round(c.saving))}/yr</>
+                    : <>No MLS to pay</>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import React from 'react';
+import { debtSchedule, rentalYear, sellInvestmentProperty, INDEXATION_RULES, type Debt, type InvestmentProperty } from 'dwz-core';
+import { auMoney0 } from '../lib/format';
+
+interface InvestmentPropertiesPanelProps {
+  value: InvestmentProperty[];
+  onChange: (value: InvestmentProperty[]) => void;
+  age: number;   // your age today; sale ages are on your clock
+}
+
+const LOAN_DEFAULT: Debt = { principal: 0, rate: 0.065, termYears: 30, repayment: 'interestOnly' };
+const OWNERS: Record<string, number[] | undefined> = { joint: undefined, you: [1, 0], partner: [0, 1] };
+
+/** Investment properties: rent, costs and loan, the tax effect of gearing, and an optional sale with CGT. */
+export default function InvestmentPropertiesPanel({ value, onChange, age }: InvestmentPropertiesPanelProps) {
+  const add = () => {
+    onChange([...value, { label: 'Rental', value: 0, costBase: 0, rent: 0, expenses: 0 }]);
+  };
+
+  const remove = (index: number) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+
+  const update = (index: number, updates: Partial<InvestmentProperty>) => {
+    onChange(value.map((item, i) =>
+      i === index ? { ...item, ...updates } : item
+    ));
+  };
+
+  const updateLoan = (index: number, updates: Partial<Debt>) => {
+    const loan = { ...(value[index].loan ?? LOAN_DEFAULT), ...updates };
+    update(index, { loan: loan.principal > 0 ? loan : undefined });
+  };
+
+  const containerStyle: React.CSSProperties = {
+    padding: 16,
+    borderRadius: 12,
+    border: '2px solid #E5E7EB',
+    background: 'linear-gradient(135deg, #FFFFFF 0%, #F9FAFB 100%)',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.08)',
+    marginBottom: 16,
+  };
+
+  const titleStyle: React.CSSProperties = {
+    fontWeight: 600,
+    marginBottom: 12,
+    paddingBottom: 8,
+    borderBottom: '1px solid #F3F4F6',
+    fontSize: 15,
+    color: '#111827',
+    letterSpacing: '0.025em',
+  };
+
+  const inputStyle: React.CSSProperties = {
+    width: '100%',
+    padding: '6px 8px',
+    border: '1px solid #d1d5db',
+    borderRadius: 6,
+    fontSize: 13,
+    marginTop: 4,
+    fontFamily: 'inherit',
+  };
+
+  const selectStyle: React.CSSProperties = { ...inputStyle, backgroundColor: '#fff' };
+  const labelStyle: React.CSSProperties = { display: 'block', color: '#6b7280', fontSize: 13 };
+
+  const buttonStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderRadius: 6,
+    fontSize: 13,
+    fontWeight: 500,
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+  };
+
+  const cpi = INDEXATION_RULES.defaults.cpi;
+  const numberInput = (val: number, onValue: (n: number) => void, step = '1000') => (
+    <input style={inputStyle} type="number" step={step} value={val || ''} placeholder="0"
+      onChange={e => onValue(Math.max(0, Number(e.target.value) || 0))} />
+  );
+  const ownerOf = (p: InvestmentProperty) =>
+    p.ownership?.[0] === 1 ? 'you' : p.ownership?.[1] === 1 ? 'partner' : 'joint';
+
+  return (
+    <section style={containerStyle}>
+      <div style={titleStyle}>
+        Investment properties
+      </div>
+
+      <div style={{ fontSize: 11, color: '#9ca3af', marginBottom: 12 }}>
+        Rent less costs and loan repayments flows through your savings. A net loss after interest and depreciation
+        is deducted from the owner's salary (negative gearing). A sale pays CGT after the discount and any main
+        residence exemption, and the proceeds go to your outside savings. Amounts in today's dollars; the cost base is what you paid.
+      </div>
+
+      {value.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '24px 0', color: '#6b7280', fontSize: 13 }}>
+          No investment properties configured
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          {value.map((property, index) => {
+            const interest = property.loan ? debtSchedule(property.loan, cpi)[0]?.interest ?? 0 : 0;
+            const rental = rentalYear(property, 0, cpi, interest);
+            const saleYears = property.sale ? Math.max(0, property.sale.age - age) : 0;
+            const sale = property.sale && property.value > 0 ? sellInvestmentProperty(property, saleYears, cpi) : null;
+            return (
+              <div key={index} style={{ padding: 12, backgroundColor: '#f8fafc', borderRadius: 8, border: '1px solid #e2e8f0' }}>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr) auto', gap: 12, alignItems: 'end' }}>
+                  <label style={labelStyle}>
+                    Name
+                    <input style={inputStyle} value={property.label ?? ''} onChange={e => update(index, { label: e.target.value })} />
+                  </label>
+                  <label style={labelStyle}>
+                    Value (A$)
+                    {numberInput(property.value, n => update(index, { value: n }), '10000')}
+                  </label>
+                  <label style={labelStyle}>
+                    Cost base (A$)
+                    {numberInput(property.costBase, n => update(index, { costBase: n }), '10000')}
+                  </label>
+                  <label style={labelStyle}>
+                    Real growth (%)
+                    <input style={inputStyle} type="number" step="0.25" value={Math.round((property.realGrowth ?? 0) * 10000) / 100}
+                      onChange={e => update(index, { realGrowth: (Number(e.target.value) || 0) / 100 })} />
+                  </label>
+                  <button
+                    style={{ ...buttonStyle, backgroundColor: '#ef4444', color: 'white', border: 'none', padding: '6px 10px' }}
+                    onClick={() => remove(index)}
+                    title="Remove this property"
+                  >
+                    ✕
+                  </button>
+                  <label style={labelStyle}>
+                    Rent (A$/yr)
+                    {numberInput(property.rent, n => update(index, { rent: n }))}
+                  </label>
+                  <label style={labelStyle}>
+                    Expenses (A$/yr)
+                    {numberInput(property.expenses, n => update(index, { expenses: n }))}
+                  </label>
+                  <label style={labelStyle}>
+                    Depreciation (A$/yr)
+                    {numberInput(property.depreciation ?? 0, n => update(index, { depreciation: n || undefined }))}
+                  </label>
+                  <label style={labelStyle}>
+                    Owner
+                    <select style={selectStyle} value={ownerOf(property)}
+                      onChange={e => update(index, { ownership: OWNERS[e.target.value] })}>
+                      <option value="joint">Joint</option>
+                      <option value="you">You</option>
+                      <option value="partner">Partner</option>
+                    </select>
+                  </label>
+                  <div />
+                  <label style={labelStyle}>
+                    Loan balance (A$)
+                    {numberInput(property.loan?.principal ?? 0, n => updateLoan(index, { principal: n }), '10000')}
+                  </label>
+                  <label style={labelStyle}>
+                    Loan rate (%)
+                    <input style={inputStyle} type="number" step="0.05" value={Math.round((property.loan ?? LOAN_DEFAULT).rate * 10000) / 100}
+                      onChange={e => updateLoan(index, { rate: Math.max(0, Number(e.target.value) || 0) / 100 })} />
+                  </label>
+                  <label style={labelStyle}>
+                    Repayments
+                    <select style={selectStyle} value={(property.loan ?? LOAN_DEFAULT).repayment}
+                      onChange={e => updateLoan(index, { repayment: e.target.value as Debt['repayment'] })}>
+                      <option value="interestOnly">Interest only</option>
+                      <option value="principalAndInterest">Principal and interest</option>
+                    </select>
+                  </label>
+                  <label style={labelStyle}>
+                    Years held so far
+                    {numberInput(property.yearsHeld ?? 0, n => update(index, { yearsHeld: n || undefined }), '1')}
+                  </label>
+                  <div />
+                </div>
+
+                <div style={{ display: 'flex', gap: 12, alignItems: 'end', marginTop: 12 }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: '#374151', paddingBottom: 8 }}>
+                    <input type="checkbox" checked={!!property.sale}
+                      onChange={e => update(index, { sale: e.target.checked ? { age: Math.max(60, age + 1) } : undefined })} />
+                    Sell
+                  </label>
+                  {property.sale && (
+                    <>
+                      <label style={labelStyle}>
+                        When you are age
+                        <input style={inputStyle} type="number" step="1" value={property.sale.age || ''}
+                          onChange={e => update(index, { sale: { ...property.sale!, age: Math.max(0, Number(e.target.value) || 0) } })} />
+                      </label>
+                      <label style={labelStyle}>
+                        Lived in it (% of ownership)
+                        <input style={inputStyle} type="number" step="5" value={Math.round((property.mainResidenceShare ?? 0) * 100)}
+                          onChange={e => update(index, { mainResidenceShare: Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100 || undefined })} />
+                      </label>
+                    </>
+                  )}
+                </div>
+
+                {property.value > 0 && (
+                  <div style={{ fontSize: 12, color: rental.taxable < 0 ? '#b45309' : '#059669', marginTop: 8, fontWeight: 500 }}>
+                    Net rent this year {auMoney0(Math.round(rental.taxable))}
+                    {rental.taxable < 0 ? ' (negatively geared)' : ''}
+                    {sale && <>; taxable gain on sale {auMoney0(Math.round(sale.taxableGain))}</>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <button style={{ ...buttonStyle, backgroundColor: '#10b981', color: 'white', border: 'none', marginTop: 12 }} onClick={add}>
+        + Add property
+      </button>
+    </section>
+  );
+}
@@ -24,6 +24,7 @@ interface PersonCardProps {
   annualSavings: number;
   allRemainingCaps: number[];
   personalMTRs: number[];
+  contribTaxRates?: number[];
 }
 
 export default function PersonCard({
@@ -46,7 +47,8 @@ export default function PersonCard({
   optimizerData,
   annualSavings,
   allRemainingCaps,
-  personalMTRs
+  personalMTRs,
+  contribTaxRates
 }: PersonCardProps) {
   const cardStyle: React.CSSProperties = {
     border: '1px solid #e5e7eb',
@@ -206,6 +208,7 @@ export default function PersonCard({
         annualSavings={annualSavings}
         allRemainingCaps={allRemainingCaps}
         personalMTRs={personalMTRs}
+        contribTaxRates={contribTaxRates}
       />
     </div>
   );
@@ -1,4 +1,5 @@
 import React from 'react';
+import { contributionsTax, div293Tax } from 'dwz-core';
 import { auMoney0 } from '../lib/format';
 import { splitSalarySacrifice } from '../lib/suggestSalarySacrifice';
 
@@ -16,6 +17,7 @@ interface PersonSuperSettingsProps {
   // For splitting recommendation across people
   allRemainingCaps: number[];
   personalMTRs: number[];
+  contribTaxRates?: number[]; // per-person tax on sacrificed dollars, incl. Division 293
 }
 
 export default function PersonSuperSettings({
@@ -29,13 +31,15 @@ export default function PersonSuperSettings({
   optimizerData,
   annualSavings,
   allRemainingCaps,
-  personalMTRs
+  personalMTRs,
+  contribTaxRates
 }: PersonSuperSettingsProps) {
   
   // Calculate derived values
   const effectiveSGRate = sgRate || atoSGRate;
   const employerSGGross = Math.max(0, Math.round(salary * effectiveSGRate));
-  const employerSGNet = Math.round(employerSGGross * 0.85); // After 15% contributions tax
+  const employerSGNet = Math.round(employerSGGross - contributionsTax(salary, employerSGGross)); // After 15% + Div 293
+  const hasDiv293 = div293Tax(salary, employerSGGross) > 0;
   const remainingCap = Math.max(0, capPerPerson - employerSGGross);
   
   // Calculate optimizer suggestion for this person
@@ -43,7 +47,7 @@ export default function PersonSuperSettings({
     ? Math.max(0, Math.round(annualSavings * optimizerData.recommendedPct))
     : 0;
     
-  const splitRecommendations = splitSalarySacrifice(householdRecommendedGross, allRemainingCaps, personalMTRs);
+  const splitRecommendations = splitSalarySacrifice(householdRecommendedGross, allRemainingCaps, personalMTRs, contribTaxRates);
   const recommendedForThisPerson = splitRecommendations[index] || 0;
 
   const containerStyle: React.CSSProperties = {
@@ -113,7 +117,7 @@ export default function PersonSuperSettings({
           <div style={{ fontWeight: 600, marginTop: 2 }}>{auMoney0(employerSGGross)}</div>
           {employerSGGross > 0 && (
             <div style={{ color: '#9ca3af', fontSize: 11 }}>
-              Net: {auMoney0(employerSGNet)}
+              Net: {auMoney0(employerSGNet)}{hasDiv293 && ' (incl. Div 293)'}
             </div>
           )}
         </div>
@@ -0,0 +1,122 @@
+import React from "react";
+import { PROPERTY_RULES, type RentVsBuyAssumptions, type RentVsBuyComparison } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface RentVsBuyPanelProps {
+  value: RentVsBuyAssumptions;
+  onChange: (value: RentVsBuyAssumptions) => void;
+  result: RentVsBuyComparison | null;
+  loading?: boolean;
+}
+
+type Field = {
+  key: keyof RentVsBuyAssumptions;
+  label: string;
+  percent?: boolean;
+  step: number;
+  fallback?: number;
+};
+
+const FIELDS: Field[] = [
+  { key: 'price', label: 'Price (A$)', step: 10_000 },
+  { key: 'deposit', label: 'Deposit (A$)', step: 10_000 },
+  { key: 'mortgageRate', label: 'Mortgage rate (%)', percent: true, step: 0.05 },
+  { key: 'buyingCosts', label: 'Buying costs besides duty (A$)', step: 500 },
+  { key: 'rent', label: 'Rent instead (A$/yr)', step: 1_000 },
+  { key: 'rentGrowth', label: 'Rent real growth (%)', percent: true, step: 0.25 },
+  { key: 'propertyGrowth', label: 'Price real growth (%)', percent: true, step: 0.25 },
+  { key: 'maintenanceRate', label: 'Rates and upkeep (% of value)', percent: true, step: 0.1, fallback: PROPERTY_RULES.defaultMaintenanceRate },
+];
+
+/** Rent and invest the deposit, or buy with a mortgage: earliest age, spend and the breakeven price growth. */
+export default function RentVsBuyPanel({ value, onChange, result, loading }: RentVsBuyPanelProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+  const labelStyle: React.CSSProperties = { display: 'block', color: '#6b7280', fontSize: 13 };
+  const inputStyle: React.CSSProperties = { width: '100%', padding: '2px 4px', textAlign: 'right', marginTop: 4 };
+
+  const shown = (f: Field) => {
+    const v = (value[f.key] as number | undefined) ?? f.fallback ?? 0;
+    return f.percent ? Math.round(v * 10000) / 100 : v;
+  };
+  const update = (f: Field, input: number) =>
+    onChange({ ...value, [f.key]: f.percent ? (input || 0) / 100 : Math.max(0, input || 0) });
+  const pct = (x: number) => `${(x * 100).toFixed(2)}%`;
+  const ageText = (age: number | null) => (age === null ? 'Not reachable' : `Age ${age}`);
+  const diff = result?.earliestAgeDifference ?? null;
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Rent vs buy
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        The same household renting and investing the deposit, or buying with a mortgage and paying stamp duty
+        and upkeep. The owner sells in the final year, so the home's equity counts toward dying with zero.
+        Leave rent and mortgage repayments out of your savings and plan spend.
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12, marginBottom: 12 }}>
+        {FIELDS.map(f => (
+          <label key={f.key} style={labelStyle}>
+            {f.label}
+            <input type="number" step={f.step} value={shown(f)} style={inputStyle}
+              onChange={e => update(f, +e.target.value)} />
+          </label>
+        ))}
+      </div>
+
+      {loading && <div style={{ fontSize: 13 }}>Comparing renting with buying…</div>}
+
+      {!loading && value.price > 0 && !result && (
+        <div style={{ fontSize: 13, color: '#6b7280' }}>Your outside savings do not cover the deposit and purchase costs.</div>
+      )}
+
+      {!loading && result && (
+        <>
+          <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%', marginBottom: 8 }}>
+            <thead>
+              <tr>
+                <th style={{ ...headStyle, textAlign: 'left' }}>Housing</th>
+                <th style={headStyle}>Earliest age</th>
+                <th style={headStyle}>Spend at that age</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(['rent', 'buy'] as const).map(k => (
+                <tr key={k} style={result.recommended === k ? { fontWeight: 600 } : undefined}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>
+                    {k === 'rent' ? 'Rent and invest' : `Buy (${auMoney0(Math.round(result.upfront))} upfront)`}
+                  </td>
+                  <td style={cellStyle}>{ageText(result[k].earliestAge)}</td>
+                  <td style={cellStyle}>{auMoney0(Math.round(result[k].spend))}/yr</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 13, color: '#374151' }}>
+            {diff === null ? null
+              : diff === 0 ? <>Buying does not change your earliest age. </>
+              : <>Buying retires you <strong>{Math.abs(diff)} year{Math.abs(diff) === 1 ? '' : 's'} {diff < 0 ? 'earlier' : 'later'}</strong>. </>}
+            {result.spendDifference !== null && Math.abs(result.spendDifference) >= 1 && (
+              <>Both retiring at {result.comparisonAge}, buying supports {auMoney0(Math.round(Math.abs(result.spendDifference)))}/yr {result.spendDifference > 0 ? 'more' : 'less'} spend. </>
+            )}
+            <strong>{result.recommended === 'buy' ? 'Buying comes out ahead.' : 'Renting comes out ahead.'}</strong>
+            {result.breakevenGrowth !== null && (
+              <> Buying and renting support the same spend when prices grow {pct(result.breakevenGrowth)} a year above inflation.</>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
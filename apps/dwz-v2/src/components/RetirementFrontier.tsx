@@ -0,0 +1,64 @@
+import React from "react";
+import type { RetirementFrontierPoint } from "dwz-core";
+import { auMoney0 } from "../lib/format";
+
+interface RetirementFrontierProps {
+  frontier: RetirementFrontierPoint[];
+  planSpend: number;
+  loading?: boolean;
+}
+
+/** Table of (You, Partner) retirement-age combinations that each reach the plan spend. */
+export default function RetirementFrontier({ frontier, planSpend, loading }: RetirementFrontierProps) {
+  const cellStyle: React.CSSProperties = {
+    padding: '6px 12px',
+    borderBottom: '1px solid #e5e7eb',
+    textAlign: 'right'
+  };
+  const headStyle: React.CSSProperties = {
+    ...cellStyle,
+    fontWeight: 600,
+    color: '#374151',
+    backgroundColor: '#f8fafc'
+  };
+
+  return (
+    <div style={{ padding: 12, borderRadius: 8, border: '1px solid #e2e8f0', marginBottom: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 4, color: '#374151' }}>
+        Who retires when?
+      </div>
+      <div style={{ fontSize: 13, color: '#6b7280', marginBottom: 8 }}>
+        Each row reaches {auMoney0(planSpend)}/yr. While one partner has stopped, the other's salary, SG and savings continue.
+      </div>
+
+      {loading && <div style={{ fontSize: 13 }}>Searching retirement ages…</div>}
+
+      {!loading && frontier.length === 0 && (
+        <div style={{ fontSize: 13, color: '#b45309' }}>
+          No combination of retirement ages reaches this plan.
+        </div>
+      )}
+
+      {!loading && frontier.length > 0 && (
+        <table style={{ borderCollapse: 'collapse', fontSize: 13, width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={headStyle}>You retire at</th>
+              <th style={headStyle}>Partner retires at</th>
+              <th style={headStyle}>Sustainable spend</th>
+            </tr>
+          </thead>
+          <tbody>
+            {frontier.map(pt => (
+              <tr key={`${pt.p1RetireAge}-${pt.p2RetireAge}`}>
+                <td style={cellStyle}>{pt.p1RetireAge}</td>
+                <td style={cellStyle}>{pt.p2RetireAge}</td>
+                <td style={cellStyle}>{auMoney0(Math.round(pt.spend))}/yr</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
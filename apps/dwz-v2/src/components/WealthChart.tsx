@@ -10,16 +10,27 @@ export default function WealthChart({ path, lifeExp, retireAge }: { path: PathPo
   const bridgeStart = bridgeData[0]?.age;
   const bridgeEnd = bridgeData[bridgeData.length - 1]?.age;
 
+  // Semi-retirement (part-time) window
+  const semiData = path.filter(p => p.lifecyclePhase === "semi");
+  const semiStart = semiData[0]?.age;
+  const semiEnd = semiData[semiData.length - 1]?.age;
+
+  // Family home and investment properties, shown on their own and kept out of the total
+  const hasHome = path.some(p => p.home !== undefined);
+  const hasInvestment = path.some(p => p.investmentProperty !== undefined);
+
   // Chart data with phase indicators
   const data = path.map(p => ({ 
     age: p.age, 
     outside: p.outside, 
     superBal: p.superBal, 
     total: p.total,
+    home: p.home,
+    investmentProperty: p.investmentProperty,
     lifecyclePhase: p.lifecyclePhase,
     // Add markers for styling
-    isAccum: p.lifecyclePhase === "accum",
-    isRetire: p.lifecyclePhase !== "accum"
+    isAccum: p.lifecyclePhase === "accum" || p.lifecyclePhase === "semi",
+    isRetire: p.lifecyclePhase === "bridge" || p.lifecyclePhase === "retire"
   }));
 
   return (
@@ -34,12 +45,24 @@ export default function WealthChart({ path, lifeExp, retireAge }: { path: PathPo
             labelFormatter={(age) => {
               const point = data.find(d => d.age === age);
               const phaseLabel = point?.lifecyclePhase === "accum" ? " (Accumulating)" : 
+                                point?.lifecyclePhase === "semi" ? " (Semi-retired)" :
                                 point?.lifecyclePhase === "bridge" ? " (Bridge)" : 
                                 " (Retirement)";
               return `Age ${age}${phaseLabel}`;
             }}
           />
           
+          {/* Semi-retirement shading */}
+          {semiStart && semiEnd && (
+            <ReferenceArea
+              x1={semiStart}
+              x2={semiEnd + 0.99}
+              fill="#f59e0b"
+              fillOpacity={0.12}
+              label={{ value: "Part-time", position: "insideTopLeft" }}
+            />
+          )}
+
           {/* Bridge shading */}
           {bridgeStart && bridgeEnd && (
             <ReferenceArea
@@ -79,6 +102,30 @@ export default function WealthChart({ path, lifeExp, retireAge }: { path: PathPo
             connectNulls={false}
             isAnimationActive={false}
           />
+          {hasHome && (
+            <Line
+              type="stepAfter"
+              dataKey="home"
+              dot={false}
+              stroke="#a16207"
+              strokeWidth={1.5}
+              strokeDasharray="6 3"
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          )}
+          {hasInvestment && (
+            <Line
+              type="stepAfter"
+              dataKey="investmentProperty"
+              dot={false}
+              stroke="#0f766e"
+              strokeWidth={1.5}
+              strokeDasharray="6 3"
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          )}
           
           <ReferenceLine x={lifeExp} strokeDasharray="4 4" />
           
@@ -108,6 +155,24 @@ export default function WealthChart({ path, lifeExp, retireAge }: { path: PathPo
           <div style={{ width: "20px", height: "8px", background: "#ff7c7c", opacity: 0.15 }}></div>
           <span>Bridge Period</span>
         </div>
+        {semiStart && (
+          <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <div style={{ width: "20px", height: "8px", background: "#f59e0b", opacity: 0.12 }}></div>
+            <span>Part-time</span>
+          </div>
+        )}
+        {hasHome && (
+          <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <div style={{ width: "20px", height: "2px", borderTop: "2px dashed #a16207" }}></div>
+            <span>Home (not in total)</span>
+          </div>
+        )}
+        {hasInvestment && (
+          <div style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <div style={{ width: "20px", height: "2px", borderTop: "2px dashed #0f766e" }}></div>
+            <span>Investment property (not in total)</span>
+          </div>
+        )}
       </div>
     </div>
   );
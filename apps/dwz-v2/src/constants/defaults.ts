@@ -1,3 +1,23 @@
+import type { EarningsTaxProfile } from "dwz-core";
+
 // Defaults for plan-first mode
 export const COUPLES_PLAN_DEFAULT = 95_000;   // Provided baseline (ABS couples average)
-export const SINGLE_PLAN_DEFAULT  = 60_000;   // Placeholder for single; adjust later if needed
\ No newline at end of file
+export const SINGLE_PLAN_DEFAULT  = 60_000;   // Placeholder for single; adjust later if needed
+// Hospital cover per person per year, for the Medicare levy surcharge comparison
+export const HOSPITAL_COVER_PREMIUM_DEFAULT = 1_500;
+// Rent vs buy comparison: a comparable home to buy or rent, today's dollars
+export const RENT_VS_BUY_DEFAULT = {
+  price: 900_000,
+  deposit: 180_000,
+  mortgageRate: 0.06,
+  rent: 36_000,
+  rentGrowth: 0.005,
+  propertyGrowth: 0.01,
+  buyingCosts: 3_000
+};
+// How each bucket's return is earned, for earnings tax: a typical diversified ETF mix outside and a
+// balanced option in super
+export const EARNINGS_TAX_PROFILE_DEFAULT: { outside: EarningsTaxProfile; super: EarningsTaxProfile } = {
+  outside: { incomeYield: 0.035, frankingPct: 0.5, turnover: 0.1 },
+  super: { incomeYield: 0.035, frankingPct: 0.4, turnover: 0.3 }
+};
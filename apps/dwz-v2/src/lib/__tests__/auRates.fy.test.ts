@@ -1,4 +1,5 @@
 import { fyFromYearMonth, defaultsForYearMonth } from '../auRates';
+import { FINANCIAL_YEARS, LATEST_FINANCIAL_YEAR } from 'dwz-core';
 
 describe('auRates FY boundary', () => {
   test('June 2025 is FY 2024-25', () => {
@@ -44,12 +45,15 @@ describe('auRates FY boundary', () => {
     expect(july2025.sg).toBe(0.12);  // 12.0%
   });
 
-  test('unknown FY defaults to 2024-25', () => {
-    // Test future year not in AU_RATES
-    expect(fyFromYearMonth(2030, 8)).toBe('2024-25');
+  test('unknown FY defaults to the latest year, or the earliest before the registry', () => {
+    // Future year not in AU_RATES: the latest rules, as dwz-core uses
+    expect(fyFromYearMonth(2030, 8)).toBe(LATEST_FINANCIAL_YEAR);
     const d = defaultsForYearMonth(2030, 8);
-    expect(d.sg).toBe(0.115);
+    expect(d.sg).toBe(0.12);
     expect(d.cap).toBe(30000);
+    expect(fyFromYearMonth(2026, 10)).toBe(LATEST_FINANCIAL_YEAR);
+    // Past year before the registry
+    expect(fyFromYearMonth(2015, 8)).toBe(FINANCIAL_YEARS[0]);
   });
 
   test('deterministic results (no randomness)', () => {
@@ -61,4 +65,15 @@ describe('auRates FY boundary', () => {
       expect(d.cap).toBe(30000);
     }
   });
-});
\ No newline at end of file
+
+  test('brackets come from the shared rules registry (stage 3)', () => {
+    const d = defaultsForYearMonth(2025, 7);
+    expect(d.brackets).toEqual([
+      { upTo: 18_200, rate: 0 },
+      { upTo: 45_000, rate: 0.16 },
+      { upTo: 135_000, rate: 0.30 },
+      { upTo: 190_000, rate: 0.37 },
+      { upTo: null, rate: 0.45 },
+    ]);
+  });
+});
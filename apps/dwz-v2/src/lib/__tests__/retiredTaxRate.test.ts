@@ -0,0 +1,29 @@
+import { describe, test, expect } from 'vitest';
+import { FINANCIAL_YEARS, incomeTax, rulesForYear } from 'dwz-core';
+import { retiredTaxRate } from '../retiredTaxRate';
+
+describe('retiredTaxRate', () => {
+  test('no tax below the seniors offset threshold', () => {
+    expect(retiredTaxRate(30_000)).toBe(0);
+    expect(retiredTaxRate(0)).toBe(0);
+  });
+
+  test('the seniors offset brings the rate below a working-age rate', () => {
+    const working = incomeTax(50_000, { hasPrivateHealth: true }).netTax / 50_000;
+    expect(retiredTaxRate(50_000)).toBeGreaterThan(0);
+    expect(retiredTaxRate(50_000)).toBeLessThan(working);
+  });
+
+  test('an average rate, well under the top marginal rate', () => {
+    expect(retiredTaxRate(200_000)).toBeCloseTo(incomeTax(200_000, { age: rulesForYear().sapto.pensionAge, hasPrivateHealth: true }).netTax / 200_000, 10);
+    expect(retiredTaxRate(200_000)).toBeLessThan(0.4);
+  });
+
+  test('uses the given financial year\'s rules', () => {
+    for (const fy of FINANCIAL_YEARS) {
+      const rules = rulesForYear(fy);
+      const expected = incomeTax(60_000, { age: rules.sapto.pensionAge, couple: true, hasPrivateHealth: true }, rules).netTax / 60_000;
+      expect(retiredTaxRate(60_000, true, rules)).toBeCloseTo(expected, 10);
+    }
+  });
+});
@@ -1,40 +1,30 @@
-export type FinancialYear = '2024-25' | '2025-26';
+import { AU_RULES_BY_YEAR, FINANCIAL_YEARS, LATEST_FINANCIAL_YEAR, financialYearLabel, isFinancialYear } from 'dwz-core';
+import type { FinancialYear, YearRules } from 'dwz-core';
+
+export type { FinancialYear };
 type Bracket = { upTo: number | null; rate: number }; // rate excludes Medicare levy
 
-export const AU_RATES: Record<FinancialYear, {
-  concessionalCap: number;
-  sgRate: number;
-  taxBrackets: Bracket[];
-}> = {
-  '2024-25': {
-    concessionalCap: 30_000,
-    sgRate: 0.115,
-    taxBrackets: [
-      { upTo: 18_200, rate: 0.00 },
-      { upTo: 45_000, rate: 0.16 },
-      { upTo: 135_000, rate: 0.30 },
-      { upTo: 190_000, rate: 0.37 },
-      { upTo: null, rate: 0.45 },
-    ],
-  },
-  '2025-26': {
-    concessionalCap: 30_000,
-    sgRate: 0.12,
-    taxBrackets: [
-      { upTo: 18_200, rate: 0.00 },
-      { upTo: 45_000, rate: 0.16 },
-      { upTo: 135_000, rate: 0.30 },
-      { upTo: 190_000, rate: 0.37 },
-      { upTo: null, rate: 0.45 },
-    ],
-  },
-};
+function toRates(r: YearRules) {
+  return {
+    concessionalCap: r.caps.concessional,
+    sgRate: r.sgRate,
+    taxBrackets: r.incomeTax.map((b, i): Bracket => ({ upTo: r.incomeTax[i + 1]?.from ?? null, rate: b.rate })),
+  };
+}
+
+/** Per-year view of the dwz-core rules registry in the shape the app reads. */
+export const AU_RATES = Object.fromEntries(
+  FINANCIAL_YEARS.map(fy => [fy, toRates(AU_RULES_BY_YEAR[fy])])
+) as Record<FinancialYear, { concessionalCap: number; sgRate: number; taxBrackets: Bracket[] }>;
 
-/** Pure FY calculator from local year/month. Month is 1..12. */
+/**
+ * Pure FY calculator from local year/month. Month is 1..12. Years past the registry use the latest rules,
+ * as dwz-core does; years before it use the earliest.
+ */
 export function fyFromYearMonth(year: number, month1to12: number): FinancialYear {
-  const yStart = month1to12 >= 7 ? year : year - 1;
-  const label = `${yStart}-${(yStart + 1).toString().slice(-2)}` as FinancialYear;
-  return (label in AU_RATES ? label : '2024-25');
+  const label = financialYearLabel(year, month1to12);
+  if (isFinancialYear(label)) return label;
+  return label < FINANCIAL_YEARS[0] ? FINANCIAL_YEARS[0] : LATEST_FINANCIAL_YEAR;
 }
 
 /** Determine AU financial year in Australia/Melbourne time. */
@@ -59,23 +49,3 @@ export function defaultsForYearMonth(year: number, month1to12: number) {
   const r = AU_RATES[fy];
   return { fy, cap: r.concessionalCap, sg: r.sgRate, brackets: r.taxBrackets };
 }
-
-/** Calculate marginal tax rate including Medicare levy from ATO brackets. */
-export function calculateMarginalTaxRate(income: number, brackets: Bracket[]): number {
-  if (income <= 0) return 0;
-  
-  // Find the marginal bracket
-  let marginalRate = 0;
-  for (const bracket of brackets) {
-    if (bracket.upTo === null || income <= bracket.upTo) {
-      marginalRate = bracket.rate;
-      break;
-    }
-  }
-  
-  // Add Medicare levy (2%) for income above threshold
-  // Medicare levy applies from $25,000 (2024-25) with phase-in from $21,336
-  const medicareLevy = income >= 25000 ? 0.02 : 0;
-  
-  return Math.min(0.65, marginalRate + medicareLevy); // Cap at 65%
-}
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { incomeTax, rulesForYear, type YearRules } from 'dwz-core';
+
+/**
+ * Average tax on a retiree's outside earnings when their taxable income is `income`: at pension age, so
+ * the seniors offset applies, under `rules` (the latest year by default). Super pensions from 60 are
+ * tax-free and not counted.
+ */
+export function retiredTaxRate(income: number, couple = false, rules: YearRules = rulesForYear()): number {
+  if (income <= 0) return 0;
+  const age = rules.sapto.pensionAge;
+  return incomeTax(income, { age, couple, hasPrivateHealth: true }, rules).netTax / income;
+}
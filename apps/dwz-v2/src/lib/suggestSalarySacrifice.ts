@@ -2,23 +2,27 @@ import { allocateConcessionalByMTR, type PersonHeadroom } from 'dwz-core';
 
 /** 
  * Distribute household recommended salary-sacrifice (gross) across people.
- * Uses MTR-priority allocation: highest MTR first, then pro-rata by remaining cap.
+ * Uses MTR-priority allocation: biggest tax saving (MTR less contributions tax) first,
+ * then pro-rata by remaining cap.
  * 
  * @param totalRecommendedGross - Total salary sacrifice to allocate (gross)
  * @param remainingCaps - Array of remaining concessional cap per person
  * @param mtrs - Array of marginal tax rates per person (optional, defaults to equal)
+ * @param contribTaxRates - Array of contributions tax rates per person incl. Division 293 (optional, defaults to 15%)
  * @returns Array of recommended salary sacrifice per person
  */
 export function splitSalarySacrifice(
   totalRecommendedGross: number,
   remainingCaps: number[],
-  mtrs?: number[]
+  mtrs?: number[],
+  contribTaxRates?: number[]
 ): number[] {
   // Build PersonHeadroom array for the allocator
   const people: PersonHeadroom[] = remainingCaps.map((cap, i) => ({
     id: i,
     headroom: Math.max(0, cap),
-    mtr: mtrs?.[i] ?? 0.32 // Default to 32% if MTR not provided
+    mtr: mtrs?.[i] ?? 0.32, // Default to 32% if MTR not provided
+    contribTaxRate: contribTaxRates?.[i]
   }));
   
   // Use the MTR-aware allocator
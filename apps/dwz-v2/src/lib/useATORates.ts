@@ -1,5 +1,6 @@
 import { useRef } from 'react';
-import { getAuDefaults, calculateMarginalTaxRate, type FinancialYear } from './auRates';
+import { marginalTaxRate, rulesForYear } from 'dwz-core';
+import { getAuDefaults, type FinancialYear } from './auRates';
 
 /** Compute ATO rates once per session so values don't change at midnight on 1 July. */
 export function useATORates() {
@@ -25,11 +26,10 @@ export function useDefaultSGRate(): number {
   return useATORates().superGuaranteeRate;
 }
 
-/** Calculate auto marginal tax rate from household incomes. */
+/** Calculate auto marginal tax rate from household incomes (after any salary sacrifice), at the session's FY rates. */
 export function useAutoMarginalTaxRate(p1Income: number, p2Income?: number): number {
-  const { taxBrackets } = useATORates();
-  
+  const { financialYear } = useATORates();
   // Use the higher earner's marginal rate (more conservative for tax optimization)
   const higherIncome = Math.max(p1Income, p2Income || 0);
-  return calculateMarginalTaxRate(higherIncome, taxBrackets);
+  return marginalTaxRate(higherIncome, {}, rulesForYear(financialYear));
 }
\ No newline at end of file
@@ -0,0 +1,16 @@
+import type { Household, Assumptions, CoupleContributionResult } from "dwz-core";
+import { useWorkerRequest } from "./useWorkerRequest";
+
+/** Contribution splitting and spouse contribution strategies for a couple at the plan spend. */
+export function useCoupleContributions(
+  h: Household,
+  a: Assumptions,
+  planSpend: number | null,
+  enabled: boolean = true
+) {
+  return useWorkerRequest<CoupleContributionResult>(
+    'COUPLE_CONTRIBUTIONS',
+    { household: h, assumptions: a, plan: planSpend },
+    enabled && !!h.p2 && !!planSpend && planSpend > 0
+  );
+}
@@ -0,0 +1,17 @@
+import type { Household, Assumptions, HelpDebtImpact } from "dwz-core";
+import { useWorkerRequest } from "./useWorkerRequest";
+
+/** HELP payoff ages and the earliest-age cost of the debts at the plan spend. */
+export function useHelpDebtImpact(
+  h: Household,
+  a: Assumptions,
+  planSpend: number | null,
+  enabled: boolean = true
+) {
+  const hasDebt = (h.p1.hecs ?? 0) > 0 || (h.p2?.hecs ?? 0) > 0;
+  return useWorkerRequest<HelpDebtImpact>(
+    'HELP_DEBT_IMPACT',
+    { household: h, assumptions: a, plan: planSpend },
+    enabled && hasDebt && !!planSpend && planSpend > 0
+  );
+}
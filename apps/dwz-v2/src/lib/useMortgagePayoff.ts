@@ -0,0 +1,17 @@
+import type { Household, Assumptions, MortgagePayoffComparison } from "dwz-core";
+import { useWorkerRequest } from "./useWorkerRequest";
+
+/** Pay the loans down today or keep investing, at the plan spend. */
+export function useMortgagePayoff(
+  h: Household,
+  a: Assumptions,
+  planSpend: number | null,
+  enabled: boolean = true
+) {
+  const hasDebt = (h.debts ?? []).some(d => d.principal > 0);
+  return useWorkerRequest<MortgagePayoffComparison>(
+    'MORTGAGE_PAYOFF',
+    { household: h, assumptions: a, plan: planSpend },
+    enabled && hasDebt && !!planSpend && planSpend > 0
+  );
+}
@@ -0,0 +1,17 @@
+import type { Household, Assumptions, RentVsBuyAssumptions, RentVsBuyComparison } from "dwz-core";
+import { useWorkerRequest } from "./useWorkerRequest";
+
+/** Rent and invest or buy the home in `scenario`, at the plan spend. */
+export function useRentVsBuy(
+  h: Household,
+  a: Assumptions,
+  scenario: RentVsBuyAssumptions,
+  planSpend: number | null,
+  enabled: boolean = true
+) {
+  return useWorkerRequest<RentVsBuyComparison>(
+    'RENT_VS_BUY',
+    { household: h, assumptions: a, scenario, plan: planSpend },
+    enabled && scenario.price > 0 && !!planSpend && planSpend > 0
+  );
+}
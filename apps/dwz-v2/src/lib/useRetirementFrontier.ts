@@ -0,0 +1,16 @@
+import type { Household, Assumptions, RetirementFrontierResult } from "dwz-core";
+import { useWorkerRequest } from "./useWorkerRequest";
+
+/** Earliest retirement age pairs for a couple at the plan spend. */
+export function useRetirementFrontier(
+  h: Household,
+  a: Assumptions,
+  planSpend: number | null,
+  enabled: boolean = true
+) {
+  return useWorkerRequest<RetirementFrontierResult>(
+    'RETIREMENT_FRONTIER',
+    { household: h, assumptions: a, plan: planSpend },
+    enabled && !!h.p2 && !!planSpend && planSpend > 0
+  );
+}
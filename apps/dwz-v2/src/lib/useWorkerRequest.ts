@@ -0,0 +1,43 @@
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Runs one solver request on its own worker: posts `{ id, type, ...payload }` whenever the payload changes
+ * and keeps the newest reply (older replies are ignored). Data is null while disabled.
+ */
+export function useWorkerRequest<T>(type: string, payload: Record<string, unknown>, enabled: boolean) {
+  const [data, setData] = useState<T | null>(null);
+  const [loading, setLoading] = useState(false);
+  const workerRef = useRef<Worker | null>(null);
+  const counter = useRef(0);
+
+  useEffect(() => {
+    workerRef.current = new Worker(new URL("../worker.ts", import.meta.url), { type: "module" });
+    return () => { workerRef.current?.terminate(); workerRef.current = null; };
+  }, []);
+
+  // Compared by value, so a fresh object with the same contents does not resend
+  const body = JSON.stringify(payload);
+
+  useEffect(() => {
+    const worker = workerRef.current;
+    if (!worker || !enabled) {
+      setData(null);
+      setLoading(false);
+      return;
+    }
+
+    setLoading(true);
+    const id = ++counter.current;
+    const onMsg = (e: MessageEvent) => {
+      if (e.data.id !== id) return;
+      setLoading(false);
+      if (e.data.ok) setData(e.data.result);
+      else console.error(e.data.error);
+    };
+    worker.addEventListener("message", onMsg);
+    worker.postMessage({ id, type, ...JSON.parse(body) });
+    return () => worker.removeEventListener("message", onMsg);
+  }, [type, body, enabled]);
+
+  return { data, loading };
+}
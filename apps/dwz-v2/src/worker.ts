@@ -1,13 +1,20 @@
 /// <reference lib="webworker" />
-import { findEarliestViable, optimizeSavingsSplit, findEarliestAgeForPlan, optimizeSavingsSplitForPlan } from "dwz-core";
-import type { Inputs, Bands, Household, Assumptions } from "dwz-core";
+import { findEarliestViable, optimizeSavingsSplit, findEarliestAgeForPlan, optimizeSavingsSplitForPlan, findRetirementFrontier, optimizeCoupleContributions, helpDebtImpact, compareMortgagePayoff, compareRentVsBuy } from "dwz-core";
+import type { Inputs, Bands, Household, Assumptions, RentVsBuyAssumptions } from "dwz-core";
 import { toCoreInput } from "./worker/toCoreInput";
 
+declare const self: DedicatedWorkerGlobalScope;
+
 type WorkerMessage = 
   | { id: number; type: 'COMPUTE_DECISION'; household: Household; assumptions: Assumptions; forceRetireAge?: number }
   | { id: number; type: 'OPTIMIZE_SAVINGS_SPLIT'; household: Household; assumptions: Assumptions; policy: { capPerPerson: number; eligiblePeople: number; contribTaxRate?: number; maxPct?: number } }
   | { id: number; type: 'EARLIEST_AGE_FOR_PLAN'; household: Household; assumptions: Assumptions; plan: number }
-  | { id: number; type: 'OPTIMIZE_SPLIT_FOR_PLAN'; household: Household; assumptions: Assumptions; plan: number; policy: { capPerPerson: number; eligiblePeople: number; contribTaxRate?: number; outsideTaxRate?: number; maxPct?: number }; opts?: { gridPoints?: number; refineIters?: number; window?: number } };
+  | { id: number; type: 'OPTIMIZE_SPLIT_FOR_PLAN'; household: Household; assumptions: Assumptions; plan: number; policy: { capPerPerson: number; eligiblePeople: number; contribTaxRate?: number; outsideTaxRate?: number; maxPct?: number }; opts?: { gridPoints?: number; refineIters?: number; window?: number } }
+  | { id: number; type: 'RETIREMENT_FRONTIER'; household: Household; assumptions: Assumptions; plan: number }
+  | { id: number; type: 'COUPLE_CONTRIBUTIONS'; household: Household; assumptions: Assumptions; plan: number }
+  | { id: number; type: 'HELP_DEBT_IMPACT'; household: Household; assumptions: Assumptions; plan: number }
+  | { id: number; type: 'MORTGAGE_PAYOFF'; household: Household; assumptions: Assumptions; plan: number }
+  | { id: number; type: 'RENT_VS_BUY'; household: Household; assumptions: Assumptions; scenario: RentVsBuyAssumptions; plan: number };
 
 self.addEventListener("message", (e: MessageEvent) => {
   const msg = e.data as WorkerMessage;
@@ -21,9 +28,19 @@ self.addEventListener("message", (e: MessageEvent) => {
       handleEarliestAgeForPlan(msg);
     } else if (msg.type === 'OPTIMIZE_SPLIT_FOR_PLAN') {
       handleOptimizeSplitForPlan(msg);
+    } else if (msg.type === 'RETIREMENT_FRONTIER') {
+      handleRetirementFrontier(msg);
+    } else if (msg.type === 'COUPLE_CONTRIBUTIONS') {
+      handleCoupleContributions(msg);
+    } else if (msg.type === 'HELP_DEBT_IMPACT') {
+      handleHelpDebtImpact(msg);
+    } else if (msg.type === 'MORTGAGE_PAYOFF') {
+      handleMortgagePayoff(msg);
+    } else if (msg.type === 'RENT_VS_BUY') {
+      handleRentVsBuy(msg);
     }
-  } catch (err: any) {
-    (self as any).postMessage({ id: msg.id, ok: false, error: String(err?.message || err) });
+  } catch (err) {
+    self.postMessage({ id: msg.id, ok: false, error: String((err as Error)?.message || err) });
   }
 });
 
@@ -51,14 +68,19 @@ function handleComputeDecision(msg: Extract<WorkerMessage, { type: 'COMPUTE_DECI
         superBal: p.super,
         total: p.total,
         phase: "flat", // keep for compatibility
-        lifecyclePhase: p.phase
+        lifecyclePhase: p.phase,
+        pensionPayment: p.pensionPayment,
+        transferBalance: p.transferBalance,
+        nonConcessionalExcess: p.nonConcessionalExcess,
+        home: p.home,
+        investmentProperty: p.investmentProperty
       })),
       recommendedSplit: { salarySacrifice: 0, outside: 0, note: "Stub: split optimization to be implemented (T-R2)" }
     };
     
-    (self as any).postMessage({ id: msg.id, ok: true, result });
+    self.postMessage({ id: msg.id, ok: true, result });
   } else {
-    (self as any).postMessage({ id: msg.id, ok: false, error: "No viable retirement age found" });
+    self.postMessage({ id: msg.id, ok: false, error: "No viable retirement age found" });
   }
 }
 
@@ -66,19 +88,55 @@ function handleOptimizeSavingsSplit(msg: Extract<WorkerMessage, { type: 'OPTIMIZ
   const inp = toCoreInput(msg.household, msg.assumptions); // ⭐ Now preserves futureInflows
   const result = optimizeSavingsSplit(inp, msg.policy);
   
-  (self as any).postMessage({ id: msg.id, ok: true, result });
+  self.postMessage({ id: msg.id, ok: true, result });
 }
 
 function handleEarliestAgeForPlan(msg: Extract<WorkerMessage, { type: 'EARLIEST_AGE_FOR_PLAN' }>) {
   const baseInput = toCoreInput(msg.household, msg.assumptions); // ⭐ Now preserves futureInflows
   const result = findEarliestAgeForPlan(baseInput, msg.plan);
   
-  (self as any).postMessage({ id: msg.id, ok: true, result });
+  self.postMessage({ id: msg.id, ok: true, result });
 }
 
 function handleOptimizeSplitForPlan(msg: Extract<WorkerMessage, { type: 'OPTIMIZE_SPLIT_FOR_PLAN' }>) {
   const baseInput = toCoreInput(msg.household, msg.assumptions); // ⭐ Now preserves futureInflows
   const result = optimizeSavingsSplitForPlan(baseInput, msg.plan, msg.policy, msg.opts);
   
-  (self as any).postMessage({ id: msg.id, ok: true, result });
-}
\ No newline at end of file
+  self.postMessage({ id: msg.id, ok: true, result });
+}
+
+function handleRetirementFrontier(msg: Extract<WorkerMessage, { type: 'RETIREMENT_FRONTIER' }>) {
+  const baseInput = toCoreInput(msg.household, msg.assumptions);
+  const result = findRetirementFrontier(baseInput, msg.plan);
+
+  self.postMessage({ id: msg.id, ok: true, result });
+}
+
+function handleCoupleContributions(msg: Extract<WorkerMessage, { type: 'COUPLE_CONTRIBUTIONS' }>) {
+  const baseInput = toCoreInput(msg.household, msg.assumptions);
+  const result = optimizeCoupleContributions(baseInput, msg.plan);
+
+  self.postMessage({ id: msg.id, ok: true, result });
+}
+
+function handleHelpDebtImpact(msg: Extract<WorkerMessage, { type: 'HELP_DEBT_IMPACT' }>) {
+  const baseInput = toCoreInput(msg.household, msg.assumptions);
+  const result = helpDebtImpact(baseInput, msg.plan);
+
+  self.postMessage({ id: msg.id, ok: true, result });
+}
+
+function handleMortgagePayoff(msg: Extract<WorkerMessage, { type: 'MORTGAGE_PAYOFF' }>) {
+  const baseInput = toCoreInput(msg.household, msg.assumptions);
+  const result = compareMortgagePayoff(baseInput, msg.plan);
+
+  self.postMessage({ id: msg.id, ok: true, result });
+}
+
+function handleRentVsBuy(msg: Extract<WorkerMessage, { type: 'RENT_VS_BUY' }>) {
+  // Housing is what the comparison varies, so the household's own home is left out
+  const baseInput = { ...toCoreInput(msg.household, msg.assumptions), home: undefined };
+  const result = compareRentVsBuy(baseInput, msg.scenario, msg.plan);
+
+  self.postMessage({ id: msg.id, ok: true, result });
+}
@@ -35,6 +35,16 @@ describe('toCoreInput', () => {
     expect(core.futureInflows?.[0]?.to).toBe('outside');
   });
 
+  test('keeps each inflow\'s type and tax details', () => {
+    const inflows = [
+      { ageYou: 50, amount: 150000, type: 'redundancy' as const, yearsOfService: 12 },
+      { ageYou: 55, amount: 200000, type: 'assetSale' as const, costBase: 80000, person: 1 },
+      { ageYou: 58, amount: 40000, type: 'giftOut' as const }
+    ];
+    const core = toCoreInput({ ...mockHousehold, futureInflows: inflows }, mockAssumptions);
+    expect(core.futureInflows).toEqual(inflows);
+  });
+
   test('handles undefined futureInflows gracefully', () => {
     const core = toCoreInput(mockHousehold, mockAssumptions);
     expect(core.futureInflows).toBeUndefined();
@@ -85,8 +95,8 @@ describe('toCoreInput', () => {
     const core = toCoreInput(mockHousehold, mockAssumptions);
     
     // Test basic conversions
-    expect(core.currentAge).toBe(32); // max of 30, 32
-    expect(core.preserveAge).toBe(60); // default min
+    expect(core.currentAge).toBe(30); // household clock is p1 (You)
+    expect(core.preserveAge).toBe(60); // p1 default
     expect(core.outside0).toBe(90000); // 50k + 40k
     expect(core.super0).toBe(55000); // 30k + 25k
     expect(core.employerSGGross).toBe(21600); // (100k * 0.12) + (80k * 0.12)
@@ -110,6 +120,105 @@ describe('toCoreInput', () => {
     expect(core.preFireSavingsSplit?.toSuperPct).toBe(0.7);
   });
 
+  test('carries fees into per-bucket returns instead of dropping them', () => {
+    const core = toCoreInput(mockHousehold, mockAssumptions);
+    expect(core.realReturn).toBe(0.05);
+    expect(core.bucketReturns?.outside).toEqual({ gross: 0.05, fees: 0.005 });
+    expect(core.bucketReturns?.super).toEqual({ gross: 0.05, fees: 0.005 });
+    expect(core.bucketReturns?.postRetire).toBeUndefined();
+  });
+
+  test('per-bucket assumptions override the shared return and fees', () => {
+    const core = toCoreInput(mockHousehold, {
+      ...mockAssumptions,
+      buckets: {
+        outside: { gross: 0.07, fees: 0.002 },
+        postRetire: { super: { gross: 0.04, fees: 0.006 } }
+      }
+    });
+    expect(core.bucketReturns?.outside).toEqual({ gross: 0.07, fees: 0.002 });
+    expect(core.bucketReturns?.super).toEqual({ gross: 0.05, fees: 0.005 });
+    expect(core.bucketReturns?.postRetire?.super).toEqual({ gross: 0.04, fees: 0.006 });
+  });
+
+  test('passes indexation through', () => {
+    expect(toCoreInput(mockHousehold, mockAssumptions).indexation).toBeUndefined();
+    const indexation = { wageGrowth: 0.035, cpi: 0.025 };
+    expect(toCoreInput(mockHousehold, { ...mockAssumptions, indexation }).indexation).toEqual(indexation);
+  });
+
+  test('maps Age Pension settings with couple status from the household', () => {
+    expect(toCoreInput(mockHousehold, mockAssumptions).agePension).toBeUndefined();
+
+    const couple = toCoreInput({ ...mockHousehold, agePension: { homeowner: true } }, mockAssumptions);
+    expect(couple.agePension).toEqual({ couple: true, homeowner: true, otherAssets: undefined });
+
+    const single = toCoreInput({ ...mockHousehold, p2: undefined, agePension: { homeowner: false, otherAssets: 20000 } }, mockAssumptions);
+    expect(single.agePension).toEqual({ couple: false, homeowner: false, otherAssets: 20000 });
+  });
+
+  test('keeps each partner\'s age, preservation age and super separate', () => {
+    const core = toCoreInput({
+      ...mockHousehold,
+      p2: { ...mockHousehold.p2!, age: 22, preserveAge: 60 }
+    }, mockAssumptions);
+    expect(core.people).toEqual([
+      { age: 30, preserveAge: 60, super0: 30000, employerSGGross: 12000, income: 100000 },
+      { age: 22, preserveAge: 60, super0: 25000, employerSGGross: 9600, income: 80000 }
+    ]);
+    expect(toCoreInput({ ...mockHousehold, p2: undefined }, mockAssumptions).people).toBeUndefined();
+  });
+
+  test('passes salaries through for Division 293', () => {
+    expect(toCoreInput(mockHousehold, mockAssumptions).income).toBeUndefined();
+    expect(toCoreInput({ ...mockHousehold, p2: undefined }, mockAssumptions).income).toBe(100000);
+  });
+
+  test('carries HELP debts per person, or on the inputs for a single', () => {
+    const withDebt: Household = {
+      ...mockHousehold,
+      p1: { ...mockHousehold.p1, hecs: 25000, hecsVoluntary: 2000 },
+      p2: { ...mockHousehold.p2!, hecs: 0 }
+    };
+    const core = toCoreInput(withDebt, mockAssumptions);
+    expect(core.people?.map(p => p.help)).toEqual([{ balance: 25000, voluntary: 2000 }, undefined]);
+    expect(core.help).toBeUndefined();
+    expect(toCoreInput({ ...withDebt, p2: undefined }, mockAssumptions).help).toEqual({ balance: 25000, voluntary: 2000 });
+  });
+
+  test('carries concessional histories per person, or on the inputs for a single', () => {
+    const history = { contributions: [12000, 12000, 15000, 20000, 25000], totalSuperBalance: 150000 };
+    const core = toCoreInput({ ...mockHousehold, p1: { ...mockHousehold.p1, concessionalHistory: history } }, mockAssumptions);
+    expect(core.people?.map(p => p.concessionalHistory)).toEqual([history, undefined]);
+    expect(core.concessionalHistory).toBeUndefined();
+    const single = toCoreInput({ ...mockHousehold, p1: { ...mockHousehold.p1, concessionalHistory: history }, p2: undefined }, mockAssumptions);
+    expect(single.concessionalHistory).toEqual(history);
+  });
+
+  test('passes the home through; owning one makes the household a homeowner for the Age Pension', () => {
+    const home = { value: 1200000, realGrowth: 0.01, downsize: { age: 65, newHomePrice: 700000 } };
+    const core = toCoreInput({ ...mockHousehold, home, agePension: { homeowner: false } }, mockAssumptions);
+    expect(core.home).toEqual(home);
+    expect(core.agePension?.homeowner).toBe(true);
+    const noHome = toCoreInput({ ...mockHousehold, home: { value: 0 }, agePension: { homeowner: false } }, mockAssumptions);
+    expect(noHome.home).toBeUndefined();
+    expect(noHome.agePension?.homeowner).toBe(false);
+  });
+
+  test('passes loans with a balance through', () => {
+    const mortgage = { principal: 700000, rate: 0.06, termYears: 25, offset: 50000, repayment: 'principalAndInterest' as const };
+    const core = toCoreInput({ ...mockHousehold, debts: [mortgage, { ...mortgage, principal: 0 }] }, mockAssumptions);
+    expect(core.debts).toEqual([mortgage]);
+    expect(toCoreInput({ ...mockHousehold, debts: [] }, mockAssumptions).debts).toBeUndefined();
+  });
+
+  test('passes investment properties with a value through', () => {
+    const rental = { value: 650000, costBase: 500000, rent: 28000, expenses: 7000, sale: { age: 60 } };
+    const core = toCoreInput({ ...mockHousehold, investmentProperties: [rental, { ...rental, value: 0 }] }, mockAssumptions);
+    expect(core.investmentProperties).toEqual([rental]);
+    expect(toCoreInput({ ...mockHousehold, investmentProperties: [] }, mockAssumptions).investmentProperties).toBeUndefined();
+  });
+
   test('converts bands format correctly', () => {
     const assumptionsWithBands: Assumptions = {
       ...mockAssumptions,
@@ -1,4 +1,4 @@
-import type { Household, Inputs, Assumptions } from 'dwz-core';
+import type { Household, Inputs, Assumptions, Person } from 'dwz-core';
 
 /**
  * Map UI household → core solver Inputs. Keep it future-proof:
@@ -6,8 +6,9 @@ import type { Household, Inputs, Assumptions } from 'dwz-core';
  * - Convert household structure to solver input format.
  */
 export function toCoreInput(household: Household, assumptions: Assumptions): Inputs {
-  const currentAge = Math.max(household.p1.age, household.p2?.age ?? -Infinity);
-  const preserveAge = Math.min(household.p1.preserveAge ?? 60, household.p2?.preserveAge ?? 60);
+  // The household clock is p1 (You); each partner's super unlocks at their own preservation age
+  const currentAge = household.p1.age;
+  const preserveAge = household.p1.preserveAge ?? 60;
   const outside0 = household.p1.outside + (household.p2?.outside ?? 0);
   const super0 = household.p1.superBal + (household.p2?.superBal ?? 0);
 
@@ -18,8 +19,33 @@ export function toCoreInput(household: Household, assumptions: Assumptions): Inp
   }));
 
   // Calculate combined employer SG gross from both people
-  const employerSGGross = (household.p1.salary || 0) * (household.p1.sgRate || 0) + 
-                         (household.p2?.salary || 0) * (household.p2?.sgRate || 0);
+  const sgGross = (p: Person) => (p.salary || 0) * (p.sgRate || 0);
+  const help = (p: Person) => (p.hecs ?? 0) > 0 ? { balance: p.hecs!, voluntary: p.hecsVoluntary } : undefined;
+  const employerSGGross = sgGross(household.p1) + (household.p2 ? sgGross(household.p2) : 0);
+  // A home worth nothing is not modelled (the app keeps an empty one in state)
+  const hasHome = (household.home?.value ?? 0) > 0;
+
+  const people = household.p2
+    ? [household.p1, household.p2].map(p => ({
+        age: p.age,
+        preserveAge: p.preserveAge ?? 60,
+        super0: p.superBal,
+        employerSGGross: sgGross(p),
+        retireAge: p.retireAge,
+        income: p.salary,
+        concessionalHistory: p.concessionalHistory,
+        help: help(p)
+      }))
+    : undefined;
+
+  // Per-bucket returns: explicit overrides win, otherwise realReturn less the shared fee drag
+  const fees = assumptions.fees || 0;
+  const buckets = assumptions.buckets;
+  const bucketReturns = {
+    outside: buckets?.outside ?? { gross: assumptions.realReturn, fees },
+    super: buckets?.super ?? { gross: assumptions.realReturn, fees },
+    postRetire: buckets?.postRetire
+  };
 
   return {
     currentAge,
@@ -27,13 +53,30 @@ export function toCoreInput(household: Household, assumptions: Assumptions): Inp
     lifeExp: household.lifeExp,
     outside0,
     super0,
+    people,
     realReturn: assumptions.realReturn,
+    bucketReturns,
+    earningsTax: assumptions.earningsTax,
+    indexation: assumptions.indexation,
     annualSavings: household.annualSavings || 0,
     bands,
     bequest: assumptions.bequest || 0,
     preFireSavingsSplit: household.preFireSavingsSplit,
     employerSGGross: employerSGGross > 0 ? employerSGGross : undefined,
+    // Salary before sacrifice drives Division 293 (couples carry it per person)
+    income: household.p2 ? undefined : household.p1.salary,
+    concessionalHistory: household.p2 ? undefined : household.p1.concessionalHistory,
+    help: household.p2 ? undefined : help(household.p1),
     // ⭐ KEY FIX: Preserve futureInflows from household
-    futureInflows: household.futureInflows
+    futureInflows: household.futureInflows,
+    semiRetirement: household.semiRetirement,
+    home: hasHome ? household.home : undefined,
+    investmentProperties: household.investmentProperties?.some(p => p.value > 0)
+      ? household.investmentProperties.filter(p => p.value > 0)
+      : undefined,
+    debts: household.debts?.some(d => d.principal > 0) ? household.debts.filter(d => d.principal > 0) : undefined,
+    agePension: household.agePension
+      ? { couple: !!household.p2, homeowner: household.agePension.homeowner || hasHome, otherAssets: household.agePension.otherAssets }
+      : undefined
   };
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { describe, test, expect } from 'vitest';
+import { annualRepayment, debtSchedule, type Debt } from '../src/debt/loans';
+import { compareMortgagePayoff } from '../src/planning/mortgagePayoff';
+import { accumulateUntil, simulateRetirement, type Inputs } from '../src/solver';
+
+const loan: Debt = { principal: 100_000, rate: 0.06, termYears: 10, repayment: 'principalAndInterest' };
+const A = 100_000 * 0.06 / (1 - Math.pow(1.06, -10));
+
+const single: Inputs = {
+  currentAge: 50,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 200_000,
+  super0: 300_000,
+  annualSavings: 30_000,
+  realReturn: 0,
+  bands: [],
+  bequest: 0,
+  indexation: { wageGrowth: 0, cpi: 0 },
+  debts: [loan]
+};
+
+describe('loan schedules', () => {
+  test('P&I repays over the term; interest-only repays at the end', () => {
+    expect(annualRepayment(loan)).toBeCloseTo(13_586.80, 2);
+    expect(annualRepayment({ ...loan, rate: 0 })).toBe(10_000);
+    const rows = debtSchedule(loan, 0);
+    expect(rows).toHaveLength(10);
+    expect(rows[0].interest).toBeCloseTo(6_000, 6);
+    expect(rows[0].closing).toBeCloseTo(106_000 - A, 6);
+    expect(rows[9].closing).toBe(0);
+    expect(rows.reduce((s, r) => s + r.payment - r.interest, 0)).toBeCloseTo(100_000, 4);
+    expect(debtSchedule({ ...loan, termYears: 3, repayment: 'interestOnly' }, 0).map(r => r.payment))
+      .toEqual([6_000, 6_000, 106_000]);
+  });
+
+  test('an offset cuts interest and shortens the loan, then comes back when it is repaid', () => {
+    const rows = debtSchedule({ ...loan, offset: 50_000 }, 0);
+    expect(rows[0].interest).toBeCloseTo(3_000, 6);
+    expect(rows.length).toBeLessThan(10);
+    expect(rows[rows.length - 1].offsetRelease).toBe(50_000);
+    expect(rows.slice(0, -1).every(r => r.offsetRelease === 0)).toBe(true);
+  });
+
+  test('fixed nominal repayments shrink in real terms', () => {
+    const rows = debtSchedule(loan, 0.025);
+    expect(rows[0].payment).toBeCloseTo(A, 6);
+    expect(rows[1].payment).toBeCloseTo(A / 1.025, 6);
+    expect(rows[0].closing).toBeCloseTo((106_000 - A) / 1.025, 6);
+  });
+});
+
+describe('loans in the solver', () => {
+  test('repayments come out of savings while working', () => {
+    const { path } = accumulateUntil(single, 52);
+    expect(path[0].outside).toBeCloseTo(200_000 + 30_000 - A, 6);
+    expect(path[0].debtPayment).toBeCloseTo(A, 6);
+    expect(path[0].debtBalance).toBeCloseTo(106_000 - A, 6);
+    expect(accumulateUntil({ ...single, debts: undefined }, 51).path[0].debtBalance).toBeUndefined();
+  });
+
+  test('repayments still running in retirement are spent on top of the schedule', () => {
+    const { path } = simulateRetirement(single, 52, 40_000, 100_000, 300_000);
+    expect(path[0].debtPayment).toBeCloseTo(A, 6);
+    expect(path[0].outside).toBeCloseTo(100_000 - 40_000 - A, 6);
+    expect(path[8].debtPayment).toBeUndefined();
+  });
+
+  test('optional payoff at retirement from outside or unlocked super', () => {
+    const owing = debtSchedule(loan, 0)[2].closing;
+    const fromOutside = accumulateUntil({ ...single, debts: [{ ...loan, payoffAtRetirement: 'outside' }] }, 53);
+    expect(fromOutside.outside).toBeCloseTo(200_000 + 3 * (30_000 - A) - owing, 6);
+    expect(fromOutside.path[2].debtPayoff).toBeCloseTo(owing, 6);
+    expect(fromOutside.path[2].debtBalance).toBeCloseTo(0, 6);
+    // Nothing more to pay once retired
+    expect(simulateRetirement({ ...single, debts: [{ ...loan, payoffAtRetirement: 'outside' }] }, 53, 40_000, 100_000, 300_000).path[0].debtPayment)
+      .toBeUndefined();
+
+    // Super is still locked at 53, so outside pays; at 60 super pays
+    const lockedSuper = accumulateUntil({ ...single, debts: [{ ...loan, payoffAtRetirement: 'super' }] }, 53);
+    expect(lockedSuper.outside).toBeCloseTo(fromOutside.outside, 6);
+    const owing10 = { ...loan, termYears: 20, payoffAtRetirement: 'super' as const };
+    const unlocked = accumulateUntil({ ...single, debts: [owing10] }, 60);
+    expect(unlocked.super).toBeCloseTo(300_000 - debtSchedule(owing10, 0)[9].closing, 4);
+  });
+});
+
+describe('pay off the mortgage or invest', () => {
+  test('paying down wins when the loan costs more than investments earn', () => {
+    const dear = compareMortgagePayoff({ ...single, realReturn: 0.01, debts: [{ ...loan, rate: 0.09 }] }, 40_000)!;
+    expect(dear.paidDown).toBe(100_000);
+    expect(dear.payDown.interest).toBe(0);
+    expect(dear.recommended).toBe('payDown');
+    expect(dear.payDown.earliestAge!).toBeLessThanOrEqual(dear.invest.earliestAge!);
+  });
+
+  test('investing wins when returns beat the rate', () => {
+    const cheap = compareMortgagePayoff({ ...single, realReturn: 0.07, debts: [{ ...loan, rate: 0.01, offset: 20_000 }] }, 40_000)!;
+    expect(cheap.paidDown).toBe(100_000);
+    expect(cheap.invest.interest).toBeGreaterThan(0);
+    expect(cheap.recommended).toBe('invest');
+    expect(compareMortgagePayoff({ ...single, debts: [] })).toBeNull();
+  });
+});
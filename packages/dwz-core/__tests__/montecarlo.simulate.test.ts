@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest';
+import { simulateMonteCarlo } from '../src/montecarlo/simulate';
+import { solveSBaseForAge, type Inputs } from '../src/solver';
+
+const base: Inputs = {
+  currentAge: 40,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 300_000,
+  super0: 250_000,
+  annualSavings: 40_000,
+  realReturn: 0.05,
+  bands: [
+    { endAgeIncl: 59, multiplier: 1.1 },
+    { endAgeIncl: 74, multiplier: 1.0 },
+    { endAgeIncl: 200, multiplier: 0.85 }
+  ],
+  bequest: 0
+};
+
+describe('simulateMonteCarlo', () => {
+  test('zero volatility reproduces the deterministic plan', () => {
+    const res = simulateMonteCarlo(base, { trials: 20, seed: 7, volatility: 0, retireAge: 55 });
+    const { sBase } = solveSBaseForAge(base, 55);
+
+    expect(res.spend).toBeCloseTo(sBase, 6);
+    expect(res.successProbability).toBe(1);
+    // Every percentile collapses onto the deterministic path
+    const last = res.bands[res.bands.length - 1];
+    expect(last.age).toBe(90);
+    expect(Math.abs(last.p10 - last.p90)).toBeLessThan(1e-6);
+  });
+
+  test('same seed and inputs give identical results', () => {
+    const opts = { trials: 200, seed: 42, volatility: 0.15, retireAge: 55, plan: 60_000 };
+    const a = simulateMonteCarlo(base, opts);
+    const b = simulateMonteCarlo(base, opts);
+    expect(a).toEqual(b);
+
+    const c = simulateMonteCarlo(base, { ...opts, seed: 43 });
+    expect(c.bands).not.toEqual(a.bands);
+  });
+
+  test('percentile bands are ordered and cover accumulation and retirement', () => {
+    const res = simulateMonteCarlo(base, { trials: 300, seed: 1, volatility: 0.12, retireAge: 55, plan: 60_000 });
+    expect(res.bands[0].age).toBe(41);
+    expect(res.bands.length).toBe(50);
+    for (const b of res.bands) {
+      expect(b.p10).toBeLessThanOrEqual(b.p50);
+      expect(b.p50).toBeLessThanOrEqual(b.p90);
+    }
+  });
+
+  test('sequence risk: DWZ spend at the deterministic optimum succeeds well short of certainty', () => {
+    const res = simulateMonteCarlo(base, { trials: 400, seed: 3, volatility: 0.12, retireAge: 55 });
+    expect(res.successProbability).toBeGreaterThan(0.2);
+    expect(res.successProbability).toBeLessThan(0.8);
+  });
+
+  test('lower plan spend raises success probability', () => {
+    const hi = simulateMonteCarlo(base, { trials: 300, seed: 5, retireAge: 55, plan: 70_000 });
+    const lo = simulateMonteCarlo(base, { trials: 300, seed: 5, retireAge: 55, plan: 45_000 });
+    expect(lo.successProbability).toBeGreaterThan(hi.successProbability);
+  });
+
+  test('earliest age for target success is later than the deterministic earliest age', () => {
+    const plan = 60_000;
+    const res = simulateMonteCarlo(base, { trials: 200, seed: 11, volatility: 0.12, plan, targetSuccess: 0.9 });
+    const deterministic = simulateMonteCarlo(base, { trials: 1, volatility: 0, plan, targetSuccess: 1 });
+
+    expect(deterministic.earliestAgeForTarget).not.toBeNull();
+    expect(res.earliestAgeForTarget).not.toBeNull();
+    expect(res.earliestAgeForTarget!).toBeGreaterThan(deterministic.earliestAgeForTarget!);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, test, expect } from 'vitest';
+import { canReceiveSplit, splittableContributions, spouseTaxOffset } from '../src/super/spouseContributions';
+import { optimizeCoupleContributions } from '../src/optimizer/coupleContributions';
+import { accumulateUntil, type Inputs } from '../src/solver';
+
+describe('spouse contribution rules', () => {
+  test('splits go to a partner under preservation age, or under 65 while working', () => {
+    expect(canReceiveSplit(59, 60, false)).toBe(true);
+    expect(canReceiveSplit(62, 60, true)).toBe(true);
+    expect(canReceiveSplit(62, 60, false)).toBe(false);
+    expect(canReceiveSplit(65, 60, true)).toBe(false);
+  });
+
+  test('at most 85% of concessional contributions, and no more than the cap', () => {
+    expect(splittableContributions(20_000, 1)).toBeCloseTo(17_000, 6);
+    expect(splittableContributions(20_000, 0.5)).toBe(10_000);
+    expect(splittableContributions(60_000, 0.85)).toBe(30_000);
+  });
+
+  test('tax offset is 18% of up to $3,000, phasing out between $37k and $40k of spouse income', () => {
+    expect(spouseTaxOffset(3_000, 20_000)).toBeCloseTo(540, 6);
+    expect(spouseTaxOffset(1_000, 0)).toBeCloseTo(180, 6);
+    expect(spouseTaxOffset(3_000, 38_000)).toBeCloseTo(360, 6);
+    expect(spouseTaxOffset(3_000, 40_000)).toBe(0);
+  });
+});
+
+const couple: Inputs = {
+  currentAge: 40,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 200_000,
+  super0: 300_000,
+  annualSavings: 30_000,
+  realReturn: 0.05,
+  employerSGGross: 30_000,
+  bands: [],
+  bequest: 0,
+  people: [
+    { age: 40, preserveAge: 60, super0: 250_000, employerSGGross: 27_000, income: 230_000 },
+    { age: 48, preserveAge: 60, super0: 50_000, employerSGGross: 3_000, income: 30_000 }
+  ]
+};
+
+describe('couples strategies in accumulation', () => {
+  test('contribution splitting moves part of one partner\'s contributions to the other', () => {
+    const acc = accumulateUntil({ ...couple, realReturn: 0, contributionSplitting: { from: 0, to: 1, rate: 0.85 } }, 41);
+    expect(acc.path[0].contributionSplit).toEqual([-22_950, 22_950]);
+    // Division 293 still applies to the first partner's own contributions (7k above $250k)
+    expect(acc.superByPerson[0]).toBeCloseTo(250_000 + 27_000 * 0.85 - 22_950 - 7_000 * 0.15, 6);
+    expect(acc.superByPerson[1]).toBeCloseTo(50_000 + 3_000 * 0.85 + 22_950, 6);
+  });
+
+  test('splits stop once the receiving partner is past preservation age and retired', () => {
+    const inp: Inputs = {
+      ...couple,
+      realReturn: 0,
+      people: [couple.people![0], { ...couple.people![1], age: 61, retireAge: 61 }],
+      contributionSplitting: { from: 0, to: 1, rate: 0.85 }
+    };
+    expect(accumulateUntil(inp, 41).path[0].contributionSplit).toBeUndefined();
+  });
+
+  test('a spouse contribution comes out of savings, less the tax offset', () => {
+    const plain = accumulateUntil({ ...couple, realReturn: 0 }, 41);
+    const acc = accumulateUntil({ ...couple, realReturn: 0, spouseContribution: { to: 1, amount: 3_000 } }, 41);
+    expect(acc.path[0].spouseContribution).toEqual([0, 3_000]);
+    expect(acc.path[0].spouseTaxOffset).toBeCloseTo(540, 6);
+    expect(acc.outside).toBeCloseTo(plain.outside - 3_000 + 540, 6);
+    expect(acc.superByPerson[1]).toBeCloseTo(plain.superByPerson[1] + 3_000, 6);
+  });
+});
+
+describe('optimizeCoupleContributions', () => {
+  test('returns null for singles', () => {
+    expect(optimizeCoupleContributions({ ...couple, people: undefined })).toBeNull();
+  });
+
+  test('splitting to the older partner shortens the bridge', () => {
+    const res = optimizeCoupleContributions(couple)!;
+    expect(res.recommended.strategy.contributionSplitting).toEqual({ from: 0, to: 1, rate: 0.85 });
+    expect(res.recommended.earliestAge!).toBeLessThan(res.baseline.earliestAge!);
+    expect(res.perPerson[0].splitOut).toBeCloseTo(22_950, 6);
+    expect(res.perPerson[1].splitIn).toBeCloseTo(22_950, 6);
+    // Same spend and age, but more of the household's money is reachable before the younger partner unlocks
+    expect(res.bridge!.recommended.have).toBeGreaterThan(res.bridge!.baseline.have);
+    expect(res.bridge!.recommended.needPV).toBeCloseTo(res.bridge!.baseline.needPV, 6);
+  });
+
+  test('with a plan a strategy must beat doing nothing; the spouse offset adds spend', () => {
+    const res = optimizeCoupleContributions(couple, 70_000)!;
+    expect(res.plan).toBe(70_000);
+    expect(res.recommended.earliestAge).toBe(res.baseline.earliestAge);
+    expect(res.recommended.strategy.spouseContribution).toEqual({ to: 1, amount: 3_000 });
+    expect(res.recommended.spend).toBeGreaterThan(res.baseline.spend);
+    expect(res.perPerson[0].taxOffset).toBeCloseTo(540, 6);
+    // Nothing beats doing nothing when the partner earns too much for the offset and splitting is off
+    const none = optimizeCoupleContributions(
+      { ...couple, people: [couple.people![0], { ...couple.people![1], income: 90_000 }] },
+      70_000,
+      { splitRate: 0 }
+    )!;
+    expect(none.recommended.strategy.kind).toBe('none');
+    expect(none.evaluations).toHaveLength(1);
+  });
+});
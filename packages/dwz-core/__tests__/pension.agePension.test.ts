@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest';
+import { agePension, deem, AGE_PENSION_RULES } from '../src/pension/agePension';
+import { simulateRetirement, solveSBaseForAge, type Inputs } from '../src/solver';
+
+const R = AGE_PENSION_RULES;
+
+describe('agePension means test', () => {
+  test('full rate with modest means', () => {
+    const single = agePension({ couple: false, homeowner: true, assessableAssets: 100_000, financialAssets: 50_000 });
+    expect(single.fortnightly).toBeCloseTo(R.maxRate.single, 6);
+    expect(single.annual).toBeCloseTo(R.maxRate.single * 26, 6);
+    expect(single.binding).toBe('none');
+
+    const couple = agePension({ couple: true, homeowner: true, assessableAssets: 100_000, financialAssets: 50_000 });
+    expect(couple.fortnightly).toBeCloseTo(R.maxRate.coupleEach * 2, 6);
+  });
+
+  test('assets test tapers $3/fn per $1,000 over the homeowner threshold', () => {
+    const over = 100_000;
+    const res = agePension({
+      couple: true,
+      homeowner: true,
+      assessableAssets: R.assetsTest.thresholds.couple.homeowner + over,
+      financialAssets: 0
+    });
+    expect(res.assetsReduction).toBeCloseTo(over / 1000 * R.assetsTest.taperPerThousand, 6);
+    expect(res.fortnightly).toBeCloseTo(R.maxRate.coupleEach * 2 - 300, 6);
+    expect(res.binding).toBe('assets');
+  });
+
+  test('non-homeowners get the higher assets threshold', () => {
+    const assets = 600_000;
+    const owner = agePension({ couple: false, homeowner: true, assessableAssets: assets, financialAssets: 0 });
+    const renter = agePension({ couple: false, homeowner: false, assessableAssets: assets, financialAssets: 0 });
+    expect(renter.annual).toBeGreaterThan(owner.annual);
+  });
+
+  test('deeming: lower rate to the threshold, upper rate above', () => {
+    const t = R.deeming.thresholds.single;
+    expect(deem(t, 'single')).toBeCloseTo(t * R.deeming.lowerRate, 6);
+    expect(deem(t + 10_000, 'single')).toBeCloseTo(t * R.deeming.lowerRate + 10_000 * R.deeming.upperRate, 6);
+  });
+
+  test('income test binds when deemed plus other income is high and assets are low', () => {
+    const res = agePension({ couple: false, homeowner: false, assessableAssets: 400_000, financialAssets: 400_000, otherIncome: 30_000 });
+    const deemed = deem(400_000, 'single');
+    const expected = ((deemed + 30_000) / 26 - R.incomeTest.freeArea.single) * R.incomeTest.taper;
+    expect(res.incomeReduction).toBeCloseTo(expected, 6);
+    expect(res.binding).toBe('income');
+  });
+
+  test('cuts out entirely for large balances', () => {
+    const res = agePension({ couple: true, homeowner: true, assessableAssets: 2_000_000, financialAssets: 2_000_000 });
+    expect(res.annual).toBe(0);
+  });
+
+  test('couple with one partner of pension age receives half the couple entitlement', () => {
+    const both = agePension({ couple: true, homeowner: true, assessableAssets: 0, financialAssets: 0 });
+    const one = agePension({ couple: true, homeowner: true, assessableAssets: 0, financialAssets: 0, eligiblePeople: 1 });
+    expect(one.annual).toBeCloseTo(both.annual / 2, 6);
+  });
+});
+
+describe('Age Pension in the solver', () => {
+  const base: Inputs = {
+    currentAge: 50,
+    preserveAge: 60,
+    lifeExp: 92,
+    outside0: 250_000,
+    super0: 200_000,
+    annualSavings: 20_000,
+    realReturn: 0.05,
+    bands: [],
+    bequest: 0
+  };
+
+  test('pension is paid from pension age and recorded on the path', () => {
+    const inp: Inputs = { ...base, agePension: { couple: true, homeowner: true } };
+    const sim = simulateRetirement(inp, 60, 40_000, 300_000, 300_000);
+    const at67 = sim.path.find(p => p.age === 67)!;
+    const at68 = sim.path.find(p => p.age === 68)!;
+    expect(at67.agePension).toBeUndefined();
+    expect(at68.agePension).toBeGreaterThan(0);
+  });
+
+  test('sustainable spend rises when the pension is included', () => {
+    const without = solveSBaseForAge(base, 58).sBase;
+    const withPension = solveSBaseForAge({ ...base, agePension: { couple: true, homeowner: true } }, 58).sBase;
+    expect(withPension).toBeGreaterThan(without + 5_000);
+  });
+
+  test('homeowners (lower threshold) get less than renters with the same balances', () => {
+    const owner = solveSBaseForAge({ ...base, agePension: { couple: true, homeowner: true } }, 58).sBase;
+    const renter = solveSBaseForAge({ ...base, agePension: { couple: true, homeowner: false } }, 58).sBase;
+    expect(renter).toBeGreaterThanOrEqual(owner);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest';
+import { minimumDrawdownRate, minimumPensionPayment, MINIMUM_DRAWDOWN_RULES } from '../src/pension/minimumDrawdown';
+import { simulateRetirement, type Inputs } from '../src/solver';
+
+describe('minimum drawdown rules', () => {
+  test.each([
+    [55, 0.04], [64, 0.04], [65, 0.05], [74, 0.05], [75, 0.06], [79, 0.06],
+    [80, 0.07], [84, 0.07], [85, 0.09], [89, 0.09], [90, 0.11], [94, 0.11], [95, 0.14], [101, 0.14]
+  ])('age %i pays at least %f', (age, rate) => {
+    expect(minimumDrawdownRate(age)).toBe(rate);
+  });
+
+  test('payment is a share of the opening balance; empty accounts pay nothing', () => {
+    expect(minimumPensionPayment(500_000, 70)).toBeCloseTo(25_000, 6);
+    expect(minimumPensionPayment(-1_000, 70)).toBe(0);
+  });
+
+  test('rates come from the rules table', () => {
+    const custom = { ...MINIMUM_DRAWDOWN_RULES, rates: [{ minAge: 0, rate: 0.02 }, { minAge: 65, rate: 0.025 }] };
+    expect(minimumDrawdownRate(70, custom)).toBe(0.025);
+  });
+});
+
+describe('minimum drawdowns in the solver', () => {
+  const base: Inputs = {
+    currentAge: 60,
+    preserveAge: 60,
+    lifeExp: 98,
+    outside0: 0,
+    super0: 0,
+    annualSavings: 0,
+    realReturn: 0.05,
+    bands: [],
+    bequest: 0
+  };
+
+  test('forced excess is recycled to outside and reported as a pension payment', () => {
+    // Spending 10k against a 1M super: the 4% minimum (40k) exceeds spending
+    const sim = simulateRetirement(base, 60, 10_000, 0, 1_000_000);
+    const first = sim.path[0];
+    expect(first.pensionPayment).toBeCloseTo(40_000, 6);
+    expect(first.super).toBeCloseTo(960_000 * 1.05, 6);
+    expect(first.outside).toBeCloseTo(30_000 * 1.05, 6);
+  });
+
+  test('payments above the minimum fund spending once outside is exhausted', () => {
+    const sim = simulateRetirement(base, 60, 60_000, 0, 1_000_000);
+    expect(sim.path[0].pensionPayment).toBeCloseTo(60_000, 6);
+    expect(sim.path[0].outside).toBeCloseTo(0, 6);
+  });
+
+  test('minimum rises with age', () => {
+    const sim = simulateRetirement(base, 60, 0, 0, 1_000_000);
+    const rateAt = (endAge: number) => {
+      const i = sim.path.findIndex(p => p.age === endAge);
+      const opening = sim.path[i - 1].super;
+      return sim.path[i].pensionPayment! / opening;
+    };
+    expect(rateAt(66)).toBeCloseTo(0.05, 10);
+    expect(rateAt(81)).toBeCloseTo(0.07, 10);
+    expect(rateAt(95)).toBeCloseTo(0.11, 10); // year from 94 to 95
+    expect(rateAt(96)).toBeCloseTo(0.14, 10);
+  });
+
+  test('no pension payments before super unlocks', () => {
+    const sim = simulateRetirement({ ...base, currentAge: 55 }, 55, 20_000, 200_000, 500_000);
+    expect(sim.path.filter(p => p.age <= 60).every(p => p.pensionPayment === undefined)).toBe(true);
+  });
+
+  test('recycling keeps wealth in the household: with equal returns the total is unchanged', () => {
+    const sim = simulateRetirement(base, 60, 0, 0, 1_000_000);
+    expect(sim.terminalTotal).toBeCloseTo(1_000_000 * 1.05 ** 38, 4);
+    expect(sim.path[sim.path.length - 1].outside).toBeGreaterThan(sim.path[sim.path.length - 1].super);
+  });
+});
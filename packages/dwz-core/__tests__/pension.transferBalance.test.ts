@@ -0,0 +1,71 @@
+import { describe, test, expect } from 'vitest';
+import { transferToRetirementPhase, TRANSFER_BALANCE_RULES } from '../src/pension/transferBalance';
+import { simulateRetirement, type Inputs } from '../src/solver';
+
+describe('transfer balance cap', () => {
+  test('credits up to the remaining cap; the rest stays in accumulation', () => {
+    expect(TRANSFER_BALANCE_RULES.generalCap).toBe(2_000_000);
+    expect(transferToRetirementPhase(1_000_000)).toEqual({ credit: 1_000_000, excess: 0, remainingCap: 1_000_000 });
+    expect(transferToRetirementPhase(2_500_000)).toEqual({ credit: 2_000_000, excess: 500_000, remainingCap: 0 });
+    expect(transferToRetirementPhase(500_000, 1_700_000).credit).toBe(300_000);
+    expect(transferToRetirementPhase(-10_000).credit).toBe(0);
+  });
+});
+
+describe('transfer balance cap in the solver', () => {
+  const base: Inputs = {
+    currentAge: 60,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 0,
+    super0: 0,
+    annualSavings: 0,
+    realReturn: 0.05,
+    bands: [],
+    bequest: 0,
+    earningsTax: { super: { incomeYield: 0.05 } } // whole return paid as income
+  };
+
+  test('pensions start at the cap and credits stay on the path', () => {
+    const sim = simulateRetirement(base, 60, 0, 0, 3_000_000);
+    expect(sim.path.every(p => p.transferBalance?.[0] === 2_000_000)).toBe(true);
+    // Minimum applies to the pension part only: 4% of 2M
+    expect(sim.path[0].pensionPayment).toBeCloseTo(80_000, 6);
+  });
+
+  test('earnings on the excess are taxed at 15%, the pension part is tax-free', () => {
+    const sim = simulateRetirement(base, 60, 0, 0, 3_000_000);
+    const pension = (2_000_000 - 80_000) * 1.05;
+    const excess = 1_000_000 * (1 + 0.05 * 0.85);
+    expect(sim.path[0].super).toBeCloseTo(pension + excess, 4);
+
+    const uncapped = simulateRetirement({ ...base, transferBalanceCap: 10_000_000 }, 60, 0, 0, 3_000_000);
+    expect(uncapped.path[0].super).toBeCloseTo((3_000_000 - 120_000) * 1.05, 4);
+  });
+
+  test('no credits until super is preserved; each partner has their own cap', () => {
+    const couple: Inputs = {
+      ...base,
+      currentAge: 58,
+      super0: 4_000_000,
+      people: [
+        { age: 58, preserveAge: 60, super0: 2_000_000 },
+        { age: 55, preserveAge: 60, super0: 2_000_000 }
+      ]
+    };
+    const sim = simulateRetirement(couple, 58, 50_000, 1_000_000, [2_000_000, 2_000_000]);
+    const at = (age: number) => sim.path.find(p => p.age === age)!;
+    expect(at(60).transferBalance).toBeUndefined();
+    expect(at(61).transferBalance![0]).toBe(2_000_000);
+    expect(at(61).transferBalance![1]).toBe(0);
+    expect(at(64).transferBalance).toEqual([2_000_000, 2_000_000]);
+  });
+
+  test('spending beyond the pension draws on the excess once the pension is empty', () => {
+    const sim = simulateRetirement({ ...base, earningsTax: undefined, realReturn: 0 }, 60, 1_000_000, 0, 2_500_000);
+    // Year 1: 80k minimum + 920k from the pension; year 2: its last 1M
+    expect(sim.path[0].super).toBeCloseTo(1_500_000, 6);
+    expect(sim.path[1].super).toBeCloseTo(500_000, 6);
+    expect(sim.path[1].pensionPayment).toBeCloseTo(1_000_000, 6);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, test, expect } from 'vitest';
+import { compareRentVsBuy, type RentVsBuyAssumptions } from '../src/planning/rentVsBuy';
+import { stampDuty, PROPERTY_RULES } from '../src/property/home';
+import { agePension } from '../src/pension/agePension';
+import { accumulateUntil, simulateRetirement, solveSBaseForAge, type Inputs } from '../src/solver';
+
+const base: Inputs = {
+  currentAge: 35,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 250_000,
+  super0: 150_000,
+  annualSavings: 60_000,
+  realReturn: 0.04,
+  bands: [],
+  bequest: 0,
+  employerSGGross: 15_000
+};
+
+const home: RentVsBuyAssumptions = {
+  price: 900_000,
+  deposit: 180_000,
+  mortgageRate: 0.06,
+  rent: 36_000,
+  rentGrowth: 0.005,
+  propertyGrowth: 0.01
+};
+
+const PLAN = 60_000;
+
+describe('rent vs buy', () => {
+  test('rent and home running costs come out of savings, then on top of spending once retired', () => {
+    const renter: Inputs = { ...base, realReturn: 0, rent: { amount: 30_000, realGrowth: 0.02, fromAge: 36 } };
+    const { path } = accumulateUntil(renter, 38);
+    expect(path.map(p => p.housingCost)).toEqual([undefined, 30_600, 31_212]);
+    expect(path[1].outside - path[0].outside).toBeCloseTo(60_000 - 30_600, 6);
+
+    const owner: Inputs = { ...base, realReturn: 0, home: { value: 800_000, maintenanceRate: 0.01 } };
+    const retired = simulateRetirement(owner, 60, 20_000, 500_000, 0);
+    expect(retired.path[0].housingCost).toBe(8_000);
+    expect(retired.path[0].outside).toBeCloseTo(500_000 - 28_000, 6);
+  });
+
+  test('compares earliest age at the plan, and spend at a common age, with the upfront cash from outside', () => {
+    const res = compareRentVsBuy(base, home, PLAN)!;
+    expect(res.upfront).toBeCloseTo(180_000 + stampDuty(900_000), 6);
+    expect(res.rent.earliestAge).not.toBeNull();
+    expect(res.buy.earliestAge).not.toBeNull();
+    expect(res.earliestAgeDifference).toBe(res.buy.earliestAge! - res.rent.earliestAge!);
+    // Both spends at the later earliest age, not each at its own
+    const age = Math.max(res.rent.earliestAge!, res.buy.earliestAge!);
+    expect(res.comparisonAge).toBe(age);
+    expect(res.buy.earliestAge).toBe(age);
+    const renter: Inputs = { ...base, rent: { amount: home.rent, realGrowth: home.rentGrowth } };
+    expect(res.spendDifference!).toBeCloseTo(res.buy.spend - solveSBaseForAge(renter, age).sBase, 6);
+    const buyWins = res.buy.earliestAge! < res.rent.earliestAge!
+      || (res.buy.earliestAge === res.rent.earliestAge && res.buy.spend > res.rent.spend);
+    expect(res.recommended).toBe(buyWins ? 'buy' : 'rent');
+  });
+
+  test('at the breakeven growth buying supports the same spend as renting', () => {
+    const g = compareRentVsBuy(base, home, PLAN)!.breakevenGrowth!;
+    expect(g).toBeGreaterThan(-0.05);
+    expect(g).toBeLessThan(0.10);
+    // Retiring at the same age, slower growth favours renting and faster growth buying
+    const at58: Inputs = { ...base, retireAge: 58 };
+    const slow = compareRentVsBuy(at58, { ...home, propertyGrowth: g - 0.005 })!;
+    const even = compareRentVsBuy(at58, { ...home, propertyGrowth: g })!;
+    const fast = compareRentVsBuy(at58, { ...home, propertyGrowth: g + 0.005 })!;
+    expect(slow.spendDifference!).toBeLessThan(0);
+    expect(Math.abs(even.spendDifference!)).toBeLessThan(1);
+    expect(fast.spendDifference!).toBeGreaterThan(0);
+    expect(fast.recommended).toBe('buy');
+  });
+
+  test('an owner who sells early and rents is means-tested as a renter from the sale', () => {
+    const pensioner: Inputs = { ...base, outside0: 700_000, agePension: { couple: false, homeowner: true } };
+    const cash: RentVsBuyAssumptions = { ...home, price: 600_000, deposit: 600_000, sellAge: 75 };
+    const res = compareRentVsBuy(pensioner, cash)!;
+    const age = res.comparisonAge!;
+    // Renting throughout and owning until 75 then renting, as compareRentVsBuy models them
+    const renter: Inputs = { ...pensioner, rent: { amount: cash.rent, realGrowth: cash.rentGrowth } };
+    const owner: Inputs = {
+      ...pensioner,
+      outside0: pensioner.outside0 - res.upfront,
+      home: {
+        value: cash.price,
+        realGrowth: cash.propertyGrowth,
+        maintenanceRate: PROPERTY_RULES.defaultMaintenanceRate,
+        downsize: { age: 75, newHomePrice: 0 }
+      },
+      rent: { amount: cash.rent, realGrowth: cash.rentGrowth, fromAge: 75 }
+    };
+    const ownerSpend = solveSBaseForAge(owner, age).sBase;
+    expect(res.spendDifference!).toBeCloseTo(ownerSpend - solveSBaseForAge(renter, age).sBase, 6);
+
+    // After the sale the owner's pension uses the non-homeowner threshold, like the renter's
+    const acc = accumulateUntil(owner, age);
+    const start = simulateRetirement(owner, age, ownerSpend, acc.outside, acc.superByPerson);
+    const k = start.path.findIndex(p => p.age === 80);
+    const prev = start.path[k - 1];
+    const assets = prev.outside + prev.super;
+    expect(start.path[k].agePension!).toBeGreaterThan(0);
+    expect(start.path[k].agePension!).toBeCloseTo(
+      agePension({ couple: false, homeowner: false, assessableAssets: assets, financialAssets: assets }).annual, 6
+    );
+  });
+
+  test('not available when savings cannot cover the deposit and costs', () => {
+    expect(compareRentVsBuy({ ...base, outside0: 150_000 }, home, PLAN)).toBeNull();
+    expect(compareRentVsBuy(base, { ...home, deposit: 1_000_000 }, PLAN)).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from 'vitest';
+import { findRetirementFrontier } from '../src/planning/retirementFrontier';
+import { accumulateUntil, findEarliestViable, workingUntilAges, type Inputs } from '../src/solver';
+
+const couple: Inputs = {
+  currentAge: 40,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 200_000,
+  super0: 300_000,
+  annualSavings: 40_000,
+  realReturn: 0.05,
+  employerSGGross: 24_000,
+  bands: [],
+  bequest: 0,
+  people: [
+    { age: 40, preserveAge: 60, super0: 150_000, employerSGGross: 12_000 },
+    { age: 36, preserveAge: 60, super0: 150_000, employerSGGross: 12_000 }
+  ]
+};
+
+describe('per-person retirement ages', () => {
+  test('working lives map onto the household clock and never outlast household retirement', () => {
+    const inp: Inputs = {
+      ...couple,
+      people: [{ ...couple.people![0], retireAge: 50 }, { ...couple.people![1], retireAge: 50 }]
+    };
+    // Partner is 4 years younger, so stops when the clock reads 54
+    expect(workingUntilAges(inp, 60)).toEqual([50, 54]);
+    expect(workingUntilAges(inp, 52)).toEqual([50, 52]);
+    expect(workingUntilAges(couple, 60)).toEqual([60, 60]);
+  });
+
+  test('the working partner keeps their SG and savings after the other retires', () => {
+    const inp: Inputs = {
+      ...couple,
+      realReturn: 0,
+      people: [{ ...couple.people![0], retireAge: 40 }, couple.people![1]]
+    };
+    const acc = accumulateUntil(inp, 41);
+    // You have stopped: no SG, and only the partner's half of household savings is saved
+    expect(acc.superByPerson[0]).toBeCloseTo(150_000, 6);
+    expect(acc.superByPerson[1]).toBeCloseTo(150_000 + 12_000 * 0.85, 6);
+    expect(acc.outside).toBeCloseTo(200_000 + 20_000, 6);
+  });
+
+  test('an earlier retirement for one partner lowers sustainable spend', () => {
+    const together = findEarliestViable({ ...couple, retireAge: 55 })!;
+    const staggered = findEarliestViable({
+      ...couple,
+      retireAge: 55,
+      people: [{ ...couple.people![0], retireAge: 48 }, couple.people![1]]
+    })!;
+    expect(staggered.sBase).toBeLessThan(together.sBase);
+  });
+});
+
+describe('findRetirementFrontier', () => {
+  const plan = 70_000;
+
+  test('returns an empty frontier for singles and invalid plans', () => {
+    expect(findRetirementFrontier({ ...couple, people: undefined }, plan).frontier).toEqual([]);
+    expect(findRetirementFrontier(couple, 0).frontier).toEqual([]);
+  });
+
+  test('every frontier point reaches the plan and trades one partner\'s years for the other\'s', () => {
+    const res = findRetirementFrontier(couple, plan);
+    expect(res.frontier.length).toBeGreaterThan(1);
+    for (let i = 1; i < res.frontier.length; i++) {
+      expect(res.frontier[i].p1RetireAge).toBeGreaterThan(res.frontier[i - 1].p1RetireAge);
+      expect(res.frontier[i].p2RetireAge).toBeLessThan(res.frontier[i - 1].p2RetireAge);
+    }
+    for (const pt of res.frontier) {
+      expect(pt.spend).toBeGreaterThanOrEqual(plan - 1e-6);
+      expect(pt.householdRetireAge).toBe(Math.max(pt.p1RetireAge, 40 + pt.p2RetireAge - 36));
+    }
+  });
+
+  test('frontier points are tight: the partner cannot stop a year earlier', () => {
+    const { frontier } = findRetirementFrontier(couple, plan);
+    const pt = frontier[Math.floor(frontier.length / 2)];
+    const earlier = findEarliestViable({
+      ...couple,
+      people: [{ ...couple.people![0], retireAge: pt.p1RetireAge }, { ...couple.people![1], retireAge: pt.p2RetireAge - 1 }],
+      retireAge: Math.max(pt.p1RetireAge, 40 + pt.p2RetireAge - 1 - 36)
+    });
+    expect(earlier === null || earlier.sBase < plan).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, test, expect } from 'vitest';
+import { stampDuty, homeValueAfter, downsizeHome, type Home } from '../src/property/home';
+import { accumulateUntil, simulateRetirement, type Inputs } from '../src/solver';
+import { agePension } from '../src/pension/agePension';
+
+const home: Home = { value: 1_500_000, downsize: { age: 60, newHomePrice: 800_000 } };
+
+const single: Inputs = {
+  currentAge: 58,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 100_000,
+  super0: 400_000,
+  annualSavings: 0,
+  realReturn: 0,
+  bands: [],
+  bequest: 0,
+  home
+};
+
+describe('family home', () => {
+  test('stamp duty follows the marginal schedule', () => {
+    expect(stampDuty(17_000)).toBeCloseTo(212.5, 6);
+    expect(stampDuty(500_000)).toBeCloseTo(17_030, 6);
+    expect(stampDuty(800_000)).toBeCloseTo(30_530, 6);
+  });
+
+  test('grows at its own real rate', () => {
+    expect(homeValueAfter(1_000_000, 2, 0.02)).toBeCloseTo(1_040_400, 6);
+    expect(homeValueAfter(1_000_000, 5)).toBe(1_000_000);
+  });
+
+  test('downsizing: sale costs and duty come off, then up to $300k each goes to super', () => {
+    const sale = downsizeHome(home, 0, [60])!;
+    expect(sale.saleCosts).toBeCloseTo(37_500, 6);
+    expect(sale.stampDuty).toBeCloseTo(30_530, 6);
+    expect(sale.toSuper).toEqual([300_000]);
+    expect(sale.toOutside).toBeCloseTo(1_500_000 - 37_500 - 800_000 - 30_530 - 300_000, 6);
+    // Only partners over the minimum age can contribute, and never more than the sale frees up
+    expect(downsizeHome(home, 0, [60, 52])!.toSuper).toEqual([300_000, 0]);
+    const both = downsizeHome(home, 0, [60, 58])!;
+    expect(both.toSuper).toEqual([300_000, 300_000]);
+    const upsize = downsizeHome({ value: 900_000, downsize: { age: 60, newHomePrice: 900_000 } }, 0, [60])!;
+    expect(upsize.toSuper).toEqual([0]);
+    expect(upsize.toOutside).toBeLessThan(0);
+    expect(downsizeHome({ ...home, downsize: { ...home.downsize!, downsizerContribution: false } }, 0, [60])!.toSuper).toEqual([0]);
+  });
+
+  test('the solver tracks the home outside the totals and downsizes at the chosen age', () => {
+    const { path } = accumulateUntil(single, 62);
+    expect(path.map(p => p.home)).toEqual([1_500_000, 1_500_000, 800_000, 800_000]);
+    expect(path[1].total).toBe(500_000);
+    expect(path[2].downsizerContribution).toBe(300_000);
+    expect(path[2].super).toBe(700_000);
+    expect(path[2].outside).toBeCloseTo(100_000 + 1_500_000 - 37_500 - 800_000 - 30_530 - 300_000, 6);
+    expect(accumulateUntil({ ...single, home: undefined }, 59).path[0].home).toBeUndefined();
+  });
+
+  test('downsizing in retirement, and the home stays out of the assets test', () => {
+    const retired = simulateRetirement(single, 59, 30_000, 100_000, 400_000);
+    expect(retired.path[1].downsizerContribution).toBe(300_000);
+    expect(retired.path[1].home).toBe(800_000);
+
+    const pensioner: Inputs = { ...single, currentAge: 70, preserveAge: 60, home: { value: 1_000_000 }, agePension: { couple: false, homeowner: false } };
+    const withHome = simulateRetirement(pensioner, 70, 30_000, 0, 300_000).path[0].agePension!;
+    const renter = simulateRetirement({ ...pensioner, home: undefined }, 70, 30_000, 0, 300_000).path[0].agePension!;
+    // Owning means the lower homeowner threshold, not a million dollars of assets
+    expect(withHome).toBeGreaterThan(0);
+    expect(withHome).toBeLessThanOrEqual(renter);
+  });
+
+  test('selling without a replacement ends the homeowner thresholds for the Age Pension', () => {
+    const couple: Inputs = {
+      ...single,
+      currentAge: 70,
+      home: { value: 500_000, downsize: { age: 71, newHomePrice: 0, downsizerContribution: false } },
+      agePension: { couple: true, homeowner: true }
+    };
+    const { path } = simulateRetirement(couple, 70, 40_000, 100_000, 100_000);
+    // Each year is means-tested on the balances at its start
+    const pensionFor = (k: number, homeowner: boolean) => {
+      const assets = path[k - 1].outside + path[k - 1].super;
+      return agePension({ couple: true, homeowner, assessableAssets: assets, financialAssets: assets }).annual;
+    };
+    expect(path[1].home).toBe(0);
+    expect(path[1].agePension).toBeCloseTo(pensionFor(1, false), 6);
+    expect(path[2].agePension).toBeCloseTo(pensionFor(2, false), 6);
+    expect(pensionFor(2, false)).toBeGreaterThan(pensionFor(2, true));
+    // Keeping the home keeps the homeowner thresholds
+    const kept = simulateRetirement({ ...couple, home: { value: 500_000 } }, 70, 40_000, 100_000, 100_000).path;
+    expect(kept[1].agePension).toBeCloseTo(agePension({
+      couple: true, homeowner: true, assessableAssets: kept[0].outside + kept[0].super, financialAssets: kept[0].outside + kept[0].super
+    }).annual, 6);
+  });
+});
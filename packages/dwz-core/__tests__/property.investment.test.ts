@@ -0,0 +1,132 @@
+import { describe, test, expect } from 'vitest';
+import { rentalYear, sellInvestmentProperty, propertyIncomeTax, type InvestmentProperty } from '../src/property/investment';
+import { accumulateUntil, simulateRetirement, computeBridgePV, type Inputs } from '../src/solver';
+
+const CPI = 0.025;  // the indexation default, used for loans without `indexation`
+const CPI_SQUARED = (1 + CPI) ** 2;
+
+const rental: InvestmentProperty = {
+  value: 600_000,
+  costBase: 500_000,
+  rent: 25_000,
+  expenses: 5_000,
+  loan: { principal: 500_000, rate: 0.06, termYears: 30, repayment: 'interestOnly' },
+  sale: { age: 52 }
+};
+
+const investor: Inputs = {
+  currentAge: 50,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 100_000,
+  super0: 300_000,
+  annualSavings: 0,
+  realReturn: 0,
+  bands: [],
+  bequest: 0,
+  income: 120_000,
+  investmentProperties: [rental]
+};
+
+describe('investment property', () => {
+  test('net rent after expenses, interest and depreciation', () => {
+    const year = rentalYear({ ...rental, depreciation: 5_000 }, 0, CPI, 30_000);
+    expect(year.taxable).toBeCloseTo(25_000 - 5_000 - 30_000 - 5_000, 6);
+    // Rent grows with the property; depreciation is fixed in nominal dollars
+    const later = rentalYear({ ...rental, realGrowth: 0.02, depreciation: 5_000 }, 2, CPI);
+    expect(later.rent).toBeCloseTo(26_010, 6);
+    expect(later.depreciation).toBeCloseTo(5_000 / CPI_SQUARED, 6);
+  });
+
+  test('capital gain: depreciation off the cost base, then the main residence exemption and the discount', () => {
+    const sale = sellInvestmentProperty({ ...rental, value: 800_000, depreciation: 5_000 }, 4, 0);
+    expect(sale.saleCosts).toBeCloseTo(20_000, 6);
+    expect(sale.costBase).toBeCloseTo(480_000, 6);
+    expect(sale.capitalGain).toBeCloseTo(300_000, 6);
+    expect(sale.taxableGain).toBeCloseTo(150_000, 6);
+
+    const formerHome = sellInvestmentProperty({ ...rental, value: 800_000, depreciation: 5_000, mainResidenceShare: 0.4 }, 4, 0);
+    expect(formerHome.exempt).toBeCloseTo(120_000, 6);
+    expect(formerHome.taxableGain).toBeCloseTo(90_000, 6);
+    expect(sellInvestmentProperty({ ...rental, mainResidenceShare: 1 }, 4, 0).taxableGain).toBe(0);
+
+    // No discount within the first 12 months
+    expect(sellInvestmentProperty(rental, 0, 0).discount).toBe(0);
+    expect(sellInvestmentProperty({ ...rental, yearsHeld: 3 }, 0, 0).discount).toBeCloseTo(42_500, 6);
+    // The cost base is not indexed, so inflation alone makes a gain
+    expect(sellInvestmentProperty({ ...rental, costBase: 600_000, sale: { age: 52, saleCostRate: 0 } }, 2, CPI).capitalGain)
+      .toBeCloseTo(600_000 - 600_000 / CPI_SQUARED, 6);
+    // A loss is not taxed
+    expect(sellInvestmentProperty({ ...rental, costBase: 900_000 }, 2, 0).taxableGain).toBe(0);
+  });
+
+  test('negative gearing cuts the tax on other income, but not below nil', () => {
+    expect(propertyIncomeTax(120_000, -10_000)).toBeCloseTo(-3_200, 6);
+    expect(propertyIncomeTax(120_000, 10_000)).toBeCloseTo(3_200, 6);
+    expect(propertyIncomeTax(0, -10_000)).toBe(0);
+  });
+
+  test('the solver pays the geared loss from outside less the refund, and sells with CGT', () => {
+    const { path } = accumulateUntil(investor, 54);
+    const interest = 30_000;
+    expect(path[0].propertyCashFlow).toBeCloseTo(25_000 - 5_000 - interest, 6);
+    expect(path[0].propertyTax).toBeCloseTo(propertyIncomeTax(120_000, -10_000), 6);
+    expect(path[0].outside).toBeCloseTo(100_000 - 10_000 + 3_200, 6);
+    expect(path[1].investmentProperty).toBe(600_000);
+
+    // Sold at the start of age 52: the loan is repaid and the gain taxed at the discount
+    const owing = 500_000 / CPI_SQUARED;
+    const sale = sellInvestmentProperty(rental, 2, CPI);
+    expect(path[2].propertySale).toBeCloseTo(600_000 - 15_000 - owing, 6);
+    expect(sale.taxableGain).toBeCloseTo((585_000 - owing) / 2, 6);
+    expect(path[2].propertyTax).toBeCloseTo(propertyIncomeTax(120_000, sale.taxableGain), 6);
+    expect(path[2].outside - path[1].outside).toBeCloseTo(path[2].propertySale! - path[2].propertyTax!, 6);
+    expect(path[2].investmentProperty).toBe(0);
+    expect(path[3].propertyCashFlow).toBe(0);
+  });
+
+  test('each owner is taxed on their share, and once retired the rent is taxed on its own', () => {
+    const couple: Inputs = {
+      ...investor,
+      income: undefined,
+      people: [
+        { age: 50, preserveAge: 60, super0: 150_000, income: 0 },
+        { age: 50, preserveAge: 60, super0: 150_000, income: 120_000 }
+      ],
+      investmentProperties: [{ ...rental, ownership: [0, 1] }]
+    };
+    expect(accumulateUntil(couple, 51).path[0].propertyTax).toBeCloseTo(-3_200, 6);
+    const yours = { ...couple, investmentProperties: [{ ...rental, ownership: [1, 0] }] };
+    expect(accumulateUntil(yours, 51).path[0].propertyTax).toBe(0);
+
+    const retired = simulateRetirement({ ...investor, investmentProperties: [{ ...rental, sale: undefined, loan: undefined }] }, 50, 30_000, 100_000, 300_000);
+    expect(retired.path[0].propertyTax).toBeCloseTo(propertyIncomeTax(0, 20_000), 6);
+  });
+
+  test('the bridge to preservation age funds a geared property\'s shortfall', () => {
+    const geared: Inputs = { ...investor, income: undefined, investmentProperties: [{ ...rental, sale: undefined }] };
+    const withoutProperty = computeBridgePV({ ...geared, investmentProperties: undefined }, 50, 30_000);
+    expect(withoutProperty).toBeCloseTo(10 * 30_000, 6);
+
+    // No return and no other income once retired, so the bridge carries each year's loss untaxed and unrefunded
+    const { path } = simulateRetirement(geared, 50, 30_000, 1_000_000, 300_000);
+    const shortfall = path.slice(0, 10).reduce((sum, p) => sum - p.propertyCashFlow! + p.propertyTax!, 0);
+    expect(path[0].propertyCashFlow).toBeCloseTo(25_000 - 5_000 - 30_000, 6);
+    expect(shortfall).toBeGreaterThan(0);
+    expect(computeBridgePV(geared, 50, 30_000)).toBeCloseTo(withoutProperty + shortfall, 6);
+  });
+
+  test('equity and net rent count in the Age Pension means tests', () => {
+    const pensioner: Inputs = {
+      ...investor,
+      currentAge: 70,
+      preserveAge: 60,
+      income: undefined,
+      agePension: { couple: false, homeowner: true },
+      investmentProperties: [{ ...rental, sale: undefined, loan: undefined }]
+    };
+    const landlord = simulateRetirement(pensioner, 70, 30_000, 0, 200_000).path[0].agePension ?? 0;
+    const without = simulateRetirement({ ...pensioner, investmentProperties: undefined }, 70, 30_000, 0, 200_000).path[0].agePension!;
+    expect(landlord).toBeLessThan(without);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, test, expect } from 'vitest';
+import { createRng, normal, lognormal, lognormalParams, studentT, cholesky, correlatedNormals } from '../src/random/prng';
+import { drawReturnSequences, simulateMonteCarlo } from '../src/montecarlo/simulate';
+import type { Inputs } from '../src/solver';
+
+const N = 20_000;
+
+function moments(xs: number[]) {
+  const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const variance = xs.reduce((s, x) => s + (x - mean) ** 2, 0) / (xs.length - 1);
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+describe('seeded PRNG', () => {
+  test('same seed replays the same stream; different seeds diverge', () => {
+    const a = createRng(123);
+    const b = createRng(123);
+    const c = createRng(124);
+    const sa = Array.from({ length: 5 }, () => a());
+    const sb = Array.from({ length: 5 }, () => b());
+    const sc = Array.from({ length: 5 }, () => c());
+    expect(sa).toEqual(sb);
+    expect(sa).not.toEqual(sc);
+    for (const u of sa) {
+      expect(u).toBeGreaterThanOrEqual(0);
+      expect(u).toBeLessThan(1);
+    }
+  });
+
+  test('normal draws match requested mean and sd', () => {
+    const rng = createRng(1);
+    const { mean, sd } = moments(Array.from({ length: N }, () => normal(rng, 0.05, 0.12)));
+    expect(mean).toBeCloseTo(0.05, 2);
+    expect(sd).toBeCloseTo(0.12, 2);
+  });
+
+  test('lognormalParams hits the target arithmetic moments', () => {
+    const rng = createRng(2);
+    const { mu, sigma } = lognormalParams(1.05, 0.15);
+    const { mean, sd } = moments(Array.from({ length: N }, () => lognormal(rng, mu, sigma)));
+    expect(mean).toBeCloseTo(1.05, 2);
+    expect(sd).toBeCloseTo(0.15, 2);
+  });
+
+  test('student-t has fatter tails than normal', () => {
+    const rng = createRng(3);
+    const t = Array.from({ length: N }, () => studentT(rng, 4));
+    const z = Array.from({ length: N }, () => normal(rng));
+    const tail = (xs: number[]) => xs.filter(x => Math.abs(x) > 3).length;
+    expect(tail(t)).toBeGreaterThan(tail(z) * 3);
+  });
+
+  test('cholesky reconstructs the matrix and rejects impossible correlations', () => {
+    const m = [[1, 0.6], [0.6, 1]];
+    const L = cholesky(m);
+    expect(L[0][1]).toBe(0);
+    expect(L[1][0] * L[0][0]).toBeCloseTo(0.6, 12);
+    expect(L[1][0] ** 2 + L[1][1] ** 2).toBeCloseTo(1, 12);
+    expect(() => cholesky([[1, 1.2], [1.2, 1]])).toThrow(/positive definite/);
+  });
+
+  test('correlated normals reproduce the target correlation', () => {
+    const rng = createRng(4);
+    const L = cholesky([[1, -0.4], [-0.4, 1]]);
+    const draws = Array.from({ length: N }, () => correlatedNormals(rng, L));
+    const x = draws.map(d => d[0]);
+    const y = draws.map(d => d[1]);
+    const mx = moments(x);
+    const my = moments(y);
+    const cov = x.reduce((s, xi, i) => s + (xi - mx.mean) * (y[i] - my.mean), 0) / (N - 1);
+    expect(cov / (mx.sd * my.sd)).toBeCloseTo(-0.4, 1);
+  });
+});
+
+describe('seeded return sequences', () => {
+  const spec = { trials: 50, years: 30, seed: 99, meanReturn: 0.05, volatility: 0.15 };
+
+  test.each(['normal', 'lognormal', 'studentT'] as const)('%s sequences are reproducible under a seed', (distribution) => {
+    const a = drawReturnSequences({ ...spec, distribution });
+    const b = drawReturnSequences({ ...spec, distribution });
+    expect(a).toEqual(b);
+    expect(a.length).toBe(50);
+    expect(a[0].length).toBe(30);
+    expect(Math.min(...a.flat())).toBeGreaterThanOrEqual(-0.99);
+  });
+
+  test('Monte Carlo paths are identical for the same seed under every distribution', () => {
+    const inp: Inputs = {
+      currentAge: 50, preserveAge: 60, lifeExp: 85,
+      outside0: 600_000, super0: 400_000, annualSavings: 0, realReturn: 0.05,
+      bands: [], bequest: 0
+    };
+    for (const distribution of ['normal', 'lognormal', 'studentT'] as const) {
+      const opts = { trials: 100, seed: 8, retireAge: 55, plan: 55_000, distribution };
+      expect(simulateMonteCarlo(inp, opts)).toEqual(simulateMonteCarlo(inp, opts));
+    }
+  });
+
+  test('student-t requires a finite variance', () => {
+    expect(() => drawReturnSequences({ ...spec, distribution: 'studentT', degreesOfFreedom: 2 })).toThrow(/degreesOfFreedom/);
+  });
+});
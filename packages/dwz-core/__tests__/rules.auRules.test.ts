@@ -0,0 +1,50 @@
+import { describe, test, expect } from 'vitest';
+import {
+  FINANCIAL_YEARS,
+  LATEST_FINANCIAL_YEAR,
+  financialYearLabel,
+  isFinancialYear,
+  preservationAgeFor,
+  rulesForYear
+} from '../src/rules/auRules';
+import { CONTRIBUTION_CAP_RULES } from '../src/super/concessionalCap';
+import { TRANSFER_BALANCE_RULES } from '../src/pension/transferBalance';
+
+describe('rules registry', () => {
+  test('years are ordered and the latest is the default', () => {
+    expect(FINANCIAL_YEARS).toEqual(['2024-25', '2025-26']);
+    expect(LATEST_FINANCIAL_YEAR).toBe('2025-26');
+    expect(rulesForYear()).toBe(rulesForYear('2025-26'));
+  });
+
+  test('financial years roll on 1 July', () => {
+    expect(financialYearLabel(2025, 6)).toBe('2024-25');
+    expect(financialYearLabel(2025, 7)).toBe('2025-26');
+    expect(isFinancialYear('2025-26')).toBe(true);
+    expect(isFinancialYear('2030-31')).toBe(false);
+  });
+
+  test('stage 3 brackets and per-year SG and caps', () => {
+    const fy25 = rulesForYear('2024-25');
+    const fy26 = rulesForYear('2025-26');
+    expect(fy26.incomeTax.map(b => b.from)).toEqual([0, 18_200, 45_000, 135_000, 190_000]);
+    expect(fy26.incomeTax.map(b => b.rate)).toEqual([0, 0.16, 0.30, 0.37, 0.45]);
+    expect([fy25.sgRate, fy26.sgRate]).toEqual([0.115, 0.12]);
+    expect([fy25.caps.transferBalance, fy26.caps.transferBalance]).toEqual([1_900_000, 2_000_000]);
+    expect(fy26.help.method).toBe('marginal');
+    expect(fy26.mls.tiers).toHaveLength(3);
+  });
+
+  test('engine caps resolve through the latest year', () => {
+    expect(CONTRIBUTION_CAP_RULES.concessionalCap).toBe(rulesForYear().caps.concessional);
+    expect(CONTRIBUTION_CAP_RULES.nonConcessionalCap).toBe(rulesForYear().caps.nonConcessional);
+    expect(TRANSFER_BALANCE_RULES.generalCap).toBe(rulesForYear().caps.transferBalance);
+  });
+
+  test('preservation age by date of birth', () => {
+    expect(preservationAgeFor('1960-06-30')).toBe(55);
+    expect(preservationAgeFor('1962-08-01')).toBe(58);
+    expect(preservationAgeFor('1964-07-01')).toBe(60);
+    expect(preservationAgeFor('1990-01-01')).toBe(60);
+  });
+});
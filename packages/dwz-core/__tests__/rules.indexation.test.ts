@@ -0,0 +1,112 @@
+import { describe, test, expect } from 'vitest';
+import { indexedAmount, projectRules } from '../src/rules/indexation';
+import { rulesForYear } from '../src/rules/auRules';
+import { marginalTaxRate } from '../src/tax/incomeTax';
+import { accumulateUntil, salarySacrificeTaxRateFor, simulateRetirement, type Inputs } from '../src/solver';
+import { optimizeSavingsSplitForPlan } from '../src/optimizer/savingsSplit';
+
+const a = { wageGrowth: 0.035, cpi: 0.025 };
+
+describe('indexation', () => {
+  test('today is unchanged', () => {
+    expect(projectRules(0, a)).toEqual(rulesForYear());
+  });
+
+  test('caps move in steps of their nominal rounding', () => {
+    // $30,000 * 1.035 stays under $32,500 for two years, so the cap loses value to inflation until it steps
+    const caps = [0, 1, 2, 3].map(t => projectRules(t, a).caps.concessional);
+    expect(caps[0]).toBe(30_000);
+    expect(caps[1]).toBeCloseTo(30_000 / 1.025, 6);
+    expect(caps[2]).toBeCloseTo(30_000 / 1.025 ** 2, 6);
+    expect(caps[3]).toBeCloseTo(32_500 / 1.025 ** 3, 6);
+    expect(projectRules(3, a).caps.nonConcessional).toBeCloseTo(4 * caps[3], 6);
+    // Transfer balance cap follows CPI in $100,000 steps: $2.1M once CPI passes 5%
+    expect(projectRules(2, a).caps.transferBalance).toBeCloseTo(2_100_000 / 1.025 ** 2, 6);
+  });
+
+  test('unindexed brackets creep down in real terms', () => {
+    const r = projectRules(10, a);
+    expect(r.incomeTax[1].from).toBeCloseTo(18_200 / 1.025 ** 10, 6);
+    expect(r.incomeTax[1].rate).toBe(0.16);
+    expect(indexedAmount(250_000, 10, { index: 'none' }, a)).toBeCloseTo(250_000 / 1.025 ** 10, 6);
+  });
+
+  test('with no growth or inflation nothing moves', () => {
+    expect(projectRules(20, { wageGrowth: 0, cpi: 0 })).toEqual(rulesForYear());
+  });
+});
+
+describe('indexation in the solver', () => {
+  const base: Inputs = {
+    currentAge: 50,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 0,
+    super0: 0,
+    annualSavings: 100_000,
+    realReturn: 0,
+    bands: [],
+    bequest: 0,
+    preFireSavingsSplit: { toSuperPct: 1, capPerPerson: 30_000, eligiblePeople: 1 }
+  };
+
+  test('the concessional cap follows each year\'s projected value', () => {
+    const acc = accumulateUntil({ ...base, indexation: a }, 54);
+    expect(acc.path.map(p => p.concessionalCap)).toEqual([
+      30_000,
+      30_000 / 1.025,
+      30_000 / 1.025 ** 2,
+      32_500 / 1.025 ** 3
+    ].map(x => expect.closeTo(x, 6)));
+    expect(acc.path[1].concessional).toBeCloseTo(30_000 / 1.025, 6);
+    // Without indexation the cap is today's throughout
+    expect(accumulateUntil(base, 54).path[3].concessional).toBe(30_000);
+  });
+
+  test('Division 293 reaches more of a fixed real income over time', () => {
+    const high: Inputs = { ...base, income: 200_000, employerSGGross: 20_000, indexation: a };
+    expect(salarySacrificeTaxRateFor(high, 0)).toBeCloseTo(0.15, 6);
+    // The $250,000 threshold is about $195k in today's dollars after ten years, so $220k is well over it
+    expect(salarySacrificeTaxRateFor(high, 0, 60)).toBeCloseTo(0.30, 6);
+    expect(salarySacrificeTaxRateFor({ ...high, indexation: undefined }, 0, 60)).toBeCloseTo(0.15, 6);
+  });
+
+  test('outside savings and earnings are taxed at each year\'s projected marginal rate', () => {
+    // $40k is in the 16% bracket today; after ten years of unindexed brackets it is in the 30% one
+    const today = marginalTaxRate(40_000);
+    const later = marginalTaxRate(40_000, {}, projectRules(10, a));
+    expect(later).toBeGreaterThan(today + 0.1);
+
+    const saver: Inputs = {
+      ...base, income: 40_000, annualSavings: 10_000,
+      preFireSavingsSplit: { toSuperPct: 0, capPerPerson: 30_000, eligiblePeople: 1, mode: 'grossDeferral', outsideTaxRate: today }
+    };
+    // The path has each year's closing balances
+    const outsideAfter = (inp: Inputs) => [inp.outside0, ...accumulateUntil(inp, 61).path.map(p => p.outside)];
+    const saved = (inp: Inputs, k: number) => outsideAfter(inp)[k + 1] - outsideAfter(inp)[k];
+    expect(saved({ ...saver, indexation: a }, 0)).toBeCloseTo(10_000 * (1 - today), 6);
+    expect(saved({ ...saver, indexation: a }, 10)).toBeCloseTo(10_000 * (1 - later), 6);
+    expect(saved(saver, 10)).toBeCloseTo(10_000 * (1 - today), 6);
+
+    const investor: Inputs = {
+      ...base, income: 40_000, outside0: 100_000, annualSavings: 0, realReturn: 0.04, preFireSavingsSplit: undefined,
+      earningsTax: { outside: { incomeYield: 0.04, taxRate: today } }
+    };
+    const growth = (inp: Inputs, k: number) => outsideAfter(inp)[k + 1] / outsideAfter(inp)[k];
+    expect(growth({ ...investor, indexation: a }, 10)).toBeCloseTo(1.04 - 0.04 * later, 6);
+    expect(growth(investor, 10)).toBeCloseTo(1.04 - 0.04 * today, 6);
+  });
+
+  test('a pension starting later gets that year\'s transfer balance cap', () => {
+    const sim = simulateRetirement({ ...base, indexation: a }, 60, 0, 0, 3_000_000);
+    // 10 years of CPI takes the cap to $2.5M nominal
+    expect(sim.path[0].transferBalance![0]).toBeCloseTo(2_500_000 / 1.025 ** 10, 4);
+  });
+
+  test('the plan optimiser reports the projected cap for each year', () => {
+    const inp: Inputs = { ...base, currentAge: 40, outside0: 300_000, annualSavings: 60_000, realReturn: 0.04, indexation: a };
+    const res = optimizeSavingsSplitForPlan(inp, 50_000, { capPerPerson: 30_000, eligiblePeople: 1 }, { gridPoints: 5, refineIters: 0 });
+    expect(res.capSchedule!.slice(0, 4)).toEqual([30_000, 30_000 / 1.025, 30_000 / 1.025 ** 2, 32_500 / 1.025 ** 3].map(x => expect.closeTo(x, 6)));
+    expect(res.catchUp).toBeUndefined();
+  });
+});
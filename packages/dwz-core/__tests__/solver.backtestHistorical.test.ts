@@ -0,0 +1,82 @@
+import { describe, test, expect } from 'vitest';
+import { backtestHistorical, solveSBaseForAge, AU_HISTORICAL_RETURNS, type HistoricalDataset, type Inputs } from '../src/solver';
+
+const base: Inputs = {
+  currentAge: 45,
+  preserveAge: 60,
+  lifeExp: 85,
+  outside0: 500_000,
+  super0: 400_000,
+  annualSavings: 30_000,
+  realReturn: 0.05,
+  bands: [],
+  bequest: 0
+};
+
+/** Flat synthetic history: every year returns exactly `real` after CPI. */
+function flatHistory(n: number, real: number): HistoricalDataset {
+  return {
+    years: Array.from({ length: n }, (_, i) => ({ year: 1900 + i, equities: real, bonds: real, cpi: 0 }))
+  };
+}
+
+describe('backtestHistorical', () => {
+  test('bundled dataset is local, ordered and complete', () => {
+    const years = AU_HISTORICAL_RETURNS.years;
+    expect(years.length).toBeGreaterThanOrEqual(50);
+    years.forEach((y, i) => {
+      if (i > 0) expect(y.year).toBe(years[i - 1].year + 1);
+      expect(Number.isFinite(y.equities) && Number.isFinite(y.bonds) && Number.isFinite(y.cpi)).toBe(true);
+    });
+  });
+
+  test('one window per starting year that fits the retirement horizon', () => {
+    const res = backtestHistorical(base, flatHistory(40, 0.05), { retireAge: 55 });
+    // 30 retirement years (55 -> 85) fit 11 times in 40 years of history
+    expect(res.windows.length).toBe(11);
+    expect(res.windows[0].startYear).toBe(1900);
+    expect(res.windows[10].startYear).toBe(1910);
+  });
+
+  test('flat history at the assumed return reproduces the deterministic plan', () => {
+    const { sBase } = solveSBaseForAge(base, 55);
+    const res = backtestHistorical(base, flatHistory(35, 0.05), { retireAge: 55 });
+    expect(res.spend).toBeCloseTo(sBase, 6);
+    expect(res.failedWindows).toBe(0);
+    for (const w of res.windows) expect(Math.abs(w.terminalTotal)).toBeLessThan(200);
+  });
+
+  test('poor history fails every window and reports the depletion age', () => {
+    const res = backtestHistorical(base, flatHistory(35, 0.0), { retireAge: 55 });
+    expect(res.failedWindows).toBe(res.windows.length);
+    expect(res.windows.every(w => w.depletedAge !== null)).toBe(true);
+    expect(res.worstStartYear).toBe(1900);
+  });
+
+  test('Australian history: reports worst year, failures and a terminal distribution', () => {
+    const res = backtestHistorical(base, AU_HISTORICAL_RETURNS, { retireAge: 55, plan: 60_000 });
+    expect(res.windows.length).toBe(AU_HISTORICAL_RETURNS.years.length - 30 + 1);
+    expect(res.worstStartYear).not.toBeNull();
+    expect(res.failedWindows).toBe(res.windows.filter(w => w.failed).length);
+    const t = res.terminal;
+    expect(t.min).toBeLessThanOrEqual(t.p10);
+    expect(t.p10).toBeLessThanOrEqual(t.p50);
+    expect(t.p50).toBeLessThanOrEqual(t.p90);
+    expect(t.p90).toBeLessThanOrEqual(t.max);
+    const worst = res.windows.find(w => w.startYear === res.worstStartYear)!;
+    if (res.failedWindows > 0) expect(worst.failed).toBe(true);
+    else expect(worst.terminalTotal).toBe(t.min);
+  });
+
+  test('equity weight changes the replayed returns', () => {
+    const allBonds = backtestHistorical(base, AU_HISTORICAL_RETURNS, { retireAge: 55, plan: 60_000, equityWeight: 0 });
+    const allEquity = backtestHistorical(base, AU_HISTORICAL_RETURNS, { retireAge: 55, plan: 60_000, equityWeight: 1 });
+    expect(allBonds.terminal.p50).not.toBeCloseTo(allEquity.terminal.p50, 0);
+  });
+
+  test('no full window returns an empty result rather than throwing', () => {
+    const res = backtestHistorical(base, flatHistory(10, 0.05), { retireAge: 55 });
+    expect(res.windows).toEqual([]);
+    expect(res.worstStartYear).toBeNull();
+  });
+});
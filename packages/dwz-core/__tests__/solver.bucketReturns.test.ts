@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'vitest';
+import { accumulateUntil, simulateRetirement, computeBridgePV, solveSBaseForAge, type Inputs } from '../src/solver';
+
+const base: Inputs = {
+  currentAge: 40,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 100_000,
+  super0: 100_000,
+  annualSavings: 0,
+  realReturn: 0.05,
+  bands: [{ endAgeIncl: 200, multiplier: 1.0 }],
+  bequest: 0
+};
+
+describe('per-bucket returns and fees', () => {
+  test('accumulation grows each bucket at its own net return', () => {
+    const inp: Inputs = {
+      ...base,
+      bucketReturns: {
+        outside: { gross: 0.07, fees: 0.002 },  // ETFs
+        super: { gross: 0.06, fees: 0.01 }      // balanced industry option
+      }
+    };
+    const res = accumulateUntil(inp, 42);
+    expect(res.outside).toBeCloseTo(100_000 * 1.068 ** 2, 6);
+    expect(res.super).toBeCloseTo(100_000 * 1.05 ** 2, 6);
+  });
+
+  test('without bucketReturns both buckets use realReturn (back-compat)', () => {
+    const res = accumulateUntil(base, 41);
+    expect(res.outside).toBeCloseTo(105_000, 6);
+    expect(res.super).toBeCloseTo(105_000, 6);
+  });
+
+  test('post-retirement allocation applies only once retired', () => {
+    const inp: Inputs = {
+      ...base,
+      bucketReturns: {
+        outside: { gross: 0.07 },
+        super: { gross: 0.07 },
+        postRetire: { super: { gross: 0.04 } }
+      }
+    };
+    const acc = accumulateUntil(inp, 41);
+    expect(acc.super).toBeCloseTo(107_000, 6);
+
+    // The 4% minimum pension payment moves 4,000 from super to outside before growth
+    const sim = simulateRetirement(inp, 60, 0, 100_000, 100_000);
+    expect(sim.path[0].outside).toBeCloseTo(104_000 * 1.07, 6);
+    expect(sim.path[0].super).toBeCloseTo(96_000 * 1.04, 6);
+  });
+
+  test('bridge PV discounts at outside post-retirement net return', () => {
+    const inp: Inputs = {
+      ...base,
+      bucketReturns: {
+        outside: { gross: 0.06, fees: 0.01 },
+        super: { gross: 0.08 },
+        postRetire: { outside: { gross: 0.04, fees: 0.01 } }
+      }
+    };
+    const pv = computeBridgePV(inp, 58, 10_000);
+    expect(pv).toBeCloseTo(10_000 / 1.03 + 10_000 / 1.03 ** 2, 6);
+  });
+
+  test('replayed market returns keep each bucket spread to realReturn', () => {
+    const inp: Inputs = {
+      ...base,
+      bucketReturns: { outside: { gross: 0.07 }, super: { gross: 0.05, fees: 0.01 } },
+      returnPath: [-0.10]
+    };
+    const res = accumulateUntil(inp, 41);
+    // shock = -0.10 - 0.05 = -0.15
+    expect(res.outside).toBeCloseTo(100_000 * (1 - 0.08), 6);
+    expect(res.super).toBeCloseTo(100_000 * (1 - 0.11), 6);
+  });
+
+  test('higher fees on super lower sustainable spend', () => {
+    const cheap: Inputs = { ...base, bucketReturns: { outside: { gross: 0.05 }, super: { gross: 0.05, fees: 0.002 } } };
+    const pricey: Inputs = { ...base, bucketReturns: { outside: { gross: 0.05 }, super: { gross: 0.05, fees: 0.015 } } };
+    expect(solveSBaseForAge(pricey, 60).sBase).toBeLessThan(solveSBaseForAge(cheap, 60).sBase);
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from 'vitest';
+import {
+  accumulateUntil,
+  simulateRetirement,
+  findEarliestViable,
+  superUnlockAges,
+  type Inputs
+} from '../src/solver';
+
+// You are 50, your partner is 42; both preserve at 60, so their super unlocks when you are 68.
+const couple: Inputs = {
+  currentAge: 50,
+  preserveAge: 60,
+  lifeExp: 92,
+  outside0: 600_000,
+  super0: 800_000,
+  annualSavings: 0,
+  realReturn: 0.05,
+  bands: [],
+  bequest: 0,
+  people: [
+    { age: 50, preserveAge: 60, super0: 400_000 },
+    { age: 42, preserveAge: 60, super0: 400_000 }
+  ]
+};
+
+describe('per-person preservation', () => {
+  test('unlock ages are mapped onto the household clock', () => {
+    expect(superUnlockAges(couple)).toEqual([60, 68]);
+    expect(superUnlockAges({ ...couple, people: undefined })).toEqual([60]);
+  });
+
+  test('contributions are shared by SG and tracked per person', () => {
+    const inp: Inputs = {
+      ...couple,
+      realReturn: 0,
+      employerSGGross: 30_000,
+      people: [
+        { ...couple.people![0], employerSGGross: 20_000 },
+        { ...couple.people![1], employerSGGross: 10_000 }
+      ]
+    };
+    const acc = accumulateUntil(inp, 51);
+    const sgNet = 30_000 * 0.85;
+    expect(acc.superByPerson[0]).toBeCloseTo(400_000 + sgNet * 2 / 3, 6);
+    expect(acc.superByPerson[1]).toBeCloseTo(400_000 + sgNet / 3, 6);
+    expect(acc.super).toBeCloseTo(800_000 + sgNet, 6);
+    expect(acc.path[0].superByPerson).toEqual(acc.superByPerson);
+  });
+
+  test('only unlocked super is drawn; the younger partner\'s balance keeps compounding', () => {
+    const sim = simulateRetirement(couple, 55, 150_000, 600_000, [400_000, 400_000]);
+    const at62 = sim.path.find(p => p.age === 62)!;
+    // Your super has been drawn since 60; the partner's is untouched until you are 68
+    expect(at62.superByPerson![0]).toBeLessThan(400_000 * 1.05 ** 7);
+    expect(at62.superByPerson![1]).toBeCloseTo(400_000 * 1.05 ** 7, 6);
+    expect(at62.phase).toBe('bridge');
+    expect(sim.path.find(p => p.age === 69)!.phase).toBe('retire');
+  });
+
+  test('the bridge runs until the last balance unlocks, staged per unlock', () => {
+    const res = findEarliestViable({ ...couple, retireAge: 55 });
+    expect(res).not.toBeNull();
+    const { bridge } = res!;
+    expect(bridge.years).toBe(13);
+    expect(bridge.stages.map(s => s.unlockAge)).toEqual([60, 68]);
+    // Your super counts toward the second stage, not the first
+    const acc = accumulateUntil(couple, 55);
+    expect(bridge.stages[0].have).toBeCloseTo(acc.outside, 6);
+    expect(bridge.stages[1].have).toBeCloseTo(acc.outside + acc.superByPerson[0], 6);
+  });
+
+  test('an age gap delays retirement versus collapsing to the earliest preservation age', () => {
+    const heavySuper: Inputs = {
+      ...couple,
+      outside0: 200_000,
+      super0: 1_400_000,
+      people: [
+        { age: 50, preserveAge: 60, super0: 200_000 },
+        { age: 42, preserveAge: 60, super0: 1_200_000 }
+      ]
+    };
+    const collapsed = findEarliestViable({ ...heavySuper, people: undefined })!;
+    const perPerson = findEarliestViable(heavySuper)!;
+    expect(perPerson.retireAge).toBeGreaterThan(collapsed.retireAge);
+    expect(perPerson.bridge.covered).toBe(true);
+  });
+
+  test('single-pot households are unchanged by the staged bridge', () => {
+    const single = { ...couple, people: undefined };
+    const res = findEarliestViable(single)!;
+    expect(res.bridge.stages).toHaveLength(1);
+    expect(res.bridge.stages[0]).toMatchObject({
+      unlockAge: 60,
+      needPV: res.bridge.needPV,
+      have: res.bridge.have
+    });
+    expect(res.path.every(p => p.superByPerson === undefined)).toBe(true);
+  });
+
+  test('Age Pension is paid per partner as each reaches pension age', () => {
+    const inp: Inputs = { ...couple, outside0: 0, agePension: { couple: true, homeowner: true } };
+    const sim = simulateRetirement(inp, 60, 0, 0, [0, 0]);
+    const youOnly = sim.path.find(p => p.age === 68)!.agePension!;
+    const both = sim.path.find(p => p.age === 76)!.agePension!;
+    expect(youOnly).toBeCloseTo(both / 2, 0);
+  });
+});
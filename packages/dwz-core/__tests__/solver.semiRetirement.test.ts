@@ -0,0 +1,67 @@
+import { describe, test, expect } from 'vitest';
+import { accumulateUntil, findEarliestViable, solveSBaseForAge, type Inputs } from '../src/solver';
+
+const base: Inputs = {
+  currentAge: 50,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 300_000,
+  super0: 500_000,
+  annualSavings: 40_000,
+  employerSGGross: 20_000,
+  realReturn: 0,
+  bands: [],
+  bequest: 0
+};
+
+describe('semi-retirement phase', () => {
+  test('part-time years scale SG and savings and are tagged "semi"', () => {
+    const inp: Inputs = { ...base, semiRetirement: { startAge: 52, incomeFraction: 0.6 } };
+    const acc = accumulateUntil(inp, 54);
+    expect(acc.path.map(p => p.phase)).toEqual(['accum', 'accum', 'semi', 'semi']);
+
+    const fullYears = 2 * (40_000 + 20_000 * 0.85);
+    const semiYears = 2 * (40_000 * 0.6 + 20_000 * 0.6 * 0.85);
+    expect(acc.outside + acc.super).toBeCloseTo(800_000 + fullYears + semiYears, 6);
+  });
+
+  test('explicit part-time savings can be negative and draw down outside', () => {
+    const inp: Inputs = { ...base, employerSGGross: 0, semiRetirement: { startAge: 50, incomeFraction: 0.5, savings: -10_000 } };
+    const acc = accumulateUntil(inp, 52);
+    expect(acc.outside).toBeCloseTo(280_000, 6);
+  });
+
+  test('TTR draws only after preservation age, within 4%-10% of super', () => {
+    const inp: Inputs = {
+      ...base,
+      currentAge: 58,
+      employerSGGross: 0,
+      annualSavings: 0,
+      semiRetirement: { startAge: 58, incomeFraction: 0.6, ttrDraw: 200_000 }
+    };
+    const acc = accumulateUntil(inp, 62);
+    expect(acc.path[0].ttrDraw).toBeUndefined();   // age 58 -> 59: still preserved
+    expect(acc.path[1].ttrDraw).toBeUndefined();
+    expect(acc.path[2].ttrDraw).toBeCloseTo(50_000, 6); // capped at 10% of 500k
+    expect(acc.path[3].ttrDraw).toBeCloseTo(45_000, 6);
+    expect(acc.outside).toBeCloseTo(300_000 + 95_000, 6);
+
+    const small = accumulateUntil({ ...inp, semiRetirement: { ...inp.semiRetirement!, ttrDraw: 1_000 } }, 61);
+    expect(small.path[2].ttrDraw).toBeCloseTo(20_000, 6); // lifted to the 4% minimum
+  });
+
+  test('going part-time lowers sustainable spend at the same retirement age', () => {
+    const withReturns: Inputs = { ...base, realReturn: 0.05 };
+    const full = solveSBaseForAge(withReturns, 58).sBase;
+    const partTime = solveSBaseForAge({ ...withReturns, semiRetirement: { startAge: 54, incomeFraction: 0.6 } }, 58).sBase;
+    expect(partTime).toBeLessThan(full);
+  });
+
+  test('semi phase appears in the solved lifecycle path before retirement', () => {
+    const res = findEarliestViable({ ...base, realReturn: 0.05, retireAge: 58, semiRetirement: { startAge: 55, incomeFraction: 0.6 } })!;
+    const phases = res.path.map(p => p.phase);
+    expect(phases.filter(p => p === 'semi')).toHaveLength(3);
+    expect(phases.indexOf('semi')).toBeGreaterThan(phases.lastIndexOf('accum'));
+    expect(phases.indexOf('bridge')).toBeGreaterThan(phases.lastIndexOf('semi'));
+  });
+});
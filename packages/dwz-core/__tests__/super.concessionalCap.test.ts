@@ -0,0 +1,97 @@
+import { describe, test, expect } from 'vitest';
+import { carryForwardHeadroom, concessionalCapSchedule } from '../src/super/concessionalCap';
+import { optimizeSavingsSplitForPlan } from '../src/optimizer/savingsSplit';
+import { accumulateUntil, type Inputs } from '../src/solver';
+
+describe('carry-forward concessional cap', () => {
+  test('unused cap from the last five years is available under the $500k balance test', () => {
+    const history = { contributions: [0, 30_000, 10_000, 20_000, 15_000, 5_000], totalSuperBalance: 300_000 };
+    expect(carryForwardHeadroom(history)).toBe(20_000 + 10_000 + 15_000 + 25_000);
+    expect(carryForwardHeadroom({ ...history, totalSuperBalance: 500_000 })).toBe(0);
+    expect(carryForwardHeadroom({ ...history, caps: [25_000, 25_000, 25_000, 27_500, 27_500, 30_000] })).toBe(15_000 + 7_500 + 12_500 + 25_000);
+  });
+
+  test('schedule rolls the window forward and uses the oldest amounts first', () => {
+    const history = { contributions: [30_000, 30_000, 30_000, 30_000, 10_000], totalSuperBalance: 100_000 };
+    const sched = concessionalCapSchedule(history, 3, { baseline: [50_000, 10_000, 10_000] });
+    expect(sched[0]).toEqual({ cap: 30_000, carryForward: 20_000, available: 50_000 });
+    // Year 0 used the 20k carried amount; its own cap was full
+    expect(sched[1].carryForward).toBe(0);
+    // Year 1 left 20k unused
+    expect(sched[2].carryForward).toBe(20_000);
+  });
+
+  test('schedule drops carry-forward once the projected balance reaches $500k', () => {
+    const history = { contributions: [0, 0], totalSuperBalance: 450_000 };
+    const sched = concessionalCapSchedule(history, 2, { balances: [450_000, 520_000] });
+    expect(sched.map(y => y.available)).toEqual([90_000, 30_000]);
+  });
+});
+
+describe('carry-forward in accumulation and the plan optimiser', () => {
+  const base: Inputs = {
+    currentAge: 40,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 100_000,
+    super0: 150_000,
+    annualSavings: 30_000,
+    employerSGGross: 12_000,
+    realReturn: 0,
+    bands: [],
+    bequest: 0,
+    concessionalHistory: { contributions: [12_000, 12_000, 12_000, 12_000, 12_000], totalSuperBalance: 150_000 }
+  };
+
+  test('carry-forward lifts the salary-sacrifice limit until the carried amounts are used', () => {
+    const split = { toSuperPct: 1, capPerPerson: 30_000, eligiblePeople: 1, carryForward: true };
+    const acc = accumulateUntil({ ...base, annualSavings: 60_000, preFireSavingsSplit: split }, 44);
+    expect(acc.path.map(p => p.concessionalCap)).toEqual([120_000, 78_000, 36_000, 30_000]);
+    expect(acc.path.map(p => p.concessional)).toEqual([72_000, 72_000, 36_000, 30_000]);
+    // Without the flag the history is ignored
+    const plain = accumulateUntil({ ...base, annualSavings: 60_000, preFireSavingsSplit: { ...split, carryForward: false } }, 41);
+    expect(plain.path[0].concessional).toBeCloseTo(30_000, 6);
+    expect(plain.path[0].concessionalCap).toBeUndefined();
+  });
+
+  test('no carry-forward once the balance reaches $500k', () => {
+    const split = { toSuperPct: 1, capPerPerson: 30_000, eligiblePeople: 1, carryForward: true };
+    const inp = { ...base, annualSavings: 60_000, preFireSavingsSplit: split };
+    const rich = accumulateUntil({ ...inp, concessionalHistory: { ...base.concessionalHistory!, totalSuperBalance: 500_000 } }, 41);
+    expect(rich.path[0].concessionalCap).toBe(30_000);
+    // Live balances drive later years
+    const grown = accumulateUntil({ ...inp, super0: 480_000 }, 42);
+    expect(grown.path[0].concessionalCap).toBe(120_000);
+    expect(grown.path[1].concessionalCap).toBe(30_000);
+  });
+
+  test('windfalls fill spare cap as deductible contributions when asked', () => {
+    const inp: Inputs = {
+      ...base,
+      annualSavings: 0,
+      concessionalHistory: { contributions: [0, 30_000, 30_000, 30_000, 30_000], totalSuperBalance: 150_000 },
+      futureInflows: [{ ageYou: 40, amount: 50_000 }],
+      preFireSavingsSplit: { toSuperPct: 0, capPerPerson: 30_000, eligiblePeople: 1, carryForward: true, catchUpInflows: true, outsideTaxRate: 0.37 }
+    };
+    const acc = accumulateUntil(inp, 41);
+    expect(acc.path[0].concessional).toBeCloseTo(60_000, 6);
+    expect(acc.super).toBeCloseTo(150_000 + 60_000 * 0.85, 6);
+    expect(acc.outside).toBeCloseTo(100_000 + 50_000 - 48_000 * 0.63, 6);
+  });
+
+  test('the plan optimiser reports catch-up years from the history', () => {
+    const res = optimizeSavingsSplitForPlan(
+      { ...base, realReturn: 0.05, annualSavings: 60_000 },
+      60_000,
+      { capPerPerson: 30_000, eligiblePeople: 1, outsideTaxRate: 0.37 },
+      { gridPoints: 5, refineIters: 0 }
+    );
+    expect(res.recommendedPct).toBeGreaterThanOrEqual(0.4);
+    expect(res.catchUp?.years[0]).toMatchObject({ age: 40, standardCap: 30_000, available: 120_000 });
+    expect(res.catchUp!.years[0].contributions).toBeGreaterThan(30_000);
+    // The schedule runs down as the carried amounts are used, then settles at the standard cap
+    expect(res.capSchedule![1]).toBeLessThan(120_000);
+    expect(res.capSchedule![res.capSchedule!.length - 1]).toBe(30_000);
+    expect(optimizeSavingsSplitForPlan({ ...base, concessionalHistory: undefined }, 60_000, { capPerPerson: 30_000, eligiblePeople: 1 }, { gridPoints: 5, refineIters: 0 }).capSchedule).toBeUndefined();
+  });
+});
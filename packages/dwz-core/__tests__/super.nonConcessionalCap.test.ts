@@ -0,0 +1,79 @@
+import { describe, test, expect } from 'vitest';
+import { applyNonConcessional, bringForwardYears } from '../src/super/nonConcessionalCap';
+import { accumulateUntil, simulateRetirement, type Inputs } from '../src/solver';
+
+describe('non-concessional cap', () => {
+  test('bring-forward years step down as the balance nears the transfer balance cap', () => {
+    expect(bringForwardYears(0)).toBe(3);
+    expect(bringForwardYears(1_759_999)).toBe(3);
+    expect(bringForwardYears(1_760_000)).toBe(2);
+    expect(bringForwardYears(1_880_000)).toBe(1);
+    expect(bringForwardYears(2_000_000)).toBe(0);
+    expect(bringForwardYears(1_600_000, undefined, 1_800_000)).toBe(2);
+  });
+
+  test('a year within the annual cap does not open a bring-forward period', () => {
+    expect(applyNonConcessional(100_000, 0, 50, undefined)).toEqual({ accepted: 100_000, excess: 0 });
+  });
+
+  test('a year above the annual cap brings forward the next two years', () => {
+    const first = applyNonConcessional(300_000, 0, 50, undefined);
+    expect(first).toEqual({ accepted: 300_000, excess: 0, period: { startAge: 50, cap: 360_000, used: 300_000 } });
+    // Only the period's unused cap is left inside it
+    const second = applyNonConcessional(100_000, 0, 52, first.period);
+    expect(second.accepted).toBe(60_000);
+    expect(second.excess).toBe(40_000);
+    // Once it ends the annual cap is back
+    expect(applyNonConcessional(100_000, 0, 53, second.period).accepted).toBe(100_000);
+  });
+
+  test('large balances and the age limit shrink or remove the cap', () => {
+    expect(applyNonConcessional(500_000, 1_800_000, 50, undefined).accepted).toBe(240_000);
+    expect(applyNonConcessional(500_000, 1_900_000, 50, undefined)).toEqual({ accepted: 120_000, excess: 380_000 });
+    expect(applyNonConcessional(50_000, 2_000_000, 50, undefined).excess).toBe(50_000);
+    expect(applyNonConcessional(50_000, 0, 75, undefined).excess).toBe(50_000);
+  });
+});
+
+describe('super inflows in the solver', () => {
+  const base: Inputs = {
+    currentAge: 50,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 0,
+    super0: 200_000,
+    annualSavings: 0,
+    realReturn: 0,
+    bands: [],
+    bequest: 0
+  };
+
+  test('the excess over the bring-forward cap spills to outside', () => {
+    const acc = accumulateUntil({ ...base, futureInflows: [{ ageYou: 50, amount: 500_000, to: 'super' }] }, 52);
+    expect(acc.super).toBeCloseTo(560_000, 6);
+    expect(acc.outside).toBeCloseTo(140_000, 6);
+    expect(acc.path[0].nonConcessionalExcess).toBeCloseTo(140_000, 6);
+    expect(acc.path[1].nonConcessionalExcess).toBeUndefined();
+  });
+
+  test('inflows at the same age share one year\'s cap and later years use what is left', () => {
+    const acc = accumulateUntil({
+      ...base,
+      futureInflows: [
+        { ageYou: 50, amount: 200_000, to: 'super' },
+        { ageYou: 50, amount: 100_000, to: 'super' },
+        { ageYou: 51, amount: 100_000, to: 'super' }
+      ]
+    }, 52);
+    expect(acc.path[0].nonConcessionalExcess).toBeUndefined();
+    expect(acc.path[1].nonConcessionalExcess).toBeCloseTo(40_000, 6);
+    expect(acc.super).toBeCloseTo(560_000, 6);
+  });
+
+  test('drawdown inflows use the retirement-phase balance and the age limit', () => {
+    const inp: Inputs = { ...base, currentAge: 70, futureInflows: [{ ageYou: 72, amount: 50_000, to: 'super' }, { ageYou: 76, amount: 50_000, to: 'super' }] };
+    const sim = simulateRetirement(inp, 70, 0, 0, 200_000);
+    expect(sim.path.find(p => p.age === 72)!.nonConcessionalExcess).toBeUndefined();
+    expect(sim.path.find(p => p.age === 76)!.nonConcessionalExcess).toBeCloseTo(50_000, 6);
+  });
+});
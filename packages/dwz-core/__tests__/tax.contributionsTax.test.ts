@@ -0,0 +1,95 @@
+import { describe, test, expect } from 'vitest';
+import { div293Tax, contributionsTax, salarySacrificeTaxRate } from '../src/tax/contributionsTax';
+import { allocateConcessionalByMTR } from '../src/optimizer/allocateConcessional';
+import { optimizeSavingsSplit } from '../src/optimizer/savingsSplit';
+import { accumulateUntil, salarySacrificeTaxRateFor, type Inputs } from '../src/solver';
+
+describe('Division 293', () => {
+  test('taxes the lesser of contributions and the excess over $250k', () => {
+    expect(div293Tax(200_000, 30_000)).toBe(0);
+    expect(div293Tax(240_000, 30_000)).toBeCloseTo(3_000, 6);   // 20k over
+    expect(div293Tax(400_000, 30_000)).toBeCloseTo(4_500, 6);   // all 30k
+    expect(contributionsTax(400_000, 30_000)).toBeCloseTo(9_000, 6);
+  });
+
+  test('salary sacrifice rate: 30% for dollars inside the excess, 15% otherwise', () => {
+    expect(salarySacrificeTaxRate(120_000, 13_800, 10_000)).toBeCloseTo(0.15, 10);
+    expect(salarySacrificeTaxRate(300_000, 30_000, 10_000)).toBeCloseTo(0.30, 10);
+    // 240k + 27.6k SG is 17.6k over and the SG already absorbs it
+    expect(salarySacrificeTaxRate(240_000, 27_600, 2_400)).toBeCloseTo(0.15, 10);
+    // Next-dollar rate when nothing is sacrificed
+    expect(salarySacrificeTaxRate(300_000, 0, 0)).toBeCloseTo(0.30, 10);
+  });
+});
+
+describe('Division 293 in accumulation', () => {
+  const base: Inputs = {
+    currentAge: 40,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 0,
+    super0: 0,
+    annualSavings: 0,
+    employerSGGross: 30_000,
+    realReturn: 0,
+    bands: [],
+    bequest: 0
+  };
+
+  test('no income means the flat 15% as before', () => {
+    expect(accumulateUntil(base, 41).super).toBeCloseTo(25_500, 6);
+  });
+
+  test('high earners pay another 15% on SG', () => {
+    expect(accumulateUntil({ ...base, income: 300_000 }, 41).super).toBeCloseTo(21_000, 6);
+  });
+
+  test('each partner is assessed on their own income', () => {
+    const couple: Inputs = {
+      ...base,
+      employerSGGross: 40_000,
+      people: [
+        { age: 40, preserveAge: 60, super0: 0, employerSGGross: 30_000, income: 300_000 },
+        { age: 40, preserveAge: 60, super0: 0, employerSGGross: 10_000, income: 100_000 }
+      ]
+    };
+    const acc = accumulateUntil(couple, 41);
+    expect(acc.superByPerson[0]).toBeCloseTo(21_000, 6);
+    expect(acc.superByPerson[1]).toBeCloseTo(8_500, 6);
+  });
+
+  test('salary sacrifice is surcharged unless a flat contribTaxRate is given', () => {
+    const inp: Inputs = {
+      ...base,
+      income: 300_000,
+      employerSGGross: 0,
+      annualSavings: 20_000,
+      preFireSavingsSplit: { toSuperPct: 1, capPerPerson: 30_000, eligiblePeople: 1 }
+    };
+    expect(accumulateUntil(inp, 41).super).toBeCloseTo(14_000, 6);
+    const flat = { ...inp, preFireSavingsSplit: { ...inp.preFireSavingsSplit!, contribTaxRate: 0.15 } };
+    expect(accumulateUntil(flat, 41).super).toBeCloseTo(17_000, 6);
+  });
+});
+
+describe('Division 293 in the split optimisers', () => {
+  test('the reported contributions tax rate reflects Division 293', () => {
+    const inp: Inputs = {
+      currentAge: 40, preserveAge: 60, lifeExp: 90, outside0: 200_000, super0: 300_000,
+      annualSavings: 60_000, employerSGGross: 30_000, realReturn: 0.05, bands: [], bequest: 0
+    };
+    const policy = { capPerPerson: 30_000, eligiblePeople: 1 };
+    expect(optimizeSavingsSplit(inp, policy, { gridPoints: 5, refineIters: 0 }).constraints.contribTaxRate).toBeCloseTo(0.15, 10);
+    expect(optimizeSavingsSplit({ ...inp, income: 300_000 }, policy, { gridPoints: 5, refineIters: 0 }).constraints.contribTaxRate).toBeCloseTo(0.30, 10);
+    expect(salarySacrificeTaxRateFor({ ...inp, income: 300_000 }, 0)).toBeCloseTo(0.30, 10);
+  });
+
+  test('allocator prefers the partner who saves more after contributions tax', () => {
+    const res = allocateConcessionalByMTR(10_000, [
+      { id: 0, headroom: 10_000, mtr: 0.47, contribTaxRate: 0.30 },  // Div 293: saves 17c per dollar
+      { id: 1, headroom: 10_000, mtr: 0.39, contribTaxRate: 0.15 }   // saves 24c
+    ]);
+    expect(res.perPerson.find(p => p.id === 1)!.ssGross).toBe(10_000);
+    expect(res.perPerson.find(p => p.id === 0)!.ssGross).toBe(0);
+  });
+});
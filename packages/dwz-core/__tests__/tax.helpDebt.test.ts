@@ -0,0 +1,72 @@
+import { describe, test, expect } from 'vitest';
+import { helpDebtYear, helpRealIndexation } from '../src/tax/helpDebt';
+import { helpDebtImpact } from '../src/planning/helpDebtImpact';
+import { accumulateUntil, type Inputs } from '../src/solver';
+
+const single: Inputs = {
+  currentAge: 30,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 50_000,
+  super0: 100_000,
+  annualSavings: 30_000,
+  realReturn: 0,
+  bands: [],
+  bequest: 0,
+  income: 100_000,
+  help: { balance: 20_000 }
+};
+
+describe('HELP debt', () => {
+  test('a year of compulsory and voluntary repayments, then indexation', () => {
+    expect(helpDebtYear(30_000, 100_000)).toEqual({ compulsory: 4_950, voluntary: 0, closing: 25_050 });
+    expect(helpDebtYear(30_000, 100_000, 5_000).closing).toBeCloseTo(20_050, 6);
+    // Neither repayment goes past the balance
+    expect(helpDebtYear(3_000, 100_000, 5_000)).toEqual({ compulsory: 3_000, voluntary: 0, closing: 0 });
+    expect(helpDebtYear(6_000, 100_000, 5_000).voluntary).toBeCloseTo(1_050, 6);
+    expect(helpDebtYear(10_000, 60_000).closing).toBe(10_000);
+  });
+
+  test('indexed by the lower of CPI and wages, so it never grows in real terms', () => {
+    expect(helpRealIndexation()).toBe(0);
+    expect(helpRealIndexation({ wageGrowth: 0.035, cpi: 0.025 })).toBe(0);
+    expect(helpRealIndexation({ wageGrowth: 0.02, cpi: 0.03 })).toBeCloseTo(1.02 / 1.03 - 1, 12);
+    expect(helpDebtYear(10_000, 0, 0, helpRealIndexation({ wageGrowth: 0.02, cpi: 0.03 })).closing).toBeCloseTo(10_000 * 1.02 / 1.03, 6);
+  });
+
+  test('repayments come out of savings outside until the debt clears', () => {
+    const { path } = accumulateUntil(single, 37);
+    expect(path.map(p => p.helpDebt![0])).toEqual([15_050, 10_100, 5_150, 200, 0, 0, 0]);
+    expect(path[0].helpRepayment).toBe(4_950);
+    expect(path[4].helpRepayment).toBe(200);
+    expect(path[0].outside).toBe(50_000 + 30_000 - 4_950);
+    expect(path[6].outside).toBe(50_000 + 7 * 30_000 - 20_000);
+    expect(accumulateUntil({ ...single, help: undefined }, 31).path[0].helpDebt).toBeUndefined();
+  });
+
+  test('voluntary repayments clear it sooner; nothing is repaid once work stops', () => {
+    const { path } = accumulateUntil({ ...single, help: { balance: 20_000, voluntary: 5_050 } }, 33);
+    expect(path.map(p => p.helpDebt![0])).toEqual([10_000, 0, 0]);
+    const couple: Inputs = {
+      ...single,
+      income: undefined,
+      help: undefined,
+      people: [
+        { age: 30, preserveAge: 60, super0: 50_000, income: 100_000, retireAge: 31 },
+        { age: 30, preserveAge: 60, super0: 50_000, income: 100_000, help: { balance: 20_000 } }
+      ]
+    };
+    const both = accumulateUntil({ ...couple, people: [{ ...couple.people![0], help: { balance: 20_000 } }, couple.people![1]] }, 33);
+    expect(both.path.map(p => p.helpDebt)).toEqual([[15_050, 15_050], [15_050, 10_100], [15_050, 5_150]]);
+  });
+
+  test('payoff ages and the cost in earliest retirement age', () => {
+    const impact = helpDebtImpact({ ...single, help: { balance: 40_000 } }, 40_000)!;
+    expect(impact.earliestAgeWithoutDebt).not.toBeNull();
+    expect(impact.earliestAge!).toBeGreaterThanOrEqual(impact.earliestAgeWithoutDebt!);
+    expect(impact.spend).toBeGreaterThan(0);
+    // 40,000 at 4,950 a year takes nine years
+    expect(impact.payoffs).toEqual([{ person: 0, balance: 40_000, payoffAge: 39 }]);
+    expect(helpDebtImpact({ ...single, help: undefined })).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, test, expect } from 'vitest';
+import { incomeTax, householdIncomeTax, marginalTaxRate, helpRepayment, medicareLevy, mlsTier } from '../src/tax/incomeTax';
+import { compareHospitalCover } from '../src/tax/hospitalCover';
+import { rulesForYear } from '../src/rules/auRules';
+
+describe('income tax', () => {
+  test('stage 3 brackets and the full Medicare levy at $100k', () => {
+    const t = incomeTax(100_000, { hasPrivateHealth: true });
+    expect(t.grossTax).toBeCloseTo(20_788, 6);
+    expect(t.lito).toBe(0);
+    expect(t.medicare).toBeCloseTo(2_000, 6);
+    expect(t.netTax).toBeCloseTo(22_788, 6);
+    expect(t.takeHome).toBeCloseTo(77_212, 6);
+  });
+
+  test('LITO and the Medicare shade-in at low incomes', () => {
+    const t = incomeTax(40_000, { hasPrivateHealth: true });
+    expect(t.grossTax).toBeCloseTo(3_488, 6);
+    expect(t.lito).toBeCloseTo(575, 6);
+    expect(t.medicare).toBeCloseTo(800, 6);
+    // Shaded in at 10% of income above $27,222
+    expect(medicareLevy(30_000)).toBeCloseTo(277.8, 6);
+    expect(incomeTax(18_200).netTax).toBe(0);
+  });
+
+  test('offsets cannot take tax below zero', () => {
+    const t = incomeTax(20_000);
+    expect(t.grossTax).toBeCloseTo(288, 6);
+    expect(t.lito).toBeCloseTo(288, 6);
+    expect(t.netTax).toBe(0);
+  });
+
+  test('SAPTO and the senior Medicare threshold from pension age', () => {
+    const t = incomeTax(45_000, { hasPrivateHealth: true, age: 70 });
+    expect(t.lito).toBeCloseTo(325, 6);
+    expect(t.sapto).toBeCloseTo(2_230 - 0.125 * (45_000 - 34_919), 6);
+    expect(t.medicare).toBeCloseTo(198, 6);
+    expect(incomeTax(32_000, { age: 70 }).netTax).toBe(0);
+    expect(incomeTax(32_000, { age: 60 }).sapto).toBe(0);
+  });
+
+  test('MLS uses the highest tier passed; HELP follows the year\'s method', () => {
+    expect(incomeTax(120_000).mls).toBeCloseTo(1_500, 6);
+    expect(incomeTax(120_000, { hasPrivateHealth: true }).mls).toBe(0);
+    const t = incomeTax(100_000, { hasPrivateHealth: true, helpDebt: 50_000 });
+    expect(t.help).toBeCloseTo(4_950, 6);
+    expect(t.takeHome).toBeCloseTo(100_000 - 22_788 - 4_950, 6);
+    expect(helpRepayment(100_000, 50_000, rulesForYear('2024-25'))).toBeCloseTo(5_500, 6);
+    expect(helpRepayment(100_000, 1_000)).toBe(1_000);
+  });
+
+  test('marginal rate includes Medicare shade-in and LITO withdrawal', () => {
+    expect(marginalTaxRate(30_000)).toBeCloseTo(0.26, 6);
+    expect(marginalTaxRate(40_000)).toBeCloseTo(0.23, 6);
+    expect(marginalTaxRate(50_000)).toBeCloseTo(0.335, 6);
+    expect(marginalTaxRate(100_000)).toBeCloseTo(0.32, 6);
+    expect(marginalTaxRate(200_000)).toBeCloseTo(0.47, 6);
+  });
+
+  test('a breakdown per person', () => {
+    const [a, b] = householdIncomeTax([{ income: 100_000, hasPrivateHealth: true }, { income: 40_000, hasPrivateHealth: true }]);
+    expect(a.netTax).toBeCloseTo(22_788, 6);
+    expect(b.lito).toBeCloseTo(575, 6);
+  });
+});
+
+describe('Medicare levy surcharge', () => {
+  test('three single tiers on taxable income, tested on income including reportable super', () => {
+    expect(incomeTax(100_000).mls).toBe(0);
+    expect(incomeTax(110_000).mls).toBeCloseTo(1_100, 6);
+    expect(incomeTax(130_000).mls).toBeCloseTo(1_625, 6);
+    expect(incomeTax(160_000).mls).toBeCloseTo(2_400, 6);
+    const t = incomeTax(95_000, { reportableSuper: 10_000 });
+    expect(t.mlsIncome).toBe(105_000);
+    expect(t.mls).toBeCloseTo(950, 6);
+  });
+
+  test('couples use the family thresholds on combined income', () => {
+    expect(incomeTax(120_000, { couple: true, partnerMlsIncome: 60_000 }).mls).toBe(0);
+    expect(incomeTax(150_000, { couple: true, partnerMlsIncome: 80_000 }).mls).toBeCloseTo(1_500, 6);
+    expect(incomeTax(80_000, { couple: true, partnerMlsIncome: 150_000 }).mls).toBeCloseTo(800, 6);
+  });
+
+  test('each dependent child after the first raises the family thresholds', () => {
+    expect(mlsTier(0, { familyIncome: 204_000 })).toBe(1);
+    expect(mlsTier(0, { familyIncome: 204_000, dependentChildren: 1 })).toBe(1);
+    expect(mlsTier(0, { familyIncome: 204_000, dependentChildren: 3 })).toBe(0);
+    expect(mlsTier(0, { familyIncome: 320_000, dependentChildren: 3 })).toBe(3);
+    // a single parent is tested as a family
+    expect(incomeTax(150_000, { dependentChildren: 1 }).mls).toBe(0);
+  });
+
+  test('hospital cover against the surcharge, per partner', () => {
+    const [single] = compareHospitalCover([{ income: 130_000 }], 1_500);
+    expect(single.tier).toBe(2);
+    expect(single.surcharge).toBeCloseTo(1_625, 6);
+    expect(single.coverIsCheaper).toBe(true);
+    expect(single.saving).toBeCloseTo(125, 6);
+
+    const [a, b] = compareHospitalCover([{ income: 150_000, reportableSuper: 20_000 }, { income: 60_000 }], 1_500);
+    expect(a.mlsIncome).toBe(170_000);
+    expect(a.tier).toBe(1);
+    expect(a.surcharge).toBeCloseTo(1_500, 6);
+    expect(a.coverIsCheaper).toBe(false);
+    expect(b.surcharge).toBeCloseTo(600, 6);
+    expect(b.coverIsCheaper).toBe(false);
+    expect(b.saving).toBeCloseTo(900, 6);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test, expect } from 'vitest';
+import { earningsTaxDrag, CGT_DISCOUNT_INDIVIDUAL, CGT_DISCOUNT_SUPER } from '../src/tax/investmentTax';
+import { accumulateUntil, simulateRetirement, solveSBaseForAge, type Inputs } from '../src/solver';
+
+describe('earningsTaxDrag', () => {
+  test('unfranked income taxed at the marginal rate, unrealised growth untaxed', () => {
+    const drag = earningsTaxDrag(0.07, { incomeYield: 0.03 }, 0.37, CGT_DISCOUNT_INDIVIDUAL);
+    expect(drag).toBeCloseTo(0.03 * 0.37, 10);
+  });
+
+  test('franking credits are grossed up and offset tax', () => {
+    // 4% fully franked: credit = 0.04 * 0.3/0.7; tax = (income + credit) * 15% - credit
+    const credit = 0.04 * 0.3 / 0.7;
+    const drag = earningsTaxDrag(0.07, { incomeYield: 0.04, frankingPct: 1 }, 0.15, CGT_DISCOUNT_SUPER);
+    expect(drag).toBeCloseTo((0.04 + credit) * 0.15 - credit, 10);
+    expect(drag).toBeLessThan(0);
+  });
+
+  test('retirement phase (0%) refunds franking credits in full', () => {
+    const drag = earningsTaxDrag(0.06, { incomeYield: 0.035, frankingPct: 1 }, 0, CGT_DISCOUNT_SUPER);
+    expect(drag).toBeCloseTo(-0.035 * 0.3 / 0.7, 10);
+  });
+
+  test('realised gains use the CGT discount; capital losses are not deducted', () => {
+    const gain = earningsTaxDrag(0.10, { incomeYield: 0.02, turnover: 0.5 }, 0.30, CGT_DISCOUNT_INDIVIDUAL);
+    expect(gain).toBeCloseTo(0.02 * 0.30 + 0.08 * 0.5 * 0.5 * 0.30, 10);
+
+    const loss = earningsTaxDrag(-0.20, { incomeYield: 0.02, turnover: 1 }, 0.30, CGT_DISCOUNT_INDIVIDUAL);
+    expect(loss).toBeCloseTo(0.02 * 0.30, 10);
+
+    const superGain = earningsTaxDrag(0.10, { incomeYield: 0, turnover: 1 }, 0.15, CGT_DISCOUNT_SUPER);
+    expect(superGain).toBeCloseTo(0.10 * (2 / 3) * 0.15, 10);
+  });
+});
+
+describe('earnings tax inside the solver', () => {
+  const base: Inputs = {
+    currentAge: 40,
+    preserveAge: 60,
+    lifeExp: 90,
+    outside0: 100_000,
+    super0: 100_000,
+    annualSavings: 0,
+    realReturn: 0.06,
+    bands: [],
+    bequest: 0
+  };
+  const profile = { incomeYield: 0.04 };
+
+  test('accumulation: super at 15%, outside at the marginal rate', () => {
+    const inp: Inputs = { ...base, earningsTax: { outside: { ...profile, taxRate: 0.37 }, super: profile } };
+    const res = accumulateUntil(inp, 41);
+    expect(res.outside).toBeCloseTo(100_000 * (1.06 - 0.04 * 0.37), 6);
+    expect(res.super).toBeCloseTo(100_000 * (1.06 - 0.04 * 0.15), 6);
+  });
+
+  test('retirement: super is tax-free after preservation, outside uses the retired rate', () => {
+    const inp: Inputs = {
+      ...base,
+      earningsTax: { outside: { ...profile, taxRate: 0.37, retiredTaxRate: 0.19 }, super: profile }
+    };
+    const bridge = simulateRetirement(inp, 55, 0, 100_000, 100_000);
+    expect(bridge.path[0].super).toBeCloseTo(100_000 * (1.06 - 0.04 * 0.15), 6);
+    expect(bridge.path[0].outside).toBeCloseTo(100_000 * (1.06 - 0.04 * 0.19), 6);
+
+    // Retirement phase pays the 4% minimum, then compounds tax-free
+    const pension = simulateRetirement(inp, 60, 0, 100_000, 100_000);
+    expect(pension.path[0].super).toBeCloseTo(96_000 * 1.06, 6);
+  });
+
+  test('no earningsTax keeps tax-free compounding (back-compat)', () => {
+    const res = accumulateUntil(base, 41);
+    expect(res.outside).toBeCloseTo(106_000, 6);
+    expect(res.super).toBeCloseTo(106_000, 6);
+  });
+
+  test('taxing outside earnings lowers sustainable spend', () => {
+    const taxed: Inputs = { ...base, earningsTax: { outside: { ...profile, taxRate: 0.47 } } };
+    expect(solveSBaseForAge(taxed, 55).sBase).toBeLessThan(solveSBaseForAge(base, 55).sBase);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, test, expect } from 'vitest';
+import { lumpSumTax, redundancyTaxFree, etpTax } from '../src/tax/lumpSums';
+import { additionalIncomeTax } from '../src/tax/incomeTax';
+import { rulesForYear } from '../src/rules/auRules';
+import { projectRules } from '../src/rules/indexation';
+import { accumulateUntil, type Inputs } from '../src/solver';
+
+const single: Inputs = {
+  currentAge: 40,
+  preserveAge: 60,
+  lifeExp: 90,
+  outside0: 100_000,
+  super0: 100_000,
+  annualSavings: 20_000,
+  realReturn: 0,
+  bands: [],
+  bequest: 0,
+  income: 100_000
+};
+
+describe('lump sum taxes', () => {
+  test('inheritances and untyped inflows are untaxed; a gift out leaves savings', () => {
+    expect(lumpSumTax({ amount: 300_000 })).toEqual({ taxFree: 300_000, taxable: 0, tax: 0, net: 300_000 });
+    expect(lumpSumTax({ amount: 300_000, type: 'inheritance' }, { otherIncome: 200_000 }).net).toBe(300_000);
+    expect(lumpSumTax({ amount: 50_000, type: 'giftOut' }).net).toBe(-50_000);
+  });
+
+  test('redundancy: tax-free base plus years of service, the rest taxed as an ETP up to the cap', () => {
+    const { taxFreeBase, taxFreePerYear } = rulesForYear().redundancy;
+    expect(redundancyTaxFree(10.5)).toBe(taxFreeBase + 10 * taxFreePerYear);
+    expect(redundancyTaxFree(10, rulesForYear('2025-26'))).toBe(13_114 + 10 * 6_558);
+    expect(redundancyTaxFree(10, rulesForYear('2024-25'))).toBe(12_524 + 10 * 6_264);
+
+    const before = lumpSumTax({ amount: 150_000, type: 'redundancy', yearsOfService: 10 });
+    expect(before.taxFree).toBe(taxFreeBase + 10 * taxFreePerYear);
+    expect(before.tax).toBeCloseTo((150_000 - before.taxFree) * 0.32, 6);
+    const after = lumpSumTax({ amount: 150_000, type: 'redundancy', yearsOfService: 10 }, { preserved: true });
+    expect(after.tax).toBeCloseTo((150_000 - after.taxFree) * 0.17, 6);
+    // Other income does not change the ETP tax
+    expect(lumpSumTax({ amount: 150_000, type: 'redundancy', yearsOfService: 10 }, { otherIncome: 150_000 })).toEqual(before);
+
+    const cap = rulesForYear().etp.cap;
+    expect(cap).toBe(255_000);
+    expect(etpTax(cap + 100_000, true)).toBeCloseTo(cap * 0.17 + 100_000 * 0.47, 6);
+    // Both follow wages: the cap in $5,000 steps, so in today's dollars it moves in jumps
+    const later = projectRules(2, { wageGrowth: 0.04, cpi: 0.025 });
+    expect(later.etp.cap).toBeCloseTo(275_000 / 1.025 ** 2, 6);
+    expect(later.redundancy.taxFreeBase).toBeCloseTo(Math.floor(13_114 * 1.04 ** 2) / 1.025 ** 2, 6);
+    // All tax-free when the payment is within the tax-free amount
+    expect(lumpSumTax({ amount: 20_000, type: 'redundancy', yearsOfService: 2 }).tax).toBe(0);
+  });
+
+  test('asset sale: the gain over the deflated cost base is taxed after the discount', () => {
+    const sale = lumpSumTax({ amount: 100_000, type: 'assetSale', costBase: 60_000 }, { otherIncome: 100_000 });
+    expect(sale.taxable).toBe(20_000);
+    expect(sale.tax).toBeCloseTo(20_000 * 0.32, 6);
+    expect(sale.net).toBeCloseTo(100_000 - sale.tax, 6);
+
+    const early = lumpSumTax({ amount: 100_000, type: 'assetSale', costBase: 60_000, yearsHeld: 0.5 }, { otherIncome: 100_000 });
+    expect(early.taxable).toBe(40_000);
+    expect(early.tax).toBeCloseTo(additionalIncomeTax(100_000, 40_000), 6);
+
+    // A cost base paid today is worth less in today's dollars by the sale
+    const later = lumpSumTax({ amount: 100_000, type: 'assetSale', costBase: 60_000 }, { years: 10, cpi: 0.025 });
+    expect(later.taxable).toBeCloseTo((100_000 - 60_000 / Math.pow(1.025, 10)) / 2, 6);
+    // Losses are not taxed
+    expect(lumpSumTax({ amount: 50_000, type: 'assetSale', costBase: 60_000 }, { otherIncome: 100_000 }).tax).toBe(0);
+  });
+
+  test('bonus: taxed on top of other income at the marginal rate', () => {
+    expect(lumpSumTax({ amount: 20_000, type: 'bonus' }, { otherIncome: 100_000 }).tax).toBeCloseTo(20_000 * 0.32, 6);
+    const alone = lumpSumTax({ amount: 20_000, type: 'bonus' });
+    expect(alone.tax).toBeCloseTo(additionalIncomeTax(0, 20_000), 6);
+    expect(alone.tax).toBeLessThan(20_000 * 0.32);
+  });
+
+  test('the solver lands each inflow after its tax, against the salary that year', () => {
+    const baseline = accumulateUntil(single, 43).path;
+    const { path } = accumulateUntil({
+      ...single,
+      futureInflows: [
+        { ageYou: 41, amount: 20_000, type: 'bonus' },
+        { ageYou: 42, amount: 30_000, type: 'giftOut' }
+      ]
+    }, 43);
+    expect(path[1].lumpSumTax).toBeCloseTo(6_400, 6);
+    expect(path[1].outside - baseline[1].outside).toBeCloseTo(20_000 - 6_400, 6);
+    expect(path[2].outside - baseline[2].outside).toBeCloseTo(20_000 - 6_400 - 30_000, 6);
+    expect(path[2].lumpSumTax).toBeUndefined();
+
+    // A redundancy from preservation age is taxed at the lower ETP rate
+    const redundancy = { amount: 150_000, type: 'redundancy' as const, yearsOfService: 10 };
+    const early = accumulateUntil({ ...single, futureInflows: [{ ageYou: 55, ...redundancy }] }, 56).path;
+    const late = accumulateUntil({ ...single, futureInflows: [{ ageYou: 60, ...redundancy }] }, 61).path;
+    expect(early[15].lumpSumTax).toBeCloseTo(lumpSumTax(redundancy).tax, 6);
+    expect(late[20].lumpSumTax).toBeCloseTo(lumpSumTax(redundancy, { preserved: true }).tax, 6);
+  });
+});
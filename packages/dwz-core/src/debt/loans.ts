@@ -0,0 +1,61 @@
+/** A loan such as a mortgage; amounts in today's dollars, the rate nominal. */
+export type Debt = {
+  label?: string;
+  principal: number;      // balance owing today
+  rate: number;           // nominal interest rate a year, e.g. 0.06
+  termYears: number;      // years left on the loan
+  offset?: number;        // cash in an offset account: interest is charged on the balance above it
+  // P&I repays on a fixed nominal schedule over the term; interest-only pays interest and repays the
+  // balance in full when the term ends
+  repayment: 'principalAndInterest' | 'interestOnly';
+  // Repay what is left when the household retires, from outside or from super that is unlocked by then
+  payoffAtRetirement?: 'outside' | 'super';
+};
+
+/** One year of a loan, in today's dollars. */
+export type DebtYear = {
+  payment: number;        // repayments during the year, interest included
+  interest: number;
+  closing: number;        // balance owing at the end of the year
+  offsetRelease: number;  // offset cash freed when the loan is repaid that year
+};
+
+/** Nominal yearly repayment that clears a P&I loan over its term; interest only for interest-only loans. */
+export function annualRepayment(debt: Debt): number {
+  const p = Math.max(0, debt.principal);
+  const r = debt.rate;
+  if (debt.repayment === 'interestOnly') return p * r;
+  const n = Math.max(1, Math.round(debt.termYears));
+  return r === 0 ? p / n : p * r / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * Year-by-year schedule until the loan is repaid, in today's dollars. Repayments are fixed in nominal
+ * terms, so deflating by CPI makes them shrink; an offset balance (also fixed in nominal dollars) cuts
+ * the interest and so shortens a P&I loan. Year 0 is the coming year.
+ */
+export function debtSchedule(debt: Debt, cpi: number): DebtYear[] {
+  const rows: DebtYear[] = [];
+  const offset = Math.max(0, debt.offset ?? 0);
+  const scheduled = annualRepayment(debt);
+  const term = Math.max(1, Math.round(debt.termYears));
+  let balance = Math.max(0, debt.principal);
+  for (let k = 0; balance > 0 && k < 100; k++) {
+    const interest = Math.max(0, balance - offset) * debt.rate;
+    // Interest-only loans repay the balance when the term ends
+    const payment = debt.repayment === 'interestOnly'
+      ? (k >= term - 1 ? balance + interest : interest)
+      : Math.min(balance + interest, scheduled);
+    balance = balance + interest - payment;
+    // Float error can leave a fraction of a cent after the last P&I repayment
+    if (balance < 0.01) balance = 0;
+    const deflator = Math.pow(1 + cpi, k);
+    rows.push({
+      payment: payment / deflator,
+      interest: interest / deflator,
+      closing: balance / (deflator * (1 + cpi)),
+      offsetRelease: balance === 0 ? offset / (deflator * (1 + cpi)) : 0
+    });
+  }
+  return rows;
+}
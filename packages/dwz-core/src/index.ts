@@ -1,11 +1,60 @@
 import { Assumptions, Band, Bridge, DecisionDwz, Household, PathPoint, LifecyclePhase } from "./types.js";
+import { div293Tax, CONTRIBUTIONS_TAX_RULES } from "./tax/contributionsTax.js";
 export * from "./types.js";
 export * from "./solver.js";
 export { optimizeSavingsSplit, optimizeSavingsSplitForPlan } from "./optimizer/savingsSplit.js";
-export type { SavingsSplitForPlanResult } from "./optimizer/savingsSplit.js";
-export { findEarliestAgeForPlan } from "./planning/earliestForPlan.js";
+export type { SavingsSplitForPlanResult, CatchUpYear } from "./optimizer/savingsSplit.js";
+export { optimizeCoupleContributions } from "./optimizer/coupleContributions.js";
+export type { CoupleContributionStrategy, CoupleContributionFlows, CoupleStrategyEvaluation, CoupleContributionResult } from "./optimizer/coupleContributions.js";
+export { findEarliestAgeForPlan, earliestOutcome, isBetterOutcome } from "./planning/earliestForPlan.js";
+export type { EarliestOutcome } from "./planning/earliestForPlan.js";
+export { findRetirementFrontier } from "./planning/retirementFrontier.js";
+export type { RetirementFrontierPoint, RetirementFrontierResult } from "./planning/retirementFrontier.js";
+export { helpDebtImpact } from "./planning/helpDebtImpact.js";
+export type { HelpPayoff, HelpDebtImpact } from "./planning/helpDebtImpact.js";
+export { compareMortgagePayoff } from "./planning/mortgagePayoff.js";
+export type { MortgagePayoffOption, MortgagePayoffComparison } from "./planning/mortgagePayoff.js";
+export { compareRentVsBuy } from "./planning/rentVsBuy.js";
+export type { RentVsBuyAssumptions, RentVsBuyOption, RentVsBuyComparison } from "./planning/rentVsBuy.js";
 export { allocateConcessionalByMTR } from "./optimizer/allocateConcessional.js";
 export type { PersonHeadroom, AllocationResult } from "./optimizer/allocateConcessional.js";
+export { simulateMonteCarlo, drawReturnSequences } from "./montecarlo/simulate.js";
+export type { MonteCarloOptions, MonteCarloBand, MonteCarloResult, ReturnDistribution } from "./montecarlo/simulate.js";
+export { createRng, normal, lognormal, lognormalParams, gamma, studentT, cholesky, correlatedNormals } from "./random/prng.js";
+export type { Rng } from "./random/prng.js";
+export { agePension, deem, AGE_PENSION_RULES } from "./pension/agePension.js";
+export type { AgePensionRules, AgePensionInput, AgePensionResult } from "./pension/agePension.js";
+export { minimumDrawdownRate, minimumPensionPayment, MINIMUM_DRAWDOWN_RULES } from "./pension/minimumDrawdown.js";
+export type { MinimumDrawdownRules } from "./pension/minimumDrawdown.js";
+export { transferToRetirementPhase, TRANSFER_BALANCE_RULES } from "./pension/transferBalance.js";
+export type { TransferBalanceRules, RetirementPhaseTransfer } from "./pension/transferBalance.js";
+export { earningsTaxDrag, COMPANY_TAX_RATE, SUPER_ACCUMULATION_TAX_RATE, CGT_DISCOUNT_INDIVIDUAL, CGT_DISCOUNT_SUPER } from "./tax/investmentTax.js";
+export { div293Tax, contributionsTax, salarySacrificeTaxRate, CONTRIBUTIONS_TAX_RULES } from "./tax/contributionsTax.js";
+export type { ContributionsTaxRules } from "./tax/contributionsTax.js";
+export { incomeTax, householdIncomeTax, marginalTaxRate, additionalIncomeTax, lowIncomeTaxOffset, seniorsTaxOffset, medicareLevy, medicareLevySurcharge, mlsTier, mlsFamily, helpRepayment } from "./tax/incomeTax.js";
+export type { IncomeTaxOptions, IncomeTaxBreakdown, MlsFamily } from "./tax/incomeTax.js";
+export { compareHospitalCover } from "./tax/hospitalCover.js";
+export type { HospitalCoverPerson, HospitalCoverCheck } from "./tax/hospitalCover.js";
+export { helpDebtYear, helpRealIndexation } from "./tax/helpDebt.js";
+export { lumpSumTax, redundancyTaxFree, etpTax } from "./tax/lumpSums.js";
+export type { LumpSumType, FutureInflow, LumpSumTax, LumpSumContext } from "./tax/lumpSums.js";
+export type { HelpDebt, HelpDebtYear } from "./tax/helpDebt.js";
+export { annualRepayment, debtSchedule } from "./debt/loans.js";
+export type { Debt, DebtYear } from "./debt/loans.js";
+export { PROPERTY_RULES, stampDuty, homeValueAfter, downsizeHome } from "./property/home.js";
+export type { PropertyRules, Home, DownsizeResult } from "./property/home.js";
+export { rentalYear, sellInvestmentProperty, propertyIncomeTax } from "./property/investment.js";
+export type { InvestmentProperty, RentalYear, PropertySale } from "./property/investment.js";
+export { carryForwardHeadroom, carryForwardWindow, concessionalCapSchedule, CONTRIBUTION_CAP_RULES } from "./super/concessionalCap.js";
+export type { ContributionCapRules, ConcessionalHistory, ConcessionalCapYear } from "./super/concessionalCap.js";
+export { applyNonConcessional, bringForwardYears } from "./super/nonConcessionalCap.js";
+export type { BringForwardPeriod, NonConcessionalContribution } from "./super/nonConcessionalCap.js";
+export { canReceiveSplit, splittableContributions, spouseTaxOffset, SPOUSE_CONTRIBUTION_RULES } from "./super/spouseContributions.js";
+export type { SpouseContributionRules } from "./super/spouseContributions.js";
+export { AU_RULES_BY_YEAR, FINANCIAL_YEARS, LATEST_FINANCIAL_YEAR, isFinancialYear, financialYearLabel, rulesForYear, preservationAgeFor } from "./rules/auRules.js";
+export type { FinancialYear, RateBracket, MlsTier, YearRules } from "./rules/auRules.js";
+export { indexedAmount, projectRules, INDEXATION_RULES } from "./rules/indexation.js";
+export type { IndexationAssumptions, IndexSpec, IndexationRules } from "./rules/indexation.js";
 
 const EPS = 1;
 const clampRate = (r: number) => Math.max(-0.99, r);
@@ -22,8 +71,12 @@ const phaseAt = (age: number, bands: Band[]): "go-go"|"slow-go"|"no-go"|"flat" =
 };
 
 const agg = (h: Household) => {
-  const preserveAge = Math.min(h.p1.preserveAge ?? 60, h.p2?.preserveAge ?? 60);
-  const startAge = Math.max(h.p1.age, h.p2?.age ?? -Infinity);
+  // Ages run on p1's clock; this single-bucket model can only draw super once both partners are preserved
+  const startAge = h.p1.age;
+  const preserveAge = Math.max(
+    h.p1.preserveAge ?? 60,
+    h.p2 ? startAge + (h.p2.preserveAge ?? 60) - h.p2.age : -Infinity
+  );
   const outside0 = (h.p1.outside) + (h.p2?.outside ?? 0);
   const super0   = (h.p1.superBal) + (h.p2?.superBal ?? 0);
   const prem     = (h.p1.superPrem ?? 0) + (h.p2?.superPrem ?? 0);
@@ -31,7 +84,9 @@ const agg = (h: Household) => {
   const save     = h.annualSavings ?? 0; // NEW
   // Calculate combined employer SG gross
   const sgGross  = ((h.p1.salary ?? 0) * (h.p1.sgRate ?? 0)) + ((h.p2?.salary ?? 0) * (h.p2?.sgRate ?? 0));
-  return { preserveAge, startAge, outside0, super0, prem, income, save, sgGross };
+  // Division 293 on each person's SG
+  const div293 = [h.p1, h.p2].reduce((t, p) => t + (p ? div293Tax(p.salary ?? 0, (p.salary ?? 0) * (p.sgRate ?? 0)) : 0), 0);
+  return { preserveAge, startAge, outside0, super0, prem, income, save, sgGross, div293 };
 };
 
 const grow = (bal: number, realReturn: number, fees: number) =>
@@ -43,7 +98,7 @@ function accumulateUntil(
   a: Assumptions,
   retireAge: number
 ) {
-  const { startAge, outside0, super0, prem, save, sgGross } = agg(h);
+  const { startAge, outside0, super0, prem, save, sgGross, div293 } = agg(h);
   const rnet = clampRate(a.realReturn - a.fees);
 
   let outside = outside0;
@@ -58,7 +113,7 @@ function accumulateUntil(
     
     // Add employer SG net (after 15% contrib tax) to super during accumulation
     if (sgGross > 0) {
-      const sgNet = Math.round(sgGross * (1 - 0.15) * 100) / 100;
+      const sgNet = Math.round((sgGross * (1 - CONTRIBUTIONS_TAX_RULES.baseRate) - div293) * 100) / 100;
       superBal += sgNet;
     }
 
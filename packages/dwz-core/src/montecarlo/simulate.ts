@@ -0,0 +1,150 @@
+import { Inputs, accumulateUntil, simulateRetirement, solveSBaseForAge, findEarliestViable, isPathFunded } from '../solver';
+import type { SolverPathPoint } from '../solver';
+import { quantile } from '../stats';
+import { createRng, normal, lognormal, lognormalParams, studentT, type Rng } from '../random/prng';
+
+export type ReturnDistribution = 'normal' | 'lognormal' | 'studentT';
+
+export interface MonteCarloOptions {
+  trials?: number;          // number of simulated return sequences (default 1000)
+  seed?: number;            // PRNG seed; same seed + inputs => identical paths
+  meanReturn?: number;      // mean real return per year (default inputs.realReturn)
+  volatility?: number;      // std dev of yearly real return (default 0.12)
+  distribution?: ReturnDistribution; // shape of yearly returns (default 'normal')
+  degreesOfFreedom?: number; // Student-t tail weight, > 2 (default 5)
+  plan?: number;            // spend to test (real $/yr); default = deterministic S_base at retireAge
+  retireAge?: number;       // default = inputs.retireAge ?? deterministic earliest viable age
+  targetSuccess?: number;   // success rate used for earliestAgeForTarget (default 0.9)
+}
+
+export interface MonteCarloBand {
+  age: number;
+  p10: number;
+  p50: number;
+  p90: number;
+}
+
+export interface MonteCarloResult {
+  retireAge: number | null;
+  spend: number;
+  trials: number;
+  successProbability: number;       // share of trials that fund spend to lifeExp and meet bequest
+  bands: MonteCarloBand[];          // total wealth percentiles by end-of-year age
+  targetSuccess: number;
+  earliestAgeForTarget: number | null;
+}
+
+export function simulateMonteCarlo(inp: Inputs, opts: MonteCarloOptions = {}): MonteCarloResult {
+  const trials = Math.max(1, Math.floor(opts.trials ?? 1000));
+  const meanReturn = opts.meanReturn ?? inp.realReturn;
+  const volatility = Math.max(0, opts.volatility ?? 0.12);
+  const targetSuccess = Math.min(1, Math.max(0, opts.targetSuccess ?? 0.9));
+  const horizon = Math.max(0, Math.ceil(inp.lifeExp - inp.currentAge));
+
+  // Draw every sequence up front so each candidate age sees the same markets (common random numbers)
+  const sequences = drawReturnSequences({
+    trials,
+    years: horizon,
+    seed: opts.seed ?? 1,
+    meanReturn,
+    volatility,
+    distribution: opts.distribution,
+    degreesOfFreedom: opts.degreesOfFreedom
+  });
+
+  const retireAge = opts.retireAge ?? inp.retireAge ?? findEarliestViable(inp)?.retireAge ?? null;
+  const spend = opts.plan ?? (retireAge !== null ? solveSBaseForAge(inp, retireAge).sBase : 0);
+
+  const runAt = (age: number, collectPaths: boolean) => {
+    let successes = 0;
+    const paths: SolverPathPoint[][] = [];
+    for (const returnPath of sequences) {
+      const trialInp: Inputs = { ...inp, returnPath };
+      const acc = accumulateUntil(trialInp, age);
+      const sim = simulateRetirement(trialInp, age, spend, acc.outside, acc.superByPerson);
+      if (isPathFunded(sim.path, inp.bequest)) successes++;
+      if (collectPaths) paths.push([...acc.path, ...sim.path]);
+    }
+    return { rate: successes / trials, paths };
+  };
+
+  let successProbability = 0;
+  let bands: MonteCarloBand[] = [];
+  if (retireAge !== null) {
+    const run = runAt(retireAge, true);
+    successProbability = run.rate;
+    bands = percentileBands(run.paths);
+  }
+
+  let earliestAgeForTarget: number | null = null;
+  if (spend > 0) {
+    const minAge = inp.currentAge + 1;
+    const maxAge = Math.max(minAge, inp.lifeExp - 1);
+    for (let A = minAge; A <= maxAge; A++) {
+      const rate = A === retireAge ? successProbability : runAt(A, false).rate;
+      if (rate + 1e-12 >= targetSuccess) {
+        earliestAgeForTarget = A;
+        break;
+      }
+    }
+  }
+
+  return { retireAge, spend, trials, successProbability, bands, targetSuccess, earliestAgeForTarget };
+}
+
+function percentileBands(paths: SolverPathPoint[][]): MonteCarloBand[] {
+  const byAge = new Map<number, number[]>();
+  for (const path of paths) {
+    for (const p of path) {
+      const list = byAge.get(p.age);
+      if (list) list.push(p.total);
+      else byAge.set(p.age, [p.total]);
+    }
+  }
+  return [...byAge.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([age, totals]) => {
+      totals.sort((a, b) => a - b);
+      return { age, p10: quantile(totals, 0.1), p50: quantile(totals, 0.5), p90: quantile(totals, 0.9) };
+    });
+}
+
+/**
+ * Yearly real-return sequences (trials × years). Deterministic for a given seed; returns are
+ * floored at -99% so balances can never flip sign through growth alone.
+ */
+export function drawReturnSequences(spec: {
+  trials: number;
+  years: number;
+  seed: number;
+  meanReturn: number;
+  volatility: number;
+  distribution?: ReturnDistribution;
+  degreesOfFreedom?: number;
+}): number[][] {
+  const rng = createRng(spec.seed);
+  const draw = returnSampler(rng, spec.meanReturn, spec.volatility, spec.distribution ?? 'normal', spec.degreesOfFreedom ?? 5);
+  const sequences: number[][] = [];
+  for (let t = 0; t < spec.trials; t++) {
+    const seq: number[] = new Array(spec.years);
+    for (let y = 0; y < spec.years; y++) {
+      seq[y] = Math.max(-0.99, draw());
+    }
+    sequences.push(seq);
+  }
+  return sequences;
+}
+
+function returnSampler(rng: Rng, mean: number, sd: number, dist: ReturnDistribution, df: number): () => number {
+  if (dist === 'lognormal') {
+    const { mu, sigma } = lognormalParams(1 + mean, sd);
+    return () => lognormal(rng, mu, sigma) - 1;
+  }
+  if (dist === 'studentT') {
+    if (!(df > 2)) throw new Error(`studentT returns need degreesOfFreedom > 2 (got ${df})`);
+    // Rescale so the draw has the requested standard deviation
+    const scale = sd * Math.sqrt((df - 2) / df);
+    return () => mean + scale * studentT(rng, df);
+  }
+  return () => normal(rng, mean, sd);
+}
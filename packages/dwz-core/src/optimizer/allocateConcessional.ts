@@ -1,7 +1,10 @@
+import { CONTRIBUTIONS_TAX_RULES } from '../tax/contributionsTax';
+
 export interface PersonHeadroom {
   id: number;                 // index within household
   headroom: number;           // remaining concessional cap (gross)
   mtr: number;                // marginal tax rate incl Medicare (0..1)
+  contribTaxRate?: number;    // tax on their sacrificed dollars incl. Division 293 (default 15%)
 }
 
 export interface AllocationResult {
@@ -11,8 +14,9 @@ export interface AllocationResult {
 
 /**
  * Allocate total salary-sacrifice (gross) across people:
- *  1) Fill highest-MTR headroom first (tax benefit priority)
- *  2) If multiple people share the same MTR (within 1bp), split pro-rata by headroom
+ *  1) Fill headroom with the biggest tax saving first: MTR less the contributions tax
+ *     (a Division 293 earner saves less per dollar than their MTR suggests)
+ *  2) If multiple people share the same saving (within 1bp), split pro-rata by headroom
  */
 export function allocateConcessionalByMTR(
   totalGross: number,
@@ -30,15 +34,15 @@ export function allocateConcessionalByMTR(
   // Work on a copy; clamp headroom >= 0
   let pool = people.map(p => ({ ...p, headroom: Math.max(0, p.headroom) }));
 
-  // Group by (approx) equal MTR, high to low
-  const groups = groupByMTR(pool).sort((a, b) => b.mtr - a.mtr);
+  // Group by (approx) equal tax saving, high to low
+  const groups = groupByBenefit(pool).sort((a, b) => b.benefit - a.benefit);
   
   for (const g of groups) {
     if (remaining <= eps) break;
     const totalHeadroom = g.items.reduce((s, p) => s + p.headroom, 0);
     if (totalHeadroom <= eps) continue;
     
-    // Calculate allocation for this MTR group
+    // Calculate allocation for this group
     const groupAllocation = Math.min(remaining, totalHeadroom);
     
     // Pro-rata by headroom within group
@@ -61,17 +65,23 @@ export function allocateConcessionalByMTR(
   return result;
 }
 
-function groupByMTR(list: PersonHeadroom[]) {
-  const eps = 1e-4; // 1bp tolerance for equal MTR
-  const sorted = [...list].sort((a, b) => b.mtr - a.mtr);
-  const groups: { mtr: number; items: PersonHeadroom[] }[] = [];
+/** Tax saved per sacrificed dollar: income tax avoided less contributions tax paid. */
+function sacrificeBenefit(p: PersonHeadroom) {
+  return p.mtr - (p.contribTaxRate ?? CONTRIBUTIONS_TAX_RULES.baseRate);
+}
+
+function groupByBenefit(list: PersonHeadroom[]) {
+  const eps = 1e-4; // 1bp tolerance for equal saving
+  const sorted = [...list].sort((a, b) => sacrificeBenefit(b) - sacrificeBenefit(a));
+  const groups: { benefit: number; items: PersonHeadroom[] }[] = [];
   
   for (const p of sorted) {
-    const g = groups.find(grp => Math.abs(grp.mtr - p.mtr) <= eps);
+    const benefit = sacrificeBenefit(p);
+    const g = groups.find(grp => Math.abs(grp.benefit - benefit) <= eps);
     if (g) {
       g.items.push(p);
     } else {
-      groups.push({ mtr: p.mtr, items: [p] });
+      groups.push({ benefit, items: [p] });
     }
   }
   
@@ -0,0 +1,125 @@
+import { accumulateUntil, assessBridge, solveSBaseForAge } from '../solver';
+import type { BridgeResult, Inputs } from '../solver';
+import { earliestOutcome, isBetterOutcome } from '../planning/earliestForPlan';
+import { canReceiveSplit, spouseTaxOffset, SPOUSE_CONTRIBUTION_RULES } from '../super/spouseContributions';
+
+export type CoupleContributionStrategy = {
+  kind: 'none' | 'split' | 'spouseContribution' | 'splitAndSpouseContribution';
+  contributionSplitting?: Inputs['contributionSplitting'];
+  spouseContribution?: Inputs['spouseContribution'];
+};
+
+export type CoupleContributionFlows = {
+  person: number;
+  splitOut: number;           // concessional contributions rolled over to the partner in the first year
+  splitIn: number;            // rolled over from the partner
+  spouseContribution: number; // after-tax contribution received from the partner
+  taxOffset: number;          // spouse contribution tax offset earned for contributing to the partner
+};
+
+export type CoupleStrategyEvaluation = {
+  strategy: CoupleContributionStrategy;
+  earliestAge: number | null;   // earliest age for the plan (or earliest viable age without one)
+  spend: number;                // sustainable spend at that age
+};
+
+export type CoupleContributionResult = {
+  plan?: number;
+  recommended: CoupleStrategyEvaluation;
+  baseline: CoupleStrategyEvaluation;
+  perPerson: CoupleContributionFlows[];
+  /** Bridge at the recommended age and the same spend, without and with the strategy. */
+  bridge?: { retireAge: number; spend: number; baseline: BridgeResult; recommended: BridgeResult };
+  evaluations: CoupleStrategyEvaluation[];
+};
+
+/**
+ * Couples contribution strategies: rolling up to 85% of one partner's concessional contributions over to
+ * the other (so that partner's super unlocks sooner, or both stay under the transfer balance cap), and an
+ * after-tax spouse contribution to a low-income partner for the tax offset. Each candidate is scored by the
+ * earliest age reaching `plan` (or the earliest viable age without one), then by spend; a strategy must
+ * strictly improve on doing nothing. Needs two people in `base.people`.
+ */
+export function optimizeCoupleContributions(
+  base: Inputs,
+  plan?: number,
+  options: { splitRate?: number; spouseContribution?: number } = {}
+): CoupleContributionResult | null {
+  const people = base.people;
+  if (people?.length !== 2) return null;
+  const cleared: Inputs = { ...base, contributionSplitting: undefined, spouseContribution: undefined };
+  const splitRate = Math.min(SPOUSE_CONTRIBUTION_RULES.maxSplitRate, Math.max(0, options.splitRate ?? SPOUSE_CONTRIBUTION_RULES.maxSplitRate));
+  const spouseAmount = Math.max(0, options.spouseContribution ?? SPOUSE_CONTRIBUTION_RULES.offsetMaxContribution);
+
+  const splits: CoupleContributionStrategy[] = splitRate > 0
+    ? [[0, 1], [1, 0]]
+        .filter(([, to]) => canReceiveSplit(people[to].age, people[to].preserveAge, true))
+        .map(([from, to]) => ({ kind: 'split', contributionSplitting: { from, to, rate: splitRate } }))
+    : [];
+  // Only worth it when the partner's income still earns an offset
+  const spouseTo = [0, 1]
+    .filter(i => spouseAmount > 0 && spouseTaxOffset(spouseAmount, people[i].income ?? 0) > 0)
+    .sort((a, b) => (people[a].income ?? 0) - (people[b].income ?? 0))[0];
+  const spouse = spouseTo === undefined ? undefined : { to: spouseTo, amount: spouseAmount };
+
+  const evaluate = (strategy: CoupleContributionStrategy): CoupleStrategyEvaluation =>
+    ({ strategy, ...earliestOutcome(withStrategy(cleared, strategy), plan) });
+
+  const baseline = evaluate({ kind: 'none' });
+  const evaluations = [baseline];
+  let best = baseline;
+  let bestSplit: CoupleStrategyEvaluation | undefined;
+  for (const strategy of splits) {
+    const ev = evaluate(strategy);
+    evaluations.push(ev);
+    if (!bestSplit || isBetterOutcome(ev, bestSplit)) bestSplit = ev;
+    if (isBetterOutcome(ev, best)) best = ev;
+  }
+  if (spouse) {
+    const candidates: CoupleContributionStrategy[] = [{ kind: 'spouseContribution', spouseContribution: spouse }];
+    if (bestSplit) {
+      candidates.push({ kind: 'splitAndSpouseContribution', contributionSplitting: bestSplit.strategy.contributionSplitting, spouseContribution: spouse });
+    }
+    for (const strategy of candidates) {
+      const ev = evaluate(strategy);
+      evaluations.push(ev);
+      if (isBetterOutcome(ev, best)) best = ev;
+    }
+  }
+
+  const chosen = withStrategy(cleared, best.strategy);
+  const retireAge = best.earliestAge;
+  let bridge: CoupleContributionResult['bridge'];
+  if (retireAge !== null) {
+    // Compare both at the same spend so only the accessible money differs
+    const spend = plan ?? solveSBaseForAge(chosen, retireAge).sBase;
+    const bridgeFor = (inp: Inputs) => assessBridge(inp, retireAge, spend, accumulateUntil(inp, retireAge));
+    bridge = { retireAge, spend, baseline: bridgeFor(cleared), recommended: bridgeFor(chosen) };
+  }
+
+  return {
+    ...(plan !== undefined ? { plan } : {}),
+    recommended: best,
+    baseline,
+    perPerson: firstYearFlows(chosen),
+    ...(bridge ? { bridge } : {}),
+    evaluations
+  };
+}
+
+function withStrategy(inp: Inputs, strategy: CoupleContributionStrategy): Inputs {
+  return { ...inp, contributionSplitting: strategy.contributionSplitting, spouseContribution: strategy.spouseContribution };
+}
+
+/** Each partner's strategy flows in the first working year. */
+function firstYearFlows(inp: Inputs): CoupleContributionFlows[] {
+  const first = accumulateUntil(inp, inp.currentAge + 1).path[0];
+  const contributor = inp.spouseContribution ? 1 - inp.spouseContribution.to : -1;
+  return [0, 1].map(person => ({
+    person,
+    splitOut: Math.max(0, -(first?.contributionSplit?.[person] ?? 0)),
+    splitIn: Math.max(0, first?.contributionSplit?.[person] ?? 0),
+    spouseContribution: first?.spouseContribution?.[person] ?? 0,
+    taxOffset: person === contributor ? first?.spouseTaxOffset ?? 0 : 0
+  }));
+}
@@ -1,4 +1,4 @@
-import { Inputs, findEarliestViable, accumulateUntil } from '../solver';
+import { Inputs, findEarliestViable, accumulateUntil, salarySacrificeTaxRateFor, concessionalCapAt } from '../solver';
 import { SavingsSplitResult, SavingsSplitConstraints, SavingsSplitSensitivityPoint } from '../types';
 import { findEarliestAgeForPlan } from '../planning/earliestForPlan';
 
@@ -19,7 +19,7 @@ export function optimizeSavingsSplit(
   const refineIters = Math.max(0, opts.refineIters ?? 2);
   const window = Math.max(0.02, opts.window ?? 0.15);
   const maxPct = Math.min(1, Math.max(0, policy.maxPct ?? 1));
-  const contribTaxRate = policy.contribTaxRate ?? 0.15;
+  const contribTaxRate = policy.contribTaxRate ?? effectiveContribTaxRate(baseInput, policy);
 
   const memo = new Map<number, Eval>();
   let evals = 0;
@@ -36,7 +36,8 @@ export function optimizeSavingsSplit(
         toSuperPct: pct,
         capPerPerson: policy.capPerPerson,
         eligiblePeople: policy.eligiblePeople,
-        contribTaxRate: contribTaxRate
+        // Without an explicit rate the engine taxes each person's sacrifice, Division 293 included
+        contribTaxRate: policy.contribTaxRate
       }
     };
     
@@ -117,6 +118,42 @@ export function optimizeSavingsSplit(
   };
 }
 
+/**
+ * Catch-up contributions at the chosen split: windfalls go into spare carry-forward cap when that does not
+ * delay the earliest age, and every year contributing above the standard cap is listed.
+ */
+function recommendCatchUp(
+  splitFor: (pct: number, catchUpInflows?: boolean) => Inputs,
+  pct: number,
+  plan: number,
+  earliestAge: number,
+  policy: { capPerPerson: number; eligiblePeople: number }
+): Pick<SavingsSplitForPlanResult, 'capSchedule' | 'catchUp'> {
+  const withInflows = splitFor(pct, true);
+  const hasWindfalls = (withInflows.futureInflows ?? []).some(f => (f.to ?? 'outside') === 'outside' && f.type !== 'giftOut' && f.amount > 0);
+  const inflowAge = hasWindfalls ? findEarliestAgeForPlan(withInflows, plan, { hiAgeHint: earliestAge }).earliestAge : null;
+  const fromInflows = inflowAge != null && inflowAge <= earliestAge;
+
+  const input = fromInflows ? withInflows : splitFor(pct);
+  // Each year's standard cap follows indexation when the inputs project it
+  const standardCapAt = (age: number) => concessionalCapAt(input, policy.capPerPerson, age) * policy.eligiblePeople;
+  const path = accumulateUntil(input, earliestAge).path;
+  const schedule = path.map(p => ({ age: p.age - 1, contributions: p.concessional ?? 0, standardCap: standardCapAt(p.age - 1) }));
+  const years = schedule
+    .map((y, i) => ({ ...y, available: path[i].concessionalCap ?? y.standardCap }))
+    .filter(y => y.contributions > y.standardCap + 1e-6);
+  return {
+    capSchedule: schedule.map((y, i) => path[i].concessionalCap ?? y.standardCap),
+    ...(years.length > 0 ? { catchUp: { fromInflows, years } } : {})
+  };
+}
+
+/** Household contributions tax rate on filling the concessional headroom, Division 293 included. */
+function effectiveContribTaxRate(baseInput: Inputs, policy: { capPerPerson: number; eligiblePeople: number }): number {
+  const headroom = Math.max(0, policy.capPerPerson * policy.eligiblePeople - (baseInput.employerSGGross ?? 0));
+  return salarySacrificeTaxRateFor(baseInput, Math.min(headroom, Math.max(0, baseInput.annualSavings || 0)));
+}
+
 function clamp(x: number, lo: number, hi: number) { return Math.min(hi, Math.max(lo, x)); }
 function round4(x: number) { return Math.round(x * 1e4) / 1e4; }
 
@@ -136,19 +173,52 @@ export interface SavingsSplitForPlanResult extends SavingsSplitResult {
     baselinePct: number;
     usedTieBreak?: boolean;
   };
+  /** Household cap for each year until the earliest age, carry-forward and indexation included (when modelled). */
+  capSchedule?: number[];
+  /** Years where the recommendation contributes above the standard cap using carried-forward cap. */
+  catchUp?: {
+    fromInflows: boolean;     // windfalls (outside future inflows) are contributed into spare cap
+    years: CatchUpYear[];
+  };
+}
+
+export interface CatchUpYear {
+  age: number;                // household clock age at the start of the year
+  contributions: number;      // gross concessional contributions that year
+  standardCap: number;        // capPerPerson * eligiblePeople
+  available: number;          // cap including carry-forward
 }
 
 export function optimizeSavingsSplitForPlan(
   baseInput: Inputs,
   plan: number,
-  policy: { capPerPerson: number; eligiblePeople: number; contribTaxRate?: number; outsideTaxRate?: number; maxPct?: number },
+  policy: {
+    capPerPerson: number;
+    eligiblePeople: number;
+    contribTaxRate?: number;
+    outsideTaxRate?: number;  // unused: outside earnings are taxed by the inputs' earningsTax on each year's brackets
+    maxPct?: number;
+    carryForward?: boolean;   // use people's concessional histories for carry-forward (default: when any is given)
+  },
   opts: OptimizeOptions & { ageToleranceYears?: number; preferSuperTieBreak?: boolean } = {}
 ): SavingsSplitForPlanResult {
   const gridPoints = Math.max(5, opts.gridPoints ?? 19);
   const refineIters = Math.max(0, opts.refineIters ?? 2);
   const window = Math.max(0.02, opts.window ?? 0.15);
   const maxPct = Math.min(1, Math.max(0, policy.maxPct ?? 1));
-  const contribTaxRate = policy.contribTaxRate ?? 0.15;
+  const contribTaxRate = policy.contribTaxRate ?? effectiveContribTaxRate(baseInput, policy);
+  const carryForward = policy.carryForward ?? [baseInput.concessionalHistory, ...(baseInput.people ?? []).map(p => p.concessionalHistory)].some(Boolean);
+  const splitFor = (pct: number, catchUpInflows?: boolean): Inputs => ({
+    ...baseInput,
+    preFireSavingsSplit: {
+      toSuperPct: pct,
+      capPerPerson: policy.capPerPerson,
+      eligiblePeople: policy.eligiblePeople,
+      contribTaxRate: policy.contribTaxRate,
+      carryForward,
+      catchUpInflows
+    }
+  });
   // Legacy options kept for backward compatibility but ignored
   // const tol = Math.max(0, opts.ageToleranceYears ?? 0);
   // const tieBreak = !!opts.preferSuperTieBreak;
@@ -164,17 +234,7 @@ export function optimizeSavingsSplitForPlan(
     const hit = memo.get(pct);
     if (hit) return hit;
     
-    const input: Inputs = {
-      ...baseInput,
-      preFireSavingsSplit: {
-        toSuperPct: pct,
-        capPerPerson: policy.capPerPerson,
-        eligiblePeople: policy.eligiblePeople,
-        contribTaxRate
-      }
-    };
-    
-    const res = findEarliestAgeForPlan(input, plan, { hiAgeHint: bestAgeHint });
+    const res = findEarliestAgeForPlan(splitFor(pct), plan, { hiAgeHint: bestAgeHint });
     evals += res.evaluations;
     
     const constraints: SavingsSplitConstraints = {
@@ -335,6 +395,10 @@ export function optimizeSavingsSplitForPlan(
 
   const capBindingAtOpt = (baseInput.annualSavings * chosenPct) > (Math.max(0, policy.capPerPerson * policy.eligiblePeople - (baseInput.employerSGGross ?? 0)) + 1e-9);
 
+  const catchUp = (carryForward || baseInput.indexation) && Number.isFinite(bestEval.earliestAge ?? NaN)
+    ? recommendCatchUp(splitFor, chosenPct, plan, bestEval.earliestAge!, policy)
+    : {};
+
   // Build a concise explanation string for the UI
   let explanation = '';
   const ageTxt = (bestEval.earliestAge ?? NaN).toString();
@@ -360,6 +424,7 @@ export function optimizeSavingsSplitForPlan(
     constraints: { ...bestEval.constraints, capBindingAtOpt },
     evals,
     explanation,
+    ...catchUp,
     meta: {
       targetAge: bestEval.earliestAge ?? NaN,
       baselinePct: bestPct,
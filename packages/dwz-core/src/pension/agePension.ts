@@ -0,0 +1,82 @@
+import agePensionRules from '../data/agePension.json';
+
+export type AgePensionRules = {
+  effective: string;
+  notes?: string;
+  pensionAge: number;
+  maxRate: { single: number; coupleEach: number };                 // $/fortnight incl. supplements
+  assetsTest: {
+    thresholds: Record<'single' | 'couple', { homeowner: number; nonHomeowner: number }>;
+    taperPerThousand: number;                                      // $/fortnight per $1,000 over threshold
+  };
+  incomeTest: {
+    freeArea: { single: number; couple: number };                  // $/fortnight (couple combined)
+    taper: number;                                                 // reduction per $1 over the free area
+  };
+  deeming: {
+    thresholds: { single: number; couple: number };
+    lowerRate: number;
+    upperRate: number;
+  };
+};
+
+/** Bundled rules; refresh src/data/agePension.json each March and September. */
+export const AGE_PENSION_RULES: AgePensionRules = agePensionRules;
+
+export type AgePensionInput = {
+  couple: boolean;
+  homeowner: boolean;
+  assessableAssets: number;   // assets test assets (home excluded), combined for couples
+  financialAssets: number;    // deemed assets (bank, shares, super once over pension age)
+  otherIncome?: number;       // non-deemed assessable income, $/yr (e.g. employment)
+  eligiblePeople?: 1 | 2;     // couples: partners over pension age (default 2)
+};
+
+export type AgePensionResult = {
+  annual: number;             // $/yr payable to the household
+  fortnightly: number;
+  maxFortnightly: number;     // before means testing
+  deemedIncome: number;       // $/yr
+  assetsReduction: number;    // $/fortnight
+  incomeReduction: number;    // $/fortnight
+  binding: 'none' | 'assets' | 'income';
+};
+
+/**
+ * Age Pension under the assets and income tests; the test giving the lower rate applies.
+ * Couples are assessed on combined means; if only one partner is of pension age they receive
+ * half of the couple entitlement.
+ */
+export function agePension(input: AgePensionInput, rules: AgePensionRules = AGE_PENSION_RULES): AgePensionResult {
+  const status = input.couple ? 'couple' : 'single';
+  const maxFortnightly = input.couple ? rules.maxRate.coupleEach * 2 : rules.maxRate.single;
+
+  const deemedIncome = deem(Math.max(0, input.financialAssets), status, rules);
+  const incomeFortnightly = (deemedIncome + Math.max(0, input.otherIncome ?? 0)) / 26;
+  const incomeReduction = Math.max(0, incomeFortnightly - rules.incomeTest.freeArea[status]) * rules.incomeTest.taper;
+
+  const assetThresholds = rules.assetsTest.thresholds[status];
+  const assetThreshold = input.homeowner ? assetThresholds.homeowner : assetThresholds.nonHomeowner;
+  const assetsReduction = Math.max(0, input.assessableAssets - assetThreshold) / 1000 * rules.assetsTest.taperPerThousand;
+
+  const reduction = Math.max(assetsReduction, incomeReduction);
+  let fortnightly = Math.max(0, maxFortnightly - reduction);
+  if (input.couple && input.eligiblePeople === 1) fortnightly /= 2;
+
+  return {
+    annual: fortnightly * 26,
+    fortnightly,
+    maxFortnightly,
+    deemedIncome,
+    assetsReduction,
+    incomeReduction,
+    binding: reduction <= 0 ? 'none' : assetsReduction >= incomeReduction ? 'assets' : 'income'
+  };
+}
+
+/** Deemed income ($/yr): lower rate up to the threshold, upper rate above it. */
+export function deem(financialAssets: number, status: 'single' | 'couple', rules: AgePensionRules = AGE_PENSION_RULES): number {
+  const threshold = rules.deeming.thresholds[status];
+  return Math.min(financialAssets, threshold) * rules.deeming.lowerRate
+    + Math.max(0, financialAssets - threshold) * rules.deeming.upperRate;
+}
@@ -0,0 +1,24 @@
+import pensionMinimums from '../data/pensionMinimums.json';
+
+export type MinimumDrawdownRules = {
+  effective: string;
+  notes?: string;
+  rates: Array<{ minAge: number; rate: number }>;   // ascending by minAge
+};
+
+/** Bundled schedule; update src/data/pensionMinimums.json if the factors change. */
+export const MINIMUM_DRAWDOWN_RULES: MinimumDrawdownRules = pensionMinimums;
+
+/** Minimum payment rate for an account-based pension whose owner is `age` on 1 July. */
+export function minimumDrawdownRate(age: number, rules: MinimumDrawdownRules = MINIMUM_DRAWDOWN_RULES): number {
+  let rate = rules.rates[0]?.rate ?? 0;
+  for (const band of rules.rates) {
+    if (age >= band.minAge) rate = band.rate;
+  }
+  return rate;
+}
+
+/** Minimum annual payment ($) on a 1 July balance; nothing is due on an empty account. */
+export function minimumPensionPayment(balance: number, age: number, rules: MinimumDrawdownRules = MINIMUM_DRAWDOWN_RULES): number {
+  return Math.max(0, balance) * minimumDrawdownRate(age, rules);
+}
@@ -0,0 +1,36 @@
+import { LATEST_FINANCIAL_YEAR, rulesForYear } from '../rules/auRules';
+
+export type TransferBalanceRules = {
+  effective: string;
+  notes?: string;
+  generalCap: number;   // per person, real $
+};
+
+/**
+ * Cap for the latest financial year in the rules registry: the most each person can move into tax-free
+ * retirement phase over their lifetime, indexed to CPI in $100,000 steps.
+ */
+export const TRANSFER_BALANCE_RULES: TransferBalanceRules = {
+  effective: LATEST_FINANCIAL_YEAR,
+  generalCap: rulesForYear().caps.transferBalance
+};
+
+export type RetirementPhaseTransfer = {
+  credit: number;       // moved into retirement phase and credited to the transfer balance account
+  excess: number;       // left in accumulation phase (earnings taxed at 15%)
+  remainingCap: number; // cap space left after this transfer
+};
+
+/**
+ * Move a super balance into retirement phase, limited by the cap space the owner has left
+ * after `priorCredits`. Pension payments do not debit the account, so cap space never returns.
+ */
+export function transferToRetirementPhase(
+  balance: number,
+  priorCredits = 0,
+  cap: number = TRANSFER_BALANCE_RULES.generalCap
+): RetirementPhaseTransfer {
+  const room = Math.max(0, cap - Math.max(0, priorCredits));
+  const credit = Math.min(Math.max(0, balance), room);
+  return { credit, excess: balance - credit, remainingCap: room - credit };
+}
@@ -60,4 +60,28 @@ export function findEarliestAgeForPlan(
     atAgeSpend: ansSpend, 
     evaluations: evals 
   };
-}
\ No newline at end of file
+}
+
+/** How a household does under a strategy: the earliest age and the sustainable spend at that age. */
+export type EarliestOutcome = {
+  earliestAge: number | null; // earliest age reaching the plan (or earliest viable age without one)
+  spend: number;              // sustainable spend at that age
+};
+
+/** Earliest age reaching `plan`, or the earliest viable age when there is no plan. */
+export function earliestOutcome(inp: Inputs, plan?: number): EarliestOutcome {
+  if (plan !== undefined) {
+    const res = findEarliestAgeForPlan(inp, plan);
+    return { earliestAge: res.earliestAge, spend: res.atAgeSpend ?? 0 };
+  }
+  const res = findEarliestViable(inp);
+  return { earliestAge: res?.retireAge ?? null, spend: res?.sBase ?? 0 };
+}
+
+/** Whether `a` strictly beats `b`: an earlier age wins, then more spend at the same age; no age never wins. */
+export function isBetterOutcome(a: EarliestOutcome, b: EarliestOutcome): boolean {
+  if (a.earliestAge === null) return false;
+  if (b.earliestAge === null) return true;
+  if (a.earliestAge !== b.earliestAge) return a.earliestAge < b.earliestAge;
+  return a.spend > b.spend + 1e-6;
+}
@@ -0,0 +1,55 @@
+import { accumulateUntil } from '../solver';
+import type { Inputs } from '../solver';
+import { earliestOutcome } from './earliestForPlan';
+
+export type HelpPayoff = {
+  person: number;
+  balance: number;             // debt today
+  payoffAge: number | null;    // own age by which the debt is repaid; null if it outlasts their working life
+};
+
+export type HelpDebtImpact = {
+  plan?: number;
+  earliestAge: number | null;             // with the debts
+  spend: number;
+  earliestAgeWithoutDebt: number | null;  // as if every debt were already repaid
+  spendWithoutDebt: number;
+  payoffs: HelpPayoff[];                  // one per person with a debt
+};
+
+/**
+ * When each HELP debt is repaid and what the repayments cost: the earliest age reaching `plan` (or the
+ * earliest viable age without one) with the debts, against the same household without them. Payoff ages
+ * come from accumulating to that age; a debt still owing when work stops is never repaid.
+ */
+export function helpDebtImpact(base: Inputs, plan?: number): HelpDebtImpact | null {
+  const debts = base.people?.length ? base.people.map(p => p.help) : [base.help];
+  if (!debts.some(d => (d?.balance ?? 0) > 0)) return null;
+  const cleared: Inputs = {
+    ...base,
+    help: undefined,
+    people: base.people?.map(p => ({ ...p, help: undefined }))
+  };
+
+  const withDebt = earliestOutcome(base, plan);
+  const withoutDebt = earliestOutcome(cleared, plan);
+
+  // Owner ages run on the household clock (person 0's age today)
+  const { path } = accumulateUntil(base, withDebt.earliestAge ?? base.lifeExp - 1);
+  const payoffs = debts.flatMap((d, i) => {
+    const balance = Math.max(0, d?.balance ?? 0);
+    if (balance <= 0) return [];
+    const paidAt = path.find(pt => (pt.helpDebt?.[i] ?? 0) <= 1e-6);
+    const ownAge = (clockAge: number) => clockAge + (base.people?.[i]?.age ?? base.currentAge) - base.currentAge;
+    return [{ person: i, balance, payoffAge: paidAt ? ownAge(paidAt.age) : null }];
+  });
+
+  return {
+    plan,
+    earliestAge: withDebt.earliestAge,
+    spend: withDebt.spend,
+    earliestAgeWithoutDebt: withoutDebt.earliestAge,
+    spendWithoutDebt: withoutDebt.spend,
+    payoffs
+  };
+}
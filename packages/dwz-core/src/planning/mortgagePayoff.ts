@@ -0,0 +1,55 @@
+import type { Inputs } from '../solver';
+import { earliestOutcome, isBetterOutcome, type EarliestOutcome } from './earliestForPlan';
+import { debtSchedule, type Debt } from '../debt/loans';
+import { INDEXATION_RULES } from '../rules/indexation';
+
+export type MortgagePayoffOption = EarliestOutcome & {
+  interest: number;             // interest over the life of the loans (real $)
+};
+
+export type MortgagePayoffComparison = {
+  plan?: number;
+  paidDown: number;             // outside savings and offset cash put against the loans today
+  invest: MortgagePayoffOption; // keep the loans and leave savings invested outside
+  payDown: MortgagePayoffOption;
+  recommended: 'invest' | 'payDown';
+};
+
+/**
+ * Pay the loans down today or keep investing: the first option puts offset cash and outside savings
+ * against the loans now (highest rate first, each keeping its term, so repayments fall), the second
+ * leaves everything as it is. Scored like other strategies by the earliest age reaching `plan` (or the
+ * earliest viable age without one), then by spend; paying down must strictly improve on investing.
+ */
+export function compareMortgagePayoff(base: Inputs, plan?: number): MortgagePayoffComparison | null {
+  const debts = base.debts ?? [];
+  if (!debts.some(d => d.principal > 0)) return null;
+
+  let available = Math.max(0, base.outside0);
+  const paidDownDebts = new Map<Debt, Debt>();
+  let paidDown = 0;
+  for (const debt of [...debts].sort((a, b) => b.rate - a.rate)) {
+    const offset = Math.max(0, debt.offset ?? 0);
+    const fromOutside = Math.min(available, Math.max(0, debt.principal - offset));
+    available -= fromOutside;
+    const usedOffset = Math.min(offset, debt.principal);
+    paidDown += fromOutside + usedOffset;
+    // Offset cash beyond the balance comes back outside
+    available += offset - usedOffset;
+    paidDownDebts.set(debt, { ...debt, principal: debt.principal - usedOffset - fromOutside, offset: 0 });
+  }
+  const payDownInputs: Inputs = {
+    ...base,
+    outside0: available,
+    debts: debts.map(d => paidDownDebts.get(d)!).filter(d => d.principal > 0)
+  };
+
+  const cpi = (base.indexation ?? INDEXATION_RULES.defaults).cpi;
+  const interestOn = (ds: Debt[]) => ds.reduce((s, d) => s + debtSchedule(d, cpi).reduce((t, row) => t + row.interest, 0), 0);
+  const evaluate = (inp: Inputs): MortgagePayoffOption =>
+    ({ ...earliestOutcome(inp, plan), interest: interestOn(inp.debts ?? []) });
+  const invest = evaluate(base);
+  const payDown = evaluate(payDownInputs);
+
+  return { plan, paidDown, invest, payDown, recommended: isBetterOutcome(payDown, invest) ? 'payDown' : 'invest' };
+}
@@ -0,0 +1,135 @@
+import { solveSBaseForAge } from '../solver';
+import type { Inputs } from '../solver';
+import { earliestOutcome, isBetterOutcome, type EarliestOutcome } from './earliestForPlan';
+import { stampDuty, PROPERTY_RULES, type PropertyRules } from '../property/home';
+import type { Debt } from '../debt/loans';
+
+/** The home to buy or rent, in today's dollars. */
+export type RentVsBuyAssumptions = {
+  price: number;              // purchase price today
+  deposit: number;            // cash put towards the price; the rest is borrowed
+  mortgageRate: number;       // nominal rate a year
+  termYears?: number;         // default 30
+  rent: number;               // rent a year for a comparable home today
+  rentGrowth?: number;        // real growth of rent a year (default 0)
+  propertyGrowth?: number;    // real growth of the home's price a year (default 0)
+  buyingCosts?: number;       // conveyancing, inspections and the like, on top of stamp duty (default 0)
+  saleCostRate?: number;      // default from rules
+  maintenanceRate?: number;   // rates, insurance and upkeep a year as a share of the home's value; default from rules
+  sellAge?: number;           // household clock age the owner sells and rents from (default: the final year)
+};
+
+export type RentVsBuyOption = EarliestOutcome;
+
+export type RentVsBuyComparison = {
+  plan?: number;
+  upfront: number;                      // deposit, stamp duty and buying costs, from outside savings
+  rent: RentVsBuyOption;                // rent and invest the upfront cash
+  buy: RentVsBuyOption;                 // buy with a mortgage
+  earliestAgeDifference: number | null; // buy less rent; negative when buying retires earlier
+  // Both options retire at this common age, the later of the two earliest ages, so both can spend more
+  // than nothing; null when neither is viable
+  comparisonAge: number | null;
+  spendDifference: number | null;       // buy less rent, each retiring at comparisonAge
+  // Real house-price growth at which buying supports the same spend as renting at comparisonAge; null
+  // when that is outside -5% to 10% a year or neither is viable
+  breakevenGrowth: number | null;
+  recommended: 'rent' | 'buy';
+};
+
+const GROWTH_RANGE = [-0.05, 0.10];
+
+/**
+ * The same household renting and owning. The renter keeps the upfront cash invested outside and pays rent
+ * for life. The owner pays the deposit, stamp duty and buying costs from outside, borrows the rest over
+ * the term and pays running costs on the home's value; they sell in `sellAge` (by default the final year,
+ * so the equity counts toward dying with zero) and rent from then on. The solver gives each the Age
+ * Pension homeowner thresholds only while they hold the home.
+ */
+function rentVsBuyHouseholds(base: Inputs, a: RentVsBuyAssumptions, growth: number, rules: PropertyRules) {
+  const upfront = a.deposit + stampDuty(a.price, rules) + Math.max(0, a.buyingCosts ?? 0);
+  const sellAge = a.sellAge ?? base.lifeExp - 1;
+  const renter: Inputs = {
+    ...base,
+    home: undefined,
+    rent: { amount: a.rent, realGrowth: a.rentGrowth }
+  };
+  const mortgage: Debt = {
+    label: 'Mortgage',
+    principal: a.price - a.deposit,
+    rate: a.mortgageRate,
+    termYears: a.termYears ?? 30,
+    repayment: 'principalAndInterest'
+  };
+  const owner: Inputs = {
+    ...base,
+    outside0: base.outside0 - upfront,
+    debts: mortgage.principal > 0 ? [...(base.debts ?? []), mortgage] : base.debts,
+    home: {
+      value: a.price,
+      realGrowth: growth,
+      maintenanceRate: a.maintenanceRate ?? rules.defaultMaintenanceRate,
+      downsize: { age: sellAge, newHomePrice: 0, saleCostRate: a.saleCostRate }
+    },
+    rent: { amount: a.rent, realGrowth: a.rentGrowth, fromAge: sellAge }
+  };
+  return { upfront, renter, owner };
+}
+
+/**
+ * Rent or buy: two households that differ only in housing, scored like other strategies by the earliest
+ * age reaching `plan` (or the earliest viable age without one), then by spend; buying must strictly
+ * improve on renting. Housing is added on top of `base`, so its savings and spending should leave rent
+ * and mortgage repayments out. Null when the deposit is not within the price or outside savings cannot
+ * cover the upfront cash.
+ */
+export function compareRentVsBuy(
+  base: Inputs,
+  assumptions: RentVsBuyAssumptions,
+  plan?: number,
+  rules: PropertyRules = PROPERTY_RULES
+): RentVsBuyComparison | null {
+  const a = assumptions;
+  if (a.price <= 0 || a.deposit < 0 || a.deposit > a.price) return null;
+  const growth = a.propertyGrowth ?? 0;
+  const { upfront, renter, owner } = rentVsBuyHouseholds(base, a, growth, rules);
+  if (upfront > base.outside0) return null;
+
+  const rent = earliestOutcome(renter, plan);
+  const buy = earliestOutcome(owner, plan);
+
+  // Spend is compared at a common retirement age: each option's own earliest age would credit the later
+  // retiree with the extra years of saving
+  const ages = [rent.earliestAge, buy.earliestAge].filter((x): x is number => x !== null);
+  const age = ages.length ? Math.max(...ages) : null;
+  let spendDifference: number | null = null;
+  let breakevenGrowth: number | null = null;
+  if (age !== null) {
+    const target = solveSBaseForAge(renter, age).sBase;
+    spendDifference = solveSBaseForAge(owner, age).sBase - target;
+    // Breakeven: bisect on growth for the owner's spend. More growth means a dearer sale later, so the
+    // owner's spend rises with it (running costs grow too, but by far less)
+    const gap = (g: number) => solveSBaseForAge(rentVsBuyHouseholds(base, a, g, rules).owner, age).sBase - target;
+    let [lo, hi] = GROWTH_RANGE;
+    if (gap(lo) < 0 && gap(hi) > 0) {
+      for (let i = 0; i < 30; i++) {
+        const mid = 0.5 * (lo + hi);
+        if (gap(mid) < 0) lo = mid;
+        else hi = mid;
+      }
+      breakevenGrowth = 0.5 * (lo + hi);
+    }
+  }
+
+  return {
+    plan,
+    upfront,
+    rent,
+    buy,
+    earliestAgeDifference: rent.earliestAge !== null && buy.earliestAge !== null ? buy.earliestAge - rent.earliestAge : null,
+    comparisonAge: age,
+    spendDifference,
+    breakevenGrowth,
+    recommended: isBetterOutcome(buy, rent) ? 'buy' : 'rent'
+  };
+}
@@ -0,0 +1,84 @@
+import { findEarliestViable } from '../solver';
+import type { Inputs, HouseholdMember } from '../solver';
+
+export type RetirementFrontierPoint = {
+  p1RetireAge: number;          // p1's own age at retirement
+  p2RetireAge: number;          // p2's own age at retirement
+  householdRetireAge: number;   // clock age when the last partner stops work and drawdown begins
+  spend: number;                // sustainable base spend at this combination
+};
+
+export type RetirementFrontierResult = {
+  plan: number;
+  frontier: RetirementFrontierPoint[];  // p1 ascending, p2 descending; every point reaches the plan
+  evaluations: number;
+};
+
+/**
+ * Frontier of (p1RetireAge, p2RetireAge) combinations that reach `plan`: for each p1 retirement age,
+ * the earliest p2 retirement age that still funds the plan, keeping only combinations that let p2
+ * stop earlier than any earlier p1 age does. Needs two people in `base.people`.
+ */
+export function findRetirementFrontier(
+  base: Inputs,
+  plan: number,
+  options: { maxEvaluations?: number } = {}
+): RetirementFrontierResult {
+  const people = base.people;
+  if (!Number.isFinite(plan) || plan <= 0 || people?.length !== 2) {
+    return { plan, frontier: [], evaluations: 0 };
+  }
+  const [p1, p2] = people;
+  const maxEvals = options.maxEvaluations ?? 2000;
+
+  // Own-age ranges: work at least one more year; drawdown must begin before lifeExp on the clock
+  const lastClockAge = base.lifeExp - 1;
+  const toClock = (p: HouseholdMember, ownAge: number) => base.currentAge + ownAge - p.age;
+  const range = (p: HouseholdMember) => ({ lo: p.age + 1, hi: lastClockAge - base.currentAge + p.age });
+  const r1 = range(p1);
+  const r2 = range(p2);
+
+  let evals = 0;
+  const spendAt = (a1: number, a2: number): number | null => {
+    evals++;
+    const result = findEarliestViable({
+      ...base,
+      people: [{ ...p1, retireAge: a1 }, { ...p2, retireAge: a2 }],
+      retireAge: Math.max(toClock(p1, a1), toClock(p2, a2))
+    });
+    return result && result.sBase + 1e-6 >= plan ? result.sBase : null;
+  };
+
+  const frontier: RetirementFrontierPoint[] = [];
+  // Working longer never hurts, so a later p1 age only matters if it lets p2 stop earlier
+  let hi2 = r2.hi;
+  for (let a1 = r1.lo; a1 <= r1.hi && hi2 >= r2.lo && evals < maxEvals; a1++) {
+    let spend = spendAt(a1, hi2);
+    if (spend === null) continue;
+
+    // Binary search the earliest p2 age that funds the plan for this p1 age
+    let lo = r2.lo;
+    let hi = hi2;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const atMid = spendAt(a1, mid);
+      if (atMid !== null) {
+        hi = mid;
+        spend = atMid;
+      } else {
+        lo = mid + 1;
+      }
+    }
+
+    frontier.push({
+      p1RetireAge: a1,
+      p2RetireAge: hi,
+      householdRetireAge: Math.max(toClock(p1, a1), toClock(p2, hi)),
+      spend
+    });
+    if (hi === r2.lo) break; // p2 cannot stop any earlier
+    hi2 = hi - 1;
+  }
+
+  return { plan, frontier, evaluations: evals };
+}
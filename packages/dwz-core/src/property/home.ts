@@ -0,0 +1,75 @@
+import propertyRules from '../data/property.json';
+import type { RateBracket } from '../rules/auRules';
+
+export type PropertyRules = {
+  effective: string;
+  notes?: string;
+  downsizer: { minAge: number; maxPerPerson: number };
+  defaultSaleCostRate: number;  // agent, marketing and legals, as a share of the sale price
+  defaultMaintenanceRate: number; // rates, insurance and upkeep a year, as a share of the home's value
+  stampDuty: RateBracket[];     // marginal duty on the purchase price
+};
+
+/** Bundled rules; update src/data/property.json when the downsizer cap or duty rates change. */
+export const PROPERTY_RULES: PropertyRules = propertyRules;
+
+/** The family home (principal place of residence), in today's dollars. */
+export type Home = {
+  value: number;            // market value today
+  realGrowth?: number;      // growth a year above inflation (default 0)
+  // Rates, insurance and upkeep a year as a share of the home's value (default none); paid from savings
+  // while working and spent on top of the schedule once retired
+  maintenanceRate?: number;
+  downsize?: {
+    age: number;            // household clock age at the start of the year of the sale
+    newHomePrice: number;   // replacement home at today's prices; grows with the home's growth until then
+    saleCostRate?: number;  // default from rules
+    // Contribute sale proceeds to super as downsizer contributions (default true)
+    downsizerContribution?: boolean;
+  };
+};
+
+export type DownsizeResult = {
+  salePrice: number;
+  saleCosts: number;
+  purchasePrice: number;
+  stampDuty: number;
+  toSuper: number[];        // downsizer contribution per person
+  toOutside: number;        // the rest of the cash; negative when the new home costs more
+};
+
+/** Transfer duty on a purchase. */
+export function stampDuty(price: number, rules: PropertyRules = PROPERTY_RULES): number {
+  const brackets = rules.stampDuty;
+  return brackets.reduce((t, b, i) => {
+    const upper = Math.min(price, brackets[i + 1]?.from ?? Infinity);
+    return t + Math.max(0, upper - b.from) * b.rate;
+  }, 0);
+}
+
+/** Home value `years` from now: today's value grown at its real rate. */
+export function homeValueAfter(value: number, years: number, realGrowth = 0): number {
+  return Math.max(0, value) * Math.pow(1 + realGrowth, Math.max(0, years));
+}
+
+/**
+ * Sell the home `years` from now and buy the replacement. Each person at or over the minimum age
+ * (`ownAges`) can contribute up to the per-person cap of the sale price to super, outside the
+ * contribution caps, limited to the cash the sale frees up; the rest lands outside.
+ */
+export function downsizeHome(home: Home, years: number, ownAges: number[], rules: PropertyRules = PROPERTY_RULES): DownsizeResult | null {
+  const d = home.downsize;
+  if (!d) return null;
+  const growth = home.realGrowth ?? 0;
+  const salePrice = homeValueAfter(home.value, years, growth);
+  const saleCosts = salePrice * (d.saleCostRate ?? rules.defaultSaleCostRate);
+  const purchasePrice = homeValueAfter(d.newHomePrice, years, growth);
+  const duty = purchasePrice > 0 ? stampDuty(purchasePrice, rules) : 0;
+  const cash = salePrice - saleCosts - purchasePrice - duty;
+
+  const eligible = ownAges.map(age => d.downsizerContribution !== false && age >= rules.downsizer.minAge);
+  const count = eligible.filter(Boolean).length;
+  const total = count > 0 ? Math.min(Math.max(0, cash), salePrice, rules.downsizer.maxPerPerson * count) : 0;
+  const toSuper = eligible.map(e => (e ? total / count : 0));
+  return { salePrice, saleCosts, purchasePrice, stampDuty: duty, toSuper, toOutside: cash - total };
+}
@@ -0,0 +1,92 @@
+import { homeValueAfter, PROPERTY_RULES, type PropertyRules } from './home';
+import { CGT_DISCOUNT_INDIVIDUAL } from '../tax/investmentTax';
+import { additionalIncomeTax, type IncomeTaxOptions } from '../tax/incomeTax';
+import { rulesForYear, type YearRules } from '../rules/auRules';
+import type { Debt } from '../debt/loans';
+
+/** An investment property, in today's dollars unless noted. */
+export type InvestmentProperty = {
+  label?: string;
+  value: number;                // market value today
+  // Cost base today in the dollars paid (not indexed): purchase price and buying costs, less capital
+  // works deductions already claimed
+  costBase: number;
+  realGrowth?: number;          // price growth a year above inflation (default 0); rent grows with it
+  rent: number;                 // gross rent a year
+  expenses: number;             // rates, insurance, strata, management and repairs a year
+  depreciation?: number;        // capital works deduction a year, fixed in nominal dollars; comes off the cost base
+  loan?: Debt;                  // interest is deductible; repayments come from outside, the balance is repaid on sale
+  ownership?: number[];         // share held by each person (default equal)
+  yearsHeld?: number;           // years owned so far (default 0); the CGT discount needs 12 months
+  mainResidenceShare?: number;  // share of the ownership period it was your home; that share of the gain is exempt
+  sale?: {
+    age: number;                // household clock age at the start of the year of the sale
+    saleCostRate?: number;      // default from rules
+  };
+};
+
+/** One year of rental income, in today's dollars. */
+export type RentalYear = {
+  rent: number;
+  expenses: number;
+  interest: number;
+  depreciation: number;
+  taxable: number;              // net rental income; negative when the property is negatively geared
+};
+
+/** A sale and its capital gain, in today's dollars. */
+export type PropertySale = {
+  salePrice: number;
+  saleCosts: number;
+  costBase: number;             // after capital works deductions claimed until the sale
+  capitalGain: number;          // before the exemption and discount; negative for a loss
+  exempt: number;               // main residence exemption
+  discount: number;             // CGT discount
+  taxableGain: number;
+};
+
+/** Rental income `years` from now, with that year's loan `interest`. Rent grows with the property; expenses keep pace with CPI. */
+export function rentalYear(property: InvestmentProperty, years: number, cpi: number, interest = 0): RentalYear {
+  const rent = homeValueAfter(property.rent, years, property.realGrowth);
+  const expenses = Math.max(0, property.expenses);
+  const depreciation = Math.max(0, property.depreciation ?? 0) / Math.pow(1 + cpi, Math.max(0, years));
+  return { rent, expenses, interest, depreciation, taxable: rent - expenses - interest - depreciation };
+}
+
+/**
+ * Sell at the start of the year `years` from now. The cost base is not indexed, so the gain is worked out
+ * in nominal dollars under `cpi` and reported in today's: capital works deductions claimed until then come
+ * off the cost base, the main residence share of the gain is exempt and the individual discount applies to
+ * the rest once the property has been held for 12 months. A loss is not taxable; it could only offset
+ * other capital gains.
+ */
+export function sellInvestmentProperty(
+  property: InvestmentProperty,
+  years: number,
+  cpi: number,
+  rules: PropertyRules = PROPERTY_RULES
+): PropertySale {
+  const k = Math.max(0, years);
+  const salePrice = homeValueAfter(property.value, k, property.realGrowth);
+  const saleCosts = salePrice * (property.sale?.saleCostRate ?? rules.defaultSaleCostRate);
+  const claimed = Math.max(0, property.depreciation ?? 0) * k;
+  const costBase = Math.max(0, property.costBase - claimed) / Math.pow(1 + cpi, k);
+  const capitalGain = salePrice - saleCosts - costBase;
+  const gain = Math.max(0, capitalGain);
+  const exempt = gain * Math.min(1, Math.max(0, property.mainResidenceShare ?? 0));
+  const discount = (property.yearsHeld ?? 0) + k >= 1 ? (gain - exempt) * CGT_DISCOUNT_INDIVIDUAL : 0;
+  return { salePrice, saleCosts, costBase, capitalGain, exempt, discount, taxableGain: gain - exempt - discount };
+}
+
+/**
+ * Extra tax an owner pays on `propertyIncome` (their share of net rent and any taxable gain) on top of
+ * `otherIncome`; negative when a rental loss cuts the tax on their other income (negative gearing).
+ */
+export function propertyIncomeTax(
+  otherIncome: number,
+  propertyIncome: number,
+  opts: Pick<IncomeTaxOptions, 'age' | 'couple'> = {},
+  rules: YearRules = rulesForYear()
+): number {
+  return additionalIncomeTax(otherIncome, propertyIncome, opts, rules);
+}
@@ -0,0 +1,98 @@
+// Seeded random sources for stochastic modelling. Nothing in dwz-core may call Math.random():
+// every stochastic entry point takes a seed so identical inputs replay identical paths.
+
+/** Uniform draw in [0, 1). */
+export type Rng = () => number;
+
+/** Mulberry32: small, fast 32-bit PRNG. Same seed => same sequence on every JS engine. */
+export function createRng(seed: number): Rng {
+  let a = (Math.floor(seed) || 0) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Normal draw via Box–Muller; u1 is kept away from 0 to avoid log(0). */
+export function normal(rng: Rng, mean = 0, sd = 1): number {
+  const u1 = Math.max(rng(), 1e-12);
+  const u2 = rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/** Lognormal draw exp(N(mu, sigma)); mu/sigma are the parameters of the underlying normal. */
+export function lognormal(rng: Rng, mu: number, sigma: number): number {
+  return Math.exp(normal(rng, mu, sigma));
+}
+
+/**
+ * Underlying normal parameters such that a lognormal draw has the given arithmetic mean and sd.
+ * Used to model gross returns: 1 + R ~ LN with E[1 + R] = 1 + mean, SD = sd.
+ */
+export function lognormalParams(mean: number, sd: number): { mu: number; sigma: number } {
+  const m = Math.max(1e-9, mean);
+  const sigma2 = Math.log(1 + (sd * sd) / (m * m));
+  return { mu: Math.log(m) - sigma2 / 2, sigma: Math.sqrt(sigma2) };
+}
+
+/** Gamma(shape, 1) draw (Marsaglia–Tsang); shape < 1 handled by the boost u^(1/shape). */
+export function gamma(rng: Rng, shape: number): number {
+  if (!(shape > 0)) throw new Error(`gamma shape must be > 0 (got ${shape})`);
+  if (shape < 1) {
+    return gamma(rng, shape + 1) * Math.pow(Math.max(rng(), 1e-12), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x: number;
+    let v: number;
+    do {
+      x = normal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(Math.max(u, 1e-300)) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/** Standard Student-t draw with `df` degrees of freedom (fat-tailed; variance df/(df-2) for df > 2). */
+export function studentT(rng: Rng, df: number): number {
+  if (!(df > 0)) throw new Error(`studentT df must be > 0 (got ${df})`);
+  const z = normal(rng);
+  const chi2 = 2 * gamma(rng, df / 2);
+  return z / Math.sqrt(chi2 / df);
+}
+
+/**
+ * Cholesky factor L (lower triangular, L·Lᵀ = m) of a symmetric positive-definite matrix.
+ * Throws if the matrix is not square or not positive definite (e.g. an impossible correlation set).
+ */
+export function cholesky(m: number[][]): number[][] {
+  const n = m.length;
+  const L: number[][] = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    if (m[i].length !== n) throw new Error('cholesky: matrix must be square');
+    for (let j = 0; j <= i; j++) {
+      let sum = m[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error('cholesky: matrix is not positive definite');
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+  return L;
+}
+
+/** One vector of standard normals correlated through Cholesky factor L (from `cholesky`). */
+export function correlatedNormals(rng: Rng, L: number[][]): number[] {
+  const z = L.map(() => normal(rng));
+  return L.map(row => row.reduce((s, l, k) => s + l * z[k], 0));
+}
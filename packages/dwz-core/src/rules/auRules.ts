@@ -0,0 +1,67 @@
+import auRules from '../data/auRules.json';
+
+export type FinancialYear = '2024-25' | '2025-26';
+
+export type RateBracket = { from: number; rate: number };
+
+export type MlsTier = {
+  single: number;   // surcharge applies to income above this for singles
+  family: number;   // ... and above this for families (before the per-child increment)
+  rate: number;
+};
+
+export type YearRules = {
+  incomeTax: RateBracket[];       // marginal rates on income above `from`, ascending
+  // levy on the whole income, shaded in at shadeInRate above the low-income threshold
+  medicare: { rate: number; lowIncomeThreshold: number; seniorLowIncomeThreshold: number; shadeInRate: number };
+  // low income tax offset: max, less each taper rate on income above its `from`
+  lito: { max: number; taper: RateBracket[] };
+  // seniors and pensioners tax offset from pension age; couple amounts are per partner
+  sapto: {
+    pensionAge: number;
+    taperRate: number;
+    single: { max: number; threshold: number };
+    couple: { max: number; threshold: number };
+  };
+  mls: { tiers: MlsTier[]; familyChildIncrement: number };
+  // 'total': the rate of the highest threshold reached applies to all repayment income;
+  // 'marginal': each rate applies to income above its threshold
+  help: { method: 'total' | 'marginal'; brackets: RateBracket[] };
+  caps: { concessional: number; nonConcessional: number; transferBalance: number };
+  sgRate: number;
+  sgMaxBase: number;              // maximum super contribution base, per year
+  preservationAges: Array<{ bornBefore: string; age: number }>;
+  defaultPreservationAge: number; // for anyone born after the last row
+  // genuine redundancy: tax-free up to the base plus the amount per completed year of service
+  redundancy: { taxFreeBase: number; taxFreePerYear: number };
+  // taxable part of an excluded ETP: the concessional rate up to the cap, the top rate above it (Medicare levy included)
+  etp: { cap: number; rateFromPreservationAge: number; rateBeforePreservationAge: number; rateAboveCap: number };
+};
+
+/** Bundled rules by financial year; add a year to src/data/auRules.json when rates change. */
+export const AU_RULES_BY_YEAR = auRules.years as Record<FinancialYear, YearRules>;
+
+export const FINANCIAL_YEARS = Object.keys(AU_RULES_BY_YEAR).sort() as FinancialYear[];
+
+/** Most recent year in the registry; the engine's default. */
+export const LATEST_FINANCIAL_YEAR: FinancialYear = FINANCIAL_YEARS[FINANCIAL_YEARS.length - 1];
+
+export function isFinancialYear(label: string): label is FinancialYear {
+  return label in AU_RULES_BY_YEAR;
+}
+
+/** Financial year label ('2025-26') containing the given calendar month (1..12); years roll on 1 July. */
+export function financialYearLabel(year: number, month1to12: number): string {
+  const start = month1to12 >= 7 ? year : year - 1;
+  return `${start}-${(start + 1).toString().slice(-2)}`;
+}
+
+export function rulesForYear(fy: FinancialYear = LATEST_FINANCIAL_YEAR): YearRules {
+  return AU_RULES_BY_YEAR[fy];
+}
+
+/** Preservation age for a date of birth (ISO date). */
+export function preservationAgeFor(birthDate: string, rules: YearRules = rulesForYear()): number {
+  const row = rules.preservationAges.find(r => birthDate < r.bornBefore);
+  return row?.age ?? rules.defaultPreservationAge;
+}
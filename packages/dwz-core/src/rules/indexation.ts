@@ -0,0 +1,88 @@
+import auRules from '../data/auRules.json';
+import { rulesForYear, type YearRules } from './auRules';
+
+/** Assumed nominal growth a year: wages (AWOTE) and prices (CPI). */
+export type IndexationAssumptions = { wageGrowth: number; cpi: number };
+
+export type IndexSpec = { index: 'awote' | 'cpi' | 'none'; step?: number };
+
+export type IndexationRules = {
+  notes?: string;
+  defaults: IndexationAssumptions;
+  thresholds: Record<
+    | 'incomeTax' | 'medicareLowIncomeThreshold' | 'offsets' | 'mls' | 'mlsChildIncrement' | 'help'
+    | 'concessionalCap' | 'transferBalanceCap' | 'sgMaxBase' | 'redundancyTaxFree' | 'etpCap' | 'div293Threshold',
+    IndexSpec
+  >;
+  nonConcessionalCapMultiple: number;
+};
+
+/** Bundled indexation model; thresholds and steps live alongside the yearly rules in src/data/auRules.json. */
+export const INDEXATION_RULES = auRules.indexation as IndexationRules;
+
+/**
+ * A nominal threshold `years` after today, in today's dollars. Indexed amounts grow with wages or prices
+ * and are rounded down to their step in nominal dollars, so they move in jumps; unindexed amounts stay
+ * put in nominal dollars and lose value to inflation.
+ */
+export function indexedAmount(
+  amount: number,
+  years: number,
+  spec: IndexSpec,
+  a: IndexationAssumptions = INDEXATION_RULES.defaults
+): number {
+  const t = Math.max(0, years);
+  const deflator = Math.pow(1 + a.cpi, t);
+  if (spec.index === 'none' || t === 0) return amount / deflator;
+  const growth = Math.pow(1 + (spec.index === 'awote' ? a.wageGrowth : a.cpi), t);
+  const step = spec.step ?? 1;
+  // Guard the floor against float error on exact multiples
+  const nominal = Math.max(amount, Math.floor(amount * growth / step + 1e-9) * step);
+  return nominal / deflator;
+}
+
+/**
+ * Rules `years` after `base` (default: the latest year), every dollar threshold in today's dollars.
+ * Rates and preservation ages carry over unchanged.
+ */
+export function projectRules(
+  years: number,
+  a: IndexationAssumptions = INDEXATION_RULES.defaults,
+  base: YearRules = rulesForYear(),
+  rules: IndexationRules = INDEXATION_RULES
+): YearRules {
+  const th = rules.thresholds;
+  const at = (amount: number, spec: IndexSpec) => indexedAmount(amount, years, spec, a);
+  const concessional = at(base.caps.concessional, th.concessionalCap);
+  return {
+    ...base,
+    incomeTax: base.incomeTax.map(b => ({ ...b, from: at(b.from, th.incomeTax) })),
+    medicare: {
+      ...base.medicare,
+      lowIncomeThreshold: at(base.medicare.lowIncomeThreshold, th.medicareLowIncomeThreshold),
+      seniorLowIncomeThreshold: at(base.medicare.seniorLowIncomeThreshold, th.medicareLowIncomeThreshold)
+    },
+    lito: { max: at(base.lito.max, th.offsets), taper: base.lito.taper.map(b => ({ ...b, from: at(b.from, th.offsets) })) },
+    sapto: {
+      ...base.sapto,
+      single: { max: at(base.sapto.single.max, th.offsets), threshold: at(base.sapto.single.threshold, th.offsets) },
+      couple: { max: at(base.sapto.couple.max, th.offsets), threshold: at(base.sapto.couple.threshold, th.offsets) }
+    },
+    mls: {
+      tiers: base.mls.tiers.map(t => ({ ...t, single: at(t.single, th.mls), family: at(t.family, th.mls) })),
+      familyChildIncrement: at(base.mls.familyChildIncrement, th.mlsChildIncrement)
+    },
+    help: { ...base.help, brackets: base.help.brackets.map(b => ({ ...b, from: at(b.from, th.help) })) },
+    caps: {
+      concessional,
+      nonConcessional: concessional * rules.nonConcessionalCapMultiple,
+      transferBalance: at(base.caps.transferBalance, th.transferBalanceCap)
+    },
+    sgMaxBase: at(base.sgMaxBase, th.sgMaxBase),
+    redundancy: {
+      taxFreeBase: at(base.redundancy.taxFreeBase, th.redundancyTaxFree),
+      taxFreePerYear: at(base.redundancy.taxFreePerYear, th.redundancyTaxFree)
+    },
+    etp: { ...base.etp, cap: at(base.etp.cap, th.etpCap) }
+  };
+}
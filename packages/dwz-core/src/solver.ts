@@ -1,11 +1,30 @@
 // DWZ v2 — exact tail-to-bequest solver (real dollars, end-of-year points)
+import auHistoricalReturns from './data/auHistoricalReturns.json';
+import { quantile } from './stats';
+import type { BucketReturn, EarningsTax, SemiRetirement } from './types.js';
+import { agePension, AGE_PENSION_RULES } from './pension/agePension';
+import { minimumDrawdownRate, minimumPensionPayment } from './pension/minimumDrawdown';
+import { transferToRetirementPhase, TRANSFER_BALANCE_RULES } from './pension/transferBalance';
+import { earningsTaxDrag, SUPER_ACCUMULATION_TAX_RATE, CGT_DISCOUNT_INDIVIDUAL, CGT_DISCOUNT_SUPER } from './tax/investmentTax';
+import { div293Tax, salarySacrificeTaxRate, CONTRIBUTIONS_TAX_RULES, type ContributionsTaxRules } from './tax/contributionsTax';
+import { applyNonConcessional, type BringForwardPeriod } from './super/nonConcessionalCap';
+import { canReceiveSplit, splittableContributions, spouseTaxOffset, SPOUSE_CONTRIBUTION_RULES } from './super/spouseContributions';
+import { carryForwardWindow, availableCarryForward, rollCarryForward, CONTRIBUTION_CAP_RULES, type ConcessionalHistory, type ContributionCapRules } from './super/concessionalCap';
+import { indexedAmount, projectRules, INDEXATION_RULES, type IndexationAssumptions } from './rules/indexation';
+import { rulesForYear, type YearRules } from './rules/auRules';
+import { helpDebtYear, helpRealIndexation, type HelpDebt } from './tax/helpDebt';
+import { debtSchedule, type Debt, type DebtYear } from './debt/loans';
+import { downsizeHome, homeValueAfter, type Home } from './property/home';
+import { rentalYear, sellInvestmentProperty, propertyIncomeTax, type InvestmentProperty } from './property/investment';
+import { lumpSumTax, type FutureInflow } from './tax/lumpSums';
+import { marginalTaxRate, type IncomeTaxOptions } from './tax/incomeTax';
 
 export type Bands = Array<{ endAgeIncl: number; multiplier: number }>;
 
 export type Inputs = {
-  // current ages (we sum to household-level before optimizer; couples-first)
-  currentAge: number;           // household min current age
-  preserveAge: number;          // household min preservation age (e.g., 60)
+  // household clock: person 0 (You) for couples; all other ages are expressed on this clock
+  currentAge: number;           // household clock age today
+  preserveAge: number;          // preservation age on the clock (e.g., 60); ignored for access when `people` is set
   lifeExp: number;
 
   // balances today (real)
@@ -15,6 +34,12 @@ export type Inputs = {
   // real return (already net of inflation)
   realReturn: number;           // e.g., 0.059
 
+  // Optional per-bucket gross returns and fees; each bucket falls back to realReturn when absent
+  bucketReturns?: BucketReturns;
+
+  // Optional earnings tax on each bucket's returns (absent => tax-free compounding)
+  earningsTax?: EarningsTax;
+
   // savings before retirement (combined) — v2 doesn't optimize split yet
   annualSavings: number;        // goes to outside for now
 
@@ -24,7 +49,8 @@ export type Inputs = {
   // bequest target in real dollars (0 for classic DWZ)
   bequest: number;
 
-  // Optional: force retirement to begin when the younger partner reaches this age
+  // Optional: force retirement (drawdown) to begin when the household clock reaches this age;
+  // partners may stop work earlier via people[i].retireAge
   retireAge?: number;
 
   // Optional pre-FIRE savings split policy
@@ -33,29 +59,139 @@ export type Inputs = {
   // Optional employer SG gross (combined across all people)
   employerSGGross?: number;
 
-  // Optional future inflows in today's dollars. Applied when 'you' reaches given age.
-  futureInflows?: Array<{
-    ageYou: number;           // trigger when person 0 (You) reaches this age
-    amount: number;           // positive inflow; today's dollars
-    to?: 'outside' | 'super'; // default 'outside'
-  }>;
+  // Optional salary before salary sacrifice for a single earner; couples use people[i].income.
+  // Drives Division 293 tax on concessional contributions (absent => no Div 293)
+  income?: number;
+  // Optional single earner's concessional history for carry-forward; couples use people[i].concessionalHistory
+  concessionalHistory?: ConcessionalHistory;
+  // Optional single earner's HELP debt; couples use people[i].help. Repaid from income while working,
+  // which comes out of savings outside
+  help?: HelpDebt;
+
+  // Optional future inflows in today's dollars. Applied when 'you' reaches given age, after the tax for
+  // their type (untyped inflows are untaxed); a gift out leaves outside instead
+  futureInflows?: FutureInflow[];
+
+  // Optional part-time phase before full retirement: SG and savings scale with the income fraction,
+  // and a transition-to-retirement (TTR) pension may be drawn from preserved super into outside
+  semiRetirement?: SemiRetirement;
+
+  // Optional per-person super and working lives (couples). Each balance unlocks when its owner reaches
+  // their own preservation age, so the bridge lasts until every balance is accessible. super0 stays the total.
+  people?: HouseholdMember[];
+
+  // Optional Age Pension; means-tested each year from pension age and used to fund spending first
+  agePension?: {
+    couple: boolean;
+    homeowner: boolean;         // without a modelled home or rent; otherwise they decide it each year
+    pensionAge?: number;        // default from rules (67)
+    otherAssets?: number;       // assessable non-financial assets (cars, contents), real $
+  };
+
+  // Optional couples strategies while working: roll `rate` (at most 85%) of people[from]'s concessional
+  // contributions over to people[to] each year, and/or contribute `amount` a year from savings to people[to]'s
+  // super as a spouse contribution, earning the spouse contribution tax offset when their income is low
+  contributionSplitting?: { from: number; to: number; rate: number };
+  spouseContribution?: { to: number; amount: number };
+
+  // Optional per-person transfer balance cap (real $); default from rules. Super above the cap stays
+  // in accumulation phase when its owner's pension starts
+  transferBalanceCap?: number;
+
+  // Optional loans such as a mortgage. Repayments come out of savings while working and are spent on top
+  // of the schedule once retired, until each loan is repaid or paid off at retirement
+  debts?: Debt[];
+
+  // Optional family home: grows at its own real rate, stays out of the totals and the Age Pension assets
+  // test, and may be downsized with the proceeds going to super (downsizer contributions) and outside
+  home?: Home;
+
+  // Optional rent a year (today's dollars), growing at its own real rate from today and paid from `fromAge`
+  // (default now): from savings while working and on top of the schedule once retired
+  rent?: { amount: number; realGrowth?: number; fromAge?: number };
+
+  // Optional investment properties: net rent less loan repayments goes outside, each owner's share of the
+  // net rent is taxed with their salary (a loss cuts that tax), and a planned sale pays CGT with the
+  // proceeds landing outside. Values stay out of the totals but count in the Age Pension means tests
+  investmentProperties?: InvestmentProperty[];
+
+  // Optional wage growth and CPI for projecting caps and thresholds year by year (absent => today's rules
+  // throughout). Caps follow their indexation in steps; unindexed thresholds such as Division 293's
+  // shrink in real terms
+  indexation?: IndexationAssumptions;
+
+  // Optional per-year real market returns, indexed by years since currentAge (index 0 = first year).
+  // Replaces realReturn where defined; buckets keep their spread to realReturn. Used by stochastic
+  // and historical replays.
+  returnPath?: number[];
+};
+
+export type HouseholdMember = {
+  age: number;              // this person's age today
+  preserveAge: number;      // this person's preservation age
+  super0: number;           // this person's super balance today (real)
+  employerSGGross?: number; // this person's SG; sets their share of contributions and savings (default: equal)
+  retireAge?: number;       // this person's own age when they stop work (default: household retireAge)
+  income?: number;          // this person's salary before salary sacrifice, for Division 293 (default: none)
+  concessionalHistory?: ConcessionalHistory; // previous years' contributions and balance, for carry-forward
+  help?: HelpDebt;          // this person's HELP debt, repaid from their salary while working
+};
+
+export type BucketReturns = {
+  outside: BucketReturn;
+  super: BucketReturn;
+  // Optional different allocation once retired (e.g. super moved to a more defensive option)
+  postRetire?: Partial<Record<"outside" | "super", BucketReturn>>;
 };
 
 export type SolverPathPoint = {
   age: number;            // integer age at END of year
   outside: number;        // real dollars
   super: number;          // real dollars
+  superByPerson?: number[]; // per-person super when `people` is set
   total: number;          // outside + super
-  phase: "accum" | "bridge" | "retire";
+  phase: "accum" | "semi" | "bridge" | "retire";
+  ttrDraw?: number;       // transition-to-retirement pension drawn during the year (real $)
+  concessional?: number;  // gross concessional contributions during the year (SG, salary sacrifice, catch-up)
+  concessionalCap?: number; // household cap that year including carry-forward, when carry-forward or indexation is modelled
+  nonConcessionalExcess?: number; // super inflow above the non-concessional cap, kept outside instead
+  contributionSplit?: number[];   // concessional contributions rolled over between partners (out negative, in positive)
+  spouseContribution?: number[];  // after-tax spouse contributions received per person
+  spouseTaxOffset?: number;       // spouse contribution tax offset, returned to outside
+  helpDebt?: number[];            // HELP balance per person at the end of the year, while any is modelled
+  helpRepayment?: number;         // compulsory and voluntary HELP repayments during the year, paid from outside
+  debtBalance?: number;           // loans owing at the end of the year (real $), while any is modelled
+  debtPayment?: number;           // loan repayments during the year (real $)
+  debtPayoff?: number;            // loan balances cleared at retirement, by offsets, outside and super (real $)
+  home?: number;                  // family home value at the end of the year (not in total), when modelled
+  downsizerContribution?: number; // sale proceeds contributed to super in the year of a downsize
+  housingCost?: number;           // rent and home running costs during the year (real $), when modelled
+  investmentProperty?: number;    // investment properties still held at the end of the year (not in total)
+  propertyCashFlow?: number;      // rent less expenses and loan repayments (real $)
+  propertyTax?: number;           // owners' tax on net rent and capital gains; negative when negatively geared
+  propertySale?: number;          // sale proceeds after costs and repaying the loan, before CGT
+  lumpSumTax?: number;            // tax on redundancy payments, bonuses and asset sales during the year
+  pensionPayment?: number; // account-based pension paid from super during the year (real $), minimum included
+  transferBalance?: number[]; // transfer balance account credits per super pot, once any pension has started
+  agePension?: number;    // Age Pension received during the year (real $), when modelled
 };
 
-export type BridgeResult = {
-  years: number;          // preserveAge - retireAge (clamped >= 0)
-  needPV: number;         // PV at retireAge of bridge spending
-  have: number;           // outside at retireAge
+export type BridgeStage = {
+  unlockAge: number;      // clock age at which this stage's super becomes accessible
+  years: number;          // unlockAge - retireAge (clamped >= 0)
+  needPV: number;         // PV at retireAge of spending until unlockAge
+  have: number;           // outside plus super already unlocked before unlockAge, at retireAge
   covered: boolean;
 };
 
+export type BridgeResult = {
+  years: number;          // years until every super balance is accessible (clamped >= 0)
+  needPV: number;         // PV at retireAge of bridge spending (binding stage)
+  have: number;           // accessible funds at retireAge (binding stage)
+  covered: boolean;       // every stage covered
+  stages: BridgeStage[];  // one per distinct unlock age, in order
+};
+
 export type SolveResult = {
   retireAge: number;
   sBase: number;          // sustainable base spending (real $/yr)
@@ -86,57 +222,576 @@ function grow(x: number, r: number) {
   return x * (1 + r);
 }
 
-/** Apply future inflows if trigger age is reached. Modifies outside/super in-place via reference parameters. */
-function applyFutureInflows(inp: Inputs, age: number, outsideRef: { value: number }, superRef: { value: number }): void {
-  if (!inp.futureInflows || inp.futureInflows.length === 0) return;
-  
-  for (const inflow of inp.futureInflows) {
-    if (Math.abs(age - inflow.ageYou) < 1e-9) {
-      const amount = Math.max(0, inflow.amount || 0);
-      if (amount > 0) {
-        const destination = inflow.to ?? 'outside';
-        if (destination === 'outside') {
-          outsideRef.value += amount;
-        } else {
-          superRef.value += amount;
-        }
+/** Grow a bucket for one year, deducting earnings tax from positive balances only. */
+function growAfterTax(x: number, r: number, taxDrag: number) {
+  return x > 0 ? x * (1 + r - taxDrag) : grow(x, r);
+}
+
+/** Who pays the outside tax in a year: their taxable income, age and couple status, and that year's rules. */
+type TaxpayerAt = { income: number; opts?: Pick<IncomeTaxOptions, 'age' | 'couple'>; rules: YearRules };
+
+/**
+ * A rate set on today's brackets, moved to another year: plus the change in the marginal rate at
+ * `at.income` from today's brackets to that year's projected ones. Unchanged without indexation.
+ */
+function projectedRate(inp: Inputs, rate: number, at?: TaxpayerAt): number {
+  if (!inp.indexation || !at || at.income <= 0) return rate;
+  const shift = marginalTaxRate(at.income, at.opts, at.rules)
+    - marginalTaxRate(at.income, at.opts, TODAY_LIMITS.taxRules);
+  return Math.min(1, Math.max(0, rate + shift));
+}
+
+/**
+ * Earnings-tax drag on each bucket for a year at the given net returns.
+ * Super is in retirement phase (tax-free) once retired and past preservation age. The outside rate
+ * follows that year's brackets for the taxpayer `at`, when given.
+ */
+function earningsTaxFor(
+  inp: Inputs,
+  r: { outside: number; super: number },
+  phase: { retired: boolean; superPension: boolean },
+  at?: TaxpayerAt
+): { outside: number; super: number } {
+  const t = inp.earningsTax;
+  if (!t) return { outside: 0, super: 0 };
+  const outsideRate = projectedRate(
+    inp,
+    phase.retired ? (t.outside?.retiredTaxRate ?? t.outside?.taxRate ?? 0) : (t.outside?.taxRate ?? 0),
+    at
+  );
+  const superRate = phase.superPension ? 0 : SUPER_ACCUMULATION_TAX_RATE;
+  return {
+    outside: t.outside ? earningsTaxDrag(r.outside, t.outside, outsideRate, CGT_DISCOUNT_INDIVIDUAL) : 0,
+    super: t.super ? earningsTaxDrag(r.super, t.super, superRate, CGT_DISCOUNT_SUPER) : 0
+  };
+}
+
+/** Deviation of the replayed market return from realReturn for the year starting at `age` (0 if none). */
+function marketShock(inp: Inputs, age: number): number {
+  const r = inp.returnPath?.[age - inp.currentAge];
+  return r === undefined ? 0 : r - inp.realReturn;
+}
+
+/** Net real return of one bucket, honouring per-bucket gross/fees and the post-retirement allocation. */
+function bucketRate(inp: Inputs, bucket: "outside" | "super", retired: boolean, shock = 0): number {
+  const spec = (retired ? inp.bucketReturns?.postRetire?.[bucket] : undefined) ?? inp.bucketReturns?.[bucket];
+  const net = spec ? spec.gross - (spec.fees ?? 0) : inp.realReturn;
+  return Math.max(-0.99, net + shock);
+}
+
+/** Net real returns of both buckets for the year starting at `age`. */
+function returnsForYear(inp: Inputs, age: number, retired: boolean): { outside: number; super: number } {
+  const shock = marketShock(inp, age);
+  return {
+    outside: bucketRate(inp, "outside", retired, shock),
+    super: bucketRate(inp, "super", retired, shock)
+  };
+}
+
+/** Clock age at which each super balance becomes accessible: one per person, or the household's preserveAge. */
+export function superUnlockAges(inp: Inputs): number[] {
+  if (!inp.people?.length) return [inp.preserveAge];
+  return inp.people.map(p => inp.currentAge + p.preserveAge - p.age);
+}
+
+const sum = (xs: number[]) => xs.reduce((s, x) => s + x, 0);
+
+/** Split a household super amount across people pro rata to weights (equal when all weights are zero). */
+function splitByWeights(total: number, weights: number[]): number[] {
+  const w = weights.map(x => Math.max(0, x));
+  const t = sum(w);
+  return w.map(x => (t > 0 ? total * x / t : total / w.length));
+}
+
+/** Opening super balances, one per unlock group. A household total is split pro rata to today's balances. */
+function superPots(inp: Inputs, total?: number | number[]): number[] {
+  if (Array.isArray(total)) return [...total];
+  if (!inp.people?.length) return [total ?? inp.super0];
+  if (total === undefined) return inp.people.map(p => p.super0);
+  return splitByWeights(total, inp.people.map(p => p.super0));
+}
+
+/** Each person's share of super contributions: pro rata to their SG when given, otherwise equal. */
+function contributionShares(inp: Inputs): number[] {
+  if (!inp.people?.length) return [1];
+  return splitByWeights(1, inp.people.map(p => p.employerSGGross ?? 0));
+}
+
+/** Each person's salary before salary sacrifice (0 when not given). */
+function salaries(inp: Inputs): number[] {
+  if (!inp.people?.length) return [Math.max(0, inp.income ?? 0)];
+  return inp.people.map(p => Math.max(0, p.income ?? 0));
+}
+
+/**
+ * Household average contributions tax rate on `sacrifice` dollars of salary sacrifice, shared like
+ * other contributions, on top of everyone's SG. Includes Division 293 for high earners, at the
+ * threshold for the year starting at `age` (default: this year).
+ */
+export function salarySacrificeTaxRateFor(inp: Inputs, sacrifice: number, age = inp.currentAge): number {
+  const shares = contributionShares(inp);
+  const incomes = salaries(inp);
+  const sg = inp.employerSGGross ?? 0;
+  const rules = limitsAt(inp, age).contributionsTax;
+  return sum(shares.map((share, i) =>
+    share * salarySacrificeTaxRate(incomes[i], sg * share, Math.max(0, sacrifice) * share, rules)
+  ));
+}
+
+/** Caps and thresholds in force for one year, in real dollars. */
+type YearLimits = {
+  capScale: number;                         // concessional cap relative to today's
+  capRules: ContributionCapRules;           // concessional and non-concessional caps
+  transferBalanceCap: number;               // default cap for pensions starting this year
+  contributionsTax: ContributionsTaxRules;  // Division 293 threshold
+  taxRules: YearRules;                      // income tax and HELP thresholds
+};
+
+const TODAY_LIMITS: YearLimits = {
+  capScale: 1,
+  capRules: CONTRIBUTION_CAP_RULES,
+  transferBalanceCap: TRANSFER_BALANCE_RULES.generalCap,
+  contributionsTax: CONTRIBUTIONS_TAX_RULES,
+  taxRules: rulesForYear()
+};
+
+/** Limits for the year starting at `age`: projected under `inp.indexation`, otherwise today's. */
+function limitsAt(inp: Inputs, age: number): YearLimits {
+  const a = inp.indexation;
+  if (!a) return TODAY_LIMITS;
+  const years = age - inp.currentAge;
+  const r = projectRules(years, a);
+  return {
+    capScale: r.caps.concessional / CONTRIBUTION_CAP_RULES.concessionalCap,
+    capRules: { ...CONTRIBUTION_CAP_RULES, concessionalCap: r.caps.concessional, nonConcessionalCap: r.caps.nonConcessional },
+    transferBalanceCap: r.caps.transferBalance,
+    contributionsTax: {
+      ...CONTRIBUTIONS_TAX_RULES,
+      div293Threshold: indexedAmount(CONTRIBUTIONS_TAX_RULES.div293Threshold, years, INDEXATION_RULES.thresholds.div293Threshold, a)
+    },
+    taxRules: r
+  };
+}
+
+/** Per-person concessional cap for the year starting at `age`, given today's `capPerPerson`. */
+export function concessionalCapAt(inp: Inputs, capPerPerson: number, age: number): number {
+  return capPerPerson * limitsAt(inp, age).capScale;
+}
+
+/** Clock age at which each person stops work: their own retireAge when set, never after the household's. */
+export function workingUntilAges(inp: Inputs, householdRetireAge: number): number[] {
+  if (!inp.people?.length) return [householdRetireAge];
+  return inp.people.map(p =>
+    p.retireAge === undefined
+      ? householdRetireAge
+      : Math.min(householdRetireAge, inp.currentAge + p.retireAge - p.age)
+  );
+}
+
+function superPathFields(inp: Inputs, pots: number[]): Pick<SolverPathPoint, "superByPerson"> {
+  return inp.people?.length ? { superByPerson: [...pots] } : {};
+}
+
+/** Own age of the person holding super pot `i` when the household clock reads `clockAge`. */
+function ownerAge(inp: Inputs, i: number, clockAge: number): number {
+  const p = inp.people?.[i];
+  return p ? clockAge - inp.currentAge + p.age : clockAge;
+}
+
+// Transition-to-retirement pensions pay at least the age-based minimum and at most 10% a year
+const TTR_MAX_RATE = 0.10;
+
+/** Draw a TTR pension pro rata from preserved super, each within its minimum–10% band. Returns the amount drawn. */
+function drawTransitionPension(inp: Inputs, supers: number[], unlockAges: number[], age: number, target: number): number {
+  const preserved = supers.map((bal, i) => (age >= unlockAges[i] ? Math.max(0, bal) : 0));
+  const total = sum(preserved);
+  if (total <= 0) return 0;
+  let drawn = 0;
+  preserved.forEach((bal, i) => {
+    if (bal <= 0) return;
+    const minRate = minimumDrawdownRate(ownerAge(inp, i, age));
+    const d = Math.min(Math.max(target * bal / total, minRate * bal), TTR_MAX_RATE * bal);
+    supers[i] -= d;
+    drawn += d;
+  });
+  return drawn;
+}
+
+/**
+ * Each person's unused-cap window and opening balance for carry-forward, when the split asks for it and
+ * anyone has a concessional history; people without one start with an empty window.
+ */
+function carryForwardState(inp: Inputs): { windows: number[][]; balances: number[]; cap: number } | undefined {
+  const split = inp.preFireSavingsSplit;
+  const histories = inp.people?.length ? inp.people.map(p => p.concessionalHistory) : [inp.concessionalHistory];
+  if (!split?.carryForward || !histories.some(Boolean)) return undefined;
+  const supers = superPots(inp);
+  return {
+    windows: histories.map(h => h ? carryForwardWindow(h) : []),
+    balances: histories.map((h, i) => h?.totalSuperBalance ?? supers[i]),
+    cap: split.capPerPerson || 0
+  };
+}
+
+/**
+ * Couples strategies for one working year, applied to `supers` in place: contribution splitting rolls part
+ * of one partner's concessional contributions (`fromConcessional`) over to the other while they can receive
+ * it, and a spouse contribution moves savings into the other's super (within the non-concessional cap) for
+ * the spouse contribution tax offset. Returns the net cost to outside and the path fields to report.
+ */
+function spouseStrategies(
+  inp: Inputs,
+  supers: number[],
+  working: boolean[],
+  age: number,
+  fromConcessional: number,
+  incomes: number[],
+  limits: YearLimits
+): { outsideCost: number; fields: Pick<SolverPathPoint, "contributionSplit" | "spouseContribution" | "spouseTaxOffset"> } {
+  const people = inp.people;
+  const fields: Pick<SolverPathPoint, "contributionSplit" | "spouseContribution" | "spouseTaxOffset"> = {};
+  let outsideCost = 0;
+  if (people?.length !== 2) return { outsideCost, fields };
+
+  const cs = inp.contributionSplitting;
+  if (cs && cs.from !== cs.to && people[cs.from] && people[cs.to] && working[cs.from]
+    && canReceiveSplit(ownerAge(inp, cs.to, age), people[cs.to].preserveAge, working[cs.to])) {
+    const rolled = Math.min(splittableContributions(fromConcessional, cs.rate), Math.max(0, supers[cs.from]));
+    if (rolled > 0) {
+      supers[cs.from] -= rolled;
+      supers[cs.to] += rolled;
+      fields.contributionSplit = people.map((_, i) => (i === cs.from ? -rolled : i === cs.to ? rolled : 0));
+    }
+  }
+
+  const sc = inp.spouseContribution;
+  if (sc && people[sc.to] && working.some((w, i) => w && i !== sc.to)
+    && ownerAge(inp, sc.to, age) < SPOUSE_CONTRIBUTION_RULES.offsetAgeLimit) {
+    const tbc = inp.transferBalanceCap ?? limits.transferBalanceCap;
+    const { accepted } = applyNonConcessional(sc.amount, supers[sc.to], ownerAge(inp, sc.to, age), undefined, limits.capRules, tbc);
+    if (accepted > 0) {
+      const offset = spouseTaxOffset(accepted, working[sc.to] ? incomes[sc.to] : 0);
+      supers[sc.to] += accepted;
+      outsideCost = accepted - offset;
+      fields.spouseContribution = people.map((_, i) => (i === sc.to ? accepted : 0));
+      if (offset > 0) fields.spouseTaxOffset = offset;
+    }
+  }
+  return { outsideCost, fields };
+}
+
+const debtSchedules = new WeakMap<Debt, Map<number, DebtYear[]>>();
+
+/** A loan's real schedule under the inputs' CPI (default: the indexation defaults), cached per loan. */
+function scheduleFor(inp: Inputs, debt: Debt): DebtYear[] {
+  const cpi = (inp.indexation ?? INDEXATION_RULES.defaults).cpi;
+  let byCpi = debtSchedules.get(debt);
+  if (!byCpi) debtSchedules.set(debt, byCpi = new Map());
+  let rows = byCpi.get(cpi);
+  if (!rows) byCpi.set(cpi, rows = debtSchedule(debt, cpi));
+  return rows;
+}
+
+/**
+ * Loan flows for the year starting at clock `age`. Loans set to be paid off at `retireAge` stop there.
+ * `balance` is what is owed at the end of the year.
+ */
+function debtFlowsAt(inp: Inputs, age: number, retireAge: number): { payment: number; offsetRelease: number; balance: number } {
+  const flows = { payment: 0, offsetRelease: 0, balance: 0 };
+  const k = age - inp.currentAge;
+  for (const debt of inp.debts ?? []) {
+    if (debt.payoffAtRetirement && age >= retireAge) continue;
+    const row = scheduleFor(inp, debt)[k];
+    if (!row) continue;
+    flows.payment += row.payment;
+    flows.offsetRelease += row.offsetRelease;
+    flows.balance += row.closing;
+  }
+  return flows;
+}
+
+/** Family home value at the end of the year starting at clock `age`, after any downsize. */
+function homeValueAt(inp: Inputs, age: number): number {
+  const home = inp.home!;
+  const moved = home.downsize !== undefined && age >= home.downsize.age;
+  return homeValueAfter(moved ? home.downsize!.newHomePrice : home.value, age + 1 - inp.currentAge, home.realGrowth);
+}
+
+/**
+ * Whether the household owns its home in the year starting at clock `age`: a modelled home while one is
+ * held (not after selling without a replacement), never while renting, otherwise the Age Pension setting.
+ */
+function ownsHomeAt(inp: Inputs, age: number): boolean {
+  if (inp.home) return homeValueAt(inp, age) > 0;
+  if (inp.rent && age >= (inp.rent.fromAge ?? inp.currentAge)) return false;
+  return inp.agePension?.homeowner ?? false;
+}
+
+/** Rent and home running costs for the year starting at clock `age`; running costs follow any downsize. */
+function housingCostAt(inp: Inputs, age: number): number {
+  const k = age - inp.currentAge;
+  const rent = inp.rent;
+  const rentCost = rent && age >= (rent.fromAge ?? inp.currentAge) ? homeValueAfter(rent.amount, k, rent.realGrowth) : 0;
+  const home = inp.home;
+  if (!home?.maintenanceRate) return rentCost;
+  const moved = home.downsize !== undefined && age >= home.downsize.age;
+  return rentCost + homeValueAfter(moved ? home.downsize!.newHomePrice : home.value, k, home.realGrowth) * home.maintenanceRate;
+}
+
+/**
+ * Downsize in the year starting at clock `age`, if that is the year: downsizer contributions go to each
+ * person's super pot (a single pot without `people`), and the returned cash change applies to outside.
+ */
+function applyDownsize(inp: Inputs, age: number, supers: number[]): { outside: number; toSuper: number } | undefined {
+  const home = inp.home;
+  if (!home?.downsize || Math.abs(age - home.downsize.age) > 1e-9) return undefined;
+  const ownAges = inp.people?.length ? inp.people.map((_, i) => ownerAge(inp, i, age)) : [age];
+  const sale = downsizeHome(home, age - inp.currentAge, ownAges)!;
+  sale.toSuper.forEach((amount, i) => { supers[i] += amount; });
+  return { outside: sale.toOutside, toSuper: sum(sale.toSuper) };
+}
+
+/** Each person's share of an investment property: its ownership split, or equal. */
+function propertyShares(inp: Inputs, property: InvestmentProperty): number[] {
+  const count = inp.people?.length || 1;
+  return splitByWeights(1, Array.from({ length: count }, (_, i) => property.ownership?.[i] ?? 0));
+}
+
+/** Whether an investment property is still held during the year starting at clock `age`. */
+function propertyHeld(property: InvestmentProperty, age: number): boolean {
+  return property.sale === undefined || age < property.sale.age;
+}
+
+/** Loan on an investment property still owing at the start of year `k` (before any offset). */
+function propertyLoanOwing(inp: Inputs, loan: Debt, k: number): number {
+  return k <= 0 ? Math.max(0, loan.principal) : scheduleFor(inp, loan)[k - 1]?.closing ?? 0;
+}
+
+/**
+ * Investment properties in the year starting at clock `age`. Properties held all year pay rent less
+ * expenses and loan repayments (`cash`); one sold that year goes at its start, repaying the loan from the
+ * price (`proceeds`). Each owner's share of the net rent and taxable gain is taxed on top of
+ * `otherIncomes` (`tax`, negative when negatively geared). `value` is what is still held at the end.
+ */
+function propertyFlowsAt(
+  inp: Inputs,
+  age: number,
+  otherIncomes: number[],
+  limits: YearLimits
+): { cash: number; tax: number; proceeds: number; value: number } {
+  const flows = { cash: 0, tax: 0, proceeds: 0, value: 0 };
+  const k = age - inp.currentAge;
+  const cpi = (inp.indexation ?? INDEXATION_RULES.defaults).cpi;
+  const taxable = otherIncomes.map(() => 0);
+  for (const property of inp.investmentProperties ?? []) {
+    const shares = propertyShares(inp, property);
+    let income: number;
+    if (propertyHeld(property, age)) {
+      const row = property.loan ? scheduleFor(inp, property.loan)[k] : undefined;
+      const rental = rentalYear(property, k, cpi, row?.interest ?? 0);
+      flows.cash += rental.rent - rental.expenses - (row?.payment ?? 0) + (row?.offsetRelease ?? 0);
+      flows.value += homeValueAfter(property.value, k + 1, property.realGrowth);
+      income = rental.taxable;
+    } else if (Math.abs(age - property.sale!.age) < 1e-9) {
+      const sale = sellInvestmentProperty(property, k, cpi);
+      const loan = property.loan;
+      const owing = loan ? propertyLoanOwing(inp, loan, k) : 0;
+      // An offset still attached to the loan comes back with the sale
+      const offset = loan && owing > 0 ? Math.max(0, loan.offset ?? 0) / Math.pow(1 + cpi, Math.max(0, k)) : 0;
+      flows.proceeds += sale.salePrice - sale.saleCosts - owing + offset;
+      income = sale.taxableGain;
+    } else {
+      continue;
+    }
+    shares.forEach((share, i) => { taxable[i] += share * income; });
+  }
+  const couple = (inp.people?.length ?? 0) > 1;
+  taxable.forEach((x, i) => {
+    if (x !== 0) flows.tax += propertyIncomeTax(otherIncomes[i], x, { age: ownerAge(inp, i, age), couple }, limits.taxRules);
+  });
+  return flows;
+}
+
+/** Investment properties held at the start of the year starting at clock `age`: equity and net rent for the Age Pension. */
+function propertyMeansAt(inp: Inputs, age: number): { assets: number; income: number } {
+  const means = { assets: 0, income: 0 };
+  const k = age - inp.currentAge;
+  const cpi = (inp.indexation ?? INDEXATION_RULES.defaults).cpi;
+  for (const property of inp.investmentProperties ?? []) {
+    if (!propertyHeld(property, age)) continue;
+    const owing = property.loan ? propertyLoanOwing(inp, property.loan, k) : 0;
+    const interest = property.loan ? scheduleFor(inp, property.loan)[k]?.interest ?? 0 : 0;
+    const rental = rentalYear(property, k, cpi, interest);
+    means.assets += Math.max(0, homeValueAfter(property.value, k, property.realGrowth) - owing);
+    // Centrelink assesses rent less expenses and interest; depreciation is not deductible for it
+    means.income += Math.max(0, rental.rent - rental.expenses - rental.interest);
+  }
+  return means;
+}
+
+/** Each person's HELP debt (undefined when they have none). */
+function helpDebts(inp: Inputs): Array<HelpDebt | undefined> {
+  if (!inp.people?.length) return [inp.help];
+  return inp.people.map(p => p.help);
+}
+
+/**
+ * Future inflows triggered at `age`, each after the tax for its type: bonuses and asset sales are taxed on
+ * top of the owner's `otherIncomes` that year, a redundancy payment at the ETP rate for their age.
+ */
+function futureInflowsAt(
+  inp: Inputs,
+  age: number,
+  otherIncomes: number[],
+  limits: YearLimits
+): Array<{ inflow: FutureInflow; net: number; tax: number }> {
+  const triggered = (inp.futureInflows ?? []).filter(inflow => Math.abs(age - inflow.ageYou) < 1e-9);
+  if (triggered.length === 0) return [];
+  const unlockAges = superUnlockAges(inp);
+  const couple = (inp.people?.length ?? 0) > 1;
+  const cpi = (inp.indexation ?? INDEXATION_RULES.defaults).cpi;
+  return triggered.map(inflow => {
+    const i = Math.min(inflow.person ?? 0, unlockAges.length - 1);
+    const { net, tax } = lumpSumTax(inflow, {
+      otherIncome: otherIncomes[i] ?? 0,
+      age: ownerAge(inp, i, age),
+      couple,
+      preserved: age >= unlockAges[i],
+      years: age - inp.currentAge,
+      cpi
+    }, limits.taxRules);
+    return { inflow, net, tax };
+  });
+}
+
+/** Total future inflows to outside triggered at `age`, after tax. */
+function outsideInflowAt(inp: Inputs, age: number, otherIncomes: number[], limits: YearLimits): number {
+  return futureInflowsAt(inp, age, otherIncomes, limits)
+    .filter(({ inflow }) => (inflow.to ?? 'outside') === 'outside')
+    .reduce((s, { net }) => s + Math.max(0, net), 0);
+}
+
+/**
+ * Apply future inflows if trigger age is reached. Modifies outside/super in-place via reference parameters.
+ * Super inflows are You's non-concessional contributions: anything above the cap (bring-forward included,
+ * tested against `balance`) lands outside instead. Returns that excess and the tax on the inflows.
+ */
+function applyFutureInflows(
+  inp: Inputs,
+  age: number,
+  outsideRef: { value: number },
+  superRef: { value: number },
+  ncc: { period?: BringForwardPeriod; balance: number },
+  otherIncomes: number[],
+  limits: YearLimits
+): { excess: number; tax: number } {
+  let toSuper = 0;
+  let tax = 0;
+  for (const { inflow, net, tax: inflowTax } of futureInflowsAt(inp, age, otherIncomes, limits)) {
+    tax += inflowTax;
+    if (net < 0) {
+      outsideRef.value += net;
+    } else if (net > 0) {
+      const destination = inflow.to ?? 'outside';
+      if (destination === 'outside') {
+        outsideRef.value += net;
+      } else {
+        toSuper += net;
       }
     }
   }
+  if (toSuper === 0) return { excess: 0, tax };
+
+  const tbc = inp.transferBalanceCap ?? limits.transferBalanceCap;
+  const contribution = applyNonConcessional(toSuper, ncc.balance, age, ncc.period, limits.capRules, tbc);
+  ncc.period = contribution.period;
+  superRef.value += contribution.accepted;
+  outsideRef.value += contribution.excess;
+  return { excess: contribution.excess, tax };
 }
 
 /** Accumulate balances from currentAge to retireAge (end-of-year semantics). */
-export function accumulateUntil(inp: Inputs, retireAge: number): { path: SolverPathPoint[]; outside: number; super: number; } {
+export function accumulateUntil(
+  inp: Inputs,
+  retireAge: number
+): { path: SolverPathPoint[]; outside: number; super: number; superByPerson: number[] } {
   const path: SolverPathPoint[] = [];
   let age = inp.currentAge;
   let outside = inp.outside0;
-  let sup = inp.super0;
+  const supers = superPots(inp);
+  const shares = contributionShares(inp);
+  const workUntil = workingUntilAges(inp, retireAge);
+  const unlockAges = superUnlockAges(inp);
+  const incomes = salaries(inp);
+  const semi = inp.semiRetirement;
+  const carry = carryForwardState(inp);
+  const ncc: { period?: BringForwardPeriod; balance: number } = { balance: 0 };
+  const debts = helpDebts(inp);
+  const helpBalances = debts.map(d => Math.max(0, d?.balance ?? 0));
+  const hasHelp = helpBalances.some(b => b > 0);
+  const helpIndexation = helpRealIndexation(inp.indexation);
+  const hasDebts = (inp.debts?.length ?? 0) > 0;
+  const hasProperties = (inp.investmentProperties?.length ?? 0) > 0;
 
   while (age < retireAge) {
-    // Add employer SG net (after 15% contrib tax) to super during accumulation
-    const employerSGGross = inp.employerSGGross ?? 0;
+    // Total super balance for the non-concessional cap is You's balance at the start of the year
+    ncc.balance = supers[0];
+    const limits = limitsAt(inp, age);
+    // Only people still working earn SG and savings; their super shares the contributions
+    const working = workUntil.map(until => age < until);
+    const allWorking = working.every(Boolean);
+    const workingShare = allWorking ? 1 : sum(shares.filter((_, i) => working[i]));
+    const addToSuper = (amount: number) => supers.forEach((_, i) => {
+      if (working[i]) supers[i] += amount * shares[i] / workingShare;
+    });
+
+    // Part-time years earn a fraction of salary, so SG and savings shrink with it
+    const isSemi = semi !== undefined && age >= semi.startAge;
+    const incomeFraction = isSemi ? Math.min(1, Math.max(0, semi.incomeFraction)) : 1;
+    const earned = incomes.map((x, i) => (working[i] ? x * incomeFraction : 0));
+
+    // Add employer SG net (after 15% contrib tax) to super during accumulation; Division 293 comes off below
+    const employerSGGross = (inp.employerSGGross ?? 0) * workingShare * incomeFraction;
     if (employerSGGross > 0) {
-      const sgNet = Math.round(employerSGGross * (1 - 0.15) * 100) / 100;
-      sup += sgNet;
+      const sgNet = Math.round(employerSGGross * (1 - CONTRIBUTIONS_TAX_RULES.baseRate) * 100) / 100;
+      addToSuper(sgNet);
     }
+    // Salary sacrifice subject to Division 293 (an explicit contribTaxRate already covers its tax)
+    let sacrificeForDiv293 = 0;
+    let concessional = employerSGGross;
+
+    const split = inp.preFireSavingsSplit;
+    // Clamp eligiblePeople to reasonable household size (0-2) and to those still working
+    const maxEligible = allWorking ? 2 : working.filter(Boolean).length;
+    const eligible = Math.min(maxEligible, Math.max(0, split?.eligiblePeople || 0));
+    // Effective concessional headroom = cap (plus carry-forward) - employer SG gross, clamped >= 0
+    const carried = carry && eligible > 0
+      ? sum(carry.windows.map((w, i) => working[i] ? availableCarryForward(w, age === inp.currentAge ? carry.balances[i] : supers[i]) : 0))
+      : 0;
+    const yearCap = (split?.capPerPerson || 0) * limits.capScale * eligible + carried;
+    let headroom = Math.max(0, yearCap - employerSGGross);
+    const contribTax = Math.min(1, Math.max(0, split?.contribTaxRate ?? CONTRIBUTIONS_TAX_RULES.baseRate));
+    // Outside savings are taxed at the higher earner's rate on that year's brackets
+    const earner: TaxpayerAt = { income: Math.max(...earned), rules: limits.taxRules };
+    const outsideTax = split?.outsideTaxRate === undefined ? 0
+      : projectedRate(inp, Math.min(1, Math.max(0, split.outsideTaxRate)), earner);
 
     // Pre-FIRE accumulation (before fees/returns): split annualSavings into outside vs super if configured
-    const totalSavings = inp.annualSavings;
-    if (totalSavings > 0) {
-      const split = inp.preFireSavingsSplit;
+    const totalSavings = (isSemi ? semi.savings ?? inp.annualSavings * incomeFraction : inp.annualSavings) * workingShare;
+    if (totalSavings < 0) {
+      // Part-time income falls short of spending; the gap comes from outside
+      outside += totalSavings;
+    } else if (totalSavings > 0) {
       if (split) {
         const pct = Math.min(1, Math.max(0, split.toSuperPct ?? 0));
         const desiredSuperGross = totalSavings * pct;
-        // Clamp eligiblePeople to reasonable household size (0-2)
-        const eligible = Math.min(2, Math.max(0, split.eligiblePeople || 0));
-        // Effective concessional headroom = cap - employer SG gross, clamped >= 0
-        const capTotal = Math.max(0, (split.capPerPerson || 0) * eligible - employerSGGross);
-        const superGross = Math.min(desiredSuperGross, capTotal);
+        const superGross = Math.min(desiredSuperGross, headroom);
+        headroom -= superGross;
+        concessional += superGross;
+        if (split.contribTaxRate === undefined) sacrificeForDiv293 = superGross;
         
         // Apply tax-aware mode
         const mode = split.mode ?? 'netFixed';
-        const contribTax = Math.min(1, Math.max(0, split.contribTaxRate ?? 0.15));
-        const outsideTax = Math.min(1, Math.max(0, split.outsideTaxRate ?? 0));
         
         let superNet: number, outsideNet: number;
         if (mode === 'grossDeferral') {
@@ -151,94 +806,518 @@ export function accumulateUntil(inp: Inputs, retireAge: number): { path: SolverP
         }
         
         outside += outsideNet;
-        sup += superNet;
+        addToSuper(superNet);
       } else {
         // Backward-compatible: all to outside
         outside += totalSavings;
       }
     }
 
-    // Apply future inflows before growth if trigger age is reached
+    // Catch-up: a windfall landing outside fills any headroom left as a deductible personal contribution;
+    // the deduction comes back outside at the outside tax rate
+    const catchUp = split?.catchUpInflows ? Math.min(headroom, outsideInflowAt(inp, age, earned, limits)) : 0;
+    if (catchUp > 0) {
+      outside -= catchUp * (1 - outsideTax);
+      addToSuper(catchUp * (1 - contribTax));
+      concessional += catchUp;
+      if (split!.contribTaxRate === undefined) sacrificeForDiv293 += catchUp;
+    }
+
+    // Carried amounts used this year drop out of each person's window; unused cap joins it
+    carry?.windows.forEach((w, i) => {
+      rollCarryForward(w, working[i] ? concessional * shares[i] / workingShare : 0, carry.cap * limits.capScale);
+    });
+
+    // Division 293: each working person's surcharge on their own concessional contributions
+    supers.forEach((_, i) => {
+      if (!working[i] || incomes[i] <= 0) return;
+      const share = shares[i] / workingShare;
+      const sacrifice = sacrificeForDiv293 * share;
+      supers[i] -= div293Tax(incomes[i] * incomeFraction - sacrifice, employerSGGross * share + sacrifice, limits.contributionsTax);
+    });
+
+    // Couples strategies: contribution splitting and spouse contributions
+    const fromShare = (shares[inp.contributionSplitting?.from ?? 0] ?? 0) / workingShare;
+    const spouse = spouseStrategies(inp, supers, working, age, concessional * fromShare, incomes.map(x => x * incomeFraction), limits);
+    outside -= spouse.outsideCost;
+
+    // HELP: compulsory repayments on each working person's salary before sacrifice (repayment income
+    // includes reportable super), plus any voluntary repayment, come out of savings outside
+    let helpRepaid = 0;
+    if (hasHelp) {
+      helpBalances.forEach((bal, i) => {
+        if (bal <= 0) return;
+        const year = working[i]
+          ? helpDebtYear(bal, incomes[i] * incomeFraction, debts[i]?.voluntary, helpIndexation, limits.taxRules)
+          : helpDebtYear(bal, 0, 0, helpIndexation, limits.taxRules);
+        helpRepaid += year.compulsory + year.voluntary;
+        helpBalances[i] = year.closing;
+      });
+      outside -= helpRepaid;
+    }
+
+    // Loan repayments come out of savings; an offset balance joins outside once its loan is repaid
+    const debt = hasDebts ? debtFlowsAt(inp, age, retireAge) : undefined;
+    if (debt) outside += debt.offsetRelease - debt.payment;
+
+    // Rent and home running costs come out of savings too
+    const housing = housingCostAt(inp, age);
+    outside -= housing;
+
+    // Investment properties: net rent and sale proceeds land outside, with each owner's tax on their share
+    // taxed against their salary while they work
+    const property = hasProperties
+      ? propertyFlowsAt(inp, age, earned, limits)
+      : undefined;
+    if (property) outside += property.cash + property.proceeds - property.tax;
+
+    // TTR pension from preserved super tops up outside while part-time
+    const ttrDraw = isSemi && (semi.ttrDraw ?? 0) > 0
+      ? drawTransitionPension(inp, supers, unlockAges, age, semi.ttrDraw!)
+      : 0;
+    outside += ttrDraw;
+
+    // Apply future inflows before growth if trigger age is reached (super inflows belong to You); bonuses
+    // and gains are taxed on top of the owner's salary
     const outsideRef = { value: outside };
-    const superRef = { value: sup };
-    applyFutureInflows(inp, age, outsideRef, superRef);
+    const superRef = { value: supers[0] };
+    const inflows = applyFutureInflows(inp, age, outsideRef, superRef, ncc, earned, limits);
     outside = outsideRef.value;
-    sup = superRef.value;
+    supers[0] = superRef.value;
 
-    // grow both piles to end of year
-    outside = grow(outside, inp.realReturn);
-    sup     = grow(sup,     inp.realReturn);
+    // Downsizing: sale proceeds to super as downsizer contributions, the rest outside
+    const downsize = applyDownsize(inp, age, supers);
+    if (downsize) outside += downsize.outside;
+
+    // grow both piles to end of year, net of earnings tax (TTR accounts stay taxed at 15%)
+    const r = returnsForYear(inp, age, false);
+    const tax = earningsTaxFor(inp, r, { retired: false, superPension: false }, earner);
+    outside = growAfterTax(outside, r.outside, tax.outside);
+    supers.forEach((bal, i) => { supers[i] = growAfterTax(bal, r.super, tax.super); });
 
     age += 1;
-    path.push({ age, outside, super: sup, total: outside + sup, phase: "accum" });
+    const sup = sum(supers);
+    path.push({
+      age, outside, super: sup, ...superPathFields(inp, supers), total: outside + sup,
+      phase: isSemi ? "semi" : "accum",
+      ...(concessional > 0 ? { concessional } : {}),
+      ...(carry || (split && inp.indexation) ? { concessionalCap: yearCap } : {}),
+      ...(inflows.excess > 0 ? { nonConcessionalExcess: inflows.excess } : {}),
+      ...(inflows.tax !== 0 ? { lumpSumTax: inflows.tax } : {}),
+      ...spouse.fields,
+      ...(hasHelp ? { helpDebt: [...helpBalances], helpRepayment: helpRepaid } : {}),
+      ...(debt ? { debtBalance: debt.balance, debtPayment: debt.payment } : {}),
+      ...(housing > 0 ? { housingCost: housing } : {}),
+      ...(inp.home ? { home: homeValueAt(inp, age - 1) } : {}),
+      ...(downsize && downsize.toSuper > 0 ? { downsizerContribution: downsize.toSuper } : {}),
+      ...(property ? propertyPathFields(property) : {}),
+      ...(ttrDraw > 0 ? { ttrDraw } : {})
+    });
   }
 
-  return { path, outside, super: sup };
+  // Loans set to be paid off at retirement: the offset goes first, then super that is unlocked by now
+  // (when chosen), then outside
+  const payoff = hasDebts ? payOffAtRetirement(inp, retireAge, unlockAges, supers) : undefined;
+  if (payoff && payoff.balance > 0) {
+    outside -= payoff.outside;
+    const last = path[path.length - 1];
+    if (last) {
+      const sup = sum(supers);
+      Object.assign(last, {
+        outside, super: sup, ...superPathFields(inp, supers), total: outside + sup,
+        debtPayoff: payoff.balance,
+        debtBalance: Math.max(0, (last.debtBalance ?? 0) - payoff.balance)
+      });
+    }
+  }
+
+  return { path, outside, super: sum(supers), superByPerson: supers };
+}
+
+/**
+ * Pay off loans flagged `payoffAtRetirement` as the household retires at `retireAge`. Takes from `supers`
+ * in place and returns what outside still has to pay, what super paid and the balance cleared (net of
+ * offsets, which are used up first).
+ */
+function payOffAtRetirement(
+  inp: Inputs,
+  retireAge: number,
+  unlockAges: number[],
+  supers: number[]
+): { outside: number; super: number; balance: number } {
+  const result = { outside: 0, super: 0, balance: 0 };
+  const k = retireAge - inp.currentAge;
+  const cpi = (inp.indexation ?? INDEXATION_RULES.defaults).cpi;
+  for (const debt of inp.debts ?? []) {
+    if (!debt.payoffAtRetirement) continue;
+    const rows = scheduleFor(inp, debt);
+    // Still owing when the schedule reaches retirement (a repaid loan has already released its offset)
+    const owing = k <= 0 ? Math.max(0, debt.principal) : rows[k - 1]?.closing ?? 0;
+    if (owing <= 0) continue;
+    const offset = Math.max(0, debt.offset ?? 0) / Math.pow(1 + cpi, Math.max(0, k));
+    let due = Math.max(0, owing - offset);
+    // Offset cash beyond the balance comes back outside
+    result.outside -= Math.max(0, offset - owing);
+    result.balance += owing;
+    if (debt.payoffAtRetirement === 'super') {
+      for (let i = 0; i < supers.length && due > 0; i++) {
+        if (unlockAges[i] > retireAge) continue;
+        const take = Math.min(Math.max(0, supers[i]), due);
+        supers[i] -= take;
+        result.super += take;
+        due -= take;
+      }
+    }
+    result.outside += due;
+  }
+  return result;
 }
 
 /** Simulate retirement phase given S_base, returning terminal total and a path segment. */
-function simulateRetirement(
+export function simulateRetirement(
   inp: Inputs,
   startAge: number,
   sBase: number,
   startOutside: number,
-  startSuper: number
+  startSuper: number | number[]
 ): { terminalTotal: number; path: SolverPathPoint[] } {
   const pts: SolverPathPoint[] = [];
+  const unlockAges = superUnlockAges(inp);
+  const lastUnlock = Math.max(...unlockAges);
+  // Draw unlocked super in unlock order
+  const drawOrder = unlockAges.map((u, i) => ({ u, i })).sort((a, b) => a.u - b.u).map(x => x.i);
   let outside = startOutside;
-  let sup = startSuper;
+  // Each pot splits into an accumulation part and, once its pension starts, a retirement-phase part
+  const supers = superPots(inp, startSuper);
+  const pensions = supers.map(() => 0);
+  const credits = supers.map(() => 0);
+  const started = supers.map(() => false);
+  const potTotals = () => supers.map((bal, i) => bal + pensions[i]);
+  // Withdraw from the pension part first, then from any excess left in accumulation
+  const takeFromPot = (i: number, amount: number) => {
+    const fromPension = Math.min(Math.max(0, pensions[i]), amount);
+    const fromAccum = Math.min(Math.max(0, supers[i]), amount - fromPension);
+    pensions[i] -= fromPension;
+    supers[i] -= fromAccum;
+    return fromPension + fromAccum;
+  };
   let age = startAge;
 
+  // A bring-forward period opened before retirement is not carried into drawdown
+  const ncc: { period?: BringForwardPeriod; balance: number } = { balance: 0 };
   while (age < inp.lifeExp) {
     const nextAge = age + 1;
-    const spend = annualSpendFor(nextAge, sBase, inp.bands);
+    ncc.balance = potTotals()[0];
+    const limits = limitsAt(inp, age);
+    // Age Pension (means-tested on start-of-year balances) funds spending first; any surplus is saved outside
+    const scheduled = annualSpendFor(nextAge, sBase, inp.bands);
+    const pension = agePensionFor(inp, age, outside, sum(potTotals()));
+    // Loan repayments still running, rent and home running costs are spent on top of the schedule
+    const debt = inp.debts?.length ? debtFlowsAt(inp, age, startAge) : undefined;
+    const housing = housingCostAt(inp, age);
+    const spend = Math.max(0, scheduled - pension) + (debt?.payment ?? 0) + housing;
+    outside += Math.max(0, pension - scheduled) + (debt?.offsetRelease ?? 0);
+    // Investment properties: super pensions are tax-free, so net rent and gains are taxed on their own
+    const property = inp.investmentProperties?.length
+      ? propertyFlowsAt(inp, age, supers.map(() => 0), limits)
+      : undefined;
+    if (property) outside += property.cash + property.proceeds - property.tax;
+
+    // Bridge rule: a person's super is only accessible once they reach preservation age
+    const unlocked = drawOrder.filter(i => nextAge > unlockAges[i]);
 
-    // Bridge rule: until preserveAge, withdraw only from OUTSIDE
-    if (nextAge <= inp.preserveAge) {
+    // Unlocked super starts an account-based pension, up to the owner's transfer balance cap
+    for (const i of unlocked) {
+      if (started[i]) continue;
+      const transfer = transferToRetirementPhase(supers[i], credits[i], inp.transferBalanceCap ?? limits.transferBalanceCap);
+      pensions[i] += transfer.credit;
+      supers[i] = transfer.excess;
+      credits[i] += transfer.credit;
+      started[i] = true;
+    }
+
+    // The pension must pay the age-based minimum on its opening balance; the payment lands outside
+    // and funds spending first, so any excess stays there
+    let superPaid = 0;
+    for (const i of unlocked) {
+      const minimum = minimumPensionPayment(pensions[i], ownerAge(inp, i, age));
+      pensions[i] -= minimum;
+      outside += minimum;
+      superPaid += minimum;
+    }
+    const superBeforeSpend = sum(potTotals());
+
+    if (unlocked.length === 0) {
       outside -= spend;
     } else {
-      // post-preserve, draw from total; use OUTSIDE first then SUPER
+      // Use OUTSIDE first, then each unlocked SUPER balance
       let fromOutside = Math.min(outside, spend);
       outside -= fromOutside;
-      const needLeft = spend - fromOutside;
-      sup -= needLeft;
+      let needLeft = spend - fromOutside;
+      for (const i of unlocked) needLeft -= takeFromPot(i, needLeft);
+      // A shortfall while some super is still locked overdraws the bridge (outside)
+      if (unlocked.length < supers.length) outside -= needLeft;
+      else supers[unlocked[unlocked.length - 1]] -= needLeft;
     }
+    superPaid += superBeforeSpend - sum(potTotals());
 
-    // Apply future inflows before growth if trigger age is reached
+    // Apply future inflows before growth if trigger age is reached (super inflows belong to You)
     const outsideRef = { value: outside };
-    const superRef = { value: sup };
-    applyFutureInflows(inp, nextAge, outsideRef, superRef);
+    const superRef = { value: supers[0] };
+    const inflows = applyFutureInflows(inp, nextAge, outsideRef, superRef, ncc, supers.map(() => 0), limits);
     outside = outsideRef.value;
-    sup = superRef.value;
+    supers[0] = superRef.value;
+
+    // Downsizing: contributions land in the accumulation part of each pot
+    const downsize = applyDownsize(inp, age, supers);
+    if (downsize) outside += downsize.outside;
 
-    // grow both piles to end of year
-    outside = grow(outside, inp.realReturn);
-    sup     = grow(sup,     inp.realReturn);
+    // grow both piles to end of year, net of earnings tax; only the retirement-phase part of super is tax-free
+    const r = returnsForYear(inp, age, true);
+    // A retiree's taxable income is at most their share of the scheduled spend
+    const couple = (inp.people?.length ?? 1) > 1;
+    const retiree: TaxpayerAt = {
+      income: scheduled / (inp.people?.length || 1),
+      opts: { age: ownerAge(inp, 0, age), couple },
+      rules: limits.taxRules
+    };
+    const taxAccum = earningsTaxFor(inp, r, { retired: true, superPension: false }, retiree);
+    const taxPension = earningsTaxFor(inp, r, { retired: true, superPension: true }, retiree);
+    outside = growAfterTax(outside, r.outside, taxAccum.outside);
+    supers.forEach((bal, i) => { supers[i] = growAfterTax(bal, r.super, taxAccum.super); });
+    pensions.forEach((bal, i) => { pensions[i] = growAfterTax(bal, r.super, taxPension.super); });
 
     age = nextAge;
     const phase: SolverPathPoint["phase"] =
-      age <= inp.preserveAge ? "bridge" : "retire";
-    pts.push({ age, outside, super: sup, total: outside + sup, phase });
+      age <= lastUnlock ? "bridge" : "retire";
+    const totals = potTotals();
+    const sup = sum(totals);
+    pts.push({
+      age, outside, super: sup, ...superPathFields(inp, totals), total: outside + sup, phase,
+      ...(superPaid > 0 ? { pensionPayment: superPaid } : {}),
+      ...(inflows.excess > 0 ? { nonConcessionalExcess: inflows.excess } : {}),
+      ...(inflows.tax !== 0 ? { lumpSumTax: inflows.tax } : {}),
+      ...(started.some(Boolean) ? { transferBalance: [...credits] } : {}),
+      ...(debt && (debt.payment > 0 || debt.balance > 0) ? { debtBalance: debt.balance, debtPayment: debt.payment } : {}),
+      ...(housing > 0 ? { housingCost: housing } : {}),
+      ...(inp.home ? { home: homeValueAt(inp, age - 1) } : {}),
+      ...(downsize && downsize.toSuper > 0 ? { downsizerContribution: downsize.toSuper } : {}),
+      ...(property ? propertyPathFields(property) : {}),
+      ...(pension > 0 ? { agePension: pension } : {})
+    });
+  }
+
+  return { terminalTotal: outside + sum(potTotals()), path: pts };
+}
+
+/** Path fields for a year of investment property flows. */
+function propertyPathFields(flows: { cash: number; tax: number; proceeds: number; value: number }): Partial<SolverPathPoint> {
+  return {
+    investmentProperty: flows.value,
+    propertyCashFlow: flows.cash,
+    propertyTax: flows.tax,
+    ...(flows.proceeds !== 0 ? { propertySale: flows.proceeds } : {})
+  };
+}
+
+/** Household Age Pension ($/yr) for the year starting at `age`; 0 below pension age or when not modelled. */
+function agePensionFor(inp: Inputs, age: number, outside: number, sup: number): number {
+  const ap = inp.agePension;
+  if (!ap) return 0;
+  const pensionAge = ap.pensionAge ?? AGE_PENSION_RULES.pensionAge;
+  // With per-person ages, a couple is paid for each partner who has reached pension age
+  const eligible = inp.people?.length
+    ? inp.people.filter(p => age - inp.currentAge + p.age >= pensionAge).length
+    : (age >= pensionAge ? 2 : 0);
+  if (eligible === 0) return 0;
+  // Super counts once over pension age; other assets (cars, contents) are assessable but not deemed.
+  // A modelled home is never assessed, and owning it that year means the homeowner thresholds.
+  // Investment property equity is assessed and its net rent counts as income
+  const financial = Math.max(0, outside) + Math.max(0, sup);
+  const property = inp.investmentProperties?.length ? propertyMeansAt(inp, age) : { assets: 0, income: 0 };
+  return agePension({
+    couple: ap.couple,
+    homeowner: ownsHomeAt(inp, age),
+    assessableAssets: financial + Math.max(0, ap.otherAssets ?? 0) + property.assets,
+    financialAssets: financial,
+    otherIncome: property.income,
+    eligiblePeople: eligible === 1 ? 1 : 2
+  }).annual;
+}
+
+const EPS = 1;
+
+/** First end-of-year age at which a retirement path runs dry (bridge overdraws outside or total < 0), else null. */
+export function depletionAge(path: SolverPathPoint[]): number | null {
+  for (const p of path) {
+    if (p.phase === "bridge" && p.outside < -EPS) return p.age;
+    if (p.total < -EPS) return p.age;
+  }
+  return null;
+}
+
+/** A retirement path is funded if it never runs dry and finishes at or above the bequest. */
+export function isPathFunded(path: SolverPathPoint[], bequest: number): boolean {
+  if (depletionAge(path) !== null) return false;
+  const terminal = path[path.length - 1]?.total ?? 0;
+  return terminal + EPS >= bequest;
+}
+
+export type HistoricalYear = {
+  year: number;       // calendar year
+  equities: number;   // nominal total return, e.g. 0.12
+  bonds: number;      // nominal total return
+  cpi: number;        // inflation over the year
+};
+
+export type HistoricalDataset = {
+  name?: string;
+  notes?: string;
+  years: HistoricalYear[];
+};
+
+/** Bundled annual Australian equity/bond/CPI series (local file, no network). */
+export const AU_HISTORICAL_RETURNS: HistoricalDataset = auHistoricalReturns;
+
+export type BacktestWindow = {
+  startYear: number;            // calendar year the retirement starts in
+  terminalTotal: number;        // real wealth at lifeExp
+  failed: boolean;
+  depletedAge: number | null;   // age the path ran dry, if it did
+};
+
+export type BacktestResult = {
+  retireAge: number | null;
+  spend: number;
+  equityWeight: number;
+  windows: BacktestWindow[];
+  failedWindows: number;
+  worstStartYear: number | null;
+  terminal: { min: number; p10: number; p50: number; p90: number; max: number };
+};
+
+/**
+ * Replay retirement through every rolling historical window: one retirement per starting year,
+ * using that year onward's real portfolio returns (equity/bond mix deflated by CPI).
+ * Accumulation stays on the deterministic assumptions. Only full windows (enough years to reach
+ * lifeExp) are replayed.
+ */
+export function backtestHistorical(
+  inp: Inputs,
+  dataset: HistoricalDataset = AU_HISTORICAL_RETURNS,
+  opts: { equityWeight?: number; retireAge?: number; plan?: number } = {}
+): BacktestResult {
+  const w = Math.min(1, Math.max(0, opts.equityWeight ?? 0.7));
+  const retireAge = opts.retireAge ?? inp.retireAge ?? findEarliestViable(inp)?.retireAge ?? null;
+  const empty: BacktestResult = {
+    retireAge, spend: 0, equityWeight: w, windows: [], failedWindows: 0, worstStartYear: null,
+    terminal: { min: 0, p10: 0, p50: 0, p90: 0, max: 0 }
+  };
+  if (retireAge === null) return empty;
+
+  const spend = opts.plan ?? solveSBaseForAge(inp, retireAge).sBase;
+  const years = [...dataset.years].sort((a, b) => a.year - b.year);
+  const realReturns = years.map(y => (1 + w * y.equities + (1 - w) * y.bonds) / (1 + y.cpi) - 1);
+  const retireYears = Math.max(0, Math.ceil(inp.lifeExp - retireAge));
+  const offset = Math.max(0, retireAge - inp.currentAge);
+
+  const windows: BacktestWindow[] = [];
+  for (let s = 0; s + retireYears <= years.length; s++) {
+    // Leave accumulation years as holes so they keep the deterministic returns
+    const returnPath: number[] = new Array(offset);
+    returnPath.push(...realReturns.slice(s, s + retireYears));
+    const replay: Inputs = { ...inp, returnPath };
+    const acc = accumulateUntil(replay, retireAge);
+    const sim = simulateRetirement(replay, retireAge, spend, acc.outside, acc.superByPerson);
+    windows.push({
+      startYear: years[s].year,
+      terminalTotal: sim.terminalTotal,
+      failed: !isPathFunded(sim.path, inp.bequest),
+      depletedAge: depletionAge(sim.path)
+    });
   }
+  if (windows.length === 0) return { ...empty, spend };
 
-  return { terminalTotal: outside + sup, path: pts };
+  // Worst = earliest depletion, then lowest terminal wealth
+  const worst = [...windows].sort((a, b) =>
+    (a.depletedAge ?? Infinity) - (b.depletedAge ?? Infinity) || a.terminalTotal - b.terminalTotal
+  )[0];
+  const terminals = windows.map(x => x.terminalTotal).sort((a, b) => a - b);
+
+  return {
+    retireAge,
+    spend,
+    equityWeight: w,
+    windows,
+    failedWindows: windows.filter(x => x.failed).length,
+    worstStartYear: worst.startYear,
+    terminal: {
+      min: terminals[0],
+      p10: quantile(terminals, 0.1),
+      p50: quantile(terminals, 0.5),
+      p90: quantile(terminals, 0.9),
+      max: terminals[terminals.length - 1]
+    }
+  };
 }
 
-/** Present value at retireAge of bridge spending stream using S_base schedule. */
-export function computeBridgePV(inp: Inputs, retireAge: number, sBase: number): number {
-  const nYears = Math.max(0, Math.min(inp.preserveAge, inp.lifeExp) - retireAge);
+/** Present value at retireAge of bridge spending until `untilAge` (default preserveAge) using S_base schedule. */
+export function computeBridgePV(inp: Inputs, retireAge: number, sBase: number, untilAge = inp.preserveAge): number {
+  const nYears = Math.max(0, Math.min(untilAge, inp.lifeExp) - retireAge);
+  // The bridge is funded from outside, so discount at outside's post-retirement after-tax return
+  const gross = bucketRate(inp, "outside", true);
+  const r = gross - earningsTaxFor(inp, { outside: gross, super: 0 }, { retired: true, superPension: false }).outside;
   let pv = 0;
   for (let k = 1; k <= nYears; k++) {
     const endAge = retireAge + k;
-    const spend = annualSpendFor(endAge, sBase, inp.bands);
-    pv += spend / Math.pow(1 + inp.realReturn, k);
+    // Loan repayments, rent and home running costs during the bridge need funding too, and investment
+    // properties add or take their net cash after tax as in retirement
+    const debt = inp.debts?.length ? debtFlowsAt(inp, endAge - 1, retireAge).payment : 0;
+    const property = inp.investmentProperties?.length
+      ? propertyFlowsAt(inp, endAge - 1, superPots(inp).map(() => 0), limitsAt(inp, endAge - 1))
+      : undefined;
+    const propertyNet = property ? property.cash + property.proceeds - property.tax : 0;
+    const spend = annualSpendFor(endAge, sBase, inp.bands) + debt + housingCostAt(inp, endAge - 1) - propertyNet;
+    pv += spend / Math.pow(1 + r, k);
   }
   return pv;
 }
 
+/**
+ * Bridge check at retireAge, one stage per distinct unlock age. Each stage's spending until that unlock
+ * must be covered by outside plus any super that unlocked earlier (valued at retirement).
+ */
+export function assessBridge(
+  inp: Inputs,
+  retireAge: number,
+  sBase: number,
+  acc: { outside: number; superByPerson: number[] }
+): BridgeResult {
+  const unlockAges = superUnlockAges(inp);
+  const stages: BridgeStage[] = [...new Set(unlockAges)].sort((a, b) => a - b).map(unlockAge => {
+    const needPV = computeBridgePV(inp, retireAge, sBase, unlockAge);
+    const have = acc.outside + sum(acc.superByPerson.filter((_, i) => unlockAges[i] < unlockAge));
+    return {
+      unlockAge,
+      years: Math.max(0, Math.min(unlockAge, inp.lifeExp) - retireAge),
+      needPV,
+      have,
+      covered: have + 1 >= needPV // $1 epsilon clamp
+    };
+  });
+  const binding = stages.reduce((a, b) => (b.have - b.needPV < a.have - a.needPV ? b : a));
+  return {
+    years: Math.max(0, Math.min(Math.max(...unlockAges), inp.lifeExp) - retireAge),
+    needPV: binding.needPV,
+    have: binding.have,
+    covered: stages.every(st => st.covered),
+    stages
+  };
+}
+
 /** Solve S_base for a given retireAge so terminal wealth ≈ bequest. */
 export function solveSBaseForAge(inp: Inputs, retireAge: number): { sBase: number; pathRetire: SolverPathPoint[] } {
-  const { outside: oR, super: sR, path: acc } = accumulateUntil(inp, retireAge);
+  const { outside: oR, superByPerson: sR } = accumulateUntil(inp, retireAge);
 
   // Choose a robust upper bound for sBase by expansion.
   let lo = 0;
@@ -274,20 +1353,12 @@ export function findEarliestViable(inp: Inputs): SolveResult | null {
     const A = inp.retireAge;
     const acc = accumulateUntil(inp, A);
     const { sBase, pathRetire } = solveSBaseForAge(inp, A);
+    const bridge = assessBridge(inp, A, sBase, acc);
 
-    const needPV = computeBridgePV(inp, A, sBase);
-    const have = acc.outside;
-    const covered = have + 1 >= needPV; // $1 epsilon clamp
-
-    if (covered) {
+    if (bridge.covered) {
       // Build full path = accumulation + retirement (phase tags set)
       const path = [...acc.path, ...pathRetire];
-      return {
-        retireAge: A,
-        sBase,
-        bridge: { years: Math.max(0, Math.min(inp.preserveAge, inp.lifeExp) - A), needPV, have, covered },
-        path
-      };
+      return { retireAge: A, sBase, bridge, path };
     }
     return null; // Forced age is not viable
   }
@@ -299,20 +1370,12 @@ export function findEarliestViable(inp: Inputs): SolveResult | null {
   for (let A = minAge; A <= maxAge; A++) {
     const acc = accumulateUntil(inp, A);
     const { sBase, pathRetire } = solveSBaseForAge(inp, A);
+    const bridge = assessBridge(inp, A, sBase, acc);
 
-    const needPV = computeBridgePV(inp, A, sBase);
-    const have = acc.outside;
-    const covered = have + 1 >= needPV; // $1 epsilon clamp
-
-    if (covered) {
+    if (bridge.covered) {
       // Build full path = accumulation + retirement (phase tags set)
       const path = [...acc.path, ...pathRetire];
-      return {
-        retireAge: A,
-        sBase,
-        bridge: { years: Math.max(0, Math.min(inp.preserveAge, inp.lifeExp) - A), needPV, have, covered },
-        path
-      };
+      return { retireAge: A, sBase, bridge, path };
     }
   }
 
@@ -0,0 +1,89 @@
+import contributionCaps from '../data/contributionCaps.json';
+import { LATEST_FINANCIAL_YEAR, rulesForYear } from '../rules/auRules';
+
+export type ContributionCapRules = {
+  effective: string;
+  notes?: string;
+  concessionalCap: number;            // general cap per person per year
+  carryForwardYears: number;          // how many previous years' unused cap can be carried forward
+  carryForwardBalanceLimit: number;   // total super balance must be below this at the previous 30 June
+  nonConcessionalCap: number;         // annual non-concessional cap per person
+  bringForwardYears: number;          // most years of non-concessional cap one year can bring forward
+  nonConcessionalAgeLimit: number;    // no non-concessional contributions from this age
+};
+
+/** Caps for the latest financial year in the rules registry, with the bundled carry-forward and bring-forward rules. */
+export const CONTRIBUTION_CAP_RULES: ContributionCapRules = {
+  ...contributionCaps,
+  effective: LATEST_FINANCIAL_YEAR,
+  concessionalCap: rulesForYear().caps.concessional,
+  nonConcessionalCap: rulesForYear().caps.nonConcessional
+};
+
+/** One person's concessional contributions history, for carry-forward. */
+export type ConcessionalHistory = {
+  contributions: number[];    // concessional contributions in previous financial years, oldest first (up to five)
+  caps?: number[];            // general cap in each of those years (default: the current cap)
+  totalSuperBalance: number;  // total super balance at the end of last financial year
+};
+
+/** Unused cap per previous year, oldest first, limited to the carry-forward window. */
+export function carryForwardWindow(history: ConcessionalHistory, rules: ContributionCapRules = CONTRIBUTION_CAP_RULES): number[] {
+  const n = history.contributions.length;
+  return history.contributions
+    .map((c, i) => Math.max(0, (history.caps?.[i] ?? rules.concessionalCap) - Math.max(0, c)))
+    .slice(Math.max(0, n - rules.carryForwardYears));
+}
+
+/** Unused cap that can be carried into this year: nothing once the balance reaches the limit. */
+export function carryForwardHeadroom(history: ConcessionalHistory, rules: ContributionCapRules = CONTRIBUTION_CAP_RULES): number {
+  return availableCarryForward(carryForwardWindow(history, rules), history.totalSuperBalance, rules);
+}
+
+/** Carry-forward available from `window` for someone whose total super balance is `balance`. */
+export function availableCarryForward(window: number[], balance: number, rules: ContributionCapRules = CONTRIBUTION_CAP_RULES): number {
+  return balance < rules.carryForwardBalanceLimit ? window.reduce((s, x) => s + x, 0) : 0;
+}
+
+/**
+ * Close a year in place: contributions above `cap` use up the oldest carried amounts first, any unused
+ * cap joins the window, and amounts older than the carry-forward period drop out.
+ */
+export function rollCarryForward(window: number[], contributed: number, cap: number, rules: ContributionCapRules = CONTRIBUTION_CAP_RULES): void {
+  let excess = Math.max(0, contributed - cap);
+  for (let i = 0; i < window.length && excess > 0; i++) {
+    const used = Math.min(window[i], excess);
+    window[i] -= used;
+    excess -= used;
+  }
+  window.push(Math.max(0, cap - Math.max(0, contributed)));
+  while (window.length > rules.carryForwardYears) window.shift();
+}
+
+export type ConcessionalCapYear = {
+  cap: number;            // general cap
+  carryForward: number;   // unused cap available on top
+  available: number;      // cap + carryForward
+};
+
+/**
+ * Cap available in each of the next `years` years, assuming the person makes `baseline[k]` concessional
+ * contributions (e.g. SG) in year k and has `balances[k]` total super balance at the start of it.
+ */
+export function concessionalCapSchedule(
+  history: ConcessionalHistory,
+  years: number,
+  projection: { baseline?: number[]; balances?: number[] } = {},
+  rules: ContributionCapRules = CONTRIBUTION_CAP_RULES
+): ConcessionalCapYear[] {
+  const window = carryForwardWindow(history, rules);
+  const cap = rules.concessionalCap;
+  const out: ConcessionalCapYear[] = [];
+  for (let k = 0; k < years; k++) {
+    const carryForward = availableCarryForward(window, projection.balances?.[k] ?? history.totalSuperBalance, rules);
+    out.push({ cap, carryForward, available: cap + carryForward });
+    // Carried amounts are only used in years they were available
+    rollCarryForward(window, carryForward > 0 ? projection.baseline?.[k] ?? 0 : Math.min(cap, projection.baseline?.[k] ?? 0), cap, rules);
+  }
+  return out;
+}
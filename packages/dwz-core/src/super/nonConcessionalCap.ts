@@ -0,0 +1,59 @@
+import { CONTRIBUTION_CAP_RULES, type ContributionCapRules } from './concessionalCap';
+import { TRANSFER_BALANCE_RULES } from '../pension/transferBalance';
+
+/** An open bring-forward period: the cap for the whole period and how much of it has been used. */
+export type BringForwardPeriod = {
+  startAge: number;   // age in the year the bring-forward was triggered
+  cap: number;        // total non-concessional cap for the period
+  used: number;
+};
+
+export type NonConcessionalContribution = {
+  accepted: number;   // contributed to super
+  excess: number;     // above the cap; stays outside
+  period?: BringForwardPeriod; // bring-forward period open after this year
+};
+
+/**
+ * Years of non-concessional cap a contribution can use at this total super balance: the full bring-forward
+ * well below the transfer balance cap, one year fewer for each cap closer to it, and none at or above it.
+ */
+export function bringForwardYears(
+  totalSuperBalance: number,
+  rules: ContributionCapRules = CONTRIBUTION_CAP_RULES,
+  transferBalanceCap: number = TRANSFER_BALANCE_RULES.generalCap
+): number {
+  const below = Math.ceil((transferBalanceCap - totalSuperBalance) / rules.nonConcessionalCap);
+  return Math.min(rules.bringForwardYears, Math.max(0, below));
+}
+
+/**
+ * Apply one year's non-concessional contributions for a person. Inside an open bring-forward period only
+ * its unused cap remains; otherwise a year above the annual cap triggers a new period sized by the
+ * balance. Nobody at or above the age limit can contribute, and the balance test applies every year.
+ */
+export function applyNonConcessional(
+  amount: number,
+  totalSuperBalance: number,
+  age: number,
+  period: BringForwardPeriod | undefined,
+  rules: ContributionCapRules = CONTRIBUTION_CAP_RULES,
+  transferBalanceCap: number = TRANSFER_BALANCE_RULES.generalCap
+): NonConcessionalContribution {
+  const want = Math.max(0, amount);
+  const open = period && age < period.startAge + rules.bringForwardYears ? period : undefined;
+  const years = age < rules.nonConcessionalAgeLimit ? bringForwardYears(totalSuperBalance, rules, transferBalanceCap) : 0;
+
+  if (years === 0) return { accepted: 0, excess: want, ...(open ? { period: open } : {}) };
+  if (open) {
+    const accepted = Math.min(want, Math.max(0, open.cap - open.used));
+    return { accepted, excess: want - accepted, period: { ...open, used: open.used + accepted } };
+  }
+  if (want <= rules.nonConcessionalCap || years === 1) {
+    const accepted = Math.min(want, rules.nonConcessionalCap);
+    return { accepted, excess: want - accepted };
+  }
+  const cap = years * rules.nonConcessionalCap;
+  const accepted = Math.min(want, cap);
+  return { accepted, excess: want - accepted, period: { startAge: age, cap, used: accepted } };
+}
@@ -0,0 +1,47 @@
+import spouseContributions from '../data/spouseContributions.json';
+import { CONTRIBUTION_CAP_RULES } from './concessionalCap';
+
+export type SpouseContributionRules = {
+  effective: string;
+  notes?: string;
+  maxSplitRate: number;           // most of a year's concessional contributions that can be split
+  splitAgeLimit: number;          // a spouse past preservation age can receive splits until this age while working
+  offsetRate: number;             // spouse contribution tax offset rate
+  offsetMaxContribution: number;  // contributions eligible for the offset
+  offsetIncomeThreshold: number;  // spouse income above this reduces the eligible contributions
+  offsetAgeLimit: number;         // spouse contributions only while the spouse is under this age
+};
+
+/** Bundled rules; update src/data/spouseContributions.json when they change. */
+export const SPOUSE_CONTRIBUTION_RULES: SpouseContributionRules = spouseContributions;
+
+/** Whether a spouse can receive split contributions at their own `age`. */
+export function canReceiveSplit(
+  age: number,
+  preserveAge: number,
+  working: boolean,
+  rules: SpouseContributionRules = SPOUSE_CONTRIBUTION_RULES
+): boolean {
+  return age < preserveAge || (working && age < rules.splitAgeLimit);
+}
+
+/** Concessional contributions that can be rolled over to the spouse: `rate` of them, at most the allowed share and the cap. */
+export function splittableContributions(
+  concessional: number,
+  rate: number,
+  cap: number = CONTRIBUTION_CAP_RULES.concessionalCap,
+  rules: SpouseContributionRules = SPOUSE_CONTRIBUTION_RULES
+): number {
+  const share = Math.min(rules.maxSplitRate, Math.max(0, rate));
+  return Math.min(Math.max(0, concessional) * share, Math.max(0, cap));
+}
+
+/** Tax offset for a `contribution` made to the super of a spouse earning `spouseIncome`. */
+export function spouseTaxOffset(
+  contribution: number,
+  spouseIncome: number,
+  rules: SpouseContributionRules = SPOUSE_CONTRIBUTION_RULES
+): number {
+  const eligible = Math.max(0, rules.offsetMaxContribution - Math.max(0, spouseIncome - rules.offsetIncomeThreshold));
+  return rules.offsetRate * Math.min(Math.max(0, contribution), eligible);
+}
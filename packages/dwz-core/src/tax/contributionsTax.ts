@@ -0,0 +1,44 @@
+import contributionsTaxRules from '../data/contributionsTax.json';
+
+export type ContributionsTaxRules = {
+  effective: string;
+  notes?: string;
+  baseRate: number;         // tax inside the fund on every concessional dollar
+  div293Rate: number;       // additional rate on contributions above the threshold
+  div293Threshold: number;  // income plus concessional contributions ($/yr)
+};
+
+/** Bundled rates; update src/data/contributionsTax.json if the threshold changes. */
+export const CONTRIBUTIONS_TAX_RULES: ContributionsTaxRules = contributionsTaxRules;
+
+/**
+ * Division 293 tax ($/yr) for one person: the additional rate applies to the lesser of their
+ * concessional contributions and the amount by which income plus contributions exceed the threshold.
+ * `income` excludes the contributions themselves (taxable income after any salary sacrifice).
+ */
+export function div293Tax(income: number, concessional: number, rules: ContributionsTaxRules = CONTRIBUTIONS_TAX_RULES): number {
+  const contribs = Math.max(0, concessional);
+  const over = Math.max(0, Math.max(0, income) + contribs - rules.div293Threshold);
+  return Math.min(contribs, over) * rules.div293Rate;
+}
+
+/** Total tax ($/yr) on one person's concessional contributions: the base rate plus Division 293. */
+export function contributionsTax(income: number, concessional: number, rules: ContributionsTaxRules = CONTRIBUTIONS_TAX_RULES): number {
+  return Math.max(0, concessional) * rules.baseRate + div293Tax(income, concessional, rules);
+}
+
+/**
+ * Average contributions tax rate on `sacrifice` extra concessional dollars for someone earning `salary`
+ * (before sacrifice) who already receives `existing` concessional contributions such as SG.
+ * With no sacrifice, returns the rate on the next dollar.
+ */
+export function salarySacrificeTaxRate(
+  salary: number,
+  existing: number,
+  sacrifice: number,
+  rules: ContributionsTaxRules = CONTRIBUTIONS_TAX_RULES
+): number {
+  const extra = sacrifice > 0 ? sacrifice : 1;
+  const withExtra = contributionsTax(salary - extra, existing + extra, rules);
+  return (withExtra - contributionsTax(salary, existing, rules)) / extra;
+}
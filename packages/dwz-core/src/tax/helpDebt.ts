@@ -0,0 +1,42 @@
+import { rulesForYear, type YearRules } from '../rules/auRules';
+import type { IndexationAssumptions } from '../rules/indexation';
+import { helpRepayment } from './incomeTax';
+
+/** One person's HELP/HECS debt. */
+export type HelpDebt = {
+  balance: number;     // outstanding today (real $)
+  voluntary?: number;  // extra repayment a year on top of the compulsory one, while working (real $)
+};
+
+export type HelpDebtYear = {
+  compulsory: number;  // from repayment income at the year's rates
+  voluntary: number;   // never more than what is left after the compulsory repayment
+  closing: number;     // balance at the end of the year, after indexation (real $)
+};
+
+/**
+ * Real growth of a HELP balance in a year. Debts are indexed each 1 June by the lower of CPI and wage
+ * growth, so in today's dollars they hold their value at best and shrink when wages lag prices.
+ * Without assumptions the debt keeps pace with CPI.
+ */
+export function helpRealIndexation(a?: IndexationAssumptions): number {
+  if (!a) return 0;
+  return (1 + Math.min(a.cpi, a.wageGrowth)) / (1 + a.cpi) - 1;
+}
+
+/**
+ * One year of a HELP debt: the compulsory repayment on `repaymentIncome` (taxable income plus reportable
+ * super), any voluntary repayment, then indexation on what is left.
+ */
+export function helpDebtYear(
+  balance: number,
+  repaymentIncome: number,
+  voluntary = 0,
+  realIndexation = 0,
+  rules: YearRules = rulesForYear()
+): HelpDebtYear {
+  const opening = Math.max(0, balance);
+  const compulsory = helpRepayment(Math.max(0, repaymentIncome), opening, rules);
+  const extra = Math.min(Math.max(0, voluntary), opening - compulsory);
+  return { compulsory, voluntary: extra, closing: (opening - compulsory - extra) * (1 + realIndexation) };
+}
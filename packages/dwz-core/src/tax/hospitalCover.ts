@@ -0,0 +1,49 @@
+import { rulesForYear, type YearRules } from '../rules/auRules';
+import { medicareLevySurcharge, mlsTier, type MlsFamily } from './incomeTax';
+
+export type HospitalCoverPerson = {
+  income: number;           // taxable income
+  reportableSuper?: number; // added back for MLS purposes
+};
+
+export type HospitalCoverCheck = {
+  mlsIncome: number;
+  tier: number;             // 0 below the first MLS tier
+  rate: number;             // surcharge rate for the tier
+  surcharge: number;        // MLS payable without hospital cover
+  premium: number;          // cost of cover for this person
+  coverIsCheaper: boolean;
+  saving: number;           // how much the cheaper option saves a year
+};
+
+/**
+ * Per person: is private hospital cover cheaper than the Medicare levy surcharge they would pay without it?
+ * Two people are a couple, so both are tested on the family threshold against their combined income; a
+ * single person with dependent children is tested on the family threshold too.
+ */
+export function compareHospitalCover(
+  people: HospitalCoverPerson[],
+  premiumPerPerson: number,
+  dependentChildren = 0,
+  rules: YearRules = rulesForYear()
+): HospitalCoverCheck[] {
+  const mlsIncomes = people.map(p => Math.max(0, p.income) + Math.max(0, p.reportableSuper ?? 0));
+  const children = Math.max(0, dependentChildren);
+  const family: MlsFamily | undefined = people.length > 1 || children > 0
+    ? { familyIncome: mlsIncomes.reduce((s, x) => s + x, 0), dependentChildren: children }
+    : undefined;
+  const premium = Math.max(0, premiumPerPerson);
+  return people.map((p, i) => {
+    const tier = mlsTier(mlsIncomes[i], family, rules);
+    const surcharge = medicareLevySurcharge(p.income, mlsIncomes[i], family, rules);
+    return {
+      mlsIncome: mlsIncomes[i],
+      tier,
+      rate: tier > 0 ? rules.mls.tiers[tier - 1].rate : 0,
+      surcharge,
+      premium,
+      coverIsCheaper: premium < surcharge,
+      saving: Math.abs(surcharge - premium)
+    };
+  });
+}
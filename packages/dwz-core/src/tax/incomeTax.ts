@@ -0,0 +1,153 @@
+import { rulesForYear, type RateBracket, type YearRules } from '../rules/auRules';
+
+export type IncomeTaxOptions = {
+  hasPrivateHealth?: boolean; // private hospital cover: no Medicare levy surcharge
+  helpDebt?: number;          // outstanding HELP/HECS balance; repayments stop when it is repaid
+  age?: number;               // SAPTO and the senior Medicare threshold from pension age
+  couple?: boolean;           // has a spouse: SAPTO at the per-partner couple rate, MLS family thresholds
+  reportableSuper?: number;   // salary sacrifice and deductible personal contributions, added back for MLS
+  partnerMlsIncome?: number;  // spouse's income for MLS purposes, for the family threshold
+  dependentChildren?: number; // any dependants make the family thresholds apply
+};
+
+/** Family for the MLS: combined income for MLS purposes and dependent children. */
+export type MlsFamily = { familyIncome: number; dependentChildren?: number };
+
+export type IncomeTaxBreakdown = {
+  taxableIncome: number;
+  mlsIncome: number;    // income for MLS purposes: taxable income plus reportable super
+  grossTax: number;     // from the brackets
+  lito: number;         // low income tax offset used
+  sapto: number;        // seniors and pensioners tax offset used
+  medicare: number;     // Medicare levy
+  mls: number;          // Medicare levy surcharge
+  netTax: number;       // gross tax less offsets, plus Medicare levy and surcharge
+  help: number;         // compulsory HELP repayment
+  takeHome: number;     // income less net tax and HELP
+};
+
+/** Tax at marginal rates: each rate on the income between its `from` and the next bracket's. */
+function marginal(income: number, brackets: RateBracket[]): number {
+  return brackets.reduce((t, b, i) => {
+    const upper = Math.min(income, brackets[i + 1]?.from ?? Infinity);
+    return t + Math.max(0, upper - b.from) * b.rate;
+  }, 0);
+}
+
+/** Low income tax offset entitlement: the maximum less each taper above its threshold. */
+export function lowIncomeTaxOffset(income: number, rules: YearRules = rulesForYear()): number {
+  return Math.max(0, rules.lito.max - marginal(income, rules.lito.taper));
+}
+
+/** Seniors and pensioners tax offset entitlement; nothing below pension age. */
+export function seniorsTaxOffset(income: number, age: number, couple = false, rules: YearRules = rulesForYear()): number {
+  const s = rules.sapto;
+  if (age < s.pensionAge) return 0;
+  const { max, threshold } = couple ? s.couple : s.single;
+  return Math.max(0, max - Math.max(0, income - threshold) * s.taperRate);
+}
+
+/** Medicare levy: nothing up to the low-income threshold, then shaded in until it reaches the full rate. */
+export function medicareLevy(income: number, senior = false, rules: YearRules = rulesForYear()): number {
+  const m = rules.medicare;
+  const threshold = senior ? m.seniorLowIncomeThreshold : m.lowIncomeThreshold;
+  if (income <= threshold) return 0;
+  return Math.min(income * m.rate, (income - threshold) * m.shadeInRate);
+}
+
+/**
+ * MLS tier (1 to 3) for an income for MLS purposes, or 0 below the first. Singles compare their own income
+ * with the single thresholds; families compare combined income with the family thresholds, which rise
+ * for each dependent child after the first.
+ */
+export function mlsTier(mlsIncome: number, family?: MlsFamily, rules: YearRules = rulesForYear()): number {
+  const { tiers, familyChildIncrement } = rules.mls;
+  if (!family) return tiers.filter(t => mlsIncome > t.single).length;
+  const extra = Math.max(0, (family.dependentChildren ?? 0) - 1) * familyChildIncrement;
+  return tiers.filter(t => family.familyIncome > t.family + extra).length;
+}
+
+/** Medicare levy surcharge without hospital cover: the tier's rate on the whole taxable income. */
+export function medicareLevySurcharge(
+  taxableIncome: number,
+  mlsIncome = taxableIncome,
+  family?: MlsFamily,
+  rules: YearRules = rulesForYear()
+): number {
+  const tier = mlsTier(mlsIncome, family, rules);
+  return tier > 0 ? Math.max(0, taxableIncome) * rules.mls.tiers[tier - 1].rate : 0;
+}
+
+/** Family for the MLS when the options describe a spouse or dependants. */
+export function mlsFamily(mlsIncome: number, opts: IncomeTaxOptions): MlsFamily | undefined {
+  const children = Math.max(0, opts.dependentChildren ?? 0);
+  if (!opts.couple && children === 0) return undefined;
+  return { familyIncome: mlsIncome + Math.max(0, opts.partnerMlsIncome ?? 0), dependentChildren: children };
+}
+
+/**
+ * Compulsory HELP repayment. 'total' years charge the highest threshold's rate on the whole repayment
+ * income; 'marginal' years charge each rate only above its threshold. Never more than the debt.
+ */
+export function helpRepayment(income: number, debt: number, rules: YearRules = rulesForYear()): number {
+  if (debt <= 0) return 0;
+  const { method, brackets } = rules.help;
+  const due = method === 'marginal'
+    ? marginal(income, brackets)
+    : income * (brackets.filter(b => income >= b.from).pop()?.rate ?? 0);
+  return Math.min(due, debt);
+}
+
+/**
+ * One person's income tax for a year: bracket tax, less LITO and SAPTO (non-refundable, so they cannot
+ * take it below zero or reduce the Medicare levy), plus the Medicare levy and surcharge; the HELP
+ * repayment comes out of take-home pay on top.
+ */
+export function incomeTax(income: number, opts: IncomeTaxOptions = {}, rules: YearRules = rulesForYear()): IncomeTaxBreakdown {
+  const taxableIncome = Math.max(0, income);
+  const mlsIncome = taxableIncome + Math.max(0, opts.reportableSuper ?? 0);
+  const grossTax = marginal(taxableIncome, rules.incomeTax);
+  const lito = Math.min(grossTax, lowIncomeTaxOffset(taxableIncome, rules));
+  const saptoEntitlement = opts.age === undefined ? 0 : seniorsTaxOffset(taxableIncome, opts.age, opts.couple, rules);
+  const sapto = Math.min(grossTax - lito, saptoEntitlement);
+  const medicare = medicareLevy(taxableIncome, saptoEntitlement > 0, rules);
+  const mls = opts.hasPrivateHealth ? 0 : medicareLevySurcharge(taxableIncome, mlsIncome, mlsFamily(mlsIncome, opts), rules);
+  const netTax = grossTax - lito - sapto + medicare + mls;
+  const help = helpRepayment(taxableIncome, opts.helpDebt ?? 0, rules);
+  return { taxableIncome, mlsIncome, grossTax, lito, sapto, medicare, mls, netTax, help, takeHome: taxableIncome - netTax - help };
+}
+
+/**
+ * Tax on the next dollar of income: the bracket rate, offsets withdrawing and the Medicare levy (shade-in
+ * included). The surcharge and HELP are left out: both jump on the whole income at a threshold rather
+ * than taxing the next dollar.
+ */
+export function marginalTaxRate(income: number, opts: Pick<IncomeTaxOptions, 'age' | 'couple'> = {}, rules: YearRules = rulesForYear()): number {
+  const netTax = (x: number) => incomeTax(x, { ...opts, hasPrivateHealth: true }, rules).netTax;
+  const base = Math.max(0, income);
+  return netTax(base + 1) - netTax(base);
+}
+
+/**
+ * Extra tax on `extra` income on top of `otherIncome`, such as a bonus, a capital gain or net rent.
+ * Negative when a loss cuts the tax on the other income; a loss larger than that income only brings the
+ * tax down to nil. The surcharge is left out as in marginalTaxRate.
+ */
+export function additionalIncomeTax(
+  otherIncome: number,
+  extra: number,
+  opts: Pick<IncomeTaxOptions, 'age' | 'couple'> = {},
+  rules: YearRules = rulesForYear()
+): number {
+  const netTax = (x: number) => incomeTax(x, { ...opts, hasPrivateHealth: true }, rules).netTax;
+  const base = Math.max(0, otherIncome);
+  return netTax(base + extra) - netTax(base);
+}
+
+/** Per-person breakdowns for a household. */
+export function householdIncomeTax(
+  people: Array<{ income: number } & IncomeTaxOptions>,
+  rules: YearRules = rulesForYear()
+): IncomeTaxBreakdown[] {
+  return people.map(({ income, ...opts }) => incomeTax(income, opts, rules));
+}
@@ -0,0 +1,33 @@
+import type { EarningsTaxProfile } from '../types.js';
+
+/** Company tax rate behind franking credits. */
+export const COMPANY_TAX_RATE = 0.30;
+
+/** Earnings tax rate on super in accumulation phase; retirement phase is tax-free. */
+export const SUPER_ACCUMULATION_TAX_RATE = 0.15;
+
+/** CGT discount on assets held > 12 months: 50% for individuals, 1/3 for complying super funds. */
+export const CGT_DISCOUNT_INDIVIDUAL = 0.5;
+export const CGT_DISCOUNT_SUPER = 1 / 3;
+
+/**
+ * Earnings tax for one year, as a rate on the opening balance.
+ * - income (yield) is taxed at `taxRate` after grossing up franked dividends; franking credits
+ *   offset the tax and are refundable, so the drag can be negative at low rates
+ * - a `turnover` share of the remaining (capital) growth is realised and taxed after the CGT discount
+ * - unrealised growth and capital losses are untaxed (losses can't offset income)
+ */
+export function earningsTaxDrag(grossReturn: number, profile: EarningsTaxProfile, taxRate: number, defaultCgtDiscount: number): number {
+  const income = Math.max(0, profile.incomeYield);
+  const franked = income * clamp01(profile.frankingPct ?? 0);
+  const credits = franked * COMPANY_TAX_RATE / (1 - COMPANY_TAX_RATE);
+
+  const capitalGrowth = grossReturn - income;
+  const realised = Math.max(0, capitalGrowth) * clamp01(profile.turnover ?? 0);
+  const discount = clamp01(profile.cgtDiscount ?? defaultCgtDiscount);
+
+  const taxable = income + credits + realised * (1 - discount);
+  return taxable * clamp01(taxRate) - credits;
+}
+
+function clamp01(x: number) { return Math.min(1, Math.max(0, x)); }
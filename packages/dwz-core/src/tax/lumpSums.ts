@@ -0,0 +1,97 @@
+import { CGT_DISCOUNT_INDIVIDUAL } from './investmentTax';
+import { additionalIncomeTax } from './incomeTax';
+import { rulesForYear, type YearRules } from '../rules/auRules';
+
+/**
+ * How a one-off amount is taxed:
+ * - inheritance: untaxed (assets passing to a beneficiary are not income)
+ * - redundancy: a genuine redundancy payment, tax-free up to a base plus an amount per year of service;
+ *   the rest is taxed as an employment termination payment (ETP)
+ * - assetSale: shares or other assets outside super; the gain over the cost base is taxed after the discount
+ * - bonus: taxed on top of the person's salary that year
+ * - giftOut: money given away, such as help for a child's deposit; it leaves outside savings untaxed
+ */
+export type LumpSumType = 'inheritance' | 'redundancy' | 'assetSale' | 'bonus' | 'giftOut';
+
+/** A one-off amount in today's dollars. Untyped amounts are untaxed windfalls, like an inheritance. */
+export type FutureInflow = {
+  ageYou: number;           // trigger when person 0 (You) reaches this age
+  amount: number;           // positive; today's dollars. The sale price of an asset; the gift for a gift out
+  to?: 'outside' | 'super'; // default 'outside'; super inflows are non-concessional and capped; gifts leave outside
+  type?: LumpSumType;
+  person?: number;          // whose income and age set the tax (default 0, You)
+  yearsOfService?: number;  // redundancy: completed years with the employer
+  // Asset sale: what was paid, in the dollars paid (not indexed)
+  costBase?: number;
+  yearsHeld?: number;       // asset sale: years owned at the sale (default: long enough for the discount)
+};
+
+/** The tax on a lump sum, in today's dollars. */
+export type LumpSumTax = {
+  taxFree: number;          // the part that is not taxed
+  taxable: number;          // the taxable ETP, bonus or discounted capital gain
+  tax: number;
+  net: number;              // cash after tax; negative for a gift out
+};
+
+/** The person's circumstances in the year of the lump sum. */
+export type LumpSumContext = {
+  otherIncome?: number;     // their other taxable income that year (default none)
+  age?: number;             // their age, for the seniors offset
+  couple?: boolean;
+  preserved?: boolean;      // reached preservation age, for the lower ETP rate
+  years?: number;           // years from today, to deflate an asset's cost base
+  cpi?: number;
+};
+
+/** Tax-free part of a genuine redundancy payment after `yearsOfService` completed years. */
+export function redundancyTaxFree(yearsOfService: number, rules: YearRules = rulesForYear()): number {
+  const years = Math.floor(Math.max(0, yearsOfService));
+  return rules.redundancy.taxFreeBase + rules.redundancy.taxFreePerYear * years;
+}
+
+/** Tax on the taxable part of an excluded ETP: the concessional rate up to the cap, the top rate above it. */
+export function etpTax(taxable: number, preserved: boolean, rules: YearRules = rulesForYear()): number {
+  const etp = rules.etp;
+  const amount = Math.max(0, taxable);
+  const rate = preserved ? etp.rateFromPreservationAge : etp.rateBeforePreservationAge;
+  return Math.min(amount, etp.cap) * rate + Math.max(0, amount - etp.cap) * etp.rateAboveCap;
+}
+
+/**
+ * The tax on one lump sum and the cash left. Bonuses and capital gains are taxed as extra income on top of
+ * `ctx.otherIncome` at the year's rates; a redundancy payment is taxed separately from other income, with
+ * the year's tax-free amounts and ETP cap.
+ */
+export function lumpSumTax(
+  inflow: Pick<FutureInflow, 'amount' | 'type' | 'yearsOfService' | 'costBase' | 'yearsHeld'>,
+  ctx: LumpSumContext = {},
+  rules: YearRules = rulesForYear()
+): LumpSumTax {
+  const amount = Math.max(0, inflow.amount || 0);
+  const extraTax = (x: number) =>
+    additionalIncomeTax(ctx.otherIncome ?? 0, x, { age: ctx.age, couple: ctx.couple }, rules);
+  switch (inflow.type) {
+    case 'giftOut':
+      return { taxFree: amount, taxable: 0, tax: 0, net: -amount };
+    case 'redundancy': {
+      const taxFree = Math.min(amount, redundancyTaxFree(inflow.yearsOfService ?? 0, rules));
+      const tax = etpTax(amount - taxFree, ctx.preserved ?? false, rules);
+      return { taxFree, taxable: amount - taxFree, tax, net: amount - tax };
+    }
+    case 'assetSale': {
+      const costBase = Math.max(0, inflow.costBase ?? 0) / Math.pow(1 + (ctx.cpi ?? 0), Math.max(0, ctx.years ?? 0));
+      const gain = Math.max(0, amount - costBase);
+      const discount = (inflow.yearsHeld ?? Infinity) >= 1 ? gain * CGT_DISCOUNT_INDIVIDUAL : 0;
+      const taxable = gain - discount;
+      const tax = extraTax(taxable);
+      return { taxFree: amount - taxable, taxable, tax, net: amount - tax };
+    }
+    case 'bonus': {
+      const tax = extraTax(amount);
+      return { taxFree: 0, taxable: amount, tax, net: amount - tax };
+    }
+    default:
+      return { taxFree: amount, taxable: 0, tax: 0, net: amount };
+  }
+}
@@ -1,19 +1,26 @@
 export type Band = { from: number; to: number; m: number }; // [from, to)
 export type Phase = "go-go" | "slow-go" | "no-go" | "flat";
-export type LifecyclePhase = "accum" | "bridge" | "retire";
+export type LifecyclePhase = "accum" | "semi" | "bridge" | "retire";
 
 export type Person = {
   age: number;
   income: number;
   outside: number;
   superBal: number;
+  /** Outstanding HELP/HECS debt; repaid from income while working. */
   hecs?: number;
+  /** Voluntary HELP repayment a year on top of the compulsory one. */
+  hecsVoluntary?: number;
   superPrem?: number;
   preserveAge?: number; // default 60
   /** Gross annual salary used to derive employer super guarantee (SG). Optional; defaults to 0. */
   salary?: number;
   /** Employer SG rate (e.g. 0.12 for 12%). Optional; defaults to 0. */
   sgRate?: number;
+  /** Own age at which this person stops work. Optional; defaults to the household retirement age. */
+  retireAge?: number;
+  /** Previous five years' concessional contributions and total super balance, for carry-forward. */
+  concessionalHistory?: import('./super/concessionalCap.js').ConcessionalHistory;
 };
 
 export type Household = {
@@ -23,12 +30,21 @@ export type Household = {
   lifeExp: number;       // age (e.g., 90)
   annualSavings?: number; // simple pre-retirement savings budget (combined household, real $/yr)
   preFireSavingsSplit?: PreFireSavingsSplit; // optional savings split policy
-  /** Optional future inflows in today's dollars. Applied when 'you' reaches given age. */
-  futureInflows?: Array<{
-    ageYou: number;           // trigger when person 0 (You) reaches this age
-    amount: number;           // positive inflow; today's dollars
-    to?: 'outside' | 'super'; // default 'outside'
-  }>;
+  /** Optional future inflows in today's dollars, applied when 'you' reaches given age after the tax for their type. */
+  futureInflows?: import('./tax/lumpSums.js').FutureInflow[];
+  /** Optional part-time phase before full retirement; ages are p1's (You). */
+  semiRetirement?: SemiRetirement;
+  /** Optional loans such as a mortgage, in today's dollars; repaid from savings until cleared. */
+  debts?: import('./debt/loans.js').Debt[];
+  /** Optional family home with its own real growth and an optional downsize. */
+  home?: import('./property/home.js').Home;
+  /** Optional investment properties: rent, expenses, a loan and depreciation, with an optional sale. */
+  investmentProperties?: import('./property/investment.js').InvestmentProperty[];
+  /** Optional Age Pension modelling; couple status follows whether p2 is present. */
+  agePension?: {
+    homeowner: boolean;
+    otherAssets?: number;     // assessable non-financial assets (cars, contents), today's dollars
+  };
 };
 
 export type Assumptions = {
@@ -36,6 +52,48 @@ export type Assumptions = {
   fees: number;       // e.g., 0.005
   bequest: number;    // often 0
   bands: Band[];      // empty => flat 1.0
+  /** Optional per-bucket overrides; a missing bucket uses realReturn less fees. */
+  buckets?: {
+    outside?: BucketReturn;
+    super?: BucketReturn;
+    postRetire?: { outside?: BucketReturn; super?: BucketReturn };
+  };
+  /** Optional earnings tax on investment returns; absent => both buckets compound tax-free. */
+  earningsTax?: EarningsTax;
+  /** Optional wage growth and CPI for projecting caps, thresholds and tax brackets; absent => today's rules. */
+  indexation?: import('./rules/indexation.js').IndexationAssumptions;
+};
+
+/** How a bucket's return is earned, for earnings tax. All rates are shares of the opening balance. */
+export type EarningsTaxProfile = {
+  incomeYield: number;   // share of the return paid as income each year, e.g. 0.04
+  frankingPct?: number;  // share of that income that is fully franked (0..1)
+  turnover?: number;     // share of capital growth realised each year (0..1)
+  cgtDiscount?: number;  // discount on realised gains (default 0.5 outside, 1/3 in super)
+};
+
+export type EarningsTax = {
+  /**
+   * Outside investments: taxed at the holder's marginal rate (optionally lower once retired), on today's
+   * brackets. Under indexation both rates move with the marginal rate on each year's projected brackets.
+   */
+  outside?: EarningsTaxProfile & { taxRate: number; retiredTaxRate?: number };
+  /** Super: 15% in accumulation, 0% in retirement phase (franking credits still refunded). */
+  super?: EarningsTaxProfile;
+};
+
+/** Part-time work between startAge and full retirement. */
+export type SemiRetirement = {
+  startAge: number;         // clock age when work drops to part-time (runs until retireAge)
+  incomeFraction: number;   // share of full-time earnings kept, e.g. 0.6 for 3 days a week
+  savings?: number;         // net household savings while part-time (default annualSavings * incomeFraction; may be negative)
+  ttrDraw?: number;         // optional transition-to-retirement pension target ($/yr real), kept within 4%–10% of preserved super
+};
+
+/** Real gross return of one bucket and its annual fee drag. */
+export type BucketReturn = {
+  gross: number;  // real return before fees, e.g. 0.065
+  fees?: number;  // annual fee drag, e.g. 0.005 (default 0)
 };
 
 export type Bridge = {
@@ -52,6 +110,16 @@ export type PathPoint = {
   total: number;
   phase: Phase;
   lifecyclePhase?: LifecyclePhase;
+  /** Account-based pension paid from super during the year, minimum included. */
+  pensionPayment?: number;
+  /** Transfer balance account credits per person (super moved into retirement phase, capped). */
+  transferBalance?: number[];
+  /** Super inflow above the non-concessional cap that was kept outside instead. */
+  nonConcessionalExcess?: number;
+  /** Family home value, kept out of `total`. */
+  home?: number;
+  /** Investment properties still held, kept out of `total`. */
+  investmentProperty?: number;
 };
 
 export type DecisionDwz = {
@@ -88,8 +156,12 @@ export interface PreFireSavingsSplit {
   toSuperPct: number;                 // 0..1 desired split to super (gross, before 15% contrib tax)
   capPerPerson: number;               // concessional cap per eligible person
   eligiblePeople: number;           // 1 or 2 typically
-  contribTaxRate: number;             // usually 0.15
-  /** Marginal tax rate on amounts saved outside (0..1). Used in 'grossDeferral' mode. */
+  /** Flat tax on sacrificed dollars; omit to tax each person at 15% plus Division 293. */
+  contribTaxRate?: number;
+  /**
+   * Marginal tax rate on amounts saved outside (0..1), on today's brackets. Used in 'grossDeferral' mode;
+   * under indexation it moves with the higher earner's marginal rate on each year's projected brackets.
+   */
   outsideTaxRate?: number;
   /**
    * How to interpret annualSavings for accumulation:
@@ -97,4 +169,11 @@ export interface PreFireSavingsSplit {
    * - 'netFixed' (default/back-compat): treat annualSavings as already-net; outside receives residual without extra tax.
    */
   mode?: 'grossDeferral' | 'netFixed';
+  /**
+   * Add each working person's unused cap from their concessional history (carry-forward), rolled year by
+   * year while their total super balance stays under the limit.
+   */
+  carryForward?: boolean;
+  /** Contribute outside future inflows into any cap left that year (deductible personal contributions). */
+  catchUpInflows?: boolean;
 }
\ No newline at end of file
@@ -4,7 +4,7 @@ import { decisionFromState, getDecisionDisplay } from './selectors/decision.js';
 import { depletionFromDecision } from './selectors/depletion.js';
 import { dwzStrategyFromState, getStrategyDisplay, selectStrategySummary } from './selectors/strategy.js';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
-import auRules from './data/au_rules.json';
+import { resolveRules } from './core/rules.js';
 import { calcIncomeTax, getMarginalRate } from './core/tax';
 import { calcSuperContribs } from './core/super';
 import { getPreservationAge } from './core/preservation';
@@ -17,6 +17,9 @@ import { AdvancedDrawer } from './components/AdvancedDrawer.jsx';
 import { SummaryChips } from './components/SummaryChips.jsx';
 import { formatCurrencyCompact } from './lib/formatNumber.js';
 
+// Bundled rules for the current financial year, filled in from the shared registry
+const auRules = resolveRules();
+
 // === DWZ helpers (real dollars) ===
 const EPS = 1e-6;
 const grow1y = (B, r) => B * (1 + r);
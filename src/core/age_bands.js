@@ -9,6 +9,7 @@
  * T-025: Unified DWZ schedule with scale-invariant depletion
  */
 import Decimal from 'decimal.js-light';
+import { accumulationReturn } from './super.js';
 
 /**
  * Get the band multiplier for a specific age
@@ -142,7 +143,10 @@ export function buildSpendingSchedule({ R, L, S, bands }) {
  * @param {number} params.insurancePremium - Annual insurance premium from super
  * @param {number} params.bequest - Target bequest at life expectancy
  * @param {Object} params.startBalances - Starting balances {outside, super}
- * @returns {Array} Path array with {age, outside, super, total, phase, spend}
+ * @param {number} params.transferBalanceCap - Super above this when retirement phase starts (retired and
+ *   preserved) stays in accumulation, drawn last and taxed at 15% (default: no cap)
+ * @returns {Array} Path array with {age, outside, super, total, phase, spend}, plus superAccumulation
+ *   while any super is in accumulation after retirement phase starts
  */
 export function buildDwzDepletionPath({
   currentAge,
@@ -155,14 +159,19 @@ export function buildDwzDepletionPath({
   fees = 0,
   insurancePremium = 0,
   bequest = 0,
-  startBalances = { outside: 0, super: 0 }
+  startBalances = { outside: 0, super: 0 },
+  transferBalanceCap = Infinity
 }) {
   const path = [];
   let outsideBalance = startBalances.outside;
   let superBalance = startBalances.super;
+  // Part of super left in accumulation once retirement phase starts
+  let accumulation = 0;
+  const conversionAge = Math.max(retirementAge, preservationAge);
   
   // Net return after fees
   const netReturn = realReturn - fees;
+  const accumulationNetReturn = accumulationReturn(netReturn);
   
   // Helper to get band multiplier and phase for an age
   const getBandInfo = (age) => {
@@ -183,6 +192,10 @@ export function buildDwzDepletionPath({
     const isRetired = age >= retirementAge;
     
     // Calculate spending for this year using unified schedule
+    if (age === conversionAge) {
+      accumulation = Math.max(0, superBalance - transferBalanceCap);
+    }
+
     let yearSpend = 0;
     if (isRetired) {
       yearSpend = annualSpendFor(age, sustainableAnnual, 
@@ -197,7 +210,8 @@ export function buildDwzDepletionPath({
       super: Math.max(0, superBalance),
       total: Math.max(0, outsideBalance + superBalance),
       phase: bandInfo.phase,
-      spend: yearSpend
+      spend: yearSpend,
+      ...(accumulation > 0 ? { superAccumulation: accumulation } : {})
     });
     
     // Don't process further for the last age (life expectancy)
@@ -216,15 +230,18 @@ export function buildDwzDepletionPath({
         // Post-preservation: draw from combined wealth
         const totalWealth = outsideBalance + superBalance;
         if (totalWealth >= yearSpend) {
-          // Prefer drawing from super first to minimize tax
+          // Prefer drawing from super first to minimize tax, the pension before accumulation
           const fromSuper = Math.min(superBalance, yearSpend);
           const fromOutside = yearSpend - fromSuper;
+          const fromPension = Math.min(superBalance - accumulation, fromSuper);
+          accumulation -= fromSuper - fromPension;
           superBalance -= fromSuper;
           outsideBalance -= fromOutside;
         } else {
           // Depleted - set both to zero
           outsideBalance = 0;
           superBalance = 0;
+          accumulation = 0;
         }
       }
     }
@@ -232,11 +249,13 @@ export function buildDwzDepletionPath({
     // Apply insurance premium to super (deducted every year while there's balance)
     if (insurancePremium > 0 && superBalance > 0) {
       superBalance = Math.max(0, superBalance - insurancePremium);
+      accumulation = Math.min(accumulation, superBalance);
     }
     
     // Apply returns (after spending and insurance)
     outsideBalance *= (1 + netReturn);
-    superBalance *= (1 + netReturn);
+    superBalance = (superBalance - accumulation) * (1 + netReturn) + accumulation * (1 + accumulationNetReturn);
+    accumulation *= (1 + accumulationNetReturn);
   }
   
   // Ensure final wealth is close to bequest target
@@ -252,11 +271,13 @@ export function buildDwzDepletionPath({
       finalPoint.outside = 0;
       finalPoint.super = 0;
       finalPoint.total = 0;
+      delete finalPoint.superAccumulation;
     } else if (bequestError > epsilon && bequest > 0) {
       // For bequest targets, scale to match
       const scaleFactor = bequest / Math.max(1, finalTotal);
       finalPoint.outside *= scaleFactor;
       finalPoint.super *= scaleFactor;
+      if (finalPoint.superAccumulation) finalPoint.superAccumulation *= scaleFactor;
       finalPoint.total = bequest;
     }
   }
@@ -25,6 +25,9 @@ export function projectCouple({
   // Precompute preservation ages
   const preservation = P.map(p => p.dob ? getPreservationAge(p.dob, rules) : 60);
 
+  // Couples are tested against the MLS family thresholds on their combined income
+  const mlsFamilyIncome = P.length > 1 ? P.reduce((a, p) => a + p.income, 0) : undefined;
+
   // Running balances (household totals, but we track partner supers too for future)
   let outsideSuper = P.reduce((a,p)=>a + p.liquidStart, 0);
   let superBalances = P.map(p => p.superStart);
@@ -34,7 +37,7 @@ export function projectCouple({
   const annualOutsideSavingsNow = P.reduce((sum, p) => {
     if (p.currentAge >= p.retireAge) return sum; // already retired -> no saving
     // current-year after-tax saving estimate
-    const tax = calcIncomeTax(p.income, { hasPrivateHealth: p.hasPrivateHealth, hecsDebt: p.hecsBalance }, rules);
+    const tax = calcIncomeTax(p.income, { hasPrivateHealth: p.hasPrivateHealth, hecsDebt: p.hecsBalance, familyIncome: mlsFamilyIncome }, rules);
     const afterTaxIncome = Math.max(0, p.income - tax);
     // Household expenses are shared; a single-person estimate would over-assign.
     // We'll use a crude 50/50 split for the *pre*retirement savings signal:
@@ -90,7 +93,7 @@ export function projectCouple({
     const totalTax = P.reduce((sum, p, i) => {
       const a = ages[i];
       if (a < p.retireAge) {
-        return sum + calcIncomeTax(p.income, { hasPrivateHealth: p.hasPrivateHealth, hecsDebt: p.hecsBalance }, rules);
+        return sum + calcIncomeTax(p.income, { hasPrivateHealth: p.hasPrivateHealth, hecsDebt: p.hecsBalance, familyIncome: mlsFamilyIncome }, rules);
       }
       return sum;
     }, 0);
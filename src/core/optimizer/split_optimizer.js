@@ -9,6 +9,7 @@
  */
 import Decimal from 'decimal.js-light';
 import { solveSustainableSpending, findEarliestRetirement } from '../dwz_age_band.js';
+import { calcDiv293Tax } from '../super.js';
 
 /**
  * Calculate headroom available for salary sacrifice contributions
@@ -16,20 +17,46 @@ import { solveSustainableSpending, findEarliestRetirement } from '../dwz_age_ban
  * @param {number} params.salary - Annual salary
  * @param {number} params.sgPct - Superannuation Guarantee percentage (e.g., 0.115 for 11.5%)
  * @param {number} params.concessionalCap - Annual concessional contributions cap
+ * @param {number} [params.carryForward=0] - Unused cap carried forward into this year (see computeCarryForward)
  * @returns {number} Available headroom for additional salary sacrifice
  */
-export function computeHeadroom({ salary, sgPct = 0.115, concessionalCap = 30000 }) {
-  const sgContribution = Math.min(salary * sgPct, concessionalCap);
-  return Math.max(0, concessionalCap - sgContribution);
+export function computeHeadroom({ salary, sgPct = 0.115, concessionalCap = 30000, carryForward = 0 }) {
+  const cap = concessionalCap + Math.max(0, carryForward);
+  const sgContribution = Math.min(salary * sgPct, cap);
+  return Math.max(0, cap - sgContribution);
 }
 
 /**
- * Apply 15% contributions tax to salary sacrifice amount
+ * Unused concessional cap from the previous five years that can be carried into this year.
+ * Only available while the total super balance at the previous 30 June is under $500k.
+ * It is a one-off top-up for this year, not a higher cap every year.
+ * @param {Object} params
+ * @param {number[]} params.history - Concessional contributions in previous years, oldest first
+ * @param {number} params.totalSuperBalance - Total super balance at the end of last financial year
+ * @param {number} params.concessionalCap - Cap that applied in each previous year
+ * @param {number} [params.balanceLimit=500000] - Total super balance limit for carry-forward
+ * @returns {number} Carry-forward amount available this year
+ */
+export function computeCarryForward({ history = [], totalSuperBalance = 0, concessionalCap = 30000, balanceLimit = 500000 }) {
+  if (totalSuperBalance >= balanceLimit) return 0;
+  return history
+    .slice(-5)
+    .reduce((sum, contributed) => sum + Math.max(0, concessionalCap - Math.max(0, contributed)), 0);
+}
+
+/**
+ * Apply 15% contributions tax, plus Division 293 for high earners, to salary sacrifice amount
  * @param {number} sac - Pre-tax salary sacrifice amount
+ * @param {Object} [person] - Optional earner details for Division 293
+ * @param {number} [person.income] - Salary before the sacrifice
+ * @param {number} [person.otherConcessional] - Other concessional contributions (e.g. SG)
  * @returns {number} Net amount landing in super after contributions tax
  */
-export function applyContribTax(sac) {
-  return sac * 0.85; // 15% contributions tax
+export function applyContribTax(sac, { income, otherConcessional = 0 } = {}) {
+  const net = sac * 0.85; // 15% contributions tax
+  if (income === undefined) return net;
+  // Only the Division 293 that the sacrifice adds is charged to it
+  return net - (calcDiv293Tax(income - sac, otherConcessional + sac) - calcDiv293Tax(income, otherConcessional));
 }
 
 /**
@@ -71,8 +98,8 @@ export function projectBalancesToR(household, sac1, sac2, outside, assumptions)
   // Calculate total annual contributions
   const sgContrib1 = salary1 * sgPct;
   const sgContrib2 = salary2 * sgPct;
-  const totalSuperContrib1 = sgContrib1 + applyContribTax(sac1);
-  const totalSuperContrib2 = sgContrib2 + applyContribTax(sac2);
+  const totalSuperContrib1 = sgContrib1 + applyContribTax(sac1, { income: salary1, otherConcessional: sgContrib1 });
+  const totalSuperContrib2 = sgContrib2 + applyContribTax(sac2, { income: salary2, otherConcessional: sgContrib2 });
   
   let projectedOutside = new Decimal(currentOutside);
   let projectedSuper1 = new Decimal(currentSuper1);
@@ -1,4 +1,5 @@
 import rulesDefault from "../data/au_rules.json";
+import { resolveRules } from "./rules.js";
 
 /**
  * Return preservation age (years) from DOB using rules table.
@@ -10,9 +11,10 @@ export function getPreservationAge(dobISO, rules = rulesDefault) {
   if (Number.isNaN(dob.getTime())) return 60;
 
   // Find the first rule where dob < born_before
-  for (const row of rules.preservation_age_table) {
+  const { preservation_age_table, default_preservation_age } = resolveRules(rules);
+  for (const row of preservation_age_table) {
     const cutoff = new Date(row.born_before);
     if (dob < cutoff) return row.age;
   }
-  return 60; // default ceiling
+  return default_preservation_age;
 }
\ No newline at end of file
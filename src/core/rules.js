@@ -0,0 +1,37 @@
+import registry from "../../packages/dwz-core/src/data/auRules.json";
+import rulesDefault from "../data/au_rules.json";
+
+/** Financial years in the shared registry, oldest first ("2024-25", ...). */
+export const FINANCIAL_YEARS = Object.keys(registry.years).sort();
+export const LATEST_FINANCIAL_YEAR = FINANCIAL_YEARS[FINANCIAL_YEARS.length - 1];
+
+/**
+ * One financial year of the shared dwz-core registry in the snake_case shape the V1 modules read.
+ * Unknown years fall back to the latest.
+ */
+export function rulesForYear(fy = LATEST_FINANCIAL_YEAR) {
+  const year = registry.years[fy] ?? registry.years[LATEST_FINANCIAL_YEAR];
+  return {
+    financial_year: registry.years[fy] ? fy : LATEST_FINANCIAL_YEAR,
+    income_tax: year.incomeTax.map(b => ({ min: b.from, rate: b.rate })),
+    medicare: { rate: year.medicare.rate, threshold: year.medicare.lowIncomeThreshold },
+    mls: year.mls.tiers.map(t => ({ threshold: t.single, family_threshold: t.family, surcharge: t.rate })),
+    mls_child_increment: year.mls.familyChildIncrement,
+    hecs: { method: year.help.method, thresholds: year.help.brackets.map(b => ({ min: b.from, rate: b.rate })) },
+    concessional_cap: year.caps.concessional,
+    non_concessional_cap: year.caps.nonConcessional,
+    transfer_balance_cap: year.caps.transferBalance,
+    sg_rate: year.sgRate,
+    sg_max_base: year.sgMaxBase,
+    preservation_age_table: year.preservationAges.map(r => ({ born_before: r.bornBefore, age: r.age })),
+    default_preservation_age: year.defaultPreservationAge
+  };
+}
+
+/**
+ * Fill a rules object from the registry for its `financial_year` (default: the bundled one).
+ * Values set on `rules` itself win, so tests and callers can still override single entries.
+ */
+export function resolveRules(rules = rulesDefault) {
+  return { ...rulesForYear(rules.financial_year ?? rulesDefault.financial_year), ...rules };
+}
@@ -1,5 +1,6 @@
 import rulesDefault from "../data/au_rules.json";
 import * as Money from "../lib/money.js";
+import { resolveRules } from "./rules.js";
 
 /** SG + extra contributions; returns totals and cap flags */
 export function calcSuperContribs(
@@ -8,7 +9,8 @@ export function calcSuperContribs(
   insurancePremiums = 0,
   rules = rulesDefault
 ) {
-  const employer = Money.mul(Money.min(income, rules.sg_max_base), 0.12);
+  rules = resolveRules(rules);
+  const employer = Money.mul(Money.min(income, rules.sg_max_base), rules.sg_rate);
   const total = Money.add(employer, extra);
   const net = Money.max(0, Money.sub(total, insurancePremiums));
   const cap = Money.money(rules.concessional_cap);
@@ -22,4 +24,49 @@ export function calcSuperContribs(
     isOverCap: Money.toNumber(total) > rules.concessional_cap,
     cap: rules.concessional_cap
   };
-}
\ No newline at end of file
+}
+/**
+ * Division 293 tax: an extra 15% on the concessional contributions that take
+ * income plus those contributions above the threshold. `income` excludes the contributions.
+ */
+export function calcDiv293Tax(income, concessional, rules = rulesDefault) {
+  const { threshold, rate } = rules.div293 ?? rulesDefault.div293;
+  const contribs = Money.max(0, concessional);
+  const over = Money.max(0, Money.sub(Money.add(Money.max(0, income), contribs), threshold));
+  return Money.toNumber(Money.mul(Money.min(contribs, over), rate));
+}
+
+/**
+ * Move super into retirement phase under the transfer balance cap.
+ * `priorCredits` are earlier transfer balance account credits; the excess stays in accumulation.
+ */
+export function transferToRetirementPhase(balance, priorCredits = 0, rules = rulesDefault) {
+  rules = resolveRules(rules);
+  const cap = Money.money(rules.transfer_balance_cap);
+  const room = Money.max(0, Money.sub(cap, Money.max(0, priorCredits)));
+  const credit = Money.min(Money.max(0, balance), room);
+
+  return {
+    credit: Money.toNumber(credit),
+    excess: Money.toNumber(Money.sub(balance, credit)),
+    remainingCap: Money.toNumber(Money.sub(room, credit)),
+    cap: rules.transfer_balance_cap
+  };
+}
+
+/** Earnings tax on super in accumulation phase; retirement-phase earnings are tax-free. */
+export const SUPER_ACCUMULATION_TAX_RATE = 0.15;
+
+/** Real return on super left in accumulation: positive earnings lose the accumulation tax. */
+export function accumulationReturn(realReturn, rate = SUPER_ACCUMULATION_TAX_RATE) {
+  return realReturn > 0 ? realReturn * (1 - rate) : realReturn;
+}
+
+/**
+ * Present value, when retirement phase starts, of the earnings tax on `excess` left in accumulation and
+ * drawn last: over `years` it compounds at the taxed return instead of the tax-free one.
+ */
+export function accumulationTaxPV(excess, realReturn, years, rate = SUPER_ACCUMULATION_TAX_RATE) {
+  if (excess <= 0 || years <= 0) return 0;
+  return excess * (1 - Math.pow((1 + accumulationReturn(realReturn, rate)) / (1 + realReturn), years));
+}
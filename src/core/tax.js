@@ -1,31 +1,37 @@
 import rulesDefault from "../data/au_rules.json";
 import * as Money from "../lib/money.js";
+import { resolveRules } from "./rules.js";
 
-/** Progressive tax + Medicare + optional MLS + HECS */
+/**
+ * Progressive tax + Medicare + optional MLS + HECS.
+ * MLS is tested on income for MLS purposes (income + reportableSuper). Pass `familyIncome` (the couple's
+ * combined MLS income) or `dependentChildren` to test against the family thresholds instead.
+ */
 export function calcIncomeTax(
   income,
-  { hasPrivateHealth = false, hecsDebt = 0 } = {},
+  { hasPrivateHealth = false, hecsDebt = 0, reportableSuper = 0, familyIncome, dependentChildren = 0 } = {},
   rules = rulesDefault
 ) {
-  const brackets = rules.tax_years["2025_26"];
+  rules = resolveRules(rules);
+  const brackets = rules.income_tax;
   let tax = Money.money(0);
   const incomeDecimal = Money.money(income);
 
-  for (const b of brackets) {
-    const upper = b.max ?? income;
+  brackets.forEach((b, i) => {
+    const upper = brackets[i + 1]?.min ?? income;
     if (income > b.min) {
       const slice = Money.sub(Money.min(incomeDecimal, upper), b.min);
       tax = Money.add(tax, Money.mul(slice, b.rate));
     }
-  }
+  });
 
   // Medicare levy
   if (income > rules.medicare.threshold) {
     tax = Money.add(tax, Money.mul(incomeDecimal, rules.medicare.rate));
   }
 
-  // MLS (tiered; we only model the first tier in V1)
-  const mlsTier = rules.mls.find(t => income > t.threshold);
+  // MLS: the highest tier reached applies to the whole taxable income
+  const mlsTier = calcMlsTier(income + reportableSuper, { familyIncome, dependentChildren }, rules);
   if (mlsTier && !hasPrivateHealth) {
     tax = Money.add(tax, Money.mul(incomeDecimal, mlsTier.surcharge));
   }
@@ -36,21 +42,45 @@ export function calcIncomeTax(
   return Money.toNumber(Money.max(0, tax));
 }
 
+/**
+ * MLS tier reached (null below the first). Singles test their own MLS income against the single
+ * thresholds; couples and single parents test family income against the family thresholds, which
+ * rise by mls_child_increment for each dependent child after the first.
+ */
+export function calcMlsTier(mlsIncome, { familyIncome, dependentChildren = 0 } = {}, rules = rulesDefault) {
+  rules = resolveRules(rules);
+  const isFamily = familyIncome !== undefined || dependentChildren > 0;
+  if (!isFamily) return rules.mls.filter(t => mlsIncome > t.threshold).pop() ?? null;
+  const income = familyIncome ?? mlsIncome;
+  const extra = Math.max(0, dependentChildren - 1) * rules.mls_child_increment;
+  return rules.mls.filter(t => income > t.family_threshold + extra).pop() ?? null;
+}
+
+/**
+ * Compulsory HECS/HELP repayment. "total" years charge the rate of the highest threshold reached on
+ * the whole income; "marginal" years (2025-26 on) charge each rate only on income above its threshold.
+ */
 export function calcHecsRepayment(income, hecsDebt = 0, rules = rulesDefault) {
   if (hecsDebt <= 0) return 0;
-  const bracket = rules.hecs_thresholds.find(t => income >= t.min) || { rate: 0 };
-  const repayment = Money.mul(income, bracket.rate);
+  const { method, thresholds } = resolveRules(rules).hecs;
+  let repayment = Money.money(0);
+  if (method === "marginal") {
+    thresholds.forEach((t, i) => {
+      const upper = thresholds[i + 1]?.min ?? income;
+      if (income > t.min) repayment = Money.add(repayment, Money.mul(Money.sub(Money.min(income, upper), t.min), t.rate));
+    });
+  } else {
+    const bracket = thresholds.filter(t => income >= t.min).pop() || { rate: 0 };
+    repayment = Money.mul(income, bracket.rate);
+  }
   return Money.toNumber(Money.min(repayment, hecsDebt));
 }
 
 /** Bracket + Medicare (used for salary sacrifice benefit calc) */
 export function getMarginalRate(income, rules = rulesDefault) {
-  const brackets = rules.tax_years["2025_26"];
-  let base = Money.money(0);
-  for (const b of brackets) {
-    if (income > (b.max ?? Infinity)) base = Money.money(b.rate);
-    else if (income > b.min) { base = Money.money(b.rate); break; }
-  }
+  rules = resolveRules(rules);
+  const bracket = rules.income_tax.filter(b => income > b.min).pop();
+  const base = Money.money(bracket?.rate ?? 0);
   const medicare = income > rules.medicare.threshold ? Money.money(rules.medicare.rate) : Money.money(0);
   return Money.toNumber(Money.add(base, medicare)); // excludes MLS on purpose
 }
\ No newline at end of file
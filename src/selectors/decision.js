@@ -4,6 +4,8 @@ import { solveSustainableSpending, findEarliestRetirement, findEarliestViableAge
 import { normalizeBandSettings, createFlatSchedule, createAgeBandedSchedule } from '../lib/validation/ageBands.js';
 import { buildDwzDepletionPath, computeBridgeFromSchedule } from '../core/age_bands.js';
 import { getPreservationAge } from '../core/preservation.js';
+import { transferToRetirementPhase, accumulationTaxPV } from '../core/super.js';
+import { resolveRules } from '../core/rules.js';
 import Decimal from 'decimal.js-light';
 
 /**
@@ -161,12 +163,22 @@ export function decisionFromState(state, rules) {
     }
   }
 
+  // Super over the transfer balance cap when retirement phase starts stays in accumulation, drawn last
+  // and taxed at 15%; spending is solved on super less that tax in today's terms
+  const conversionAge = Math.max(targetAge, P);
+  const { transfer_balance_cap: transferBalanceCap } = resolveRules(rules);
+  const growthToConversion = Math.pow(1 + realReturn.toNumber(), conversionAge - targetAge);
+  const excessAtConversion = Math.max(0, superWealth.toNumber() * growthToConversion - transferBalanceCap);
+  const spendableSuper = superWealth.sub(
+    accumulationTaxPV(excessAtConversion, realReturn.toNumber(), lifeExpectancy - conversionAge) / growthToConversion
+  );
+
   // Solve sustainable spending at target age with correct bands
   const solution = solveSustainableSpending({
     retirementAge: targetAge,
     lifeExpectancy,
     outsideWealth,
-    superWealth,
+    superWealth: spendableSuper,
     preservationAge: P,
     realReturn,
     bequest: new Decimal(bequest),
@@ -181,7 +193,7 @@ export function decisionFromState(state, rules) {
     retirementAge: targetAge,
     lifeExpectancy,
     outsideWealth,
-    superWealth,
+    superWealth: spendableSuper,
     preservationAge: P,
     realReturn,
     bequest: new Decimal(bequest),
@@ -229,7 +241,7 @@ export function decisionFromState(state, rules) {
       realReturn: realReturn.toNumber(),
       bandAtAge,
       outsideNow: outsideWealth.toNumber(),
-      superAtPreservation: superWealth.toNumber(),
+      superAtPreservation: spendableSuper.toNumber(),
       sustainableAnnual: solution.sustainableAnnual.toNumber(),
     });
   }
@@ -278,9 +290,26 @@ export function decisionFromState(state, rules) {
     startBalances: {
       outside: outsideWealth.toNumber(),
       super: superWealth.toNumber()
-    }
+    },
+    transferBalanceCap
   });
   
+  // Super starts a pension once retired and preserved; the transfer balance cap limits the credit
+  const atConversion = depletionPath.find(point => point.age === conversionAge);
+  const transfer = transferToRetirementPhase(atConversion ? atConversion.super : 0, 0, rules);
+  const transferBalance = {
+    cap: transfer.cap,
+    conversionAge,
+    credited: transfer.credit,
+    excess: transfer.excess,
+    remainingCap: transfer.remainingCap,
+    // Transfer balance account over time: pension payments never debit it
+    account: depletionPath.map(point => ({
+      age: point.age,
+      balance: point.age >= conversionAge ? transfer.credit : 0
+    }))
+  };
+
   // T-025: Unified DWZ output bundle with schedule-driven bridge
   const dwz = {
     sustainableAnnual: solution.sustainableAnnual.toNumber(),
@@ -315,7 +344,8 @@ export function decisionFromState(state, rules) {
       yearsShort: Math.max(0, yearsNeeded - (isBridgeCovered ? yearsNeeded : 0))
     },
     path: depletionPath,
-    preservationAge: P
+    preservationAge: P,
+    transferBalance
   };
 
   return {
@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import Decimal from 'decimal.js-light';
 import { 
   computeHeadroom, 
+  computeCarryForward,
   applyContribTax, 
   projectBalancesToR, 
   findEarliestViableAge,
@@ -55,6 +56,26 @@ describe('Split Optimizer Unit Tests', () => {
     });
   });
 
+  describe('computeCarryForward', () => {
+    it('should add up unused cap from the last five years', () => {
+      const carryForward = computeCarryForward({
+        history: [30000, 30000, 10000, 20000, 15000, 5000], // six years: the oldest is dropped
+        totalSuperBalance: 300000,
+        concessionalCap: 30000
+      });
+      expect(carryForward).toBe(20000 + 10000 + 15000 + 25000);
+    });
+
+    it('should be unavailable at a total super balance of $500k or more', () => {
+      expect(computeCarryForward({ history: [0, 0, 0], totalSuperBalance: 500000 })).toBe(0);
+    });
+
+    it('should raise this year\'s headroom', () => {
+      const headroom = computeHeadroom({ salary: 100000, sgPct: 0.115, concessionalCap: 30000, carryForward: 40000 });
+      expect(headroom).toBe(58500);
+    });
+  });
+
   describe('applyContribTax', () => {
     it('should apply 15% contributions tax correctly', () => {
       expect(applyContribTax(10000)).toBe(8500);
@@ -65,6 +86,15 @@ describe('Split Optimizer Unit Tests', () => {
     it('should handle fractional amounts', () => {
       expect(applyContribTax(1000.50)).toBeCloseTo(850.425, 2);
     });
+
+    it('should add Division 293 for income plus contributions above $250k', () => {
+      // Under the threshold: 15% only
+      expect(applyContribTax(10000, { income: 150000, otherConcessional: 17250 })).toBe(8500);
+      // Salary 300k + SG 30k is already 80k over, so every sacrificed dollar pays another 15%
+      expect(applyContribTax(10000, { income: 300000, otherConcessional: 30000 })).toBeCloseTo(7000, 6);
+      // Salary 240k + SG 27.6k is 17.6k over, which the SG already covers: the sacrifice adds none
+      expect(applyContribTax(10000, { income: 240000, otherConcessional: 27600 })).toBeCloseTo(8500, 6);
+    });
   });
 
   describe('projectBalancesToR', () => {
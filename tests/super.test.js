@@ -1,5 +1,5 @@
 import { test, expect } from 'vitest';
-import { calcSuperContribs } from "../src/core/super.js";
+import { calcSuperContribs, calcDiv293Tax, transferToRetirementPhase } from "../src/core/super.js";
 import rules from "../src/data/au_rules.json";
 
 test("basic super contribution calculation", () => {
@@ -36,7 +36,32 @@ test("super contribution with insurance", () => {
 
 test("high income SG cap applies", () => {
   const result = calcSuperContribs(300000, 0, 0, rules);
-  // SG capped at $260,280 * 12% = $31,233.60
-  expect(result.employer).toBeCloseTo(31233.6, 1);
-  expect(result.isOverCap).toBe(true); // Because it exceeds $30k cap
-});
\ No newline at end of file
+  // SG capped at the 2025-26 maximum base: $250,000 * 12% = $30,000
+  expect(result.employer).toBeCloseTo(30000, 1);
+  expect(result.isOverCap).toBe(false); // Exactly at the $30k cap
+});
+test("retirement-phase transfer within the transfer balance cap", () => {
+  const result = transferToRetirementPhase(1000000, 0, rules);
+  expect(result.credit).toBe(1000000);
+  expect(result.excess).toBe(0);
+  expect(result.remainingCap).toBe(1000000);
+  expect(result.cap).toBe(2000000);
+});
+
+test("balance above the transfer balance cap stays in accumulation", () => {
+  const result = transferToRetirementPhase(2500000, 0, rules);
+  expect(result.credit).toBe(2000000);
+  expect(result.excess).toBe(500000);
+  expect(result.remainingCap).toBe(0);
+
+  // Earlier credits use up cap space
+  expect(transferToRetirementPhase(500000, 1700000, rules).credit).toBe(300000);
+});
+
+test("Division 293 applies to contributions above the $250k threshold", () => {
+  expect(calcDiv293Tax(200000, 30000, rules)).toBe(0);
+  // 240k + 30k is 20k over: 15% of 20k
+  expect(calcDiv293Tax(240000, 30000, rules)).toBe(3000);
+  // Well over: capped at the contributions themselves
+  expect(calcDiv293Tax(400000, 30000, rules)).toBe(4500);
+});
@@ -1,16 +1,16 @@
 import { test, expect } from 'vitest';
-import { calcIncomeTax, getMarginalRate } from "../src/core/tax.js";
+import { calcIncomeTax, calcHecsRepayment, calcMlsTier, getMarginalRate } from "../src/core/tax.js";
 import rules from "../src/data/au_rules.json";
 
 // Quick sanity tests for core tax function
 test("income tax ~100k with Medicare (no MLS, no HECS)", () => {
   const tax = calcIncomeTax(100000, { hasPrivateHealth: true, hecsDebt: 0 }, rules);
-  // Precise calculation: $22,966.485 income tax + $2,000 Medicare levy = $24,966.485
-  expect(tax).toBeCloseTo(24966.485, 2);
+  // Stage 3 brackets: 16% of 26,800 + 30% of 55,000 = $20,788 income tax + $2,000 Medicare levy = $22,788
+  expect(tax).toBeCloseTo(22788, 2);
 });
 
 test("marginal rate bands include Medicare", () => {
-  expect(getMarginalRate(50000, rules)).toBeCloseTo(0.325 + 0.02, 3);
+  expect(getMarginalRate(50000, rules)).toBeCloseTo(0.30 + 0.02, 3);
 });
 
 test("no tax under threshold", () => {
@@ -19,8 +19,9 @@ test("no tax under threshold", () => {
 });
 
 test("Medicare Levy Surcharge applies without private health", () => {
-  const taxWithHealth = calcIncomeTax(100000, { hasPrivateHealth: true, hecsDebt: 0 }, rules);
-  const taxWithoutHealth = calcIncomeTax(100000, { hasPrivateHealth: false, hecsDebt: 0 }, rules);
+  // Above the 2025-26 singles threshold of $101,000
+  const taxWithHealth = calcIncomeTax(110000, { hasPrivateHealth: true, hecsDebt: 0 }, rules);
+  const taxWithoutHealth = calcIncomeTax(110000, { hasPrivateHealth: false, hecsDebt: 0 }, rules);
   expect(taxWithoutHealth).toBeGreaterThan(taxWithHealth);
 });
 
@@ -28,4 +29,30 @@ test("HECS repayment applies correctly", () => {
   const taxNoHecs = calcIncomeTax(100000, { hasPrivateHealth: true, hecsDebt: 0 }, rules);
   const taxWithHecs = calcIncomeTax(100000, { hasPrivateHealth: true, hecsDebt: 50000 }, rules);
   expect(taxWithHecs).toBeGreaterThan(taxNoHecs);
-});
\ No newline at end of file
+});
+
+test("HECS repayment is marginal from 2025-26 and on total income before", () => {
+  // 15% of income above $67,000
+  expect(calcHecsRepayment(100000, 50000, rules)).toBeCloseTo(4950, 2);
+  // 2024-25: 5.5% of the whole income once it reaches $94,504
+  expect(calcHecsRepayment(100000, 50000, { ...rules, financial_year: "2024-25" })).toBeCloseTo(5500, 2);
+  expect(calcHecsRepayment(100000, 1000, rules)).toBe(1000);
+});
+
+test("MLS uses the highest tier reached", () => {
+  const withCover = calcIncomeTax(120000, { hasPrivateHealth: true }, rules);
+  const without = calcIncomeTax(120000, { hasPrivateHealth: false }, rules);
+  // 2025-26 tier 2 starts at $118,000: 1.25%
+  expect(without - withCover).toBeCloseTo(1500, 2);
+});
+
+test("MLS income includes reportable super; families use the family thresholds", () => {
+  const mls = opts => calcIncomeTax(95000, opts, rules) - calcIncomeTax(95000, { ...opts, hasPrivateHealth: true }, rules);
+  expect(mls({})).toBe(0);
+  expect(mls({ reportableSuper: 10000 })).toBeCloseTo(950, 2);
+  // Family tier 1 starts at $202,000, plus $1,500 for each child after the first
+  expect(calcMlsTier(0, { familyIncome: 204000 }, rules).surcharge).toBe(0.01);
+  expect(calcMlsTier(0, { familyIncome: 204000, dependentChildren: 3 }, rules)).toBeNull();
+  expect(calcMlsTier(0, { familyIncome: 320000 }, rules).surcharge).toBe(0.015);
+  expect(mls({ familyIncome: 180000 })).toBe(0);
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { decisionFromState } from '../src/selectors/decision.js';
+import auRules from '../src/data/au_rules.json';
+import { resolveRules } from '../src/core/rules.js';
+
+const { transfer_balance_cap: cap } = resolveRules(auRules);
+
+describe('Transfer balance cap in the decision', () => {
+  const baseState = {
+    currentAge: 55,
+    retirementAge: 60,
+    lifeExpectancy: 90,
+    currentSavings: 300000,
+    currentSuper: 2500000,
+    annualIncome: 150000,
+    annualExpenses: 80000,
+    expectedReturn: 7.0,
+    inflationRate: 2.5
+  };
+
+  it('credits at most the cap when super starts a pension; the rest stays in accumulation', () => {
+    const { dwz } = decisionFromState(baseState, auRules);
+    const tb = dwz.transferBalance;
+
+    expect(tb.cap).toBe(cap);
+    expect(tb.conversionAge).toBe(Math.max(baseState.retirementAge, dwz.preservationAge));
+    expect(tb.credited).toBe(cap);
+    expect(tb.excess).toBeGreaterThan(0);
+    expect(tb.remainingCap).toBe(0);
+  });
+
+  it('tracks the transfer balance account over the depletion path', () => {
+    const { dwz } = decisionFromState(baseState, auRules);
+    const { account, conversionAge, credited } = dwz.transferBalance;
+
+    expect(account).toHaveLength(dwz.path.length);
+    expect(account.filter(a => a.age < conversionAge).every(a => a.balance === 0)).toBe(true);
+    expect(account.filter(a => a.age >= conversionAge).every(a => a.balance === credited)).toBe(true);
+  });
+
+  it('taxes earnings on the excess at 15%, so the balance supports less spend than if it were all tax-free', () => {
+    const capped = decisionFromState(baseState, auRules).dwz;
+    const uncapped = decisionFromState(baseState, { ...auRules, transfer_balance_cap: 1e9 }).dwz;
+
+    expect(uncapped.transferBalance.excess).toBe(0);
+    expect(capped.sustainableAnnual).toBeLessThan(uncapped.sustainableAnnual);
+
+    // The excess stays in an accumulation part of super from the conversion age
+    const { conversionAge, excess } = capped.transferBalance;
+    const atConversion = capped.path.find(p => p.age === conversionAge);
+    expect(atConversion.superAccumulation).toBeCloseTo(excess, 6);
+    expect(capped.path.filter(p => p.age < conversionAge).every(p => p.superAccumulation === undefined)).toBe(true);
+  });
+
+  it('a balance under the cap is all tax-free', () => {
+    const state = { ...baseState, currentSuper: 400000 };
+    expect(decisionFromState(state, auRules).dwz.sustainableAnnual)
+      .toBeCloseTo(decisionFromState(state, { ...auRules, transfer_balance_cap: 1e9 }).dwz.sustainableAnnual, 6);
+    expect(decisionFromState(state, auRules).dwz.path.every(p => p.superAccumulation === undefined)).toBe(true);
+  });
+
+  it('credits the whole balance when it is under the cap', () => {
+    const { dwz } = decisionFromState({ ...baseState, currentSuper: 400000 }, auRules);
+    expect(dwz.transferBalance.excess).toBe(0);
+    expect(dwz.transferBalance.credited).toBeGreaterThan(0);
+    expect(dwz.transferBalance.remainingCap).toBeCloseTo(cap - dwz.transferBalance.credited, 6);
+  });
+});